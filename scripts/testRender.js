@@ -17,16 +17,21 @@
  *   node scripts/testRender.js --effect tree-of-life --frames 100
  *   node scripts/testRender.js --effect tree-of-life --preset mystical -v
  *   node scripts/testRender.js --effect tree-of-life --width 2048 --height 2048 --save-frames
+ *   node scripts/testRender.js --verify-loop
+ *   node scripts/testRender.js --verify-loop --effect chakra-mandala --frames 400
+ *   node scripts/testRender.js --verify-replay --frames 24 --width 256 --height 256
  */
 
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import os from 'os';
-import { Settings, Project } from 'my-nft-gen';
+import { Settings, Project, LayerFactory } from 'my-nft-gen';
 import { LayerConfig } from 'my-nft-gen/src/core/layer/LayerConfig.js';
 import { ColorPicker } from 'my-nft-gen/src/core/layer/configType/ColorPicker.js';
 import { ColorScheme } from 'my-nft-gen/src/core/color/ColorScheme.js';
+import { LayerPixels } from '../src/effects/base/LayerPixels.js';
+import { SeededRandom } from '../src/effects/base/SeededRandom.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, '..');
@@ -47,7 +52,12 @@ function parseArgs() {
     saveFrames: false,
     verbose: false,
     debug: false,
-    help: false
+    help: false,
+    verifyLoop: false,
+    verifyReplay: false,
+    seamThreshold: 0.1,
+    neighbours: 2,
+    seed: 1337
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -62,6 +72,11 @@ function parseArgs() {
     else if (arg === '--verbose' || arg === '-v') options.verbose = true;
     else if (arg === '--debug') options.debug = true;
     else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg === '--verify-loop') options.verifyLoop = true;
+    else if (arg === '--verify-replay') options.verifyReplay = true;
+    else if (arg === '--seam-threshold') options.seamThreshold = parseFloat(args[++i]);
+    else if (arg === '--neighbours') options.neighbours = parseInt(args[++i], 10);
+    else if (arg === '--seed') options.seed = parseInt(args[++i], 10);
   }
 
   return options;
@@ -76,9 +91,12 @@ function printHelp() {
 
 USAGE:
   node scripts/testRender.js --effect <name> [options]
+  node scripts/testRender.js --verify-loop [--effect <name>] [--preset <name>] [options]
+  node scripts/testRender.js --verify-replay [--effect <name>] [--preset <name>] [options]
 
 REQUIRED:
   --effect <name>              Effect name to test (e.g., tree-of-life)
+                               (optional with --verify-loop / --verify-replay: all plugin effects)
 
 OPTIONS:
   --preset <name>              Effect preset: default|mystical|minimal|dense|organic (default: default)
@@ -91,6 +109,21 @@ OPTIONS:
   --debug                      Debug mode with detailed logging
   --help, -h                   Show this help message
 
+LOOP VERIFICATION:
+  --verify-loop                Render the first/last frames of every registered preset
+                               and report the pixel difference across the loop seam
+                               (secondary and final effects render over a seeded fixture image)
+  --seam-threshold <ratio>     Max seam error as a share of the motion between adjacent
+                               frames (default: 0.1)
+  --neighbours <count>         Extra frames rendered after the first / before the last, which
+                               measure the motion baseline (default: 2)
+  --seed <number>              Seed pinned for every preset so runs are reproducible (default: 1337)
+
+REPLAY VERIFICATION:
+  --verify-replay              Rebuild every registered preset from a JSON round-trip of its
+                               recorded config and check the first, middle and last frames
+                               match the original render pixel for pixel
+
 EXAMPLES:
   # Basic test with default settings
   node scripts/testRender.js --effect tree-of-life
@@ -104,6 +137,12 @@ EXAMPLES:
   # Save frames to custom output directory
   node scripts/testRender.js --effect tree-of-life --save-frames --output ./my-renders
 
+  # Check every preset for loop breaks before minting
+  node scripts/testRender.js --verify-loop --frames 120 --width 512 --height 512
+
+  # Check every preset re-renders identically from its recorded metadata
+  node scripts/testRender.js --verify-replay --frames 24 --width 256 --height 256
+
 PRESETS:
   - default   Baseline rendering with standard settings
   - mystical  Enhanced with sacred geometry and energy flow
@@ -284,6 +323,365 @@ function setupOutputDirectory(options) {
   }
 }
 
+// ============================================================================
+// LOOP VERIFICATION
+// ============================================================================
+
+// Channel differences up to this many levels are rounding noise, not a seam
+const SEAM_NOISE_FLOOR = 2;
+
+// Soft discs drawn into the loop fixture image
+const FIXTURE_BLOBS = 24;
+
+/**
+ * Mean absolute difference between two RGBA frames, normalized to 0-1
+ * @param {{data: Buffer}} a - Raw pixels (LayerPixels.read)
+ * @param {{data: Buffer}} b - Raw pixels with the same dimensions
+ * @param {number} [noiseFloor=0] - Channel differences up to this many levels count as equal
+ * @returns {{mean: number, max: number, changed: number}} Mean error, largest channel error, share of changed pixels
+ */
+function diffFrames(a, b, noiseFloor = 0) {
+  let total = 0;
+  let max = 0;
+  let changed = 0;
+
+  for (let i = 0; i < a.data.length; i += 4) {
+    let pixelChanged = false;
+    for (let c = 0; c < 4; c++) {
+      const raw = Math.abs(a.data[i + c] - b.data[i + c]);
+      const delta = raw > noiseFloor ? raw : 0;
+      total += delta;
+      if (delta > max) max = delta;
+      if (delta > 0) pixelChanged = true;
+    }
+    if (pixelChanged) changed++;
+  }
+
+  return {
+    mean: total / (a.data.length * 255),
+    max: max / 255,
+    changed: changed / (a.data.length / 4),
+  };
+}
+
+/**
+ * Collect every plugin effect class that carries presets
+ * @param {Object} pluginModule - Imported src/index.js (after register())
+ * @param {string|null} effectName - Restrict to one effect (_name_), or null for all
+ * @returns {Array<Function>} Effect classes
+ */
+function getPluginEffects(pluginModule, effectName) {
+  return Object.values(pluginModule)
+    .filter(value => typeof value === 'function' && value._name_ && value._configClass_)
+    .filter(value => !effectName || value._name_ === effectName);
+}
+
+/**
+ * Seeded, non-uniform fixture image for effects that transform an existing layer
+ * Secondary and final effects have nothing to work on over a blank layer, so their seams
+ * would always measure ~0. Soft bright discs over a dark gradient, placed asymmetrically,
+ * give glows, splits, folds and grades something to change.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} seed - Verification seed
+ * @returns {{data: Buffer, width: number, height: number, channels: number}} Opaque RGBA pixels
+ */
+function createFixturePixels(width, height, seed) {
+  const random = new SeededRandom(seed).fork('loopFixture');
+  const shortest = Math.min(width, height);
+  const blobs = Array.from({ length: FIXTURE_BLOBS }, () => ({
+    x: random.range(0, width),
+    y: random.range(0, height),
+    radius: random.range(0.03, 0.12) * shortest,
+    color: [random.range(64, 255), random.range(64, 255), random.range(64, 255)],
+  }));
+
+  const pixels = LayerPixels.create(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const rgb = [(x / width) * 48, 12, (y / height) * 64];
+      for (const blob of blobs) {
+        const t = 1 - Math.hypot(x - blob.x, y - blob.y) / blob.radius;
+        if (t <= 0) continue;
+        const weight = t * t * (3 - 2 * t);
+        for (let c = 0; c < 3; c++) rgb[c] += blob.color[c] * weight;
+      }
+
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) pixels.data[i + c] = Math.round(Math.min(255, rgb[c]));
+      pixels.data[i + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Build an effect from a config with the verification seed pinned
+ * @param {Function} EffectClass - Plugin effect class
+ * @param {Object} effectConfig - Plain config values (preset or recorded config)
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} Effect instance
+ */
+function createEffect(EffectClass, effectConfig, options) {
+  const ConfigClass = EffectClass._configClass_;
+  return new EffectClass({
+    config: new ConfigClass({ ...effectConfig, seed: options.seed }),
+    settings: new Settings({}),
+    frameNumber: 0,
+    totalFrames: options.frames,
+  });
+}
+
+/**
+ * Render frames of an effect onto fresh layers
+ * Primary effects draw onto a black layer; secondary and final effects (no 'primary' tag)
+ * get the seeded fixture image to transform.
+ * @param {Object} effect - Effect instance
+ * @param {Array<number>} frameNumbers - Frames to render
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<Map<number, Object>>} Frame number → raw pixels (LayerPixels.read)
+ */
+async function renderFrames(effect, frameNumbers, options) {
+  const fixture = effect.constructor._tags_?.includes('primary')
+    ? null
+    : createFixturePixels(options.width, options.height, options.seed);
+
+  const layerConfig = {
+    finalImageSize: {
+      width: options.width,
+      height: options.height,
+      longestSide: Math.max(options.width, options.height),
+      shortestSide: Math.min(options.width, options.height),
+    },
+    workingDirectory: null,
+    layerStrategy: 'sharp',
+  };
+
+  const pixels = new Map();
+  for (const frame of [...frameNumbers].sort((a, b) => a - b)) {
+    const layer = await LayerFactory.getNewLayer(options.height, options.width, '#000000', layerConfig);
+    if (fixture) await LayerPixels.write(layer, fixture);
+    await effect.invoke(layer, frame, options.frames);
+    pixels.set(frame, await LayerPixels.read(layer, { width: options.width, height: options.height }));
+  }
+  return pixels;
+}
+
+/**
+ * Restore ColorPicker instances in a config parsed back from JSON
+ * @param {*} value - Parsed config value
+ * @returns {*} Value with every { selectionType, ... } object turned back into a ColorPicker
+ */
+function reviveColorPickers(value) {
+  if (Array.isArray(value)) return value.map(reviveColorPickers);
+  if (!value || typeof value !== 'object') return value;
+  if ('selectionType' in value) return Object.assign(new ColorPicker(value.selectionType), value);
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, reviveColorPickers(entry)]));
+}
+
+/**
+ * Presets of an effect selected by --preset ('default' = all of them)
+ * @param {Function} EffectClass - Plugin effect class
+ * @param {Object} options - Parsed command line options
+ * @returns {Array<Object>} Presets ({ name, currentEffectConfig })
+ */
+function getSelectedPresets(EffectClass, options) {
+  const presets = Array.isArray(EffectClass.presets) && EffectClass.presets.length > 0
+    ? EffectClass.presets
+    : [{ name: 'default', currentEffectConfig: {} }];
+
+  return options.preset === 'default'
+    ? presets
+    : presets.filter(preset => preset.name === options.preset);
+}
+
+/**
+ * Render a preset's first and last frames (plus neighbours) and measure the seam
+ * Frame N-1 must match frame 0 (see docs/LOOP_FUNCTION_RULES.md), so the seam error
+ * is diff(N-1, 0). The mean neighbour error diff(i, i+1) at both ends is the motion baseline
+ * the seam is judged against: a fixed error threshold hides sparse effects (a few particles,
+ * a thin ring) whose every frame step is itself small. Rounding noise is ignored in both.
+ * @param {Function} EffectClass - Plugin effect class
+ * @param {Object} preset - { name, currentEffectConfig }
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<{seam: Object, motion: number, ratio: number, frames: number[]}>}
+ *   ratio: seam error / motion (0 when both are 0, Infinity for a seam on a still preset)
+ */
+async function measurePresetSeam(EffectClass, preset, options) {
+  const totalFrames = options.frames;
+  const neighbours = Math.max(0, Math.min(options.neighbours, Math.floor((totalFrames - 2) / 2)));
+
+  const frameNumbers = new Set();
+  for (let i = 0; i <= neighbours; i++) {
+    frameNumbers.add(i);
+    frameNumbers.add(totalFrames - 1 - i);
+  }
+
+  const effect = createEffect(EffectClass, preset.currentEffectConfig, options);
+  const pixels = await renderFrames(effect, frameNumbers, options);
+
+  const first = pixels.get(0);
+  const last = pixels.get(totalFrames - 1);
+  const seam = diffFrames(last, first, SEAM_NOISE_FLOOR);
+
+  // Motion baseline: average change between adjacent rendered frames at both ends
+  const steps = [];
+  for (let i = 0; i < neighbours; i++) {
+    steps.push(diffFrames(pixels.get(i), pixels.get(i + 1), SEAM_NOISE_FLOOR).mean);
+    steps.push(diffFrames(pixels.get(totalFrames - 2 - i), pixels.get(totalFrames - 1 - i), SEAM_NOISE_FLOOR).mean);
+  }
+  const motion = steps.length > 0 ? steps.reduce((sum, value) => sum + value, 0) / steps.length : 0;
+  const ratio = seam.mean === 0 ? 0 : motion > 0 ? seam.mean / motion : Infinity;
+
+  return { seam, motion, ratio, frames: [...frameNumbers].sort((a, b) => a - b) };
+}
+
+/**
+ * --verify-loop: check every registered preset for loop breaks
+ * @param {Object} pluginModule - Imported src/index.js (after register())
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<boolean>} True when every preset's seam is within the threshold share of its motion
+ */
+async function verifyLoops(pluginModule, options) {
+  const effects = getPluginEffects(pluginModule, options.effect);
+
+  if (effects.length === 0) {
+    console.error(`❌ Error: No plugin effect${options.effect ? ` named '${options.effect}'` : 's'} found`);
+    return false;
+  }
+
+  if (options.frames < 3) {
+    console.error('❌ Error: --verify-loop needs at least 3 frames');
+    return false;
+  }
+
+  const results = [];
+
+  for (const EffectClass of effects) {
+    const selected = getSelectedPresets(EffectClass, options);
+
+    console.log(`\n🔍 ${EffectClass._name_} (${selected.length} preset${selected.length === 1 ? '' : 's'})`);
+
+    for (const preset of selected) {
+      const startTime = performance.now();
+      try {
+        const { seam, motion, ratio, frames } = await measurePresetSeam(EffectClass, preset, options);
+        const passed = ratio <= options.seamThreshold;
+        results.push({ effect: EffectClass._name_, preset: preset.name, passed });
+
+        console.log(`   ${passed ? '✅' : '❌'} ${preset.name.padEnd(28)} seam ${(seam.mean * 100).toFixed(3)}%`
+          + `  (max ${(seam.max * 100).toFixed(1)}%, ${(seam.changed * 100).toFixed(1)}% px)`
+          + `  motion ${(motion * 100).toFixed(3)}%`
+          + `  ratio ${Number.isFinite(ratio) ? ratio.toFixed(3) : '∞'}`
+          + `  ${((performance.now() - startTime) / 1000).toFixed(1)}s`);
+        if (options.verbose) {
+          console.log(`      Frames: ${frames.join(', ')}`);
+        }
+      } catch (e) {
+        results.push({ effect: EffectClass._name_, preset: preset.name, passed: false });
+        console.log(`   ❌ ${preset.name.padEnd(28)} render failed: ${e.message}`);
+        if (options.verbose) console.error(e.stack);
+      }
+    }
+  }
+
+  const failed = results.filter(result => !result.passed);
+
+  console.log('\n📊 LOOP SEAMS:');
+  console.log(`   ✅ Seamless:  ${results.length - failed.length}/${results.length}`);
+  if (failed.length > 0) {
+    console.log(`   ❌ Broken:    ${failed.map(result => `${result.effect}/${result.preset}`).join(', ')}`);
+  }
+  console.log(`   Threshold:   seam ≤ ${(options.seamThreshold * 100).toFixed(1)}% of the motion between adjacent frames\n`);
+
+  return failed.length === 0;
+}
+
+/**
+ * Render a preset, rebuild it from a JSON round-trip of its recorded config and diff the frames
+ * The constructor resolves every random pick into the config (seed included), so the
+ * rebuilt effect must render the same pixels - this is how a token is re-rendered from
+ * its metadata. Anything generate() writes back in a non-idempotent way shows up here.
+ * @param {Function} EffectClass - Plugin effect class
+ * @param {Object} preset - { name, currentEffectConfig }
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<{diff: Object, configMatches: boolean, frames: number[]}>}
+ */
+async function measurePresetReplay(EffectClass, preset, options) {
+  const frameNumbers = [...new Set([0, Math.floor((options.frames - 1) / 2), options.frames - 1])];
+
+  const original = createEffect(EffectClass, preset.currentEffectConfig, options);
+  const recorded = JSON.stringify(original.config);
+  const originalPixels = await renderFrames(original, frameNumbers, options);
+
+  const replayed = createEffect(EffectClass, reviveColorPickers(JSON.parse(recorded)), options);
+  const replayedPixels = await renderFrames(replayed, frameNumbers, options);
+
+  // Worst frame decides
+  let diff = { mean: 0, max: 0, changed: 0 };
+  for (const frame of frameNumbers) {
+    const frameDiff = diffFrames(originalPixels.get(frame), replayedPixels.get(frame));
+    if (frameDiff.max > diff.max || frameDiff.mean > diff.mean) diff = frameDiff;
+  }
+
+  return { diff, configMatches: JSON.stringify(replayed.config) === recorded, frames: frameNumbers };
+}
+
+/**
+ * --verify-replay: check every registered preset re-renders identically from its recorded config
+ * @param {Object} pluginModule - Imported src/index.js (after register())
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<boolean>} True when every preset replays pixel for pixel
+ */
+async function verifyReplays(pluginModule, options) {
+  const effects = getPluginEffects(pluginModule, options.effect);
+
+  if (effects.length === 0) {
+    console.error(`❌ Error: No plugin effect${options.effect ? ` named '${options.effect}'` : 's'} found`);
+    return false;
+  }
+
+  const results = [];
+
+  for (const EffectClass of effects) {
+    const selected = getSelectedPresets(EffectClass, options);
+
+    console.log(`\n🔍 ${EffectClass._name_} (${selected.length} preset${selected.length === 1 ? '' : 's'})`);
+
+    for (const preset of selected) {
+      const startTime = performance.now();
+      try {
+        const { diff, configMatches, frames } = await measurePresetReplay(EffectClass, preset, options);
+        const passed = diff.max === 0 && configMatches;
+        results.push({ effect: EffectClass._name_, preset: preset.name, passed });
+
+        console.log(`   ${passed ? '✅' : '❌'} ${preset.name.padEnd(28)} replay diff ${(diff.mean * 100).toFixed(3)}%`
+          + `  (max ${(diff.max * 100).toFixed(1)}%, ${(diff.changed * 100).toFixed(1)}% px)`
+          + `${configMatches ? '' : '  recorded config changed on rebuild'}`
+          + `  ${((performance.now() - startTime) / 1000).toFixed(1)}s`);
+        if (options.verbose) {
+          console.log(`      Frames: ${frames.join(', ')}`);
+        }
+      } catch (e) {
+        results.push({ effect: EffectClass._name_, preset: preset.name, passed: false });
+        console.log(`   ❌ ${preset.name.padEnd(28)} render failed: ${e.message}`);
+        if (options.verbose) console.error(e.stack);
+      }
+    }
+  }
+
+  const failed = results.filter(result => !result.passed);
+
+  console.log('\n📊 REPLAYS:');
+  console.log(`   ✅ Identical: ${results.length - failed.length}/${results.length}`);
+  if (failed.length > 0) {
+    console.log(`   ❌ Diverged:  ${failed.map(result => `${result.effect}/${result.preset}`).join(', ')}`);
+  }
+  console.log('');
+
+  return failed.length === 0;
+}
+
 // ============================================================================
 // MAIN TEST RUNNER
 // ============================================================================
@@ -296,7 +694,7 @@ async function runTest() {
     process.exit(0);
   }
 
-  if (!options.effect) {
+  if (!options.effect && !options.verifyLoop && !options.verifyReplay) {
     console.error('❌ Error: --effect is required');
     console.log('\nRun with --help for usage instructions\n');
     process.exit(1);
@@ -317,8 +715,8 @@ async function runTest() {
 ╚═══════════════════════════════════════════════════════════════╝
 
 🎨 CONFIGURATION:
-   Effect:      ${options.effect}
-   Preset:      ${options.preset}
+   Effect:      ${options.effect || 'all'}
+   Preset:      ${options.preset}${options.verifyLoop ? '\n   Mode:        Loop verification (seed ' + options.seed + ')' : ''}${options.verifyReplay ? '\n   Mode:        Replay verification (seed ' + options.seed + ')' : ''}
    Frames:      ${options.frames}
    Resolution:  ${options.width}x${options.height}
    Save Frames: ${options.saveFrames ? 'Yes' : 'No'}
@@ -355,8 +753,9 @@ async function runTest() {
     // Step 3: Register plugin effects
     if (options.debug) console.log('🔍 Registering plugin effects...');
     console.log('🔄 Registering plugin effects...');
+    let pluginModule;
     try {
-      const pluginModule = await import(path.join(projectRoot, 'src', 'index.js'));
+      pluginModule = await import(path.join(projectRoot, 'src', 'index.js'));
       await pluginModule.register(EffectRegistry, PositionRegistry);
       console.log('✅ Plugin effects registered');
     } catch (e) {
@@ -365,6 +764,17 @@ async function runTest() {
       process.exit(1);
     }
 
+    // Loop and replay verification render effects directly, no Project needed
+    if (options.verifyLoop) {
+      const seamless = await verifyLoops(pluginModule, options);
+      process.exit(seamless ? 0 : 1);
+    }
+
+    if (options.verifyReplay) {
+      const identical = await verifyReplays(pluginModule, options);
+      process.exit(identical ? 0 : 1);
+    }
+
     // Step 4: Load effect class
     if (options.debug) console.log('🔍 Loading effect class...');
     const effectName = normalizeEffectName(options.effect);
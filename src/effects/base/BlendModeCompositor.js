@@ -0,0 +1,177 @@
+/**
+ * BlendModeCompositor - Blend-mode aware layer compositing
+ *
+ * my-nft-gen's compositeLayerOver() only does plain source-over. This compositor
+ * implements the W3C Compositing & Blending modes advertised by the effect configs
+ * (layerBlendMode) on raw pixels:
+ *
+ *   Cs' = (1 - ab) * Cs + ab * B(Cb, Cs)
+ *   co  = as * Cs' + ab * Cb * (1 - as)
+ *   ao  = as + ab * (1 - as)
+ *
+ * 'normal' short-circuits to compositeLayerOver() so the default path costs nothing extra.
+ *
+ * Usage:
+ *   await BlendModeCompositor.composite(layer, renderedLayer, 'screen');
+ */
+
+import { LayerPixels } from './LayerPixels.js';
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+// ====== SEPARABLE BLEND FUNCTIONS (per channel, 0-1) ======
+const screen = (b, s) => b + s - b * s;
+const hardLight = (b, s) => (s <= 0.5 ? b * 2 * s : screen(b, 2 * s - 1));
+
+const SEPARABLE_BLENDS = {
+  'normal': (b, s) => s,
+  'multiply': (b, s) => b * s,
+  'screen': screen,
+  'overlay': (b, s) => hardLight(s, b),
+  'darken': (b, s) => Math.min(b, s),
+  'lighten': (b, s) => Math.max(b, s),
+  'color-dodge': (b, s) => {
+    if (b === 0) return 0;
+    if (s >= 1) return 1;
+    return Math.min(1, b / (1 - s));
+  },
+  'color-burn': (b, s) => {
+    if (b >= 1) return 1;
+    if (s <= 0) return 0;
+    return 1 - Math.min(1, (1 - b) / s);
+  },
+  'hard-light': hardLight,
+  'soft-light': (b, s) => {
+    if (s <= 0.5) return b - (1 - 2 * s) * b * (1 - b);
+    const d = b <= 0.25 ? ((16 * b - 12) * b + 4) * b : Math.sqrt(b);
+    return b + (2 * s - 1) * (d - b);
+  },
+  'difference': (b, s) => Math.abs(b - s),
+  'exclusion': (b, s) => b + s - 2 * b * s,
+};
+
+// ====== NON-SEPARABLE HELPERS (operate on [r, g, b]) ======
+const lum = (c) => 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+
+const clipColor = (c) => {
+  const l = lum(c);
+  const n = Math.min(c[0], c[1], c[2]);
+  const x = Math.max(c[0], c[1], c[2]);
+  let out = c;
+  if (n < 0) out = out.map(v => l + ((v - l) * l) / (l - n));
+  if (x > 1) out = out.map(v => l + ((v - l) * (1 - l)) / (x - l));
+  return out;
+};
+
+const setLum = (c, l) => {
+  const d = l - lum(c);
+  return clipColor([c[0] + d, c[1] + d, c[2] + d]);
+};
+
+const sat = (c) => Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+
+const setSat = (c, s) => {
+  const max = Math.max(c[0], c[1], c[2]);
+  const min = Math.min(c[0], c[1], c[2]);
+  if (max === min) return [0, 0, 0];
+  return c.map(v => ((v - min) * s) / (max - min));
+};
+
+const NON_SEPARABLE_BLENDS = {
+  'hue': (cb, cs) => setLum(setSat(cs, sat(cb)), lum(cb)),
+  'saturation': (cb, cs) => setLum(setSat(cb, sat(cs)), lum(cb)),
+  'color': (cb, cs) => setLum(cs, lum(cb)),
+  'luminosity': (cb, cs) => setLum(cb, lum(cs)),
+};
+
+export class BlendModeCompositor {
+  /**
+   * All supported blend mode names
+   * @type {string[]}
+   * @static
+   */
+  static BLEND_MODES = [...Object.keys(SEPARABLE_BLENDS), ...Object.keys(NON_SEPARABLE_BLENDS)];
+
+  /**
+   * Check whether a blend mode is supported
+   * @param {string} blendMode - Blend mode name
+   * @returns {boolean}
+   * @static
+   */
+  static isSupported(blendMode) {
+    return BlendModeCompositor.BLEND_MODES.includes(blendMode);
+  }
+
+  /**
+   * Composite source over target in place using the given blend mode
+   * Source is resized to the target's dimensions if they differ.
+   * Unknown modes fall back to 'normal' with a warning rather than failing the render.
+   * @param {Layer} target - Backdrop layer (modified in place)
+   * @param {Layer} source - Layer to blend on top
+   * @param {string} [blendMode='normal'] - One of BLEND_MODES
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async composite(target, source, blendMode = 'normal') {
+    if (!blendMode || blendMode === 'normal') {
+      await target.compositeLayerOver(source);
+      return;
+    }
+
+    if (!BlendModeCompositor.isSupported(blendMode)) {
+      console.warn(`⚠️ Unsupported blend mode "${blendMode}", falling back to normal`);
+      await target.compositeLayerOver(source);
+      return;
+    }
+
+    const backdrop = await LayerPixels.read(target);
+    const overlay = await LayerPixels.read(source, { width: backdrop.width, height: backdrop.height });
+
+    BlendModeCompositor.blendPixels(backdrop.data, overlay.data, blendMode);
+
+    await LayerPixels.write(target, backdrop);
+  }
+
+  /**
+   * Blend raw RGBA source pixels onto raw RGBA backdrop pixels (backdrop is modified)
+   * Both buffers must have identical dimensions.
+   * @param {Buffer|Uint8Array} backdropData - Backdrop RGBA bytes (written in place)
+   * @param {Buffer|Uint8Array} sourceData - Source RGBA bytes
+   * @param {string} blendMode - One of BLEND_MODES
+   * @static
+   */
+  static blendPixels(backdropData, sourceData, blendMode) {
+    const separable = SEPARABLE_BLENDS[blendMode];
+    const nonSeparable = NON_SEPARABLE_BLENDS[blendMode];
+    const blended = [0, 0, 0];
+
+    for (let i = 0; i < backdropData.length; i += 4) {
+      const as = sourceData[i + 3] / 255;
+      if (as === 0) continue;
+
+      const ab = backdropData[i + 3] / 255;
+      const cb = [backdropData[i] / 255, backdropData[i + 1] / 255, backdropData[i + 2] / 255];
+      const cs = [sourceData[i] / 255, sourceData[i + 1] / 255, sourceData[i + 2] / 255];
+
+      if (nonSeparable) {
+        const result = nonSeparable(cb, cs);
+        blended[0] = result[0];
+        blended[1] = result[1];
+        blended[2] = result[2];
+      } else {
+        blended[0] = separable(cb[0], cs[0]);
+        blended[1] = separable(cb[1], cs[1]);
+        blended[2] = separable(cb[2], cs[2]);
+      }
+
+      const ao = as + ab * (1 - as);
+
+      for (let c = 0; c < 3; c++) {
+        const mixed = (1 - ab) * cs[c] + ab * clamp01(blended[c]);
+        const co = as * mixed + ab * cb[c] * (1 - as);
+        backdropData[i + c] = Math.round(clamp01(co / ao) * 255);
+      }
+      backdropData[i + 3] = Math.round(ao * 255);
+    }
+  }
+}
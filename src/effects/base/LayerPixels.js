@@ -0,0 +1,87 @@
+/**
+ * LayerPixels - Raw RGBA access to my-nft-gen layers
+ *
+ * Layers only expose PNG buffers (toBuffer / fromBuffer). Pixel-level stages
+ * (blend modes, channel splits, LUTs, bloom) decode through sharp into a raw
+ * 8-bit RGBA buffer, work on that, and encode back into the same layer.
+ *
+ * Usage:
+ *   const pixels = await LayerPixels.read(layer);
+ *   // ... mutate pixels.data (Uint8 RGBA, row-major) ...
+ *   await LayerPixels.write(layer, pixels);
+ */
+
+import sharp from 'sharp';
+
+export class LayerPixels {
+  /**
+   * Decode a layer into raw RGBA pixels
+   * @param {Layer} layer - Source layer
+   * @param {Object} [options]
+   * @param {number} [options.width] - Resize to this width (requires height)
+   * @param {number} [options.height] - Resize to this height (requires width)
+   * @returns {Promise<{data: Buffer, width: number, height: number, channels: number}>}
+   * @static
+   */
+  static async read(layer, { width, height } = {}) {
+    const buffer = await layer.toBuffer();
+    let image = sharp(buffer).ensureAlpha();
+
+    if (width && height) {
+      image = image.resize(width, height, { fit: 'fill' });
+    }
+
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, channels: info.channels };
+  }
+
+  /**
+   * Read a layer's dimensions without decoding its pixels
+   * @param {Layer} layer - Source layer
+   * @returns {Promise<{width: number, height: number}>}
+   * @static
+   */
+  static async size(layer) {
+    const { width, height } = await sharp(await layer.toBuffer()).metadata();
+    return { width, height };
+  }
+
+  /**
+   * Encode raw RGBA pixels back into a layer (replaces its contents)
+   * @param {Layer} layer - Target layer
+   * @param {Object} pixels - Pixel buffer as returned by read()
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async write(layer, { data, width, height, channels = 4 }) {
+    const buffer = await sharp(data, { raw: { width, height, channels } }).png().toBuffer();
+    await layer.fromBuffer(buffer);
+  }
+
+  /**
+   * Gaussian-blur a raw pixel buffer (returns a new buffer, the input is untouched)
+   * 4-channel data is premultiplied by sharp during the blur, so transparent pixels leave no dark fringes.
+   * @param {Object} pixels - Pixel buffer as returned by read() or create()
+   * @param {number} sigma - Blur sigma in pixels (values below 0.3 return a copy)
+   * @returns {Promise<{data: Buffer, width: number, height: number, channels: number}>}
+   * @static
+   */
+  static async blur({ data, width, height, channels = 4 }, sigma) {
+    if (!(sigma >= 0.3)) {
+      return { data: Buffer.from(data), width, height, channels };
+    }
+    const blurred = await sharp(data, { raw: { width, height, channels } }).blur(sigma).raw().toBuffer();
+    return { data: blurred, width, height, channels };
+  }
+
+  /**
+   * Allocate an empty (fully transparent) pixel buffer
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {{data: Buffer, width: number, height: number, channels: number}}
+   * @static
+   */
+  static create(width, height) {
+    return { data: Buffer.alloc(width * height * 4), width, height, channels: 4 };
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * ParameterTrackEngine - Declarative keyframed parameter tracks
+ *
+ * Lets a config animate any numeric or color field over the loop without code:
+ *
+ *   tracks: {
+ *     scale: [
+ *       { progress: 0.0, value: 0.9 },
+ *       { phase: 'radiance', at: 0.5, value: 1.15, easing: 'easeInOutCubic' },
+ *     ],
+ *     glowColor: [
+ *       { phase: 'awakening', value: '#3050FF' },
+ *       { phase: 'radiance', value: '#FFD700', easing: 'smoothstep' },
+ *     ],
+ *   }
+ *
+ * Keyframe position: absolute `progress` (0-1), or `phase` + `at` (0-1 within that phase, default 0).
+ * Keyframe easing: applies to the segment starting at that keyframe (CSS keyframes convention).
+ * Values: numbers, or hex colors ('#RRGGBB') interpolated in RGB.
+ *
+ * Tracks always wrap from the last keyframe back to the first across the loop seam,
+ * so frame N-1 equals frame 0 by construction. Progress 1.0 is the seam itself - the same
+ * instant as 0.0 - so a keyframe at 1.0 (e.g. the end of the last phase) is moved to 0.0;
+ * it must then agree with any keyframe already at 0.0.
+ */
+
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i;
+
+export class ParameterTrackEngine {
+  /**
+   * Validate tracks and resolve every keyframe to an absolute, sorted position
+   * @param {Object<string, Array<Object>>} tracks - Track map from config
+   * @param {Object<string, number[]>} phaseBoundaries - Map of phase names to [start, end]
+   * @param {Function} [resolveValue] - Optional hook to turn non-primitive values (e.g. ColorPicker) into hex strings
+   * @returns {Object<string, Array<{progress: number, value: number|string, easing: string}>>} Normalized tracks
+   * @throws {Error} If a track or keyframe is malformed
+   * @static
+   */
+  static normalizeTracks(tracks, phaseBoundaries, resolveValue = (value) => value) {
+    const normalized = {};
+
+    for (const [field, keyframes] of Object.entries(tracks || {})) {
+      if (!Array.isArray(keyframes) || keyframes.length === 0) {
+        throw new Error(`Track "${field}" must be a non-empty array of keyframes`);
+      }
+
+      const resolved = keyframes.map((keyframe, index) => {
+        const value = resolveValue(keyframe?.value);
+        if (typeof value !== 'number' && !ParameterTrackEngine.isColor(value)) {
+          throw new Error(`Track "${field}" keyframe ${index} needs a numeric or hex color value`);
+        }
+
+        let progress = keyframe.progress;
+        if (keyframe.phase !== undefined) {
+          const boundaries = phaseBoundaries[keyframe.phase];
+          if (!boundaries) {
+            throw new Error(`Track "${field}" keyframe ${index} references unknown phase "${keyframe.phase}"`);
+          }
+          const [start, end] = boundaries;
+          progress = start + (end - start) * (keyframe.at ?? 0);
+        }
+
+        if (typeof progress !== 'number' || !Number.isFinite(progress)) {
+          throw new Error(`Track "${field}" keyframe ${index} needs a progress (0-1) or a phase`);
+        }
+
+        return {
+          ...keyframe,
+          progress: Math.max(0, Math.min(1, progress)),
+          value,
+          easing: keyframe.easing || 'linear',
+        };
+      });
+
+      const kinds = new Set(resolved.map(keyframe => typeof keyframe.value));
+      if (kinds.size > 1) {
+        throw new Error(`Track "${field}" mixes numeric and color keyframes`);
+      }
+
+      // 1.0 and 0.0 are the same frame of the loop: keep one seam keyframe, at 0.0
+      // (the one declared at 0.0 if there is one, since its easing starts the loop)
+      const seam = resolved.filter(keyframe => keyframe.progress === 0 || keyframe.progress === 1);
+      if (seam.some(keyframe => !ParameterTrackEngine.sameValue(keyframe.value, seam[0].value))) {
+        throw new Error(`Track "${field}" has different values at progress 0 and 1.0, but both are the loop seam (frame 0) - give them the same value or drop one`);
+      }
+      const anchor = seam.find(keyframe => keyframe.progress === 0) ?? seam[0];
+      const kept = resolved.filter(keyframe => !seam.includes(keyframe) || keyframe === anchor);
+      if (anchor) anchor.progress = 0;
+
+      normalized[field] = kept.sort((a, b) => a.progress - b.progress);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Evaluate every track at the given progress
+   * @param {Object} tracks - Normalized tracks (see normalizeTracks)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @param {Function} applyEasing - (t, easingName) => eased t
+   * @returns {Object<string, number|string>} Map of field names to interpolated values
+   * @static
+   */
+  static evaluate(tracks, progress, applyEasing) {
+    const values = {};
+    for (const [field, keyframes] of Object.entries(tracks || {})) {
+      values[field] = ParameterTrackEngine.evaluateTrack(keyframes, progress, applyEasing);
+    }
+    return values;
+  }
+
+  /**
+   * Evaluate a single sorted track, wrapping across the loop seam
+   * @param {Array<{progress: number, value: number|string, easing: string}>} keyframes - Sorted keyframes
+   * @param {number} progress - Overall animation progress (0-1)
+   * @param {Function} applyEasing - (t, easingName) => eased t
+   * @returns {number|string} Interpolated value
+   * @static
+   */
+  static evaluateTrack(keyframes, progress, applyEasing) {
+    if (keyframes.length === 1) return keyframes[0].value;
+
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+
+    let from;
+    let to;
+    let t;
+
+    if (progress < first.progress || progress >= last.progress) {
+      // Wrap segment: last keyframe → first keyframe across the 1.0 → 0.0 seam
+      const span = (1 - last.progress) + first.progress;
+      const offset = progress >= last.progress ? progress - last.progress : (1 - last.progress) + progress;
+      from = last;
+      to = first;
+      t = span > 0 ? offset / span : 0;
+    } else {
+      let index = 0;
+      while (index < keyframes.length - 2 && progress >= keyframes[index + 1].progress) {
+        index++;
+      }
+      from = keyframes[index];
+      to = keyframes[index + 1];
+      const span = to.progress - from.progress;
+      t = span > 0 ? (progress - from.progress) / span : 0;
+    }
+
+    const eased = applyEasing(Math.max(0, Math.min(1, t)), from.easing);
+    return ParameterTrackEngine.interpolate(from.value, to.value, eased);
+  }
+
+  /**
+   * Interpolate two numbers or two hex colors
+   * @param {number|string} from - Start value
+   * @param {number|string} to - End value
+   * @param {number} t - Eased progress (0-1)
+   * @returns {number|string}
+   * @static
+   */
+  static interpolate(from, to, t) {
+    if (typeof from === 'number') {
+      return from + (to - from) * t;
+    }
+
+    const a = ParameterTrackEngine.hexToRgb(from);
+    const b = ParameterTrackEngine.hexToRgb(to);
+    const channel = (x, y) => Math.round(x + (y - x) * t).toString(16).padStart(2, '0');
+    return `#${channel(a.r, b.r)}${channel(a.g, b.g)}${channel(a.b, b.b)}`;
+  }
+
+  /**
+   * @param {number|string} a - Number or hex color
+   * @param {number|string} b - Number or hex color
+   * @returns {boolean} True if both are the same number or the same color
+   * @static
+   */
+  static sameValue(a, b) {
+    if (typeof a === 'number') return a === b;
+    return ParameterTrackEngine.isColor(b) && HEX_COLOR.exec(a)[1].toLowerCase() === HEX_COLOR.exec(b)[1].toLowerCase();
+  }
+
+  /**
+   * @param {*} value
+   * @returns {boolean} True if value is a '#RRGGBB' string
+   * @static
+   */
+  static isColor(value) {
+    return typeof value === 'string' && HEX_COLOR.test(value);
+  }
+
+  /**
+   * Resolve a ColorPicker or string to a '#RRGGBB' color, warning when it isn't one
+   * @param {ColorPicker|string} colorValue - Color value (string or ColorPicker)
+   * @param {Settings} settings - Settings passed to ColorPicker.getColor()
+   * @param {string} fallback - Color used when colorValue doesn't resolve to '#RRGGBB'
+   * @param {string} [label='color'] - Prefix for the warning, e.g. 'Mystic Bloom: tint'
+   * @returns {string} Hex color string
+   * @static
+   */
+  static resolveColor(colorValue, settings, fallback, label = 'color') {
+    let color = colorValue;
+    if (typeof colorValue?.getColor === 'function') {
+      try {
+        color = colorValue.getColor(settings);
+      } catch (e) {
+        color = null;
+      }
+    }
+    if (ParameterTrackEngine.isColor(color)) return color;
+
+    if (color) {
+      console.warn(`⚠️ ${label} "${color}" is not a #RRGGBB color, using ${fallback}`);
+    }
+    return fallback;
+  }
+
+  /**
+   * @param {string} hex - '#RRGGBB'
+   * @returns {{r: number, g: number, b: number}}
+   * @static
+   */
+  static hexToRgb(hex) {
+    const value = parseInt(HEX_COLOR.exec(hex)[1], 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+  }
+}
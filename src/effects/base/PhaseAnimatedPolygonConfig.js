@@ -2,11 +2,12 @@
  * PhaseAnimatedPolygonConfig - Base configuration for phase-animated effects
  * 
  * Provides universal configuration for all phase-animated polygon effects:
- * - 4-phase animation cycle (Awakening → Ascension → Radiance → Descent)
+ * - 4-phase animation cycle (Awakening → Ascension → Radiance → Descent),
+ *   or any number of named phases via `phases`
  * - Smooth phase transitions
  * - Energy pulse systems
  * - Mystic symbol systems
- * - Shared rendering parameters
+ * - Shared rendering parameters, including the optional 3D projection
  * 
  * Subclasses extend this to add geometry-specific parameters
  */
@@ -18,12 +19,13 @@ export class PhaseAnimatedPolygonConfig extends EffectConfig {
    * Pick a random element from an array, or return the value if it's not an array
    * Used for randomly selecting enum options (easing functions, blend modes, etc.)
    * @param {Array|string|*} value - Array of options or a single value
+   * @param {Function} [random=Math.random] - Random source returning [0, 1); pass the effect's seeded generator
    * @return {string|*} - Random element from array or the value itself
    * @static
    */
-  static pickRandom(value) {
+  static pickRandom(value, random = Math.random) {
     if (Array.isArray(value)) {
-      return value[Math.floor(Math.random() * value.length)];
+      return value[Math.floor(random() * value.length)];
     }
     return value;
   }
@@ -36,6 +38,15 @@ export class PhaseAnimatedPolygonConfig extends EffectConfig {
     phaseDescentstart = 0.85,          // 85%: Peak → Descent
     transitionZoneWidth = 0.05,        // Width of smooth transition zones (5% of animation)
 
+    // Optional custom timeline replacing the four phases above, e.g.
+    // [{ name: 'muladhara', start: 0.0, easing: 'easeInCubic', nodeAlpha: [0.1, 0.4], pathIntensity: 0.2 }, ...]
+    // Per-phase parameters: a number (constant), [start, end] or { start, end }
+    phases = null,
+
+    // Optional keyframed tracks for any numeric/color field (see ParameterTrackEngine), e.g.
+    // { scale: [{ progress: 0, value: 0.9 }, { phase: 'radiance', at: 0.5, value: 1.2, easing: 'easeInOutCubic' }] }
+    tracks = null,
+
     // ====== AWAKENING PHASE (0-20%): Emergence ======
     awakeningNodeAlpha = 0.3,
     awakeningNodeAlpha_start = 0.1,
@@ -85,7 +96,16 @@ export class PhaseAnimatedPolygonConfig extends EffectConfig {
     pathThickness = 2,                 // Path line thickness
     pathSizeScale = 1.0,               // Path size multiplier
     layerOpacity = 1.0,                // Overall layer opacity (0-1)
-    layerBlendMode = 'normal',         // Canvas blend mode
+    layerBlendMode = 'normal',         // Blend mode (see BlendModeCompositor.BLEND_MODES)
+
+    // ====== 3D PROJECTION (OPTIONAL) ======
+    projection = 'perspective',        // 'perspective' | 'orthographic'
+    cameraDistance = 3.0,              // Camera distance in model radii (perspective only, > 1)
+    rotation3D = [],                   // Loop rotations: [{ axis: 'x' | 'y' | 'z' | [x, y, z], turns: 1 }] (integer turns)
+    depthAlphaRange = { near: 1.0, far: 0.3 },  // Alpha at the nearest and farthest depth
+
+    // ====== RANDOMNESS ======
+    seed = null,                       // PRNG seed for generate() (null = derive from settings or pick one)
 
     // ====== ENERGY PULSE SYSTEM (OPTIONAL) ======
     enableEnergyPulses = true,
@@ -118,6 +138,8 @@ export class PhaseAnimatedPolygonConfig extends EffectConfig {
     this.phaseRadiance_start = phaseRadiance_start;
     this.phaseDescentstart = phaseDescentstart;
     this.transitionZoneWidth = transitionZoneWidth;
+    this.phases = phases;
+    this.tracks = tracks;
 
     // ====== AWAKENING PHASE ======
     this.awakeningNodeAlpha = awakeningNodeAlpha;
@@ -170,6 +192,15 @@ export class PhaseAnimatedPolygonConfig extends EffectConfig {
     this.layerOpacity = layerOpacity;
     this.layerBlendMode = layerBlendMode;
 
+    // ====== 3D PROJECTION ======
+    this.projection = projection;
+    this.cameraDistance = cameraDistance;
+    this.rotation3D = rotation3D;
+    this.depthAlphaRange = depthAlphaRange;
+
+    // ====== RANDOMNESS ======
+    this.seed = seed;
+
     // ====== ENERGY PULSES ======
     this.enableEnergyPulses = enableEnergyPulses;
     this.pulseWaveSpeed = pulseWaveSpeed;
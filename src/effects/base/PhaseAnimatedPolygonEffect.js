@@ -2,11 +2,14 @@
  * PhaseAnimatedPolygonEffect - Base class for phase-animated effects
  * 
  * Provides a unified animation framework for geometry-based effects with:
- * - 4-phase animation cycle (Awakening → Ascension → Radiance → Descent)
+ * - N-phase animation timeline (defaults to Awakening → Ascension → Radiance → Descent,
+ *   or any list of named phases declared in config.phases)
  * - Smooth cross-phase transitions
+ * - Keyframed parameter tracks for any numeric or color field (config.tracks)
  * - Optional energy pulse systems
  * - Optional mystic symbol systems
  * - Coordinate transformation and rendering helpers
+ * - Optional 3D layer: loop-safe rotation and perspective/orthographic projection
  * 
  * Subclasses must implement:
  * - getNodePositions() - Define geometry nodes
@@ -20,6 +23,10 @@
 import { LayerEffect } from 'my-nft-gen/src/core/layer/LayerEffect.js';
 import { Settings } from 'my-nft-gen/src/core/Settings.js';
 import { Canvas2dFactory } from 'my-nft-gen/src/core/factory/canvas/Canvas2dFactory.js';
+import { SeededRandom } from './SeededRandom.js';
+import { BlendModeCompositor } from './BlendModeCompositor.js';
+import { ParameterTrackEngine } from './ParameterTrackEngine.js';
+import { Projection3D } from './Projection3D.js';
 
 export class PhaseAnimatedPolygonEffect extends LayerEffect {
   static _name_ = 'phase-animated-polygon';
@@ -55,13 +62,42 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
     this.energyPulseEngine = null;
     this.mysticSymbolsEngine = null;
 
+    // Seeded PRNG shared by generate() and the engines (see resolveSeed)
+    this.random = new SeededRandom(this.resolveSeed(settings));
+    if (this.config) {
+      this.config.seed = this.random.seed;
+    }
+
+    // Validate and lock in a custom phase timeline before anything reads it
+    this.preparePhaseTimeline();
+
+    // Resolve keyframed parameter tracks against the (final) phase timeline
+    this.prepareParameterTracks();
+
+    // Synthesized config of the frame being rendered (set in invoke, read by render helpers)
+    this.frameConfig = null;
+
     // Pre-generate any geometry data if needed (subclasses can override)
     this.generate();
   }
 
+  /**
+   * Resolve the seed that drives every random decision in generate()
+   * Priority: config.seed → settings.seed → freshly generated seed (SeededRandom.resolve).
+   * The resolved seed is written back to config.seed by the constructor so the
+   * token can be re-rendered bit-for-bit from its metadata.
+   * @protected
+   * @param {Settings} settings - Framework settings
+   * @returns {number} Unsigned 32-bit seed
+   */
+  resolveSeed(settings) {
+    return SeededRandom.resolve(this.config?.seed, settings);
+  }
+
   /**
    * Pre-generation hook (called once in constructor)
    * Subclasses can override to pre-compute geometry
+   * All randomness must come from this.random (never Math.random)
    * Protected so subclasses can override
    * @protected
    */
@@ -84,27 +120,153 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
    * @returns {number} Progress from 0.0 to 1.0 (clamped)
    */
   getProgress() {
-    if (this.totalFrames <= 1) return 0;
-    const progress = this.frameNumber / (this.totalFrames - 1);
+    return PhaseAnimatedPolygonEffect.getLoopProgress(this.frameNumber, this.totalFrames);
+  }
+
+  /**
+   * Loop progress for a frame - the getProgress() formula for callers without an instance
+   * Secondary effects use it so they line up with the primary effects frame for frame.
+   * @static
+   * @param {number} frameNumber - Current frame number (0-based)
+   * @param {number} totalFrames - Total number of frames
+   * @returns {number} Progress from 0.0 (frame 0) to 1.0 (frame N-1), clamped
+   */
+  static getLoopProgress(frameNumber, totalFrames) {
+    if (!(totalFrames > 1)) return 0;
+    const progress = (frameNumber ?? 0) / (totalFrames - 1);
     // Clamp to [0, 1] to handle any floating-point precision issues
     return Math.max(0, Math.min(1, progress));
   }
 
+  /**
+   * Validate and normalize a list of phase definitions
+   * Sorts by start, pins the first phase to 0 and derives each end from the next start
+   * (the last phase ends at 1.0) so the timeline always covers the full loop.
+   * @param {Array<{name: string, start: number}>} phases - Phase definitions
+   * @returns {Array<{name: string, start: number, end: number}>} Normalized copies
+   * @throws {Error} If a definition is malformed or names are duplicated
+   * @static
+   */
+  static normalizePhases(phases) {
+    if (!Array.isArray(phases) || phases.length === 0) {
+      throw new Error('Phase timeline must be a non-empty array of { name, start } definitions');
+    }
+
+    const seen = new Set();
+    phases.forEach((phase, index) => {
+      if (!phase || typeof phase.name !== 'string' || phase.name.length === 0) {
+        throw new Error(`Phase definition at index ${index} is missing a name`);
+      }
+      if (typeof phase.start !== 'number' || !Number.isFinite(phase.start)) {
+        throw new Error(`Phase "${phase.name}" must have a numeric start (0-1)`);
+      }
+      if (seen.has(phase.name)) {
+        throw new Error(`Duplicate phase name "${phase.name}"`);
+      }
+      seen.add(phase.name);
+    });
+
+    const sorted = phases
+      .map(phase => ({ ...phase, start: Math.max(0, Math.min(1, phase.start)) }))
+      .sort((a, b) => a.start - b.start);
+
+    sorted[0].start = 0;
+
+    return sorted.map((phase, index) => ({
+      ...phase,
+      end: index < sorted.length - 1 ? sorted[index + 1].start : 1.0,
+    }));
+  }
+
+  /**
+   * Validate config.phases (if declared) and lock in easing picks
+   * Called once in the constructor, before generate(). Easing arrays are resolved
+   * with the seeded PRNG so the timeline serializes as plain, reproducible data.
+   * Legacy configs (no config.phases) are left untouched.
+   * @protected
+   */
+  preparePhaseTimeline() {
+    if (!Array.isArray(this.config?.phases) || this.config.phases.length === 0) return;
+
+    const easingRandom = this.random.fork('phaseEasings');
+    this.config.phases = PhaseAnimatedPolygonEffect.normalizePhases(this.config.phases)
+      .map(phase => ({ ...phase, easing: easingRandom.pick(phase.easing ?? 'linear') }));
+  }
+
+  /**
+   * Validate config.tracks (if declared) and resolve keyframes to absolute progress
+   * Called once in the constructor after preparePhaseTimeline(). ColorPicker values
+   * are resolved to hex strings so the tracks serialize as plain data.
+   * @protected
+   */
+  prepareParameterTracks() {
+    if (!this.config?.tracks || Object.keys(this.config.tracks).length === 0) return;
+
+    const settings = this.settings || new Settings({});
+    this.config.tracks = ParameterTrackEngine.normalizeTracks(
+      this.config.tracks,
+      this.getPhaseBoundaries(),
+      (value) => (typeof value?.getColor === 'function' ? value.getColor(settings) : value)
+    );
+  }
+
+  /**
+   * Per-phase parameters interpolated by synthesizeAnimationFrame(), with the constant
+   * used when a phase doesn't declare one (null = leave unset for that phase).
+   * Legacy configs provide them as `${phase}NodeAlpha`, `${phase}NodeAlpha_start`, ...;
+   * custom phase definitions provide them directly (see getPhaseParameterRange).
+   * Subclasses can extend this to animate their own per-phase keys.
+   * @protected
+   * @returns {Object<string, number|null>} Map of parameter names to fallback values
+   */
+  getPhaseParameterFallbacks() {
+    return {
+      nodeAlpha: null,
+      pathIntensity: null,
+      pathAnimSpeed: this.config.pathAnimSpeed || 1.0,
+    };
+  }
+
+  /**
+   * Get the normalized phase timeline
+   * Uses config.phases when declared, otherwise maps the legacy 4-phase keys
+   * (phaseAscension_start, phaseRadiance_start, phaseDescentstart) onto it.
+   * @returns {Array<{name: string, start: number, end: number}>} Ordered phase definitions
+   */
+  getPhaseDefinitions() {
+    if (Array.isArray(this.config.phases) && this.config.phases.length > 0) {
+      return PhaseAnimatedPolygonEffect.normalizePhases(this.config.phases);
+    }
+
+    return PhaseAnimatedPolygonEffect.normalizePhases([
+      { name: 'awakening', start: 0.0 },
+      { name: 'ascension', start: this.config.phaseAscension_start ?? 0.20 },
+      { name: 'radiance', start: this.config.phaseRadiance_start ?? 0.60 },
+      { name: 'descent', start: this.config.phaseDescentstart ?? 0.85 },
+    ]);
+  }
+
+  /**
+   * Get a single phase definition by name
+   * @param {string} phase - Phase name
+   * @returns {Object|undefined} Phase definition
+   */
+  getPhaseDefinition(phase) {
+    return this.getPhaseDefinitions().find(definition => definition.name === phase);
+  }
+
   /**
    * Detect which animation phase we're in (based on progress)
    * @param {number} progress - Animation progress (0-1)
-   * @returns {string} Phase name: 'awakening' | 'ascension' | 'radiance' | 'descent'
+   * @returns {string} Phase name (e.g. 'awakening' | 'ascension' | 'radiance' | 'descent')
    */
   getCurrentPhase(progress) {
-    const awakeStart = this.config.phaseAwakening_start ?? 0.0;
-    const ascStart = this.config.phaseAscension_start ?? 0.20;
-    const radStart = this.config.phaseRadiance_start ?? 0.60;
-    const descStart = this.config.phaseDescentstart ?? 0.85;
-
-    if (progress < ascStart) return 'awakening';
-    if (progress < radStart) return 'ascension';
-    if (progress < descStart) return 'radiance';
-    return 'descent';
+    const phases = this.getPhaseDefinitions();
+    let current = phases[0];
+    for (const phase of phases) {
+      if (progress >= phase.start) current = phase;
+    }
+    return current.name;
   }
 
   /**
@@ -114,14 +276,10 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
    * @returns {number} Progress within phase (0-1)
    */
   getPhaseProgress(progress, phase) {
-    const boundaries = {
-      awakening: [0.0, this.config.phaseAscension_start ?? 0.20],
-      ascension: [this.config.phaseAscension_start ?? 0.20, this.config.phaseRadiance_start ?? 0.60],
-      radiance: [this.config.phaseRadiance_start ?? 0.60, this.config.phaseDescentstart ?? 0.85],
-      descent: [this.config.phaseDescentstart ?? 0.85, 1.0],
-    };
+    const definition = this.getPhaseDefinition(phase);
+    if (!definition) return 0;
 
-    const [start, end] = boundaries[phase];
+    const { start, end } = definition;
     if (start === end) return 0;
     return (progress - start) / (end - start);
   }
@@ -131,12 +289,114 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
    * @returns {Object} Map of phase names to [start, end] tuples
    */
   getPhaseBoundaries() {
-    return {
-      awakening: [0.0, this.config.phaseAscension_start ?? 0.20],
-      ascension: [this.config.phaseAscension_start ?? 0.20, this.config.phaseRadiance_start ?? 0.60],
-      radiance: [this.config.phaseRadiance_start ?? 0.60, this.config.phaseDescentstart ?? 0.85],
-      descent: [this.config.phaseDescentstart ?? 0.85, 1.0],
-    };
+    const boundaries = {};
+    for (const phase of this.getPhaseDefinitions()) {
+      boundaries[phase.name] = [phase.start, phase.end];
+    }
+    return boundaries;
+  }
+
+  /**
+   * Local progress of one element in a staggered sequence within a phase
+   * Element `index` of `count` starts at stagger * index / (count - 1) and runs over a
+   * window of (1 - stagger), so every element is at 0 when the phase starts and at 1
+   * when it ends (keeps phase boundaries and loop seams continuous).
+   * @protected
+   * @param {number} index - Position of the element in the activation order (0-based)
+   * @param {number} count - Number of elements in the sequence
+   * @param {number} phaseProgress - Progress within the phase (0-1)
+   * @param {number} [stagger=0.5] - 0 = all together, 1 = (almost) strictly sequential
+   * @returns {number} Local progress (0-1)
+   */
+  getStaggeredProgress(index, count, phaseProgress, stagger = 0.5) {
+    // Keep a minimal window so a stagger of 1 stays continuous instead of stepping
+    const spread = Math.max(0, Math.min(0.99, stagger));
+    const offset = count > 1 ? spread * (index / (count - 1)) : 0;
+    const window = 1 - spread;
+
+    return Math.max(0, Math.min(1, (phaseProgress - offset) / window));
+  }
+
+  /**
+   * Get the easing name for a phase
+   * @param {string} phase - Phase name
+   * @returns {string} Easing function name
+   */
+  getPhaseEasing(phase) {
+    const definition = this.getPhaseDefinition(phase);
+    return definition?.easing || this.config[`${phase}Easing`] || 'linear';
+  }
+
+  /**
+   * Parse a per-phase parameter declared on a phase definition
+   * Accepts `0.5`, `[0.1, 0.8]` or `{ start: 0.1, end: 0.8 }`.
+   * @param {number|Array<number>|Object} declared - Declared value
+   * @returns {{from: number, to: number}|null} Range, or null if nothing usable is declared
+   * @static
+   */
+  static parsePhaseRange(declared) {
+    if (typeof declared === 'number') {
+      return { from: declared, to: declared };
+    }
+    if (Array.isArray(declared) && declared.length > 0) {
+      return { from: declared[0], to: declared[declared.length - 1] };
+    }
+    if (declared && typeof declared === 'object') {
+      return { from: declared.start, to: declared.end ?? declared.start };
+    }
+    return null;
+  }
+
+  /**
+   * Sample a per-phase parameter along a phase timeline
+   * Same curve the instance pipeline produces: the phase containing progress is found,
+   * its declared range is interpolated with the phase easing. Lets effects outside the
+   * class hierarchy (e.g. secondary effects) follow the awakening → descent arc.
+   * @param {Array<Object>} phases - Phase definitions (normalized with normalizePhases)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @param {string} key - Parameter name declared on the phases
+   * @param {number} [fallback=0] - Value for phases that don't declare the parameter
+   * @returns {number} Parameter value at progress
+   * @static
+   */
+  static samplePhaseParameter(phases, progress, key, fallback = 0) {
+    let current = phases[0];
+    for (const phase of phases) {
+      if (progress >= phase.start) current = phase;
+    }
+
+    const range = PhaseAnimatedPolygonEffect.parsePhaseRange(current[key]);
+    if (!range) return fallback;
+
+    const span = current.end - current.start;
+    const local = span > 0 ? Math.max(0, Math.min(1, (progress - current.start) / span)) : 0;
+    return range.from + (range.to - range.from) * PhaseAnimatedPolygonEffect.ease(local, current.easing);
+  }
+
+  /**
+   * Resolve the from/to range of a per-phase parameter
+   * Custom phase definitions may declare `{ nodeAlpha: 0.5 }`, `{ nodeAlpha: [0.1, 0.8] }`
+   * or `{ nodeAlpha: { start: 0.1, end: 0.8 } }`; otherwise the legacy
+   * `${phase}NodeAlpha` / `_start` / `_end` config keys are used.
+   * @param {string} phase - Phase name
+   * @param {string} key - Parameter name (camelCase, e.g. 'nodeAlpha')
+   * @param {number|null} [fallback=null] - Constant range to use when nothing is declared
+   * @returns {{from: number, to: number}|null} Range, or null if the phase doesn't define it
+   */
+  getPhaseParameterRange(phase, key, fallback = null) {
+    const declared = PhaseAnimatedPolygonEffect.parsePhaseRange(this.getPhaseDefinition(phase)?.[key]);
+    if (declared) return declared;
+
+    const legacyKey = `${phase}${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+    const base = this.config[legacyKey];
+    if (base !== undefined) {
+      return {
+        from: this.config[`${legacyKey}_start`] || base,
+        to: this.config[`${legacyKey}_end`] || base,
+      };
+    }
+
+    return fallback === null ? null : { from: fallback, to: fallback };
   }
 
   /**
@@ -161,8 +421,9 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
       // Create new canvas for rendering
       const renderCanvas = await Canvas2dFactory.getNewCanvas(width, height);
 
-      // Synthesize frame-specific animation config
+      // Synthesize frame-specific animation config (phase parameters + tracks)
       const frameConfig = this.synthesizeAnimationFrame(progress);
+      this.frameConfig = frameConfig;
 
       // Render the effect (delegated to subclass or use default)
       await this.renderEffect(renderCanvas, width, height, frameConfig, progress);
@@ -174,7 +435,8 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
       const layerOpacity = this.config.layerOpacity || 1.0;
       await renderedLayer.adjustLayerOpacity(layerOpacity);
 
-      await layer.compositeLayerOver(renderedLayer);
+      // Composite with the configured blend mode (screen, overlay, color-dodge, ...)
+      await this.compositeRenderedLayer(layer, renderedLayer);
 
       // Call parent for effect chaining
       await super.invoke(layer, currentFrame, numberOfFrames);
@@ -184,6 +446,19 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
     }
   }
 
+  /**
+   * Composite a rendered layer onto the target using config.layerBlendMode
+   * Subclasses that render extra layers (e.g. Chakra sine waves) should route
+   * them through here so every layer honors the same blend mode.
+   * @protected
+   * @param {Layer} layer - Target layer (modified in place)
+   * @param {Layer} renderedLayer - Layer to composite on top
+   * @returns {Promise<void>}
+   */
+  async compositeRenderedLayer(layer, renderedLayer) {
+    await BlendModeCompositor.composite(layer, renderedLayer, this.config.layerBlendMode || 'normal');
+  }
+
   /**
    * Detect if we're in a transition zone between phases and get blend amount
    * @protected
@@ -192,14 +467,13 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
    */
   getTransitionInfo(progress) {
     const transitionWidth = this.config.transitionZoneWidth ?? 0.05; // Default 5% transition
-    const boundaries = this.getPhaseBoundaries();
-    const phases = ['awakening', 'ascension', 'radiance', 'descent'];
+    const phases = this.getPhaseDefinitions();
 
     // Check each phase boundary for transition zone
     for (let i = 0; i < phases.length - 1; i++) {
-      const currentPhase = phases[i];
-      const nextPhase = phases[i + 1];
-      const phaseEnd = boundaries[currentPhase][1];
+      const currentPhase = phases[i].name;
+      const nextPhase = phases[i + 1].name;
+      const phaseEnd = phases[i].end;
 
       // Calculate transition zone: [phaseEnd - transitionWidth, phaseEnd]
       const transitionStart = phaseEnd - transitionWidth;
@@ -227,61 +501,41 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
     const transitionInfo = this.getTransitionInfo(progress);
     const phase = transitionInfo.currentPhase;
     const phaseProgress = this.getPhaseProgress(progress, phase);
-    const easingName = this.config[`${phase}Easing`] || 'linear';
+    const easingName = this.getPhaseEasing(phase);
 
     // Create frame config with interpolated values
     const frameConfig = { ...this.config };
+    frameConfig.phase = phase;
+    frameConfig.phaseProgress = phaseProgress;
 
-    // === SMOOTH NODE ALPHA TRANSITION ===
-    const alphaKey = `${phase}NodeAlpha`;
-    if (this.config[alphaKey] !== undefined) {
-      const from = this.config[`${phase}NodeAlpha_start`] || this.config[alphaKey];
-      const to = this.config[`${phase}NodeAlpha_end`] || this.config[alphaKey];
-      let nodeAlpha = this.lerp(from, to, phaseProgress, easingName);
-
-      // Blend with next phase if in transition zone
-      if (transitionInfo.inTransition && transitionInfo.nextPhase) {
-        const nextPhase = transitionInfo.nextPhase;
-        const nextFrom = this.config[`${nextPhase}NodeAlpha_start`] || this.config[`${nextPhase}NodeAlpha`];
-        const nextTo = this.config[`${nextPhase}NodeAlpha_end`] || this.config[`${nextPhase}NodeAlpha`];
-        const nextEasingName = this.config[`${nextPhase}Easing`] || 'linear';
-        const nextNodeAlpha = this.lerp(nextFrom, nextTo, 0, nextEasingName); // Blend from start of next phase
-        nodeAlpha = this.lerp(nodeAlpha, nextNodeAlpha, transitionInfo.blendAmount, 'smoothstep');
-      }
-
-      frameConfig.nodeAlpha = nodeAlpha;
-    }
+    // === SMOOTH PER-PHASE PARAMETER TRANSITIONS (nodeAlpha, pathIntensity, pathAnimSpeed, ...) ===
+    for (const [key, fallback] of Object.entries(this.getPhaseParameterFallbacks())) {
+      const range = this.getPhaseParameterRange(phase, key, fallback);
+      if (!range) continue;
 
-    // === SMOOTH PATH INTENSITY TRANSITION ===
-    const pathIntensityKey = `${phase}PathIntensity`;
-    if (this.config[pathIntensityKey] !== undefined) {
-      const from = this.config[`${phase}PathIntensity_start`] || this.config[pathIntensityKey];
-      const to = this.config[`${phase}PathIntensity_end`] || this.config[pathIntensityKey];
-      let pathIntensity = this.lerp(from, to, phaseProgress, easingName);
+      let value = this.lerp(range.from, range.to, phaseProgress, easingName);
 
       // Blend with next phase if in transition zone
       if (transitionInfo.inTransition && transitionInfo.nextPhase) {
         const nextPhase = transitionInfo.nextPhase;
-        const nextFrom = this.config[`${nextPhase}PathIntensity_start`] || this.config[`${nextPhase}PathIntensity`];
-        const nextTo = this.config[`${nextPhase}PathIntensity_end`] || this.config[`${nextPhase}PathIntensity`];
-        const nextPathIntensity = this.lerp(nextFrom, nextTo, 0, easingName);
-        pathIntensity = this.lerp(pathIntensity, nextPathIntensity, transitionInfo.blendAmount, 'smoothstep');
+        const nextRange = this.getPhaseParameterRange(nextPhase, key, fallback);
+        if (nextRange) {
+          const nextValue = this.lerp(nextRange.from, nextRange.to, 0, this.getPhaseEasing(nextPhase)); // Blend from start of next phase
+          value = this.lerp(value, nextValue, transitionInfo.blendAmount, 'smoothstep');
+        }
       }
 
-      frameConfig.pathIntensity = pathIntensity;
+      frameConfig[key] = value;
     }
 
-    // === SMOOTH PATH ANIMATION SPEED TRANSITION ===
-    let pathAnimSpeed = this.config[`${phase}PathAnimSpeed`] || this.config.pathAnimSpeed || 1.0;
-    
-    if (transitionInfo.inTransition && transitionInfo.nextPhase) {
-      const nextPhase = transitionInfo.nextPhase;
-      const nextPathAnimSpeed = this.config[`${nextPhase}PathAnimSpeed`] || this.config.pathAnimSpeed || 1.0;
-      pathAnimSpeed = this.lerp(pathAnimSpeed, nextPathAnimSpeed, transitionInfo.blendAmount, 'smoothstep');
+    // === KEYFRAMED TRACKS (override any field, including the phase parameters above) ===
+    if (this.config.tracks) {
+      Object.assign(
+        frameConfig,
+        ParameterTrackEngine.evaluate(this.config.tracks, progress, (t, easing) => this.applyEasing(t, easing))
+      );
     }
 
-    frameConfig.pathAnimSpeed = pathAnimSpeed;
-
     return frameConfig;
   }
 
@@ -313,42 +567,52 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
 
   /**
    * Render all nodes with phase-based animation
+   * Nodes may carry their own styling: color, glowColor, size, glowSize,
+   * sides and alpha (multiplied with frameConfig.nodeAlpha)
    * Protected so subclasses can call or override
    * @protected
    */
   async renderNodes(canvas, width, height, frameConfig, progress) {
     const nodes = this.getNodePositions();
     const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
-    const nodeSize = this.config.nodeSize ?? 20;
+    const nodeSize = frameConfig.nodeSize ?? 20;
+    const nodeGlowSize = frameConfig.nodeGlowSize ?? 25;
 
     for (const node of nodes) {
+      const alpha = nodeAlpha * (node.alpha ?? 1.0);
+      if (alpha <= 0) continue;
+
       const pixelPos = this.transformCoordinate(node.x, node.y, width, height);
 
       // Draw node
       await canvas.drawFilledPolygon2d(
-        nodeSize,
+        node.size ?? nodeSize,
         pixelPos,
-        6, // hexagon (can customize per geometry)
+        node.sides ?? 6, // hexagon unless the geometry says otherwise
         0,
         node.color || '#FFFFFF',
-        nodeAlpha
+        alpha
       );
 
       // Draw glow
-      const nodeGlowSize = this.config.nodeGlowSize ?? 25;
       await canvas.drawRing2d(
         pixelPos,
-        nodeGlowSize,
+        node.glowSize ?? nodeGlowSize,
         3,
         node.glowColor || '#FFFF00',
         0,
-        nodeAlpha * 0.5
+        null,
+        alpha * 0.5
       );
     }
   }
 
   /**
    * Render all paths with phase-based animation
+   * Paths are [nodeIndexA, nodeIndexB] pairs or { start, end } objects (node
+   * indices or ids), optionally carrying color, glowColor, thickness, intensity
+   * (multiplied with frameConfig.pathIntensity) and reveal (0-1, drawn from start toward end)
+   * Paths are drawn in array order, so later paths draw over earlier ones
    * Protected so subclasses can call or override
    * @protected
    */
@@ -356,26 +620,37 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
     const nodes = this.getNodePositions();
     const paths = this.getPathConnections();
     const pathIntensity = frameConfig.pathIntensity ?? 1.0;
-    const pathThickness = (this.config.pathThickness || 2) * (this.config.pathSizeScale || 1.0);
+    const pathThickness = (frameConfig.pathThickness || 2) * (frameConfig.pathSizeScale || 1.0);
+    const resolve = key => (typeof key === 'number' ? nodes[key] : nodes.find(node => node.id === key));
 
     for (let i = 0; i < paths.length; i++) {
-      const [nodeAIdx, nodeBIdx] = paths[i];
-      const nodeA = nodes[nodeAIdx];
-      const nodeB = nodes[nodeBIdx];
+      const path = paths[i];
+      const [nodeAKey, nodeBKey] = Array.isArray(path) ? path : [path.start, path.end];
+      const nodeA = resolve(nodeAKey);
+      const nodeB = resolve(nodeBKey);
 
       if (!nodeA || !nodeB) continue;
 
+      const intensity = pathIntensity * (path.intensity ?? 1.0);
+      const reveal = Math.max(0, Math.min(1, path.reveal ?? 1));
+      if (intensity <= 0 || reveal <= 0) continue;
+
       const posA = this.transformCoordinate(nodeA.x, nodeA.y, width, height);
-      const posB = this.transformCoordinate(nodeB.x, nodeB.y, width, height);
+      const posB = this.transformCoordinate(
+        nodeA.x + (nodeB.x - nodeA.x) * reveal,
+        nodeA.y + (nodeB.y - nodeA.y) * reveal,
+        width,
+        height
+      );
 
       await canvas.drawLine2d(
         posA,
         posB,
-        pathThickness,
-        '#FFFFFF',
+        path.thickness ?? pathThickness,
+        path.color || '#FFFFFF',
         1,
-        '#FFFF00',
-        pathIntensity
+        path.glowColor || '#FFFF00',
+        intensity
       );
     }
   }
@@ -400,9 +675,87 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
     // See MysticSymbolsEngine integration for detailed example.
   }
 
+  /**
+   * Stroke a vector glyph (MysticSymbolsEngine element format) centered on a point
+   * Elements use normalized 0-1 coordinates with y pointing down:
+   *   { type: 'path', points: [[x, y], ...] }    open polyline
+   *   { type: 'polygon', points: [[x, y], ...] } closed outline
+   *   { type: 'line', x1, y1, x2, y2 }            single stroke
+   *   { type: 'arc', r }                          centered ring
+   * Protected so subclasses can draw zodiac signs, runes, alchemical glyphs, ...
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {Array<Object>} elements - Glyph elements
+   * @param {{x: number, y: number}} center - Glyph center in pixels
+   * @param {number} radius - Half the glyph size in pixels
+   * @param {Object} [options]
+   * @param {string} [options.color='#FFFFFF'] - Stroke color
+   * @param {number} [options.opacity=1] - Stroke opacity (0-1)
+   * @param {number} [options.rotation=0] - Rotation in radians
+   * @param {number} [options.lineWidth=1.5] - Stroke width in pixels
+   * @returns {Promise<void>}
+   */
+  async renderGlyph(canvas, elements, center, radius, {
+    color = '#FFFFFF',
+    opacity = 1,
+    rotation = 0,
+    lineWidth = 1.5,
+  } = {}) {
+    if (!Array.isArray(elements) || opacity <= 0) return;
+
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const transform = ([nx, ny]) => {
+      const dx = nx * 2 - 1;
+      const dy = ny * 2 - 1;
+      return {
+        x: center.x + (dx * cos - dy * sin) * radius,
+        y: center.y + (dx * sin + dy * cos) * radius,
+      };
+    };
+
+    const stroke = (a, b) => canvas.drawLine2d(transform(a), transform(b), lineWidth, color, 0, null, opacity);
+
+    for (const element of elements) {
+      switch (element.type) {
+        case 'polygon':
+        case 'path': {
+          const points = element.points || [];
+          const closed = element.type === 'polygon';
+          const segments = closed ? points.length : points.length - 1;
+          for (let i = 0; i < segments; i++) {
+            await stroke(points[i], points[(i + 1) % points.length]);
+          }
+          break;
+        }
+        case 'line':
+          await stroke([element.x1, element.y1], [element.x2, element.y2]);
+          break;
+        case 'arc':
+          await canvas.drawRing2d(center, element.r * radius, lineWidth, color, 0, null, opacity);
+          break;
+        default:
+          // Unsupported element type, skip silently (same as the Tree symbol renderer)
+          break;
+      }
+    }
+  }
+
+  /**
+   * Config values for the frame being rendered
+   * Returns the synthesized frameConfig during invoke() (phase parameters and tracks applied),
+   * or the static config outside of rendering. Render helpers that don't receive frameConfig
+   * should read animatable fields through this.
+   * @protected
+   * @returns {Object} Active configuration
+   */
+  getActiveConfig() {
+    return this.frameConfig ?? this.config;
+  }
+
   /**
    * Transform normalized coordinates (0-1) to canvas pixels
-   * Handles scaling and centering
+   * Handles scaling and centering (from the current frameConfig, so tracks apply)
    * Protected so subclasses can call it
    * @protected
    * @param {number} normalizedX - X coordinate (0-1)
@@ -412,9 +765,10 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
    * @returns {Object} {x, y} in canvas coordinates
    */
   transformCoordinate(normalizedX, normalizedY, width, height) {
-    const scale = this.config.scale ?? 1.0;
-    const centerX = this.config.centerX !== undefined ? this.config.centerX : 0.5;
-    const centerY = this.config.centerY !== undefined ? this.config.centerY : 0.5;
+    const source = this.getActiveConfig();
+    const scale = source.scale ?? 1.0;
+    const centerX = source.centerX !== undefined ? source.centerX : 0.5;
+    const centerY = source.centerY !== undefined ? source.centerY : 0.5;
 
     // Scale around 0.5
     const scaledX = 0.5 + (normalizedX - 0.5) * scale;
@@ -430,6 +784,54 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
     };
   }
 
+  /**
+   * Resolve config.rotation3D (whole turns per loop about each axis) at a progress
+   * Protected so subclasses can call it
+   * @protected
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<{axis: Array<number>, angle: number}>} Rotations, applied in order
+   */
+  getLoopRotations3D(progress) {
+    return Projection3D.getLoopRotations(this.getActiveConfig().rotation3D, progress);
+  }
+
+  /**
+   * Rotate and project a 3D model point to normalized coordinates (0-1)
+   * The result feeds transformCoordinate(), so it can be returned from getNodePositions()
+   * Protected so subclasses can call it
+   * @protected
+   * @param {{x, y, z}} point - Model-space point (unit radius, y up, z toward the viewer)
+   * @param {number} radius - Normalized radius of the unit model on the canvas
+   * @param {Array} [rotations] - Resolved rotations (defaults to the current loop rotations)
+   * @returns {{x: number, y: number, depth: number, perspective: number}}
+   *   Normalized x/y, depth in model radii (1 = nearest), perspective size multiplier
+   */
+  projectPoint3D(point, radius, rotations = this.getLoopRotations3D(this.getProgress())) {
+    const config = this.getActiveConfig();
+    const projected = Projection3D.project(Projection3D.rotateAll(point, rotations), {
+      projection: config.projection,
+      cameraDistance: config.cameraDistance,
+    });
+
+    return {
+      x: 0.5 + projected.x * radius,
+      y: 0.5 - projected.y * radius,
+      depth: projected.depth,
+      perspective: projected.perspective,
+    };
+  }
+
+  /**
+   * Alpha for a projected depth, from config.depthAlphaRange
+   * Protected so subclasses can call it
+   * @protected
+   * @param {number} depth - Depth in model radii (-1 = farthest, 1 = nearest)
+   * @returns {number} Alpha multiplier
+   */
+  getDepthAlpha(depth) {
+    return Projection3D.depthAlpha(depth, this.getActiveConfig().depthAlphaRange);
+  }
+
   /**
    * Linear interpolation with easing
    * Protected so subclasses can call it
@@ -460,6 +862,17 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
    * @returns {number} Eased progress (0-1)
    */
   applyEasing(progress, easingName) {
+    return PhaseAnimatedPolygonEffect.ease(progress, easingName);
+  }
+
+  /**
+   * Easing functions by name (unknown names fall back to linear)
+   * @param {number} progress - Progress value (0-1)
+   * @param {string} easingName - Name of easing function
+   * @returns {number} Eased progress (0-1)
+   * @static
+   */
+  static ease(progress, easingName) {
     const easings = {
       linear: (t) => t,
       easeInCubic: (t) => t * t * t,
@@ -516,6 +929,26 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
     };
   }
 
+  /**
+   * Extract color from either a ColorPicker object or a string
+   * Protected so subclasses can call it
+   * @protected
+   * @param {ColorPicker|string} colorValue - Color value (string or ColorPicker)
+   * @param {string} fallback - Fallback color if extraction fails
+   * @returns {string} Hex color string
+   */
+  _extractColor(colorValue, fallback = '#000000') {
+    if (typeof colorValue === 'string') return colorValue || fallback;
+    if (typeof colorValue?.getColor === 'function') {
+      try {
+        return colorValue.getColor(this.settings) || fallback;
+      } catch (e) {
+        return fallback;
+      }
+    }
+    return fallback;
+  }
+
   /**
    * === ABSTRACT METHODS (Subclasses MUST implement) ===
    */
@@ -540,8 +973,8 @@ export class PhaseAnimatedPolygonEffect extends LayerEffect {
   /**
    * Define path/connection relationships
    * @abstract
-   * @returns {Array<[nodeIndexA, nodeIndexB]>}
-   *   - Each pair connects two nodes by index
+   * @returns {Array<[nodeIndexA, nodeIndexB]|{start, end}>}
+   *   - Each pair connects two nodes by index ({ start, end } may also use node ids)
    *   - Order may define animation sequence
    */
   getPathConnections() {
@@ -0,0 +1,131 @@
+/**
+ * Projection3D - Minimal 3D layer for phase-animated effects
+ *
+ * Model space: x right, y up, z toward the viewer, unit radius around the origin.
+ * Points are rotated about arbitrary axes, then projected (perspective or
+ * orthographic) to normalized canvas coordinates, ready for transformCoordinate().
+ *
+ * Loop rotations are declared in whole turns per loop:
+ *
+ *   rotation3D: [
+ *     { axis: 'y', turns: 1 },
+ *     { axis: [1, 1, 0], turns: -1 },
+ *   ]
+ *
+ * Turns are rounded to integers, so frame N-1 equals frame 0 by construction.
+ */
+
+const NAMED_AXES = {
+  x: [1, 0, 0],
+  y: [0, 1, 0],
+  z: [0, 0, 1],
+};
+
+export class Projection3D {
+  /**
+   * Resolve an axis to a unit vector
+   * @param {string|Array<number>|{x, y, z}} axis - 'x' | 'y' | 'z', [x, y, z] or {x, y, z}
+   * @returns {Array<number>} Unit vector [x, y, z]
+   * @throws {Error} If the axis is unknown or has zero length
+   * @static
+   */
+  static normalizeAxis(axis) {
+    let vector = axis;
+    if (typeof axis === 'string') vector = NAMED_AXES[axis.toLowerCase()];
+    else if (axis && !Array.isArray(axis)) vector = [axis.x ?? 0, axis.y ?? 0, axis.z ?? 0];
+
+    if (!Array.isArray(vector) || vector.length !== 3 || vector.some(value => typeof value !== 'number')) {
+      throw new Error(`Unknown rotation axis: ${JSON.stringify(axis)}`);
+    }
+
+    const length = Math.hypot(...vector);
+    if (length < 1e-9) {
+      throw new Error('Rotation axis must have non-zero length');
+    }
+    return vector.map(value => value / length);
+  }
+
+  /**
+   * Rotate a point about an axis through the origin (Rodrigues' formula)
+   * @param {{x, y, z}} point - Point to rotate
+   * @param {Array<number>} axis - Unit axis vector
+   * @param {number} angle - Angle in radians (counter-clockwise looking down the axis)
+   * @returns {{x, y, z}} Rotated point
+   * @static
+   */
+  static rotate(point, axis, angle) {
+    const [kx, ky, kz] = axis;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dot = kx * point.x + ky * point.y + kz * point.z;
+
+    return {
+      x: point.x * cos + (ky * point.z - kz * point.y) * sin + kx * dot * (1 - cos),
+      y: point.y * cos + (kz * point.x - kx * point.z) * sin + ky * dot * (1 - cos),
+      z: point.z * cos + (kx * point.y - ky * point.x) * sin + kz * dot * (1 - cos),
+    };
+  }
+
+  /**
+   * Apply a list of rotations in order
+   * @param {{x, y, z}} point - Point to rotate
+   * @param {Array<{axis: Array<number>, angle: number}>} rotations - Resolved rotations
+   * @returns {{x, y, z}} Rotated point
+   * @static
+   */
+  static rotateAll(point, rotations) {
+    return rotations.reduce((current, { axis, angle }) => Projection3D.rotate(current, axis, angle), point);
+  }
+
+  /**
+   * Resolve loop rotations at a progress
+   * @param {Array<{axis, turns: number}>} rotations - Declared rotations (turns per loop)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<{axis: Array<number>, angle: number}>} Resolved rotations
+   * @static
+   */
+  static getLoopRotations(rotations, progress) {
+    return (rotations || []).map(({ axis, turns = 0 }) => ({
+      axis: Projection3D.normalizeAxis(axis),
+      angle: progress * Math.round(turns) * Math.PI * 2,
+    }));
+  }
+
+  /**
+   * Project a model-space point onto the view plane
+   * @param {{x, y, z}} point - Model-space point
+   * @param {Object} [options]
+   * @param {string} [options.projection='perspective'] - 'perspective' | 'orthographic'
+   * @param {number} [options.cameraDistance=3] - Camera distance from the origin in model radii
+   * @returns {{x: number, y: number, depth: number, perspective: number}}
+   *   x/y on the view plane (y up), depth = z, perspective = size multiplier at that depth
+   * @static
+   */
+  static project(point, { projection = 'perspective', cameraDistance = 3 } = {}) {
+    let perspective = 1;
+    if (projection === 'perspective') {
+      // Keep points behind the camera from flipping through infinity
+      const distance = Math.max(1.01, cameraDistance);
+      perspective = distance / Math.max(0.1, distance - point.z);
+    }
+
+    return {
+      x: point.x * perspective,
+      y: point.y * perspective,
+      depth: point.z,
+      perspective,
+    };
+  }
+
+  /**
+   * Alpha for a depth: the nearest point (depth 1) gets `near`, the farthest (-1) gets `far`
+   * @param {number} depth - Depth in model radii (-1 to 1)
+   * @param {{near: number, far: number}} [range] - Alpha at the extremes
+   * @returns {number} Alpha
+   * @static
+   */
+  static depthAlpha(depth, { near = 1.0, far = 0.3 } = {}) {
+    const t = Math.max(0, Math.min(1, (depth + 1) / 2));
+    return far + (near - far) * t;
+  }
+}
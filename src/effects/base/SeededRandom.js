@@ -0,0 +1,130 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator
+ *
+ * Every random decision an effect makes in generate() (easing picks, blend modes,
+ * particle scatter, sine wave algorithms) must flow through one of these so that
+ * the same seed always renders the same NFT, bit-for-bit.
+ *
+ * Uses mulberry32: tiny, fast and well distributed for 32-bit seeds.
+ *
+ * Usage:
+ *   const random = new SeededRandom(12345);
+ *   random.next();                  // 0 <= n < 1
+ *   random.pick(['a', 'b', 'c']);   // deterministic element
+ *   Config.pickRandom(value, random.next);
+ */
+
+export class SeededRandom {
+  /**
+   * Create a new 32-bit seed from Math.random()
+   * Only used when neither the config nor the settings provide one;
+   * the result is recorded back on the config so it can be replayed.
+   * @returns {number} Unsigned 32-bit integer seed
+   * @static
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Normalize a seed value to an unsigned 32-bit integer
+   * Numbers are truncated, strings (e.g. token ids, hashes) are hashed with FNV-1a.
+   * @param {number|string} seed - Seed value
+   * @returns {number|null} Unsigned 32-bit seed, or null if the value is unusable
+   * @static
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(Math.abs(seed)) >>> 0;
+    }
+    if (typeof seed === 'string' && seed.length > 0) {
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the seed an effect renders with
+   * Priority: config seed → settings.seed → freshly generated seed.
+   * @param {number|string} [configSeed] - Seed from the effect config
+   * @param {Settings} [settings] - Framework settings (may carry a project-wide seed)
+   * @returns {number} Unsigned 32-bit seed
+   * @static
+   */
+  static resolve(configSeed, settings) {
+    return SeededRandom.normalizeSeed(configSeed)
+      ?? SeededRandom.normalizeSeed(settings?.seed)
+      ?? SeededRandom.generateSeed();
+  }
+
+  /**
+   * @param {number|string} seed - Seed value (see normalizeSeed)
+   */
+  constructor(seed) {
+    const normalized = SeededRandom.normalizeSeed(seed);
+    this.seed = normalized ?? SeededRandom.generateSeed();
+    this.state = this.seed;
+
+    // Bound so it can be handed to pickRandom(value, random) style helpers
+    this.next = this.next.bind(this);
+  }
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next float in [min, max)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Next integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number}
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Pick a deterministic element from an array, or return the value if it's not an array
+   * @param {Array|*} value - Array of options or a single value
+   * @returns {*}
+   */
+  pick(value) {
+    if (Array.isArray(value)) {
+      return value[this.nextInt(value.length)];
+    }
+    return value;
+  }
+
+  /**
+   * Derive an independent generator (e.g. per engine) from this one
+   * Keeps sub-systems stable when another sub-system adds or removes draws.
+   * @param {number|string} salt - Stream identifier
+   * @returns {SeededRandom}
+   */
+  fork(salt) {
+    const saltSeed = SeededRandom.normalizeSeed(String(salt)) ?? 0;
+    return new SeededRandom((this.seed ^ saltSeed) >>> 0);
+  }
+}
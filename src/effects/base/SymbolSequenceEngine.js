@@ -0,0 +1,146 @@
+/**
+ * SymbolSequenceEngine - Loop-safe keyframes from an ordered list of glyph states
+ *
+ * A glyph state is a number, a hex color, an array of those, or a plain object of
+ * those (e.g. the six lines of a hexagram, or how far each figure of a diagram is
+ * traced). Each state gets one keyframe; a state holds for part of its slot, then
+ * morphs into the next, and the last state morphs back into the first across the
+ * loop seam - so frame N-1 equals frame 0 by construction.
+ *
+ *   const keyframes = SymbolSequenceEngine.buildKeyframes(states, {
+ *     positions: SymbolSequenceEngine.positionsFromPhases(this.getPhaseDefinitions()),
+ *     hold: 0.5,
+ *   });
+ *   const { state, from, to, t } = SymbolSequenceEngine.sample(keyframes, progress);
+ */
+
+import { ParameterTrackEngine } from './ParameterTrackEngine.js';
+
+/**
+ * Structural signature of a state, used to reject sequences that cannot morph
+ * @private
+ */
+function shapeOf(value) {
+  if (typeof value === 'number') return 'number';
+  if (ParameterTrackEngine.isColor(value)) return 'color';
+  if (Array.isArray(value)) return `[${value.map(shapeOf).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${key}:${shapeOf(value[key])}`).join(',')}}`;
+  }
+  return null;
+}
+
+export class SymbolSequenceEngine {
+  /**
+   * Build keyframes for an ordered list of glyph states
+   * @param {Array<*>} states - Glyph states, all of the same shape
+   * @param {Object} [options]
+   * @param {Array<number>} [options.positions] - Progress (0-1, ascending) where each state is reached;
+   *   defaults to evenly spaced from 0
+   * @param {number} [options.hold=0] - Fraction of each slot a state holds before morphing (0-1)
+   * @returns {Array<{index: number, state: *, progress: number, hold: number}>} Keyframes
+   * @throws {Error} If states are empty, mismatched, or positions are invalid
+   * @static
+   */
+  static buildKeyframes(states, { positions = null, hold = 0 } = {}) {
+    if (!Array.isArray(states) || states.length === 0) {
+      throw new Error('Symbol sequence needs at least one glyph state');
+    }
+
+    const shape = shapeOf(states[0]);
+    if (shape === null) {
+      throw new Error('Glyph states must be numbers, hex colors, arrays or objects of those');
+    }
+    states.forEach((state, index) => {
+      if (shapeOf(state) !== shape) {
+        throw new Error(`Glyph state ${index} does not match the shape of state 0`);
+      }
+    });
+
+    const resolved = positions ?? states.map((_, index) => index / states.length);
+    if (resolved.length !== states.length) {
+      throw new Error(`Symbol sequence has ${states.length} states but ${resolved.length} positions`);
+    }
+    resolved.forEach((position, index) => {
+      if (typeof position !== 'number' || position < 0 || position >= 1 || (index > 0 && position <= resolved[index - 1])) {
+        throw new Error('Symbol sequence positions must be ascending numbers in [0, 1)');
+      }
+    });
+
+    const clampedHold = Math.max(0, Math.min(0.99, hold));
+    return states.map((state, index) => ({ index, state, progress: resolved[index], hold: clampedHold }));
+  }
+
+  /**
+   * Keyframe positions at the start of each phase
+   * @param {Array<{start: number}>} phases - Phase definitions (getPhaseDefinitions())
+   * @returns {Array<number>} One position per phase
+   * @static
+   */
+  static positionsFromPhases(phases) {
+    return phases.map(phase => phase.start);
+  }
+
+  /**
+   * Sample the sequence at a progress
+   * @param {Array<Object>} keyframes - Keyframes from buildKeyframes()
+   * @param {number} progress - Overall animation progress (0-1)
+   * @param {Function} [ease] - Easing applied to the morph (t => eased t)
+   * @returns {{state: *, from: *, to: *, fromIndex: number, toIndex: number, t: number, local: number}}
+   *   state: blended glyph state; t: morph progress (0 while holding); local: progress through the slot
+   * @static
+   */
+  static sample(keyframes, progress, ease = t => t) {
+    const count = keyframes.length;
+    const first = keyframes[0];
+    if (count === 1) {
+      return { state: first.state, from: first.state, to: first.state, fromIndex: 0, toIndex: 0, t: 0, local: 0 };
+    }
+
+    // Measure from the first keyframe so the wrap slot (last → first) is contiguous
+    const position = progress < first.progress ? progress + 1 : progress;
+    let index = 0;
+    while (index < count - 1 && position >= keyframes[index + 1].progress) {
+      index++;
+    }
+
+    const current = keyframes[index];
+    const next = keyframes[(index + 1) % count];
+    const end = index === count - 1 ? first.progress + 1 : next.progress;
+    const local = Math.max(0, Math.min(1, (position - current.progress) / (end - current.progress)));
+    const t = local <= current.hold ? 0 : ease((local - current.hold) / (1 - current.hold));
+
+    return {
+      state: SymbolSequenceEngine.blend(current.state, next.state, t),
+      from: current.state,
+      to: next.state,
+      fromIndex: index,
+      toIndex: (index + 1) % count,
+      t,
+      local,
+    };
+  }
+
+  /**
+   * Blend two glyph states of the same shape
+   * @param {*} from - Start state
+   * @param {*} to - End state
+   * @param {number} t - Morph progress (0-1)
+   * @returns {*} Blended state
+   * @static
+   */
+  static blend(from, to, t) {
+    if (typeof from === 'number' || ParameterTrackEngine.isColor(from)) {
+      return ParameterTrackEngine.interpolate(from, to, t);
+    }
+    if (Array.isArray(from)) {
+      return from.map((value, index) => SymbolSequenceEngine.blend(value, to[index], t));
+    }
+
+    const blended = {};
+    for (const key of Object.keys(from)) {
+      blended[key] = SymbolSequenceEngine.blend(from[key], to[key], t);
+    }
+    return blended;
+  }
+}
@@ -1,8 +1,16 @@
 /**
  * Base classes and configuration for phase-animated polygon effects
  * 
- * Export: PhaseAnimatedPolygonEffect, PhaseAnimatedPolygonConfig
+ * Export: PhaseAnimatedPolygonEffect, PhaseAnimatedPolygonConfig, SeededRandom,
+ *         BlendModeCompositor, LayerPixels, ParameterTrackEngine, Projection3D,
+ *         SymbolSequenceEngine
  */
 
 export { PhaseAnimatedPolygonEffect } from './PhaseAnimatedPolygonEffect.js';
-export { PhaseAnimatedPolygonConfig } from './PhaseAnimatedPolygonConfig.js';
\ No newline at end of file
+export { PhaseAnimatedPolygonConfig } from './PhaseAnimatedPolygonConfig.js';
+export { SeededRandom } from './SeededRandom.js';
+export { BlendModeCompositor } from './BlendModeCompositor.js';
+export { LayerPixels } from './LayerPixels.js';
+export { ParameterTrackEngine } from './ParameterTrackEngine.js';
+export { Projection3D } from './Projection3D.js';
+export { SymbolSequenceEngine } from './SymbolSequenceEngine.js';
\ No newline at end of file
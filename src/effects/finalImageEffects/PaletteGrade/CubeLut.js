@@ -0,0 +1,159 @@
+/**
+ * Cube LUT
+ *
+ * Parses Adobe/Resolve `.cube` 3D LUT files and samples them with trilinear interpolation:
+ *
+ *   TITLE "Alchemical Gold"          optional
+ *   LUT_3D_SIZE 33                   required (2-256)
+ *   DOMAIN_MIN 0 0 0                 optional, defaults to 0 0 0
+ *   DOMAIN_MAX 1 1 1                 optional, defaults to 1 1 1
+ *   0.0 0.0 0.0                      size³ rows of "r g b", red changing fastest
+ *   ...
+ *
+ * 1D LUTs (LUT_1D_SIZE) are not supported. Lines starting with # are comments.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Parse the text of a .cube file
+ * @param {string} text - File contents
+ * @param {string} [source='.cube'] - Name used in error messages
+ * @returns {{title: string|null, size: number, domainMin: Array<number>, domainMax: Array<number>, table: Float32Array}}
+ *   table: size³ × 3 floats, red index fastest
+ * @throws {Error} If the file is malformed
+ */
+export function parseCubeLut(text, source = '.cube') {
+  let title = null;
+  let size = null;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const values = [];
+
+  const lines = String(text).split(/\r?\n/);
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line.length === 0 || line.startsWith('#')) return;
+
+    const lineNumber = index + 1;
+    const [keyword, ...rest] = line.split(/\s+/);
+
+    if (keyword === 'TITLE') {
+      title = line.slice('TITLE'.length).trim().replace(/^"(.*)"$/, '$1');
+    } else if (keyword === 'LUT_3D_SIZE') {
+      size = Number(rest[0]);
+      if (!Number.isInteger(size) || size < 2 || size > 256) {
+        throw new Error(`${source}:${lineNumber}: LUT_3D_SIZE must be a whole number between 2 and 256`);
+      }
+    } else if (keyword === 'LUT_1D_SIZE') {
+      throw new Error(`${source}:${lineNumber}: 1D LUTs are not supported, use a 3D LUT (LUT_3D_SIZE)`);
+    } else if (keyword === 'DOMAIN_MIN' || keyword === 'DOMAIN_MAX') {
+      const domain = rest.map(Number);
+      if (domain.length !== 3 || !domain.every(Number.isFinite)) {
+        throw new Error(`${source}:${lineNumber}: ${keyword} must be three numbers`);
+      }
+      if (keyword === 'DOMAIN_MIN') domainMin = domain;
+      else domainMax = domain;
+    } else if (/^[-+.\d]/.test(keyword)) {
+      const row = [keyword, ...rest].map(Number);
+      if (row.length !== 3 || !row.every(Number.isFinite)) {
+        throw new Error(`${source}:${lineNumber}: expected "r g b", got "${line}"`);
+      }
+      values.push(...row);
+    }
+    // Other keywords (e.g. LUT_IN_VIDEO_RANGE) are ignored
+  });
+
+  if (size === null) {
+    throw new Error(`${source}: missing LUT_3D_SIZE`);
+  }
+  const expected = size * size * size;
+  if (values.length / 3 !== expected) {
+    throw new Error(`${source}: expected ${expected} rows for a ${size}³ LUT, found ${values.length / 3}`);
+  }
+  if (domainMin.some((min, c) => domainMax[c] <= min)) {
+    throw new Error(`${source}: DOMAIN_MAX must be greater than DOMAIN_MIN`);
+  }
+
+  return { title, size, domainMin, domainMax, table: Float32Array.from(values) };
+}
+
+/**
+ * Read and parse a local .cube file
+ * @param {string} filePath - Path to the file (relative paths resolve from the working directory)
+ * @returns {Promise<Object>} Parsed LUT (see parseCubeLut)
+ * @throws {Error} If the file can't be read or is malformed
+ */
+export async function loadCubeLut(filePath) {
+  const resolved = path.resolve(filePath);
+  const text = await readFile(resolved, 'utf8');
+  return parseCubeLut(text, path.basename(resolved));
+}
+
+/**
+ * Build a LUT by evaluating a color transform on a size³ grid
+ * @param {Function} transform - (r, g, b) => [r, g, b], all 0-1
+ * @param {number} [size=33] - Grid points per axis
+ * @param {string|null} [title=null] - LUT title
+ * @returns {Object} LUT in the same shape as parseCubeLut()
+ */
+export function buildLut(transform, size = 33, title = null) {
+  const table = new Float32Array(size * size * size * 3);
+  let offset = 0;
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const color = transform(r / (size - 1), g / (size - 1), b / (size - 1));
+        table[offset++] = color[0];
+        table[offset++] = color[1];
+        table[offset++] = color[2];
+      }
+    }
+  }
+  return { title, size, domainMin: [0, 0, 0], domainMax: [1, 1, 1], table };
+}
+
+/**
+ * Trilinear sample of a LUT
+ * @param {Object} lut - LUT from parseCubeLut() or buildLut()
+ * @param {number} r - Red (0-1)
+ * @param {number} g - Green (0-1)
+ * @param {number} b - Blue (0-1)
+ * @param {Array<number>} result - Receives [r, g, b]
+ */
+export function sampleLut({ size, domainMin, domainMax, table }, r, g, b, result) {
+  const max = size - 1;
+  const coordinate = (value, c) => {
+    const t = (value - domainMin[c]) / (domainMax[c] - domainMin[c]);
+    return Math.max(0, Math.min(max, t * max));
+  };
+
+  const x = coordinate(r, 0);
+  const y = coordinate(g, 1);
+  const z = coordinate(b, 2);
+  const x0 = Math.min(max - 1, Math.floor(x));
+  const y0 = Math.min(max - 1, Math.floor(y));
+  const z0 = Math.min(max - 1, Math.floor(z));
+  const fx = x - x0;
+  const fy = y - y0;
+  const fz = z - z0;
+
+  // Table offsets of the 8 surrounding grid points (+x is the next row of 3)
+  const dy = size * 3;
+  const dz = size * size * 3;
+  const i000 = ((z0 * size + y0) * size + x0) * 3;
+  const i010 = i000 + dy;
+  const i001 = i000 + dz;
+  const i011 = i001 + dy;
+
+  for (let c = 0; c < 3; c++) {
+    const c00 = table[i000 + c] + (table[i000 + 3 + c] - table[i000 + c]) * fx;
+    const c10 = table[i010 + c] + (table[i010 + 3 + c] - table[i010 + c]) * fx;
+    const c01 = table[i001 + c] + (table[i001 + 3 + c] - table[i001 + c]) * fx;
+    const c11 = table[i011 + c] + (table[i011 + 3 + c] - table[i011 + c]) * fx;
+    const c0 = c00 + (c10 - c00) * fy;
+    const c1 = c01 + (c11 - c01) * fy;
+    result[c] = c0 + (c1 - c0) * fz;
+  }
+}
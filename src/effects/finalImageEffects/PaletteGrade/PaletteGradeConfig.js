@@ -0,0 +1,109 @@
+/**
+ * Palette Grade Configuration
+ *
+ * Parameters for the final-image color grade, applied in this order:
+ * - Lift / gamma / gain (per channel or all channels)
+ * - 3D LUT: a local .cube file or a built-in palette, mixed by lutStrength
+ * - Vignette
+ */
+
+import { EffectConfig } from 'my-nft-gen/src/core/layer/EffectConfig.js';
+import { PALETTE_IDS, resolvePaletteId } from './PaletteLuts.js';
+
+/**
+ * @private
+ */
+function isChannelValue(value, check) {
+  if (Array.isArray(value)) return value.length === 3 && value.every(check);
+  return check(value);
+}
+
+export class PaletteGradeConfig extends EffectConfig {
+  constructor({
+    // ====== LUT ======
+    palette = 'alchemical-gold',           // Built-in palette id or name ('none' = no palette)
+    lutFile = null,                        // Path to a local .cube file (takes precedence over palette)
+    lutStrength = 1.0,                     // 0 = ungraded, 1 = full LUT
+
+    // ====== LIFT / GAMMA / GAIN ======
+    lift = 0,                              // Raises (or crushes) the blacks: number or [r, g, b], -1 to 1
+    gamma = 1,                             // Midtone power: number or [r, g, b], > 1 brightens
+    gain = 1,                              // Scales the whites: number or [r, g, b]
+
+    // ====== VIGNETTE ======
+    vignetteAmount = 0.25,                 // Darkening at the corners (0 = off)
+    vignetteRadius = 0.7,                  // Where the falloff starts (fraction of the half diagonal)
+    vignetteSoftness = 0.5,                // Width of the falloff (fraction of the half diagonal)
+  } = {}) {
+    super();
+
+    this.palette = palette;
+    this.lutFile = lutFile;
+    this.lutStrength = lutStrength;
+
+    this.lift = lift;
+    this.gamma = gamma;
+    this.gain = gain;
+
+    this.vignetteAmount = vignetteAmount;
+    this.vignetteRadius = vignetteRadius;
+    this.vignetteSoftness = vignetteSoftness;
+  }
+
+  /**
+   * Validate this configuration instance
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  validate() {
+    return PaletteGradeConfig.validate(this);
+  }
+
+  /**
+   * Static validation method
+   * @static
+   * @param {PaletteGradeConfig} config - Configuration to validate
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  static validate(config) {
+    const errors = [];
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+    if (!config) {
+      errors.push('Configuration is required');
+      return { valid: false, errors };
+    }
+
+    if (config.palette !== null && config.palette !== 'none' && !resolvePaletteId(config.palette)) {
+      errors.push(`palette must be one of ${PALETTE_IDS.join(', ')} or 'none', got ${JSON.stringify(config.palette)}`);
+    }
+    if (config.lutFile !== null && (typeof config.lutFile !== 'string' || !config.lutFile.toLowerCase().endsWith('.cube'))) {
+      errors.push('lutFile must be null or a path to a .cube file');
+    }
+    if (!inRange(config.lutStrength, 0, 1)) {
+      errors.push('lutStrength must be a number between 0 and 1');
+    }
+    if (!isChannelValue(config.lift, value => inRange(value, -1, 1))) {
+      errors.push('lift must be a number between -1 and 1 or an [r, g, b] array of them');
+    }
+    if (!isChannelValue(config.gamma, value => inRange(value, 0.1, 10))) {
+      errors.push('gamma must be a number between 0.1 and 10 or an [r, g, b] array of them');
+    }
+    if (!isChannelValue(config.gain, value => inRange(value, 0, 4))) {
+      errors.push('gain must be a number between 0 and 4 or an [r, g, b] array of them');
+    }
+    if (!inRange(config.vignetteAmount, 0, 1)) {
+      errors.push('vignetteAmount must be a number between 0 and 1');
+    }
+    if (!inRange(config.vignetteRadius, 0, 2)) {
+      errors.push('vignetteRadius must be a number between 0 and 2');
+    }
+    if (!inRange(config.vignetteSoftness, 0.01, 2)) {
+      errors.push('vignetteSoftness must be a number between 0.01 and 2');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
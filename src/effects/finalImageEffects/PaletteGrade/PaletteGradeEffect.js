@@ -0,0 +1,244 @@
+/**
+ * Palette Grade Effect
+ *
+ * Final-image color grade that gives a collection one finished look across effects:
+ * 1. Lift / gamma / gain - out = (gain * (x + lift * (1 - x)))^(1 / gamma), per channel
+ * 2. LUT - a local .cube file or a built-in palette (Alchemical Gold, Astral Violet,
+ *    Chakra Rainbow), sampled trilinearly and mixed in by lutStrength
+ * 3. Vignette - smooth darkening toward the corners
+ *
+ * The LUT is loaded once per instance. A .cube file that can't be read or parsed is
+ * reported with a warning and the configured palette is used instead.
+ */
+
+import { LayerEffect } from 'my-nft-gen/src/core/layer/LayerEffect.js';
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { LayerPixels } from '../../base/LayerPixels.js';
+import { loadCubeLut, sampleLut } from './CubeLut.js';
+import { getPaletteLut } from './PaletteLuts.js';
+import { PaletteGradeConfig } from './PaletteGradeConfig.js';
+
+/**
+ * PaletteGradeEffect - LUT palette, lift/gamma/gain and vignette
+ *
+ * @class PaletteGradeEffect
+ * @extends LayerEffect
+ *
+ * @example
+ * const effect = new PaletteGradeEffect({
+ *   config: new PaletteGradeConfig({ palette: 'Astral Violet', vignetteAmount: 0.3 }),
+ *   settings: new Settings()
+ * });
+ * await effect.invoke(layer, 0, 1);
+ */
+export class PaletteGradeEffect extends LayerEffect {
+  static _name_ = 'palette-grade';
+  static _displayName_ = 'Palette Grade';
+  static _description_ = 'Final color grade: 3D LUT from a .cube file or a built-in mystic palette, plus lift/gamma/gain and vignette';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'final', 'post-process', 'image', 'color-grading', 'lut', 'vignette'];
+
+  // Presets - set at registration (see src/index.js)
+  static presets = [];
+
+  /**
+   * Get all available presets for this effect
+   * @static
+   * @returns {Array<Object>} Array of preset definitions
+   */
+  static getPresets() {
+    return this.presets || [];
+  }
+
+  /**
+   * Get a specific preset by name
+   * @static
+   * @param {string} presetName - Name of the preset
+   * @returns {Object|null} Preset definition or null if not found
+   */
+  static getPreset(presetName) {
+    return this.presets?.find(p => p.name === presetName) || null;
+  }
+
+  /**
+   * Get a random preset based on percentChance weights
+   * @static
+   * @returns {Object|null} Randomly selected preset or null if no presets
+   */
+  static getRandomPreset() {
+    if (!this.presets || this.presets.length === 0) return null;
+
+    const totalChance = this.presets.reduce((sum, p) => sum + (p.percentChance || 0), 0);
+    let random = Math.random() * totalChance;
+
+    for (const preset of this.presets) {
+      random -= (preset.percentChance || 0);
+      if (random <= 0) return preset;
+    }
+
+    return this.presets[this.presets.length - 1];
+  }
+
+  /**
+   * Creates an instance of PaletteGradeEffect
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Effect name (defaults to _name_)
+   * @param {PaletteGradeConfig|Object} options.config - Effect configuration (plain objects are wrapped)
+   * @param {Settings} options.settings - Framework settings
+   * @param {Array<LayerEffect>} options.additionalEffects - Chained effects (optional)
+   * @param {boolean} options.ignoreAdditionalEffects - Skip additional effects (default: false)
+   */
+  constructor({
+    name = PaletteGradeEffect._name_,
+    config = new PaletteGradeConfig({}),
+    settings = new Settings({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    ...rest
+  } = {}) {
+    if (!(config instanceof PaletteGradeConfig)) {
+      config = new PaletteGradeConfig(config);
+    }
+
+    super({
+      name,
+      config,
+      settings,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      ...rest
+    });
+
+    // Resolved on first invoke (the .cube file is read once)
+    this.lutPromise = null;
+  }
+
+  /**
+   * Apply the grade to the complete composed image
+   * @async
+   * @param {Object} layer - The fully composed layer (primary + secondary effects)
+   * @param {number} currentFrame - Current frame number
+   * @param {number} numberOfFrames - Total number of frames
+   * @returns {Promise<void>}
+   * @throws {Error} If configuration is invalid
+   */
+  async invoke(layer, currentFrame, numberOfFrames) {
+    try {
+      const validation = PaletteGradeConfig.validate(this.config);
+      if (!validation.valid) {
+        throw new Error(`Invalid configuration: ${validation.errors.join(', ')}`);
+      }
+
+      this.lutPromise ??= this.loadLut();
+      const lut = await this.lutPromise;
+
+      const pixels = await LayerPixels.read(layer);
+      this.#grade(pixels, lut);
+      await LayerPixels.write(layer, pixels);
+
+      await super.invoke(layer, currentFrame, numberOfFrames);
+    } catch (error) {
+      console.error(`Error in ${this.constructor._name_}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the LUT: the .cube file if set and readable, otherwise the palette
+   * @async
+   * @returns {Promise<Object|null>} LUT, or null for no LUT
+   */
+  async loadLut() {
+    const { lutFile, palette } = this.config;
+    if (lutFile) {
+      try {
+        return await loadCubeLut(lutFile);
+      } catch (error) {
+        console.warn(`⚠️ Palette Grade: could not load LUT "${lutFile}" (${error.message}), using palette "${palette}"`);
+      }
+    }
+    return palette && palette !== 'none' ? getPaletteLut(palette) : null;
+  }
+
+  /**
+   * Get a human-readable description of the effect's current state
+   * @returns {string} Description including effect name and key config values
+   */
+  getInfo() {
+    const { lutFile, palette, lutStrength, lift, gamma, gain, vignetteAmount } = this.config;
+    const format = value => (Array.isArray(value) ? `[${value.join(', ')}]` : value);
+    return `${this.constructor._displayName_} (${this.constructor._name_}): lut=${lutFile || palette}, strength=${lutStrength}, lift=${format(lift)}, gamma=${format(gamma)}, gain=${format(gain)}, vignette=${vignetteAmount}`;
+  }
+
+  /**
+   * Lift/gamma/gain lookup per channel for 8-bit input
+   * @static
+   * @param {number|Array<number>} lift - Lift (number or [r, g, b])
+   * @param {number|Array<number>} gamma - Gamma (number or [r, g, b])
+   * @param {number|Array<number>} gain - Gain (number or [r, g, b])
+   * @returns {Array<Float32Array>} Three 256-entry tables of 0-1 values
+   */
+  static buildToneCurves(lift, gamma, gain) {
+    const channel = (value, c) => (Array.isArray(value) ? value[c] : value);
+    return [0, 1, 2].map(c => {
+      const l = channel(lift, c);
+      const inverseGamma = 1 / channel(gamma, c);
+      const g = channel(gain, c);
+      const curve = new Float32Array(256);
+      for (let v = 0; v < 256; v++) {
+        const x = v / 255;
+        const lifted = Math.max(0, Math.min(1, g * (x + l * (1 - x))));
+        curve[v] = Math.pow(lifted, inverseGamma);
+      }
+      return curve;
+    });
+  }
+
+  /**
+   * Grade the pixels in place
+   * @private
+   * @param {Object} pixels - RGBA pixels as returned by LayerPixels.read()
+   * @param {Object|null} lut - LUT to apply
+   */
+  #grade({ data, width, height }, lut) {
+    const { lift, gamma, gain, lutStrength, vignetteAmount, vignetteRadius, vignetteSoftness } = this.config;
+    const curves = PaletteGradeEffect.buildToneCurves(lift, gamma, gain);
+    const useLut = lut && lutStrength > 0;
+    const graded = [0, 0, 0];
+
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+    const halfDiagonal = Math.hypot(cx, cy) || 1;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] === 0) continue;
+
+        let r = curves[0][data[i]];
+        let g = curves[1][data[i + 1]];
+        let b = curves[2][data[i + 2]];
+
+        if (useLut) {
+          sampleLut(lut, r, g, b, graded);
+          r += (graded[0] - r) * lutStrength;
+          g += (graded[1] - g) * lutStrength;
+          b += (graded[2] - b) * lutStrength;
+        }
+
+        if (vignetteAmount > 0) {
+          const t = Math.max(0, Math.min(1, (Math.hypot(x - cx, y - cy) / halfDiagonal - vignetteRadius) / vignetteSoftness));
+          const shade = 1 - vignetteAmount * t * t * (3 - 2 * t);
+          r *= shade;
+          g *= shade;
+          b *= shade;
+        }
+
+        data[i] = Math.round(Math.max(0, Math.min(1, r)) * 255);
+        data[i + 1] = Math.round(Math.max(0, Math.min(1, g)) * 255);
+        data[i + 2] = Math.round(Math.max(0, Math.min(1, b)) * 255);
+      }
+    }
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Palette LUTs
+ *
+ * Built-in palettes for PaletteGradeEffect, generated as 3D LUTs on first use:
+ * - Alchemical Gold: umber shadows, gold mids, pale gold highlights
+ * - Astral Violet: midnight shadows, violet mids, lavender highlights
+ * - Chakra Rainbow: hues drawn toward the seven chakra colors, saturation lifted
+ *
+ * Palettes are looked up by id ('alchemical-gold') or display name ('Alchemical Gold').
+ */
+
+import { ParameterTrackEngine } from '../../base/ParameterTrackEngine.js';
+import { buildLut } from './CubeLut.js';
+
+const PALETTE_LUT_SIZE = 33;
+
+/**
+ * Rec. 709 luminance
+ * @private
+ */
+function luminance(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Gradient-map transform: luminance picks a color along the stops,
+ * preserveChroma keeps that much of the source's color difference
+ * @private
+ * @param {Array<{at: number, color: string}>} stops - Gradient stops (at ascending 0-1)
+ * @param {number} preserveChroma - 0 = pure gradient map, 1 = keep all source chroma
+ * @returns {Function} (r, g, b) => [r, g, b]
+ */
+function gradientMap(stops, preserveChroma) {
+  const resolved = stops.map(({ at, color }) => {
+    const { r, g, b } = ParameterTrackEngine.hexToRgb(color);
+    return { at, rgb: [r / 255, g / 255, b / 255] };
+  });
+
+  return (r, g, b) => {
+    const y = luminance(r, g, b);
+    let upper = resolved.findIndex(stop => stop.at >= y);
+    if (upper <= 0) upper = upper === 0 ? 1 : resolved.length - 1;
+    const low = resolved[upper - 1];
+    const high = resolved[upper];
+    const t = Math.max(0, Math.min(1, (y - low.at) / ((high.at - low.at) || 1)));
+
+    const source = [r, g, b];
+    return low.rgb.map((value, c) => {
+      const mapped = value + (high.rgb[c] - value) * t;
+      return Math.max(0, Math.min(1, mapped + (source[c] - y) * preserveChroma));
+    });
+  };
+}
+
+/**
+ * Convert RGB (0-1) to HSL (h in degrees)
+ * @private
+ */
+function rgbToHsl(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = ((g - b) / d + (g < b ? 6 : 0)) * 60;
+  else if (max === g) h = ((b - r) / d + 2) * 60;
+  else h = ((r - g) / d + 4) * 60;
+  return { h, s, l };
+}
+
+/**
+ * Convert HSL (h in degrees) to RGB (0-1)
+ * @private
+ */
+function hslToRgb(h, s, l) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const hp = (((h % 360) + 360) % 360) / 60;
+  const x = c * (1 - Math.abs((hp % 2) - 1));
+  const m = l - c / 2;
+  const [r, g, b] = hp < 1 ? [c, x, 0] : hp < 2 ? [x, c, 0] : hp < 3 ? [0, c, x] : hp < 4 ? [0, x, c] : hp < 5 ? [x, 0, c] : [c, 0, x];
+  return [r + m, g + m, b + m];
+}
+
+/**
+ * Hue-attractor transform: hues are pulled toward the nearest anchor hue with a smooth,
+ * monotonic curve (no banding at the midpoints), saturation is scaled
+ * @private
+ * @param {Array<number>} anchors - Anchor hues in degrees (ascending)
+ * @param {number} pull - 0 = hues unchanged, 1 = strongest pull that stays monotonic
+ * @param {number} saturation - Saturation multiplier
+ * @returns {Function} (r, g, b) => [r, g, b]
+ */
+function hueAttractor(anchors, pull, saturation) {
+  const ring = [...anchors, anchors[0] + 360];
+
+  return (r, g, b) => {
+    const { h, s, l } = rgbToHsl(r, g, b);
+    const hue = h < ring[0] ? h + 360 : h;
+
+    let segment = ring.length - 2;
+    for (let i = 0; i < ring.length - 1; i++) {
+      if (hue >= ring[i] && hue < ring[i + 1]) {
+        segment = i;
+        break;
+      }
+    }
+    const start = ring[segment];
+    const span = ring[segment + 1] - start;
+    const t = (hue - start) / span;
+    const pulled = t - (pull * Math.sin(t * Math.PI * 2)) / (Math.PI * 2);
+
+    return hslToRgb(start + pulled * span, Math.min(1, s * saturation), l);
+  };
+}
+
+/**
+ * Built-in palette definitions
+ */
+export const PALETTES = {
+  'alchemical-gold': {
+    name: 'Alchemical Gold',
+    description: 'Umber shadows, gold mids and pale gold highlights',
+    transform: gradientMap([
+      { at: 0.0, color: '#0E0904' },
+      { at: 0.3, color: '#4A2C12' },
+      { at: 0.65, color: '#C8962E' },
+      { at: 1.0, color: '#FFF4D6' },
+    ], 0.2),
+  },
+  'astral-violet': {
+    name: 'Astral Violet',
+    description: 'Midnight shadows, violet mids and lavender highlights',
+    transform: gradientMap([
+      { at: 0.0, color: '#07041A' },
+      { at: 0.35, color: '#2E1A6B' },
+      { at: 0.7, color: '#8E5FD8' },
+      { at: 1.0, color: '#F3EBFF' },
+    ], 0.25),
+  },
+  'chakra-rainbow': {
+    name: 'Chakra Rainbow',
+    description: 'Hues drawn toward the seven chakra colors with lifted saturation',
+    // Root, sacral, solar plexus, heart, throat, third eye, crown
+    transform: hueAttractor([0, 28, 55, 125, 200, 245, 280], 0.85, 1.25),
+  },
+};
+
+/**
+ * Ids of the built-in palettes
+ */
+export const PALETTE_IDS = Object.keys(PALETTES);
+
+const lutCache = new Map();
+
+/**
+ * Normalize a palette id or display name to its id
+ * @param {string} name - Palette id ('astral-violet') or display name ('Astral Violet')
+ * @returns {string|null} Palette id, or null if unknown
+ */
+export function resolvePaletteId(name) {
+  if (typeof name !== 'string') return null;
+  const id = name.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return PALETTES[id] ? id : null;
+}
+
+/**
+ * Get the 3D LUT of a built-in palette (built once per process)
+ * @param {string} name - Palette id or display name
+ * @returns {Object|null} LUT (see CubeLut.buildLut), or null if the palette is unknown
+ */
+export function getPaletteLut(name) {
+  const id = resolvePaletteId(name);
+  if (!id) return null;
+
+  if (!lutCache.has(id)) {
+    lutCache.set(id, buildLut(PALETTES[id].transform, PALETTE_LUT_SIZE, PALETTES[id].name));
+  }
+  return lutCache.get(id);
+}
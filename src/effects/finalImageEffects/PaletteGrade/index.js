@@ -0,0 +1,37 @@
+/**
+ * Palette Grade - Complete Module
+ *
+ * Core Effect:
+ * - PaletteGradeEffect: Lift/gamma/gain, 3D LUT and vignette on the final image
+ *
+ * Configuration:
+ * - PaletteGradeConfig: LUT source, tone and vignette parameters with validation
+ *
+ * LUTs:
+ * - CubeLut: .cube parsing/loading, LUT building and trilinear sampling
+ * - PaletteLuts: Built-in palettes (Alchemical Gold, Astral Violet, Chakra Rainbow)
+ *
+ * Presets (4 finished looks):
+ * - ALCHEMICAL_GOLD: Umber-to-gold grade
+ * - ASTRAL_VIOLET: Midnight-to-lavender grade
+ * - CHAKRA_RAINBOW: Hues pulled toward the chakra colors
+ * - SOFT_FILM: Palette-free film grade
+ */
+
+// Core Effect
+export { PaletteGradeEffect } from './PaletteGradeEffect.js';
+
+// Configuration
+export { PaletteGradeConfig } from './PaletteGradeConfig.js';
+
+// LUTs
+export { parseCubeLut, loadCubeLut, buildLut, sampleLut } from './CubeLut.js';
+export { PALETTES, PALETTE_IDS, resolvePaletteId, getPaletteLut } from './PaletteLuts.js';
+
+// Presets
+export {
+  ALCHEMICAL_GOLD,
+  ASTRAL_VIOLET,
+  CHAKRA_RAINBOW,
+  SOFT_FILM,
+} from './presets/index.js';
@@ -0,0 +1,74 @@
+/**
+ * Palette Grade Presets
+ *
+ * One finished look per built-in palette, plus a palette-free film grade.
+ * Set lutFile on any of them to grade with a .cube file instead.
+ */
+
+/**
+ * PRESET 1: ALCHEMICAL_GOLD
+ * Theme: Umber-to-gold gradient with warm lifted blacks
+ * Vibe: Ancient manuscript, gilded
+ */
+export const ALCHEMICAL_GOLD = {
+  palette: 'alchemical-gold',
+  lutFile: null,
+  lutStrength: 0.85,
+  lift: [0.03, 0.015, 0],
+  gamma: 1.05,
+  gain: 1.0,
+  vignetteAmount: 0.35,
+  vignetteRadius: 0.6,
+  vignetteSoftness: 0.5,
+};
+
+/**
+ * PRESET 2: ASTRAL_VIOLET
+ * Theme: Midnight-to-lavender gradient with cool shadows
+ * Vibe: Night sky, astral plane
+ */
+export const ASTRAL_VIOLET = {
+  palette: 'astral-violet',
+  lutFile: null,
+  lutStrength: 0.8,
+  lift: [0.01, 0, 0.04],
+  gamma: 1.0,
+  gain: [0.98, 0.96, 1.04],
+  vignetteAmount: 0.4,
+  vignetteRadius: 0.55,
+  vignetteSoftness: 0.6,
+};
+
+/**
+ * PRESET 3: CHAKRA_RAINBOW
+ * Theme: Every hue pulled toward its chakra color, saturated and punchy
+ * Vibe: Vivid, energetic
+ */
+export const CHAKRA_RAINBOW = {
+  palette: 'chakra-rainbow',
+  lutFile: null,
+  lutStrength: 1.0,
+  lift: 0,
+  gamma: 0.95,
+  gain: 1.05,
+  vignetteAmount: 0.2,
+  vignetteRadius: 0.7,
+  vignetteSoftness: 0.5,
+};
+
+/**
+ * PRESET 4: SOFT_FILM
+ * Theme: No palette - gently lifted blacks, softened highlights and a light vignette
+ * Vibe: Neutral, cinematic
+ */
+export const SOFT_FILM = {
+  palette: 'none',
+  lutFile: null,
+  lutStrength: 1.0,
+  lift: 0.04,
+  gamma: 1.1,
+  gain: 0.95,
+  vignetteAmount: 0.25,
+  vignetteRadius: 0.65,
+  vignetteSoftness: 0.5,
+};
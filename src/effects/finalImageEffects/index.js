@@ -7,9 +7,12 @@
  * Export all final effect classes here for registration.
  */
 
-// Example: Import your custom final effects
-// import { AstralVeilEffect } from './astralVeil/AstralVeilEffect.js';
-// import { DimensionalRiftEffect } from './dimensionalRift/DimensionalRiftEffect.js';
+// Palette Grade Effect
+import { PaletteGradeEffect } from './PaletteGrade/PaletteGradeEffect.js';
+import { PaletteGradeConfig } from './PaletteGrade/PaletteGradeConfig.js';
 
 // Export them for registration
-// export { AstralVeilEffect, DimensionalRiftEffect };
\ No newline at end of file
+export {
+  PaletteGradeEffect,
+  PaletteGradeConfig,
+};
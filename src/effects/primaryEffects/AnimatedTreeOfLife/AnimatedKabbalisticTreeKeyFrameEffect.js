@@ -21,10 +21,11 @@
 import {Settings} from 'my-nft-gen/src/core/Settings.js';
 import {PhaseAnimatedPolygonEffect} from '../../base/PhaseAnimatedPolygonEffect.js';
 import {AnimatedTreeOfLifeConfig} from './AnimatedTreeOfLifeConfig.js';
-import {SEPHIROTH_POSITIONS, PATHS_CONNECTIONS} from './SephirothGeometry.js';
+import {getTreeLayout} from './SephirothGeometry.js';
 import {EnergyPulseEngine} from './EnergyPulseEngine.js';
 import {MysticSymbolsEngine} from './MysticSymbolsEngine.js';
 import {DetailedGeometryEngine} from './DetailedGeometryEngine.js';
+import {getLetterGlyph} from './HebrewLetterGlyphs.js';
 
 export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonEffect {
     static _name_ = 'animated-tree-of-life';
@@ -88,7 +89,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @returns {Array} Array of node objects with {x, y, id, color, glowColor}
      */
     getNodePositions() {
-        return Object.values(SEPHIROTH_POSITIONS);
+        return Object.values(this.#getLayout().nodes);
     }
 
     /**
@@ -98,34 +99,74 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @returns {Array} Array of path objects with {start, end} node IDs
      */
     getPathConnections() {
-        return PATHS_CONNECTIONS;
+        return this.#getLayout().paths;
     }
 
     /**
-     * Pre-generate hook: apply random enum selections and size scales
-     * Called once in base class constructor
+     * Active Tree layout (config.treeLayout / config.includeDaat), resolved once
+     * @private
+     * @returns {{key: string, name: string, nodes: Object, paths: Array}}
+     */
+    #getLayout() {
+        if (!this.treeLayout) {
+            this.treeLayout = getTreeLayout(this.config.treeLayout || 'hermetic', {
+                includeDaat: Boolean(this.config.includeDaat),
+            });
+        }
+        return this.treeLayout;
+    }
+
+    /**
+     * Pre-generate hook: apply random enum selections
+     * Called once in base class constructor. Picks are written back to the config (picking
+     * from a single value returns it unchanged), so a config rebuilt from the recorded one
+     * renders the same frames. Size scales are applied where the sizes are read, never
+     * written back, or a rebuilt config would be scaled twice.
+     * Each node's activation easing is resolved into config.nodeActivationEasing: its own
+     * entry if it has one, otherwise a pick from activationEasing.
      * @protected
      */
     generate() {
-        // Apply random easing selections to config for deterministic variation
+        // Apply seeded random easing selections to config for deterministic variation
         const easingConfig = {
-            awakeningEasing: AnimatedTreeOfLifeConfig.pickRandom(this.config.awakeningEasing),
-            ascensionEasing: AnimatedTreeOfLifeConfig.pickRandom(this.config.ascensionEasing),
-            radianceEasing: AnimatedTreeOfLifeConfig.pickRandom(this.config.radianceEasing),
-            descentEasing: AnimatedTreeOfLifeConfig.pickRandom(this.config.descentEasing),
+            awakeningEasing: AnimatedTreeOfLifeConfig.pickRandom(this.config.awakeningEasing, this.random.next),
+            ascensionEasing: AnimatedTreeOfLifeConfig.pickRandom(this.config.ascensionEasing, this.random.next),
+            radianceEasing: AnimatedTreeOfLifeConfig.pickRandom(this.config.radianceEasing, this.random.next),
+            descentEasing: AnimatedTreeOfLifeConfig.pickRandom(this.config.descentEasing, this.random.next),
         };
 
-        // Get size scale multipliers
-        const energyPulseSizeScale = this.config.energyPulseSizeScale || 1.0;
-        const mysticSymbolSizeScale = this.config.mysticSymbolSizeScale || 1.0;
-
         // Apply to config
         Object.assign(this.config, easingConfig, {
-            layerBlendMode: AnimatedTreeOfLifeConfig.pickRandom(this.config.layerBlendMode),
-            pulseSpiralRadius: (this.config.pulseSpiralRadius || 50) * energyPulseSizeScale,
-            pulseAuraWidth: (this.config.pulseAuraWidth || 0.15) * energyPulseSizeScale,
-            symbolGlowSize: (this.config.symbolGlowSize || 8) * mysticSymbolSizeScale,
+            layerBlendMode: AnimatedTreeOfLifeConfig.pickRandom(this.config.layerBlendMode, this.random.next),
+        });
+
+        // One easing per node, drawn from its own stream so the picks above don't shift
+        // (generate() runs inside the base constructor, so #getLayout() isn't available yet)
+        this.treeLayout = getTreeLayout(this.config.treeLayout || 'hermetic', {
+            includeDaat: Boolean(this.config.includeDaat),
         });
+        const easingRandom = this.random.fork('nodeActivationEasing');
+        const nodeEasing = this.config.nodeActivationEasing || {};
+        this.config.nodeActivationEasing = Object.fromEntries(
+            Object.keys(this.treeLayout.nodes).map(key => [
+                key,
+                AnimatedTreeOfLifeConfig.pickRandom(nodeEasing[key] ?? this.config.activationEasing, easingRandom.next),
+            ])
+        );
+    }
+
+    /**
+     * Add Kether's glow to the per-phase parameters
+     * Reads `${phase}KetherGlow` (e.g. radianceKetherGlow) and rests at 1.0 in other phases,
+     * cross-fading at phase boundaries like nodeAlpha / pathIntensity
+     * @protected
+     * @returns {Object<string, number|null>} Map of parameter names to fallback values
+     */
+    getPhaseParameterFallbacks() {
+        return {
+            ...super.getPhaseParameterFallbacks(),
+            ketherGlow: 1.0,
+        };
     }
 
     /**
@@ -191,10 +232,11 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @private
      */
     #transformCoordinate(normalizedX, normalizedY, width, height) {
-        // Get scale and center position from config
-        const scale = this.config.scale || 1.0;
-        const centerX = this.config.centerX !== undefined ? this.config.centerX : 0.5;
-        const centerY = this.config.centerY !== undefined ? this.config.centerY : 0.5;
+        // Get scale and center position from the current frame (tracks can animate them)
+        const activeConfig = this.getActiveConfig();
+        const scale = activeConfig.scale || 1.0;
+        const centerX = activeConfig.centerX !== undefined ? activeConfig.centerX : 0.5;
+        const centerY = activeConfig.centerY !== undefined ? activeConfig.centerY : 0.5;
 
         // Translate from normalized space (0-1) to canvas space
         // First, scale the coordinates around 0.5
@@ -215,6 +257,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
     /**
      * Extract colors from ColorPicker instances with fallback defaults
      * This is critical - ColorPicker.getColor() can return undefined
+     * Color tracks replace the ColorPicker with an interpolated hex string in frameConfig
      * @private
      */
     #extractColors() {
@@ -225,11 +268,13 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
         };
 
         const settings = this.settings || new Settings({});
+        const activeConfig = this.getActiveConfig();
+        const resolve = (value, fallback) => (typeof value === 'string' ? value : value?.getColor?.(settings)) || fallback;
 
         return {
-            branchColor: this.config.branchColor?.getColor?.(settings) || defaultColors.branchColor,
-            accentColor: this.config.accentColor?.getColor?.(settings) || defaultColors.accentColor,
-            glowColor: this.config.glowColor?.getColor?.(settings) || defaultColors.glowColor,
+            branchColor: resolve(activeConfig.branchColor, defaultColors.branchColor),
+            accentColor: resolve(activeConfig.accentColor, defaultColors.accentColor),
+            glowColor: resolve(activeConfig.glowColor, defaultColors.glowColor),
         };
     }
 
@@ -246,13 +291,17 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
             const nodeAlpha = animConfig.nodeAlpha || 0.8;
             const pathIntensity = animConfig.pathIntensity || 0.8;
             const ketherGlow = animConfig.ketherGlow || 1.0;
-            const nodeSize = this.config.nodeSize || 20;
-            const nodeGlowSize = this.config.nodeGlowSize || 25;
-            const pathThickness = (this.config.pathThickness || 2) * (this.config.pathSizeScale || 1.0);
+            const nodeSize = animConfig.nodeSize || 20;
+            const nodeGlowSize = animConfig.nodeGlowSize || 25;
+            const pathThickness = (animConfig.pathThickness || 2) * (animConfig.pathSizeScale || 1.0);
             
             // Get current phase for animations (from base class)
             const phase = this.getCurrentPhase(progress);
 
+            // Staggered activation: node id → local progress within the phase (null = all nodes in unison)
+            const phaseProgress = this.getPhaseProgress(progress, phase);
+            const nodeActivation = this.#getNodeActivation(this.getNodePositions(), phase, phaseProgress);
+
             // ===== RENDER ATMOSPHERIC FUZZ LAYER =====
             // Add scattered energy particles for visual complexity
             await this.#renderAtmosphericFuzz(canvas, width, height, colors, progress, pathIntensity);
@@ -263,17 +312,36 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
             }
 
             // ===== RENDER PATHS (connections) =====
-            for (let pathIndex = 0; pathIndex < (animConfig.pathAnimationOrder || PATHS_CONNECTIONS).length; pathIndex++) {
-                const path = (animConfig.pathAnimationOrder || PATHS_CONNECTIONS)[pathIndex];
+            const pathLetters = [];
+            const paths = animConfig.pathAnimationOrder || this.getPathConnections();
+            const nodes = this.getNodePositions();
+            for (let pathIndex = 0; pathIndex < paths.length; pathIndex++) {
+                const path = paths[pathIndex];
                 const fromNodeId = path.start;
                 const toNodeId = path.end;
 
                 // Find nodes by ID
-                const fromNode = Object.values(SEPHIROTH_POSITIONS).find(n => n.id === fromNodeId);
-                const toNode = Object.values(SEPHIROTH_POSITIONS).find(n => n.id === toNodeId);
+                const fromNode = nodes.find(n => n.id === fromNodeId);
+                const toNode = nodes.find(n => n.id === toNodeId);
 
                 if (!fromNode || !toNode) continue;
 
+                // A path lights up once both of its endpoints have activated,
+                // following the curve of the endpoint that activates last
+                let pathAlpha = pathIntensity;
+                if (nodeActivation) {
+                    const fromProgress = nodeActivation.get(fromNode.id) ?? 1;
+                    const toProgress = nodeActivation.get(toNode.id) ?? 1;
+                    pathAlpha = this.#getStaggeredValue(
+                        'pathIntensity',
+                        pathIntensity,
+                        phase,
+                        phaseProgress,
+                        Math.min(fromProgress, toProgress),
+                        this.#getNodeEasing(fromProgress <= toProgress ? fromNode : toNode)
+                    );
+                }
+
                 // Apply scale and center transformation
                 const pos1 = this.#transformCoordinate(fromNode.x, fromNode.y, width, height);
                 const x1 = pos1.x;
@@ -290,15 +358,18 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
                     colors.branchColor,         // Path color
                     0,                          // No outer stroke
                     null,
-                    pathIntensity               // Animated alpha based on phase
+                    pathAlpha                   // Animated alpha based on phase and activation order
                 );
+
+                // Letters are drawn after all paths so no line crosses over them
+                pathLetters.push({ path, pathIndex, x: (x1 + x2) / 2, y: (y1 + y2) / 2, alpha: pathAlpha });
                 
                 // ===== RENDER PATH ENERGY WAVES =====
                 if (this.config.enableEnergyPulses) {
                     const wavePulse = this.energyPulseEngine.getWavePulse(
                         progress, 
                         pathIndex, 
-                        PATHS_CONNECTIONS.length
+                        paths.length
                     );
                     
                     if (wavePulse.intensity > 0.01) {
@@ -320,7 +391,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
                     const tracers = this.energyPulseEngine.getPathTracer(
                         progress,
                         pathIndex,
-                        PATHS_CONNECTIONS.length
+                        paths.length
                     );
                     
                     for (const tracer of tracers) {
@@ -339,22 +410,38 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
                 }
             }
 
+            // ===== RENDER PATH LETTERS (Hebrew glyphs at path midpoints) =====
+            if (this.config.enablePathLetters &&
+                (this.config.pathLetterShowOnPhases || []).includes(phase)) {
+                for (const pathLetter of pathLetters) {
+                    await this.#renderPathLetter(canvas, pathLetter, progress, colors);
+                }
+            }
+
             // ===== RENDER PATH ENHANCEMENTS (subdivisions & interference) =====
             await this.#renderPathSubdivisions(canvas, width, height, colors, progress, pathIntensity);
             await this.#renderHarmonicInterference(canvas, width, height, colors, progress, pathIntensity);
 
             // ===== RENDER NODES (Sephiroth) =====
-            const nodeActivationOrder = animConfig.nodeActivationOrder || Object.values(SEPHIROTH_POSITIONS);
+            const frameNodeAlpha = nodeAlpha;
+            const framePathIntensity = pathIntensity;
+            const nodeActivationOrder = animConfig.nodeActivationOrder || nodes;
             
             for (const node of nodeActivationOrder) {
+                // Per-node alpha / glow intensity following activation_order[phase]
+                const localProgress = nodeActivation?.get(node.id);
+                const nodeEasing = this.#getNodeEasing(node);
+                const nodeAlpha = this.#getStaggeredValue('nodeAlpha', frameNodeAlpha, phase, phaseProgress, localProgress, nodeEasing);
+                const pathIntensity = this.#getStaggeredValue('pathIntensity', framePathIntensity, phase, phaseProgress, localProgress, nodeEasing);
+
                 // Apply scale and center transformation
                 const pos = this.#transformCoordinate(node.x, node.y, width, height);
                 const x = pos.x;
                 const y = pos.y;
                 
                 // Calculate total distance from center for aura waves
-                const configCenterX = (this.config.centerX !== undefined ? this.config.centerX : 0.5) * width;
-                const configCenterY = (this.config.centerY !== undefined ? this.config.centerY : 0.5) * height;
+                const configCenterX = (animConfig.centerX !== undefined ? animConfig.centerX : 0.5) * width;
+                const configCenterY = (animConfig.centerY !== undefined ? animConfig.centerY : 0.5) * height;
                 const distFromCenter = Math.hypot(x - configCenterX, y - configCenterY) / (Math.hypot(configCenterX, configCenterY) || 1);
                 
                 // ===== RENDER AURA WAVES & ENERGY PULSES =====
@@ -510,7 +597,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
             console.log('   Phase:', phase, '| Progress:', progress.toFixed(3));
             console.log('   Energy Pulses:', this.config.enableEnergyPulses ? '✓' : '✗');
             console.log('   Mystic Symbols:', this.config.enableMysticSymbols ? '✓' : '✗');
-            console.log('   Nodes:', nodeActivationOrder.length, '| Paths:', PATHS_CONNECTIONS.length);
+            console.log('   Layout:', this.#getLayout().name, '| Nodes:', nodeActivationOrder.length, '| Paths:', paths.length);
             console.log('   Node Alpha:', nodeAlpha.toFixed(2), '| Path Intensity:', pathIntensity.toFixed(2));
             console.log('   Visual Enhancements: Fuzz ✓ | Subdivisions ✓ | Interference ✓ | Glow Layer ✓');
         } catch (error) {
@@ -519,13 +606,84 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
         }
     }
 
+    /**
+     * Per-node activation progress for staggered lighting
+     * Nodes are ranked by activation_order[phase] (Malkuth first in awakening, Kether first
+     * in ascension); each runs the phase's parameter curve over its own window.
+     * @private
+     * @param {Array} nodes - Sephiroth nodes
+     * @param {string} phase - Current phase name
+     * @param {number} phaseProgress - Progress within the phase (0-1)
+     * @returns {Map<number, number>|null} Node id → local progress, or null when the phase isn't staggered
+     */
+    #getNodeActivation(nodes, phase, phaseProgress) {
+        if (!this.config.enableStaggeredActivation) return null;
+
+        const ordered = nodes
+            .filter(node => node.activation_order?.[phase] !== undefined)
+            .sort((a, b) => a.activation_order[phase] - b.activation_order[phase]);
+
+        if (ordered.length < 2) return null;
+
+        const activation = new Map();
+        ordered.forEach((node, rank) => {
+            activation.set(
+                node.id,
+                this.getStaggeredProgress(rank, ordered.length, phaseProgress, this.config.activationStagger ?? 0.6)
+            );
+        });
+        return activation;
+    }
+
+    /**
+     * Shift a frame-wide phase value (nodeAlpha / pathIntensity) onto a node's own activation curve
+     * Applied as an offset so transitions and tracks on the frame value are preserved,
+     * and so every node agrees with the frame value at phase start and end.
+     * @private
+     * @param {string} key - Phase parameter name
+     * @param {number} frameValue - Value synthesized for the whole frame
+     * @param {string} phase - Current phase name
+     * @param {number} phaseProgress - Progress within the phase (0-1)
+     * @param {number|undefined} localProgress - Node's staggered progress (undefined = not staggered)
+     * @param {string} easing - Easing of the node's own curve
+     * @returns {number} Value for this node (0-1)
+     */
+    #getStaggeredValue(key, frameValue, phase, phaseProgress, localProgress, easing) {
+        if (localProgress === undefined) return frameValue;
+
+        const range = this.getPhaseParameterRange(phase, key);
+        if (!range) return frameValue;
+
+        const unison = this.lerp(range.from, range.to, phaseProgress, this.getPhaseEasing(phase));
+        const staggered = this.lerp(range.from, range.to, localProgress, easing);
+        return Math.max(0, Math.min(1, frameValue + staggered - unison));
+    }
+
+    /**
+     * Easing of a node's activation curve, from config.nodeActivationEasing (resolved in generate())
+     * @private
+     * @param {Object} node - Node from getNodePositions()
+     * @returns {string} Easing function name
+     */
+    #getNodeEasing(node) {
+        if (!this.nodeEasings) {
+            this.nodeEasings = new Map(
+                Object.entries(this.#getLayout().nodes).map(([key, layoutNode]) => [
+                    layoutNode.id,
+                    this.config.nodeActivationEasing?.[key] || 'linear',
+                ])
+            );
+        }
+        return this.nodeEasings.get(node.id) || 'linear';
+    }
+
     /**
      * Render atmospheric fuzz - scattered energy particles throughout the canvas
      * Creates a sense of depth and ethereal energy flow
      * @private
      */
     async #renderAtmosphericFuzz(canvas, width, height, colors, progress, baseIntensity) {
-        const fuzzDensity = this.config.fuzzDensity || 0.15; // 0-1, controls particle count
+        const fuzzDensity = this.getActiveConfig().fuzzDensity || 0.15; // 0-1, controls particle count
         const fuzzAmount = Math.max(1, Math.floor(fuzzDensity * 50)); // Scale up to reasonable number
         
         // Seeded pseudo-random for consistent animation
@@ -559,13 +717,16 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @private
      */
     async #renderPathSubdivisions(canvas, width, height, colors, progress, pathIntensity) {
-        const subdivisionIntensity = this.config.subdivisionIntensity || 0.3;
+        const subdivisionIntensity = this.getActiveConfig().subdivisionIntensity || 0.3;
         const subdivisionsPerPath = 2; // Additional soft lines per path
         
-        for (let pathIndex = 0; pathIndex < PATHS_CONNECTIONS.length; pathIndex++) {
-            const path = PATHS_CONNECTIONS[pathIndex];
-            const fromNode = Object.values(SEPHIROTH_POSITIONS).find(n => n.id === path.start);
-            const toNode = Object.values(SEPHIROTH_POSITIONS).find(n => n.id === path.end);
+        const paths = this.getPathConnections();
+        const nodes = this.getNodePositions();
+
+        for (let pathIndex = 0; pathIndex < paths.length; pathIndex++) {
+            const path = paths[pathIndex];
+            const fromNode = nodes.find(n => n.id === path.start);
+            const toNode = nodes.find(n => n.id === path.end);
             
             if (!fromNode || !toNode) continue;
             
@@ -602,13 +763,13 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @private
      */
     async #renderHarmonicInterference(canvas, width, height, colors, progress, pathIntensity) {
-        const interferenceAmount = this.config.interferenceAmount || 0.2;
+        const interferenceAmount = this.getActiveConfig().interferenceAmount || 0.2;
         
         // Sample intersection points across the tree grid
         const sampleCount = Math.max(5, Math.floor(interferenceAmount * 20));
         
         for (let i = 0; i < sampleCount; i++) {
-            const nodeArray = Object.values(SEPHIROTH_POSITIONS);
+            const nodeArray = this.getNodePositions();
             const node = nodeArray[i % nodeArray.length];
             
             // Position near each node for interference pattern
@@ -640,10 +801,10 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @private
      */
     async #renderSecondaryGlowLayer(canvas, width, height, colors, progress, pathIntensity, nodeAlpha) {
-        const glowLayerIntensity = this.config.glowLayerIntensity || 0.15;
+        const glowLayerIntensity = this.getActiveConfig().glowLayerIntensity || 0.15;
         
         // Create soft bloom effect across entire tree area
-        for (const node of Object.values(SEPHIROTH_POSITIONS)) {
+        for (const node of this.getNodePositions()) {
             const pos = this.#transformCoordinate(node.x, node.y, width, height);
             
             // Pulsating secondary glow
@@ -671,8 +832,8 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      */
     async #renderDetailedNodeGeometry(canvas, node, x, y, progress, phase, colors) {
         try {
-            const nodeSize = this.config.nodeSize || 20;
-            const complexity = this.detailedGeometryEngine.getNodeComplexity(node.id) * (this.config.nodeLayerComplexity || 0.8);
+            const nodeSize = this.getActiveConfig().nodeSize || 20;
+            const complexity = this.detailedGeometryEngine.getNodeComplexity(node.id) * (this.getActiveConfig().nodeLayerComplexity || 0.8);
             
             const layers = this.detailedGeometryEngine.getNodeLayers(node.id, progress, phase);
             
@@ -801,12 +962,15 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      */
     async #renderDetailedPathEnhancements(canvas, width, height, colors, progress, phase) {
         try {
-            const pathThickness = this.config.pathThickness || 2;
+            const pathThickness = this.getActiveConfig().pathThickness || 2;
             
-            for (let pathIndex = 0; pathIndex < PATHS_CONNECTIONS.length; pathIndex++) {
-                const path = PATHS_CONNECTIONS[pathIndex];
-                const fromNode = Object.values(SEPHIROTH_POSITIONS).find(n => n.id === path.start);
-                const toNode = Object.values(SEPHIROTH_POSITIONS).find(n => n.id === path.end);
+            const paths = this.getPathConnections();
+            const nodes = this.getNodePositions();
+
+            for (let pathIndex = 0; pathIndex < paths.length; pathIndex++) {
+                const path = paths[pathIndex];
+                const fromNode = nodes.find(n => n.id === path.start);
+                const toNode = nodes.find(n => n.id === path.end);
                 
                 if (!fromNode || !toNode) continue;
 
@@ -819,26 +983,26 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
                     pos2,
                     progress,
                     phase,
-                    PATHS_CONNECTIONS.length
+                    paths.length
                 );
 
                 // Render ribbon effect (twisted appearance)
-                if (this.config.pathRibbonEffect > 0.01) {
+                if (this.getActiveConfig().pathRibbonEffect > 0.01) {
                     await this.#renderPathRibbon(canvas, pos1, pos2, pathThickness, enhancements.ribbonEffect, colors);
                 }
 
                 // Render harmonic subdivisions
-                if (this.config.harmonicSubdivisions > 0.01) {
+                if (this.getActiveConfig().harmonicSubdivisions > 0.01) {
                     await this.#renderHarmonicPathSubdivisions(canvas, pos1, pos2, enhancements.harmonicSubdivisions, colors);
                 }
 
                 // Render thickness variations
-                if (this.config.pathRibbonEffect > 0.01) {
+                if (this.getActiveConfig().pathRibbonEffect > 0.01) {
                     await this.#renderPathThicknessVariation(canvas, pos1, pos2, pathThickness, enhancements.thicknessVariation, colors);
                 }
 
                 // Render crosshatch pattern
-                if (this.config.crosshatchIntensity > 0.01) {
+                if (this.getActiveConfig().crosshatchIntensity > 0.01) {
                     await this.#renderPathCrosshatch(canvas, pos1, pos2, enhancements.crosshatch, colors);
                 }
 
@@ -855,7 +1019,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @private
      */
     async #renderPathRibbon(canvas, pos1, pos2, thickness, ribbonEffect, colors) {
-        const ribbonIntensity = this.config.pathRibbonEffect || 0.6;
+        const ribbonIntensity = this.getActiveConfig().pathRibbonEffect || 0.6;
         const subdivisions = ribbonEffect.subdivisions || 4;
 
         const dx = pos2.x - pos1.x;
@@ -885,7 +1049,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @private
      */
     async #renderHarmonicPathSubdivisions(canvas, pos1, pos2, subdivisions, colors) {
-        const intensity = this.config.harmonicSubdivisions || 0.7;
+        const intensity = this.getActiveConfig().harmonicSubdivisions || 0.7;
 
         for (const sub of subdivisions) {
             const x = pos1.x + (pos2.x - pos1.x) * sub.position;
@@ -908,7 +1072,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @private
      */
     async #renderPathThicknessVariation(canvas, pos1, pos2, baseThickness, variations, colors) {
-        const intensity = this.config.pathRibbonEffect || 0.6;
+        const intensity = this.getActiveConfig().pathRibbonEffect || 0.6;
 
         for (let i = 0; i < variations.length - 1; i++) {
             const v1 = variations[i];
@@ -937,7 +1101,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      * @private
      */
     async #renderPathCrosshatch(canvas, pos1, pos2, hatches, colors) {
-        const intensity = this.config.crosshatchIntensity || 0.4;
+        const intensity = this.getActiveConfig().crosshatchIntensity || 0.4;
 
         for (const hatch of hatches) {
             const baseX = pos1.x + (pos2.x - pos1.x) * hatch.position;
@@ -1010,7 +1174,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
      */
     async #renderMysticSymbol(canvas, node, x, y, progress, phase, colors) {
         try {
-            const symbol = this.mysticSymbolsEngine.getSymbol(node.id);
+            const symbol = this.mysticSymbolsEngine.getNodeSymbol(node);
             if (!symbol) return;
             
             // Get phase-specific animation
@@ -1018,20 +1182,21 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
             const colorShift = this.mysticSymbolsEngine.getColorShift(phase, progress, node.id);
             
             // Calculate symbol size and position
-            const symbolRadius = (this.config.nodeSize || 20) * animation.scale;
+            const symbolRadius = (this.getActiveConfig().nodeSize || 20) * animation.scale;
             const symbolX = x;
             const symbolY = y;
-            const symbolGlowSize = this.config.symbolGlowSize || 8;
+            const symbolGlowSize = (this.getActiveConfig().symbolGlowSize || 8) * (this.getActiveConfig().mysticSymbolSizeScale || 1.0);
             
-            // Invert the node color for symbol contrast
+            // Invert the node color for symbol contrast, then apply the harmonic HSL shift
             const invertedColor = this.#invertColor(node.color);
+            const symbolColor = MysticSymbolsEngine.applyColorShift(invertedColor, colorShift);
             
             // Draw symbol glow layer
             await canvas.drawRing2d(
                 {x: symbolX, y: symbolY},
                 symbolRadius + symbolGlowSize,
                 2,
-                invertedColor,
+                symbolColor,
                 0,
                 null,
                 animation.opacity * animation.glowIntensity * 0.5
@@ -1047,7 +1212,7 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
                         symbolY,
                         symbolRadius,
                         animation,
-                        { baseColor: invertedColor, glowColor: invertedColor }
+                        { baseColor: symbolColor, glowColor: symbolColor }
                     );
                 }
             }
@@ -1056,6 +1221,55 @@ export class AnimatedKabbalisticTreeKeyFrameEffect extends PhaseAnimatedPolygonE
         }
     }
 
+    /**
+     * Render a path's Hebrew letter at its midpoint
+     * Opacity follows the path's animated intensity; size breathes with a per-path offset
+     * @private
+     */
+    async #renderPathLetter(canvas, pathLetter, progress, colors) {
+        try {
+            const glyph = getLetterGlyph(pathLetter.path.letter);
+            if (!glyph) return;
+
+            const animConfig = this.getActiveConfig();
+            const letterSize = animConfig.pathLetterSize || 10;
+            const pulseSpeed = Math.round(this.config.pathLetterPulseSpeed || 1);
+            const pulsePhase = progress * pulseSpeed + pathLetter.pathIndex / 22;
+
+            const animation = {
+                opacity: pathLetter.alpha * (animConfig.pathLetterOpacity ?? 0.9),
+                scale: 1.0 + Math.sin(pulsePhase * Math.PI * 2) * 0.08,
+                rotation: 0,                // Letters stay upright to remain legible
+            };
+
+            if (animation.opacity < 0.01) return;
+
+            // Backing disc so the letter reads over the path line
+            await canvas.drawFilledPolygon2d(
+                letterSize * 1.3,
+                {x: pathLetter.x, y: pathLetter.y},
+                32,
+                0,
+                '#000000',
+                animation.opacity * 0.5
+            );
+
+            for (const pathElement of glyph) {
+                await this.#renderSymbolPath(
+                    canvas,
+                    pathElement,
+                    pathLetter.x,
+                    pathLetter.y,
+                    letterSize,
+                    animation,
+                    { baseColor: colors.accentColor, glowColor: colors.glowColor }
+                );
+            }
+        } catch (error) {
+            console.warn('Warning rendering path letter', pathLetter.path?.letter, ':', error.message);
+        }
+    }
+
     /**
      * Render a single path element from a symbol definition
      * Transforms normalized coordinates (0-1) to canvas space and applies animations
@@ -6,23 +6,30 @@ export class AnimatedTreeOfLifeConfig extends EffectConfig {
    * Pick a random element from an array, or return the value if it's not an array
    * Used for randomly selecting enum options (easing functions, blend modes, etc.)
    * @param {Array|string|*} value - Array of options or a single value
+   * @param {Function} [random=Math.random] - Random source returning [0, 1); pass the effect's seeded generator
    * @return {string|*} - Random element from array or the value itself
    * @static
    */
-  static pickRandom(value) {
+  static pickRandom(value, random = Math.random) {
     if (Array.isArray(value)) {
-      return value[Math.floor(Math.random() * value.length)];
+      return value[Math.floor(random() * value.length)];
     }
     return value;
   }
 
   constructor({
+    // ====== TREE LAYOUT ======
+    treeLayout = 'hermetic',           // 'hermetic', 'kircher' (alias 'golden-dawn'), 'gra', 'lurianic' or 'qliphoth' (see getTreeLayoutNames)
+    includeDaat = false,               // Add Da'at as a hidden 11th sphere on the Middle Pillar
+
     // ====== PHASE TIMING & TRANSITIONS ======
     phaseAwakening_start = 0.0,        // 0-20%: Energy rises from physical
     phaseAscension_start = 0.20,       // 20-60%: Consciousness ascending
     phaseRadiance_start = 0.60,        // 60-85%: Divine manifestation
     phaseDescentstart = 0.85,          // 85-100%: Return to Malkuth
     transitionZoneWidth = 0.05,        // Width of smooth transition zones between phases (5% of animation)
+    phases = null,                     // Optional custom N-phase timeline (see PhaseAnimatedPolygonConfig)
+    tracks = null,                     // Optional keyframed parameter tracks (see ParameterTrackEngine)
 
     // ====== AWAKENING PHASE (0-20%) ======
     awakeningNodeAlpha = 0.3,
@@ -65,6 +72,12 @@ export class AnimatedTreeOfLifeConfig extends EffectConfig {
     descentPathAnimSpeed = 1.0,
     descentEasing = ['easeOutQuart', 'easeOutQuint', 'easeOutExpo', 'easeInOutBack'],
 
+    // ====== STAGGERED ACTIVATION ======
+    enableStaggeredActivation = false, // Light nodes one after another using SEPHIROTH_POSITIONS.activation_order
+    activationStagger = 0.6,           // Stagger width (0 = all nodes together, 1 = strictly one after another)
+    activationEasing = ['easeOutCubic', 'smoothstep', 'easeOutQuart'], // Each node picks its own activation easing from these
+    nodeActivationEasing = {},         // Per-node easing by layout key, e.g. { kether: 'easeInQuart', malkuth: ['linear', 'smoothstep'] }
+
     // ====== PATH ANIMATION ======
     pathThickness = 2,                 // Line thickness for paths
     pathSizeScale = 1.0,               // Scale multiplier for path size (1.0 = default, 0.5 = half, 2.0 = double)
@@ -98,6 +111,13 @@ export class AnimatedTreeOfLifeConfig extends EffectConfig {
     symbolShowOnPhases = ['awakening', 'ascension', 'radiance', 'descent'], // Which phases show symbols
     mysticSymbolSizeScale = 1.0,       // Scale multiplier for mystical symbols (1.0 = default, 0.5 = half, 2.0 = double)
 
+    // ====== PATH LETTERS ======
+    enablePathLetters = false,         // Draw each path's Hebrew letter at its midpoint
+    pathLetterSize = 10,               // Letter glyph radius in pixels
+    pathLetterOpacity = 0.9,           // Letter opacity multiplier (follows path intensity)
+    pathLetterPulseSpeed = 1,          // Letter breathing cycles per loop (must be integer)
+    pathLetterShowOnPhases = ['ascension', 'radiance', 'descent'], // Which phases show letters
+
     // ====== VISUAL ENHANCEMENTS (Detail & Fuzz) ======
     fuzzDensity = 0.15,            // Atmospheric particle density (0-1)
     subdivisionIntensity = 0.3,    // Secondary path line intensity (0-1)
@@ -124,15 +144,24 @@ export class AnimatedTreeOfLifeConfig extends EffectConfig {
     // ====== LAYER COMPOSITION ======
     layerOpacity = 1.0,
     layerBlendMode = ['screen', 'overlay', 'lighten', 'color-dodge', 'color-burn'],
+
+    // ====== RANDOMNESS ======
+    seed = null,                   // PRNG seed for generate() (null = derive from settings or pick one)
   } = {}) {
     super();
 
+    // ====== TREE LAYOUT ======
+    this.treeLayout = treeLayout;
+    this.includeDaat = includeDaat;
+
     // ====== PHASE TIMING & TRANSITIONS ======
     this.phaseAwakening_start = phaseAwakening_start;
     this.phaseAscension_start = phaseAscension_start;
     this.phaseRadiance_start = phaseRadiance_start;
     this.phaseDescentstart = phaseDescentstart;
     this.transitionZoneWidth = transitionZoneWidth;
+    this.phases = phases;
+    this.tracks = tracks;
 
     // ====== AWAKENING PHASE ======
     this.awakeningNodeAlpha = awakeningNodeAlpha;
@@ -175,6 +204,12 @@ export class AnimatedTreeOfLifeConfig extends EffectConfig {
     this.descentPathAnimSpeed = descentPathAnimSpeed;
     this.descentEasing = descentEasing;
 
+    // ====== STAGGERED ACTIVATION ======
+    this.enableStaggeredActivation = enableStaggeredActivation;
+    this.activationStagger = activationStagger;
+    this.activationEasing = activationEasing;
+    this.nodeActivationEasing = nodeActivationEasing;
+
     // ====== PATH ANIMATION ======
     this.pathThickness = pathThickness;
     this.pathSizeScale = pathSizeScale;
@@ -208,6 +243,13 @@ export class AnimatedTreeOfLifeConfig extends EffectConfig {
     this.symbolShowOnPhases = symbolShowOnPhases;
     this.mysticSymbolSizeScale = mysticSymbolSizeScale;
 
+    // ====== PATH LETTERS ======
+    this.enablePathLetters = enablePathLetters;
+    this.pathLetterSize = pathLetterSize;
+    this.pathLetterOpacity = pathLetterOpacity;
+    this.pathLetterPulseSpeed = pathLetterPulseSpeed;
+    this.pathLetterShowOnPhases = pathLetterShowOnPhases;
+
     // ====== VISUAL ENHANCEMENTS (Detail & Fuzz) ======
     this.fuzzDensity = fuzzDensity;
     this.subdivisionIntensity = subdivisionIntensity;
@@ -234,5 +276,8 @@ export class AnimatedTreeOfLifeConfig extends EffectConfig {
     // ====== LAYER COMPOSITION ======
     this.layerOpacity = layerOpacity;
     this.layerBlendMode = layerBlendMode;
+
+    // ====== RANDOMNESS ======
+    this.seed = seed;
   }
 }
\ No newline at end of file
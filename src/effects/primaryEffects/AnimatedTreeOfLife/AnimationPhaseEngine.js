@@ -4,7 +4,7 @@
  */
 
 import { AnimationInterpolator } from './AnimationInterpolator.js';
-import { getNodeActivationOrder, PATHS_CONNECTIONS } from './SephirothGeometry.js';
+import { getNodeActivationOrder, getTreeLayout } from './SephirothGeometry.js';
 
 export class AnimationPhaseEngine {
   constructor(config = {}) {
@@ -250,10 +250,11 @@ export class AnimationPhaseEngine {
     }
     
     // Node activation sequencing for this phase (determines which nodes light up in order)
-    frameConfig.nodeActivationOrder = getNodeActivationOrder(phase);
+    const layout = getTreeLayout(baseConfig.treeLayout || 'hermetic', { includeDaat: Boolean(baseConfig.includeDaat) });
+    frameConfig.nodeActivationOrder = getNodeActivationOrder(phase, layout.nodes);
     
     // Path animation order (sorted by activation sequence)
-    frameConfig.pathAnimationOrder = PATHS_CONNECTIONS.map(p => ({ ...p })).sort((a, b) => a.order - b.order);
+    frameConfig.pathAnimationOrder = layout.paths.map(p => ({ ...p })).sort((a, b) => a.order - b.order);
     
     return frameConfig;
   }
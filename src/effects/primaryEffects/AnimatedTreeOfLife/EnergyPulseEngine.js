@@ -68,7 +68,7 @@ export class EnergyPulseEngine {
    */
   getSpiralVortex(progress, nodeX, nodeY, nodeId) {
     const spiralSpeed = this.config.pulseSpiralSpeed || 3.0;
-    const spiralRadius = this.config.pulseSpiralRadius || 50;
+    const spiralRadius = (this.config.pulseSpiralRadius || 50) * (this.config.energyPulseSizeScale || 1.0);
     
     // Rotation angle changes with time
     const angle = (progress * spiralSpeed * Math.PI * 2) + (nodeId * 0.5);
@@ -136,7 +136,7 @@ export class EnergyPulseEngine {
    */
   getAuraWave(progress, nodeDistance) {
     const auraSpeed = this.config.pulseAuraSpeed || 2.5;
-    const auraWidth = this.config.pulseAuraWidth || 0.15;
+    const auraWidth = (this.config.pulseAuraWidth || 0.15) * (this.config.energyPulseSizeScale || 1.0);
     
     // Wave position expands outward
     const wavePos = (progress * auraSpeed) % 2.0;
@@ -0,0 +1,130 @@
+/**
+ * Hebrew Letter Glyphs
+ *
+ * Vector stroke definitions for the 22 letters of the Hebrew alphabet,
+ * one per path of the Tree of Life (see PATHS_CONNECTIONS.letter).
+ *
+ * Glyphs use the same element format as MysticSymbolsEngine symbols
+ * (normalized 0-1 coordinates, y pointing down) so they render through
+ * the same symbol path renderer:
+ *   { type: 'path', points: [[x, y], ...] }   open polyline
+ *   { type: 'polygon', points: [[x, y], ...] } closed outline
+ *   { type: 'line', x1, y1, x2, y2 }           single stroke
+ *
+ * Shapes are simplified square-script forms, readable at small sizes.
+ */
+
+export const HEBREW_LETTER_GLYPHS = {
+  Aleph: [
+    { type: 'line', x1: 0.2, y1: 0.15, x2: 0.8, y2: 0.85 },          // Main diagonal
+    { type: 'path', points: [[0.8, 0.15], [0.75, 0.4], [0.6, 0.5]] }, // Upper yod
+    { type: 'path', points: [[0.4, 0.5], [0.3, 0.6], [0.25, 0.85]] }, // Lower leg
+  ],
+
+  Beth: [
+    { type: 'path', points: [[0.2, 0.2], [0.75, 0.2], [0.75, 0.8]] },
+    { type: 'line', x1: 0.15, y1: 0.8, x2: 0.9, y2: 0.8 },
+  ],
+
+  Gimel: [
+    { type: 'path', points: [[0.35, 0.2], [0.6, 0.2], [0.6, 0.85]] },
+    { type: 'line', x1: 0.6, y1: 0.55, x2: 0.3, y2: 0.85 },
+  ],
+
+  Daleth: [
+    { type: 'line', x1: 0.15, y1: 0.2, x2: 0.85, y2: 0.2 },
+    { type: 'line', x1: 0.7, y1: 0.2, x2: 0.7, y2: 0.85 },
+  ],
+
+  He: [
+    { type: 'path', points: [[0.2, 0.2], [0.8, 0.2], [0.8, 0.85]] },
+    { type: 'line', x1: 0.3, y1: 0.45, x2: 0.3, y2: 0.85 },
+  ],
+
+  Vav: [
+    { type: 'path', points: [[0.4, 0.2], [0.55, 0.2], [0.55, 0.85]] },
+  ],
+
+  Zayin: [
+    { type: 'line', x1: 0.3, y1: 0.2, x2: 0.7, y2: 0.2 },
+    { type: 'line', x1: 0.5, y1: 0.2, x2: 0.5, y2: 0.85 },
+  ],
+
+  Cheth: [
+    { type: 'path', points: [[0.25, 0.85], [0.25, 0.2], [0.75, 0.2], [0.75, 0.85]] },
+  ],
+
+  Teth: [
+    { type: 'path', points: [[0.25, 0.2], [0.25, 0.8], [0.75, 0.8], [0.75, 0.25], [0.55, 0.4]] },
+  ],
+
+  Yodh: [
+    { type: 'path', points: [[0.4, 0.25], [0.55, 0.25], [0.55, 0.5]] },
+  ],
+
+  Kaph: [
+    { type: 'path', points: [[0.25, 0.2], [0.7, 0.2], [0.8, 0.35], [0.8, 0.65], [0.7, 0.8], [0.25, 0.8]] },
+  ],
+
+  Lamed: [
+    { type: 'path', points: [[0.3, 0.05], [0.3, 0.35], [0.75, 0.35], [0.7, 0.6], [0.5, 0.85]] },
+  ],
+
+  Mem: [
+    { type: 'path', points: [[0.35, 0.2], [0.8, 0.2], [0.8, 0.85], [0.45, 0.85]] },
+    { type: 'line', x1: 0.2, y1: 0.3, x2: 0.35, y2: 0.85 },
+  ],
+
+  Nun: [
+    { type: 'path', points: [[0.4, 0.2], [0.6, 0.2], [0.6, 0.8], [0.3, 0.8]] },
+  ],
+
+  Samekh: [
+    { type: 'polygon', points: [[0.2, 0.2], [0.8, 0.2], [0.8, 0.65], [0.6, 0.85], [0.4, 0.85], [0.2, 0.65]] },
+  ],
+
+  Ayin: [
+    { type: 'line', x1: 0.25, y1: 0.2, x2: 0.5, y2: 0.7 },
+    { type: 'path', points: [[0.75, 0.2], [0.6, 0.8], [0.2, 0.85]] },
+  ],
+
+  Pe: [
+    { type: 'path', points: [[0.2, 0.2], [0.75, 0.2], [0.75, 0.8], [0.2, 0.8]] },
+    { type: 'path', points: [[0.3, 0.2], [0.3, 0.45], [0.45, 0.45]] },
+  ],
+
+  Tsade: [
+    { type: 'path', points: [[0.25, 0.2], [0.65, 0.7], [0.65, 0.8], [0.2, 0.8]] },
+    { type: 'path', points: [[0.75, 0.2], [0.7, 0.45], [0.55, 0.55]] },
+  ],
+
+  Qoph: [
+    { type: 'path', points: [[0.2, 0.2], [0.8, 0.2], [0.8, 0.6]] },
+    { type: 'line', x1: 0.3, y1: 0.4, x2: 0.3, y2: 1.0 },
+  ],
+
+  Resh: [
+    { type: 'path', points: [[0.2, 0.2], [0.65, 0.2], [0.75, 0.3], [0.75, 0.85]] },
+  ],
+
+  Shin: [
+    { type: 'path', points: [[0.2, 0.2], [0.3, 0.85], [0.8, 0.85], [0.8, 0.2]] },
+    { type: 'line', x1: 0.5, y1: 0.2, x2: 0.45, y2: 0.6 },
+  ],
+
+  Tav: [
+    { type: 'path', points: [[0.15, 0.2], [0.75, 0.2], [0.75, 0.85]] },
+    { type: 'path', points: [[0.3, 0.2], [0.3, 0.8], [0.2, 0.85]] },
+  ],
+};
+
+/**
+ * Get the stroke definition for a Hebrew letter
+ * @param {string} letter - Transliterated letter name (e.g. 'Aleph', as in PATHS_CONNECTIONS)
+ * @returns {Array<Object>|null} Glyph path elements, or null if unknown
+ */
+export function getLetterGlyph(letter) {
+  if (!letter) return null;
+  const key = Object.keys(HEBREW_LETTER_GLYPHS).find(name => name.toLowerCase() === letter.toLowerCase());
+  return key ? HEBREW_LETTER_GLYPHS[key] : null;
+}
@@ -234,6 +234,31 @@ export class MysticSymbolsEngine {
     return this.symbols[symbolMap[nodeId]];
   }
 
+  /**
+   * Get the symbol for a layout node
+   * Resolved by node id, so a node standing in for a Sephirah (a Qliphoth shell keeps the id
+   * of the one it shadows) gets that Sephirah's symbol. Nodes may ask for it inverted
+   * (symbolInverted), as the Qliphoth shells do; the node's own name and color win.
+   * @param {Object} node - Node from the active tree layout
+   * @returns {Object|undefined} Symbol definition
+   */
+  getNodeSymbol(node) {
+    const symbol = this.getSymbol(node.id);
+    if (!symbol || !node.symbolInverted) return symbol;
+
+    this.invertedSymbols = this.invertedSymbols || new Map();
+    if (!this.invertedSymbols.has(node.id)) {
+      this.invertedSymbols.set(node.id, {
+        ...symbol,
+        name: node.name,
+        color: node.color,
+        glowColor: node.color,
+        paths: symbol.paths.map(element => this.#invertPathElement(element)),
+      });
+    }
+    return this.invertedSymbols.get(node.id);
+  }
+
   /**
    * Get per-phase animation for a symbol
    */
@@ -289,6 +314,80 @@ export class MysticSymbolsEngine {
     };
   }
 
+  /**
+   * Rotate a symbol path element 180° about the symbol center (normalized 0-1 space)
+   * @private
+   */
+  #invertPathElement(element) {
+    const flip = ([x, y]) => [1 - x, 1 - y];
+
+    switch (element.type) {
+      case 'path':
+      case 'polygon':
+        return { ...element, points: element.points.map(flip) };
+      case 'line':
+        return { ...element, x1: 1 - element.x1, y1: 1 - element.y1, x2: 1 - element.x2, y2: 1 - element.y2 };
+      case 'rect':
+        return { ...element, x: 1 - element.x, y: 1 - element.y };
+      default:
+        return element;     // Centered circles and arcs are symmetric
+    }
+  }
+
+  /**
+   * Apply a getColorShift() result to a hex color in HSL space
+   * Hue is rotated by hueShift degrees, saturation and lightness are scaled
+   * by saturation and brightness.
+   * @param {string} hexColor - '#RRGGBB' (or '#RGB')
+   * @param {{hueShift: number, saturation: number, brightness: number}} colorShift
+   * @returns {string} Adjusted '#RRGGBB' color (input returned unchanged if it can't be parsed)
+   * @static
+   */
+  static applyColorShift(hexColor, { hueShift = 0, saturation = 1, brightness = 1 } = {}) {
+    let hex = String(hexColor || '').replace('#', '');
+    if (hex.length === 3) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return hexColor;
+
+    const r = parseInt(hex.substring(0, 2), 16) / 255;
+    const g = parseInt(hex.substring(2, 4), 16) / 255;
+    const b = parseInt(hex.substring(4, 6), 16) / 255;
+
+    // RGB → HSL
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+    let h = 0;
+    let l = (max + min) / 2;
+    let s = delta === 0 ? 0 : delta / (1 - Math.abs(2 * l - 1));
+
+    if (delta !== 0) {
+      if (max === r) h = 60 * (((g - b) / delta) % 6);
+      else if (max === g) h = 60 * ((b - r) / delta + 2);
+      else h = 60 * ((r - g) / delta + 4);
+    }
+
+    // Apply shift
+    h = (((h + hueShift) % 360) + 360) % 360;
+    s = Math.max(0, Math.min(1, s * saturation));
+    l = Math.max(0, Math.min(1, l * brightness));
+
+    // HSL → RGB
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+    const m = l - c / 2;
+    const [r1, g1, b1] =
+      h < 60 ? [c, x, 0] :
+      h < 120 ? [x, c, 0] :
+      h < 180 ? [0, c, x] :
+      h < 240 ? [0, x, c] :
+      h < 300 ? [x, 0, c] : [c, 0, x];
+
+    const toHex = (v) => Math.round((v + m) * 255).toString(16).padStart(2, '0');
+    return `#${toHex(r1)}${toHex(g1)}${toHex(b1)}`.toUpperCase();
+  }
+
   // ===== GEOMETRIC SHAPE GENERATORS =====
 
   #sixPointedStar(cx, cy, size) {
@@ -1,5 +1,11 @@
 /**
  * 10 Sephiroth nodes and 22 connecting paths for the Tree of Life
+ *
+ * Each path carries its Hebrew letter and the Golden Dawn correspondences:
+ * tarot trump (number + name) and attribution (element, planet or zodiac sign).
+ *
+ * Alternate arrangements (Kircher / Golden Dawn, Gra, Lurianic, Qliphoth) and the
+ * optional Da'at node are available through the layout registry (getTreeLayout).
  */
 
 export const SEPHIROTH_POSITIONS = {
@@ -109,46 +115,60 @@ export const SEPHIROTH_POSITIONS = {
 export const PATHS_CONNECTIONS = [
   // 22 sacred paths connecting nodes (Hermetic order)
   // Upper Triangle (Kether - Chokmah - Binah)
-  { id: 1,  start: 1,  end: 2,  letter: 'Aleph',     order: 1 },   // Kether → Chokmah
-  { id: 2,  start: 1,  end: 3,  letter: 'Beth',      order: 2 },   // Kether → Binah
-  { id: 3,  start: 2,  end: 3,  letter: 'Gimel',     order: 3 },   // Chokmah ↔ Binah
+  { id: 1,  start: 1,  end: 2,  letter: 'Aleph',     hebrew: 'א', tarot: { trump: 0,  name: 'The Fool' },           attribution: 'Air',         attributionType: 'element', order: 1 },   // Kether → Chokmah
+  { id: 2,  start: 1,  end: 3,  letter: 'Beth',      hebrew: 'ב', tarot: { trump: 1,  name: 'The Magician' },       attribution: 'Mercury',     attributionType: 'planet',  order: 2 },   // Kether → Binah
+  { id: 3,  start: 2,  end: 3,  letter: 'Gimel',     hebrew: 'ג', tarot: { trump: 2,  name: 'The High Priestess' }, attribution: 'Moon',        attributionType: 'planet',  order: 3 },   // Chokmah ↔ Binah
   
   // Upper Middle (Chokmah/Binah → Chesed/Gevurah)
-  { id: 4,  start: 2,  end: 4,  letter: 'Daleth',    order: 4 },   // Chokmah → Chesed
-  { id: 5,  start: 3,  end: 5,  letter: 'He',        order: 5 },   // Binah → Gevurah
-  { id: 6,  start: 4,  end: 5,  letter: 'Vav',       order: 6 },   // Chesed ↔ Gevurah
+  { id: 4,  start: 2,  end: 4,  letter: 'Daleth',    hebrew: 'ד', tarot: { trump: 3,  name: 'The Empress' },        attribution: 'Venus',       attributionType: 'planet',  order: 4 },   // Chokmah → Chesed
+  { id: 5,  start: 3,  end: 5,  letter: 'He',        hebrew: 'ה', tarot: { trump: 4,  name: 'The Emperor' },        attribution: 'Aries',       attributionType: 'zodiac',  order: 5 },   // Binah → Gevurah
+  { id: 6,  start: 4,  end: 5,  letter: 'Vav',       hebrew: 'ו', tarot: { trump: 5,  name: 'The Hierophant' },     attribution: 'Taurus',      attributionType: 'zodiac',  order: 6 },   // Chesed ↔ Gevurah
   
   // Middle Triangle (Chesed - Gevurah - Tifereth)
-  { id: 7,  start: 4,  end: 6,  letter: 'Zayin',     order: 7 },   // Chesed → Tifereth
-  { id: 8,  start: 5,  end: 6,  letter: 'Cheth',     order: 8 },   // Gevurah → Tifereth
+  { id: 7,  start: 4,  end: 6,  letter: 'Zayin',     hebrew: 'ז', tarot: { trump: 6,  name: 'The Lovers' },         attribution: 'Gemini',      attributionType: 'zodiac',  order: 7 },   // Chesed → Tifereth
+  { id: 8,  start: 5,  end: 6,  letter: 'Cheth',     hebrew: 'ח', tarot: { trump: 7,  name: 'The Chariot' },        attribution: 'Cancer',      attributionType: 'zodiac',  order: 8 },   // Gevurah → Tifereth
   
   // Lower Middle (Tifereth → Netzach/Hod)
-  { id: 9,  start: 6,  end: 7,  letter: 'Teth',      order: 9 },   // Tifereth → Netzach
-  { id: 10, start: 6,  end: 8,  letter: 'Yodh',      order: 10 },  // Tifereth → Hod
+  { id: 9,  start: 6,  end: 7,  letter: 'Teth',      hebrew: 'ט', tarot: { trump: 8,  name: 'Strength' },           attribution: 'Leo',         attributionType: 'zodiac',  order: 9 },   // Tifereth → Netzach
+  { id: 10, start: 6,  end: 8,  letter: 'Yodh',      hebrew: 'י', tarot: { trump: 9,  name: 'The Hermit' },         attribution: 'Virgo',       attributionType: 'zodiac',  order: 10 },  // Tifereth → Hod
   
   // Lower Triangle (Chesed/Gevurah → Netzach/Hod)
-  { id: 11, start: 4,  end: 7,  letter: 'Kaph',      order: 11 },  // Chesed → Netzach
-  { id: 12, start: 5,  end: 8,  letter: 'Lamed',     order: 12 },  // Gevurah → Hod
-  { id: 13, start: 7,  end: 8,  letter: 'Mem',       order: 13 },  // Netzach ↔ Hod
+  { id: 11, start: 4,  end: 7,  letter: 'Kaph',      hebrew: 'כ', tarot: { trump: 10, name: 'Wheel of Fortune' },   attribution: 'Jupiter',     attributionType: 'planet',  order: 11 },  // Chesed → Netzach
+  { id: 12, start: 5,  end: 8,  letter: 'Lamed',     hebrew: 'ל', tarot: { trump: 11, name: 'Justice' },            attribution: 'Libra',       attributionType: 'zodiac',  order: 12 },  // Gevurah → Hod
+  { id: 13, start: 7,  end: 8,  letter: 'Mem',       hebrew: 'מ', tarot: { trump: 12, name: 'The Hanged Man' },     attribution: 'Water',       attributionType: 'element', order: 13 },  // Netzach ↔ Hod
   
   // Lower Middle (Netzach/Hod ↔ Yesod)
-  { id: 14, start: 7,  end: 9,  letter: 'Nun',       order: 14 },  // Netzach → Yesod
-  { id: 15, start: 8,  end: 9,  letter: 'Samekh',    order: 15 },  // Hod → Yesod
+  { id: 14, start: 7,  end: 9,  letter: 'Nun',       hebrew: 'נ', tarot: { trump: 13, name: 'Death' },              attribution: 'Scorpio',     attributionType: 'zodiac',  order: 14 },  // Netzach → Yesod
+  { id: 15, start: 8,  end: 9,  letter: 'Samekh',    hebrew: 'ס', tarot: { trump: 14, name: 'Temperance' },         attribution: 'Sagittarius', attributionType: 'zodiac',  order: 15 },  // Hod → Yesod
   
   // Middle Pillar (Tifereth → Yesod)
-  { id: 16, start: 6,  end: 9,  letter: 'Ayin',      order: 16 },  // Tifereth → Yesod
+  { id: 16, start: 6,  end: 9,  letter: 'Ayin',      hebrew: 'ע', tarot: { trump: 15, name: 'The Devil' },          attribution: 'Capricorn',   attributionType: 'zodiac',  order: 16 },  // Tifereth → Yesod
   
   // Foundation connections (Yesod ↔ Malkuth)
-  { id: 17, start: 9,  end: 10, letter: 'Pe',        order: 17 },  // Yesod → Malkuth
+  { id: 17, start: 9,  end: 10, letter: 'Pe',        hebrew: 'פ', tarot: { trump: 16, name: 'The Tower' },          attribution: 'Mars',        attributionType: 'planet',  order: 17 },  // Yesod → Malkuth
   
   // Triple links (crossing paths)
-  { id: 18, start: 2,  end: 5,  letter: 'Tsade',     order: 18 },  // Chokmah → Gevurah (cross)
-  { id: 19, start: 3,  end: 4,  letter: 'Qoph',      order: 19 },  // Binah → Chesed (cross)
-  { id: 20, start: 4,  end: 8,  letter: 'Resh',      order: 20 },  // Chesed → Hod (lower cross)
-  { id: 21, start: 5,  end: 7,  letter: 'Shin',      order: 21 },  // Gevurah → Netzach (lower cross)
-  { id: 22, start: 1,  end: 6,  letter: 'Tav',       order: 22 },  // Kether → Tifereth (middle pillar direct)
+  { id: 18, start: 2,  end: 5,  letter: 'Tsade',     hebrew: 'צ', tarot: { trump: 17, name: 'The Star' },           attribution: 'Aquarius',    attributionType: 'zodiac',  order: 18 },  // Chokmah → Gevurah (cross)
+  { id: 19, start: 3,  end: 4,  letter: 'Qoph',      hebrew: 'ק', tarot: { trump: 18, name: 'The Moon' },           attribution: 'Pisces',      attributionType: 'zodiac',  order: 19 },  // Binah → Chesed (cross)
+  { id: 20, start: 4,  end: 8,  letter: 'Resh',      hebrew: 'ר', tarot: { trump: 19, name: 'The Sun' },            attribution: 'Sun',         attributionType: 'planet',  order: 20 },  // Chesed → Hod (lower cross)
+  { id: 21, start: 5,  end: 7,  letter: 'Shin',      hebrew: 'ש', tarot: { trump: 20, name: 'Judgement' },          attribution: 'Fire',        attributionType: 'element', order: 21 },  // Gevurah → Netzach (lower cross)
+  { id: 22, start: 1,  end: 6,  letter: 'Tav',       hebrew: 'ת', tarot: { trump: 21, name: 'The World' },          attribution: 'Saturn',      attributionType: 'planet',  order: 22 },  // Kether → Tifereth (middle pillar direct)
 ];
 
+/**
+ * Da'at (Knowledge) - the hidden 11th sphere on the Middle Pillar, across the Abyss
+ * Has no paths of its own; added to any layout with includeDaat.
+ */
+export const DAATH_POSITION = {
+  id: 11,
+  name: 'DAATH',
+  meaning: 'Knowledge',
+  x: 0.5,
+  y: 0.31,
+  color: '#C0C0C0',
+  activation_order: { awakening: 8.5, ascension: 3.5 }  // Crossed between the supernals and Chesed/Gevurah
+};
+
 export function getNodeByName(name) {
   return SEPHIROTH_POSITIONS[name.toLowerCase()];
 }
@@ -157,9 +177,190 @@ export function getNodeById(id) {
   return Object.values(SEPHIROTH_POSITIONS).find(n => n.id === id);
 }
 
-export function getNodeActivationOrder(phaseName) {
-  const nodes = Object.values(SEPHIROTH_POSITIONS);
-  return nodes.sort((a, b) => 
+export function getPathByLetter(letter) {
+  return PATHS_CONNECTIONS.find(p => p.letter.toLowerCase() === letter.toLowerCase());
+}
+
+export function getNodeActivationOrder(phaseName, nodes = SEPHIROTH_POSITIONS) {
+  return Object.values(nodes).sort((a, b) => 
     (a.activation_order[phaseName] || 999) - (b.activation_order[phaseName] || 999)
   );
-}
\ No newline at end of file
+}
+
+// ===== LAYOUT REGISTRY =====
+
+/**
+ * Build a 22-path set from [start, end, letter] triples
+ * Ids and order follow the list; letter correspondences come from PATHS_CONNECTIONS.
+ */
+function definePaths(connections) {
+  return connections.map(([start, end, letter], index) => {
+    const { hebrew, tarot, attribution, attributionType } = getPathByLetter(letter);
+    return { id: index + 1, start, end, letter, hebrew, tarot, attribution, attributionType, order: index + 1 };
+  });
+}
+
+// Kircher (1652) - the arrangement adopted by the Golden Dawn, paths 11-32 in letter order
+const KIRCHER_PATHS = definePaths([
+  [1, 2, 'Aleph'],  [1, 3, 'Beth'],   [1, 6, 'Gimel'],  [2, 3, 'Daleth'],
+  [2, 6, 'He'],     [2, 4, 'Vav'],    [3, 6, 'Zayin'],  [3, 5, 'Cheth'],
+  [4, 5, 'Teth'],   [4, 6, 'Yodh'],   [4, 7, 'Kaph'],   [5, 6, 'Lamed'],
+  [5, 8, 'Mem'],    [6, 7, 'Nun'],    [6, 9, 'Samekh'], [6, 8, 'Ayin'],
+  [7, 8, 'Pe'],     [7, 9, 'Tsade'],  [7, 10, 'Qoph'],  [8, 9, 'Resh'],
+  [8, 10, 'Shin'],  [9, 10, 'Tav'],
+]);
+
+// Gra (Vilna Gaon) - mothers horizontal, doubles vertical, simples diagonal;
+// Netzach and Hod reach down to Malkuth, no paths cross the pillars
+const GRA_PATHS = definePaths([
+  [2, 3, 'Aleph'],  [4, 5, 'Mem'],    [7, 8, 'Shin'],                       // Mothers
+  [1, 6, 'Beth'],   [2, 4, 'Gimel'],  [3, 5, 'Daleth'], [4, 7, 'Kaph'],     // Doubles
+  [5, 8, 'Pe'],     [6, 9, 'Resh'],   [9, 10, 'Tav'],
+  [1, 2, 'He'],     [1, 3, 'Vav'],    [2, 6, 'Zayin'],  [3, 6, 'Cheth'],    // Simples
+  [4, 6, 'Teth'],   [5, 6, 'Yodh'],   [6, 7, 'Lamed'],  [6, 8, 'Nun'],
+  [7, 9, 'Samekh'], [8, 9, 'Ayin'],   [7, 10, 'Tsade'], [8, 10, 'Qoph'],
+]);
+
+// Lurianic (Ari) - as the Gra, but the supernals cross to Chesed/Gevurah instead of
+// Netzach and Hod reaching Malkuth
+const LURIANIC_PATHS = definePaths([
+  [2, 3, 'Aleph'],  [4, 5, 'Mem'],    [7, 8, 'Shin'],                       // Mothers
+  [1, 6, 'Beth'],   [2, 4, 'Gimel'],  [3, 5, 'Daleth'], [4, 7, 'Kaph'],     // Doubles
+  [5, 8, 'Pe'],     [6, 9, 'Resh'],   [9, 10, 'Tav'],
+  [1, 2, 'He'],     [1, 3, 'Vav'],    [2, 6, 'Zayin'],  [3, 6, 'Cheth'],    // Simples
+  [2, 5, 'Teth'],   [3, 4, 'Yodh'],   [4, 6, 'Lamed'],  [5, 6, 'Nun'],
+  [6, 7, 'Samekh'], [6, 8, 'Ayin'],   [7, 9, 'Tsade'],  [8, 9, 'Qoph'],
+]);
+
+// Qliphoth - the averse tree: mirrored top to bottom, each shell keeping the id of the
+// Sephirah it shadows and drawing that Sephirah's symbol inverted
+const QLIPHOTH_SHELLS = {
+  kether:   { name: 'THAUMIEL',     meaning: 'Duality',              color: '#9B111E' },
+  chokmah:  { name: 'GHAGIEL',      meaning: 'Hinderers',            color: '#6A0DAD' },
+  binah:    { name: 'SATARIEL',     meaning: 'Concealment',          color: '#5A5A5A' },
+  chesed:   { name: 'GAMCHICOTH',   meaning: 'Devourers',            color: '#1E3F8A' },
+  gevurah:  { name: 'GOLACHAB',     meaning: 'Burners',              color: '#D10000' },
+  tifereth: { name: 'THAGIRION',    meaning: 'Disputers',            color: '#B8860B' },
+  netzach:  { name: "A'ARAB ZARAQ", meaning: 'Ravens of Dispersion', color: '#1F7A3A' },
+  hod:      { name: 'SAMAEL',       meaning: 'Desolation',           color: '#A0522D' },
+  yesod:    { name: 'GAMALIEL',     meaning: 'Obscene Ones',         color: '#7B2D8E' },
+  malkuth:  { name: 'LILITH',       meaning: 'Night',                color: '#4A3728' },
+};
+
+const QLIPHOTH_POSITIONS = Object.fromEntries(
+  Object.entries(SEPHIROTH_POSITIONS).map(([key, node]) => [
+    key,
+    { ...node, ...QLIPHOTH_SHELLS[key], y: 1 - node.y, symbolInverted: true },
+  ])
+);
+
+const treeLayouts = new Map();
+const treeLayoutAliases = new Map();
+
+/**
+ * Register a Tree of Life layout
+ * @param {string} key - Layout name used by AnimatedTreeOfLifeConfig.treeLayout
+ * @param {Object} layout
+ * @param {string} layout.name - Display name
+ * @param {string} [layout.description]
+ * @param {Object<string, Object>} layout.nodes - Node map (same shape as SEPHIROTH_POSITIONS)
+ * @param {Array<Object>} layout.paths - Path list (same shape as PATHS_CONNECTIONS)
+ * @param {Object} [layout.daat] - Da'at node override (defaults to DAATH_POSITION)
+ * @throws {Error} If a path references a node the layout doesn't define
+ */
+export function registerTreeLayout(key, layout) {
+  const nodeIds = new Set(Object.values(layout.nodes || {}).map(n => n.id));
+  for (const path of layout.paths || []) {
+    if (!nodeIds.has(path.start) || !nodeIds.has(path.end)) {
+      throw new Error(`Tree layout "${key}": path ${path.id} references unknown node (${path.start} → ${path.end})`);
+    }
+  }
+  treeLayouts.set(key, { daat: DAATH_POSITION, ...layout });
+}
+
+/**
+ * Register another name for a registered layout
+ * For traditions that share an arrangement, so the name stays valid without a duplicate layout.
+ * @param {string} alias - Additional name accepted by getTreeLayout
+ * @param {string} key - Registered layout key it resolves to
+ * @throws {Error} If the target layout isn't registered
+ */
+export function registerTreeLayoutAlias(alias, key) {
+  if (!treeLayouts.has(key)) {
+    throw new Error(`Tree layout alias "${alias}": unknown layout "${key}"`);
+  }
+  treeLayoutAliases.set(alias, key);
+}
+
+/**
+ * @returns {string[]} Registered layout keys and aliases
+ */
+export function getTreeLayoutNames() {
+  return [...treeLayouts.keys(), ...treeLayoutAliases.keys()];
+}
+
+/**
+ * Resolve a layout into the node map and path list the renderer draws
+ * Aliases resolve to their layout (the returned key is the layout's own).
+ * Unknown names fall back to 'hermetic' with a warning rather than failing the render.
+ * @param {string} [key='hermetic'] - Registered layout key or alias
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDaat=false] - Add Da'at as an 11th node
+ * @returns {{key: string, name: string, nodes: Object<string, Object>, paths: Array<Object>}}
+ */
+export function getTreeLayout(key = 'hermetic', { includeDaat = false } = {}) {
+  key = treeLayoutAliases.get(key) ?? key;
+  let layout = treeLayouts.get(key);
+  if (!layout) {
+    console.warn(`⚠️ Unknown tree layout "${key}", falling back to hermetic`);
+    key = 'hermetic';
+    layout = treeLayouts.get(key);
+  }
+
+  const nodes = { ...layout.nodes };
+  if (includeDaat && layout.daat) {
+    nodes.daath = layout.daat;
+  }
+
+  return { key, name: layout.name, nodes, paths: layout.paths };
+}
+
+registerTreeLayout('hermetic', {
+  name: 'Hermetic',
+  description: 'Default arrangement with the lower cross paths',
+  nodes: SEPHIROTH_POSITIONS,
+  paths: PATHS_CONNECTIONS,
+});
+
+registerTreeLayout('kircher', {
+  name: 'Kircher',
+  description: 'Athanasius Kircher, Oedipus Aegyptiacus (1652)',
+  nodes: SEPHIROTH_POSITIONS,
+  paths: KIRCHER_PATHS,
+});
+
+// The Golden Dawn took Kircher's arrangement unchanged; its tarot attributions are
+// already carried by every path, so 'golden-dawn' is the same layout by another name
+registerTreeLayoutAlias('golden-dawn', 'kircher');
+
+registerTreeLayout('gra', {
+  name: 'Gra',
+  description: 'Vilna Gaon arrangement of the Sefer Yetzirah',
+  nodes: SEPHIROTH_POSITIONS,
+  paths: GRA_PATHS,
+});
+
+registerTreeLayout('lurianic', {
+  name: 'Lurianic',
+  description: 'Isaac Luria (the Ari) arrangement',
+  nodes: SEPHIROTH_POSITIONS,
+  paths: LURIANIC_PATHS,
+});
+
+registerTreeLayout('qliphoth', {
+  name: 'Qliphoth',
+  description: 'Inverted tree of the shells',
+  nodes: QLIPHOTH_POSITIONS,
+  paths: PATHS_CONNECTIONS,
+  daat: { ...DAATH_POSITION, meaning: 'The Abyss', y: 1 - DAATH_POSITION.y, color: '#2E2E2E' },
+});
\ No newline at end of file
@@ -10,7 +10,8 @@
  * - EasingFunctions: Library of easing curves
  * - AnimationPhaseConfig: Schema + validation
  * - AnimationHelpers: Utility functions
- * - SephirothGeometry: 10 nodes + 22 paths data model
+ * - SephirothGeometry: 10 nodes + 22 paths data model (letters, tarot, attributions, layouts)
+ * - HebrewLetterGlyphs: Vector glyphs for the 22 path letters
  * 
  * Presets:
  * - HERMETIC_ASCENT: Standard classical timing
@@ -40,8 +41,15 @@ export {
   PATHS_CONNECTIONS, 
   getNodeByName, 
   getNodeById, 
-  getNodeActivationOrder 
+  getNodeActivationOrder,
+  getPathByLetter,
+  DAATH_POSITION,
+  getTreeLayout,
+  getTreeLayoutNames,
+  registerTreeLayout,
+  registerTreeLayoutAlias
 } from './SephirothGeometry.js';
+export { HEBREW_LETTER_GLYPHS, getLetterGlyph } from './HebrewLetterGlyphs.js';
 
 // Presets
 export { 
@@ -62,6 +62,11 @@ export const ALCHEMICAL_TRANSMUTATION = {
   descentPathAnimSpeed: 0.6,
   descentEasing: 'easeOutQuart',
 
+  // ====== STAGGERED ACTIVATION ======
+  enableStaggeredActivation: true,
+  activationStagger: 0.8,
+  activationEasing: ['smoothstep', 'easeOutQuart'],
+
   // ====== PATH ANIMATION ======
   pathThickness: 2,
   pathSizeScale: 1.0,
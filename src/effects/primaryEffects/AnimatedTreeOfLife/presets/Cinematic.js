@@ -62,6 +62,11 @@ export const CINEMATIC = {
   descentPathAnimSpeed: 1.0,
   descentEasing: 'easeOutQuart',
 
+  // ====== STAGGERED ACTIVATION ======
+  enableStaggeredActivation: true,
+  activationStagger: 0.5,
+  activationEasing: ['easeOutCubic', 'easeOutQuart'],
+
   // ====== PATH ANIMATION ======
   pathThickness: 2.5,
   pathSizeScale: 1.1,
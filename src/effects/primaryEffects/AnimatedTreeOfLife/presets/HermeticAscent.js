@@ -62,6 +62,12 @@ export const HERMETIC_ASCENT = {
   descentPathAnimSpeed: 0.9,
   descentEasing: 'easeOutQuart',
 
+  // ====== STAGGERED ACTIVATION ======
+  enableStaggeredActivation: true,
+  activationStagger: 0.6,
+  activationEasing: ['easeOutCubic', 'smoothstep'],
+  nodeActivationEasing: { malkuth: 'easeInCubic', kether: 'easeOutQuart' },
+
   // ====== PATH ANIMATION ======
   pathThickness: 2,
   pathSizeScale: 1.0,
@@ -71,6 +71,11 @@ export const OPERATOR_OVERLOAD = {
   descentPathAnimSpeed: 1.0,
   descentEasing: 'easeOutQuart',
 
+  // ====== STAGGERED ACTIVATION ======
+  enableStaggeredActivation: true,
+  activationStagger: 0.7,
+  activationEasing: ['easeOutCubic', 'smoothstep', 'easeOutQuart'],
+
   // ====== PATH ANIMATION ======
   pathThickness: 3,
   pathSizeScale: 1.2,
@@ -0,0 +1,131 @@
+/**
+ * Celestial Sphere Geometry
+ *
+ * Defines the astrological sky:
+ * - The 12 zodiac signs, 30° each along the ecliptic, with element and modality
+ * - The 7 classical planets in Chaldean order (Saturn outermost → Moon innermost),
+ *   each with a whole number of orbits per loop so frame N-1 = frame 0
+ * - The major (Ptolemaic) aspects drawn between aligned planets
+ * - Helpers to place longitudes on the chart and measure aspects
+ *
+ * Longitudes are in degrees, 0° = 0° Aries. Charts are drawn the traditional way:
+ * Aries rises on the left and the signs run counterclockwise.
+ */
+
+const ELEMENT_COLORS = {
+  fire: '#FF6B4A',
+  earth: '#8FBF6A',
+  air: '#F7E07A',
+  water: '#5EA8F2',
+};
+
+/**
+ * Zodiac signs in ecliptic order
+ */
+export const ZODIAC_SIGNS = [
+  { id: 'aries', name: 'Aries', index: 0, element: 'fire', modality: 'cardinal', ruler: 'mars' },
+  { id: 'taurus', name: 'Taurus', index: 1, element: 'earth', modality: 'fixed', ruler: 'venus' },
+  { id: 'gemini', name: 'Gemini', index: 2, element: 'air', modality: 'mutable', ruler: 'mercury' },
+  { id: 'cancer', name: 'Cancer', index: 3, element: 'water', modality: 'cardinal', ruler: 'moon' },
+  { id: 'leo', name: 'Leo', index: 4, element: 'fire', modality: 'fixed', ruler: 'sun' },
+  { id: 'virgo', name: 'Virgo', index: 5, element: 'earth', modality: 'mutable', ruler: 'mercury' },
+  { id: 'libra', name: 'Libra', index: 6, element: 'air', modality: 'cardinal', ruler: 'venus' },
+  { id: 'scorpio', name: 'Scorpio', index: 7, element: 'water', modality: 'fixed', ruler: 'mars' },
+  { id: 'sagittarius', name: 'Sagittarius', index: 8, element: 'fire', modality: 'mutable', ruler: 'jupiter' },
+  { id: 'capricorn', name: 'Capricorn', index: 9, element: 'earth', modality: 'cardinal', ruler: 'saturn' },
+  { id: 'aquarius', name: 'Aquarius', index: 10, element: 'air', modality: 'fixed', ruler: 'saturn' },
+  { id: 'pisces', name: 'Pisces', index: 11, element: 'water', modality: 'mutable', ruler: 'jupiter' },
+].map(sign => ({
+  ...sign,
+  longitude: sign.index * 30 + 15,          // Center of the sign
+  color: ELEMENT_COLORS[sign.element],
+  glowColor: ELEMENT_COLORS[sign.element],
+  glyph: sign.id,
+}));
+
+/**
+ * Classical planets in Chaldean order, outermost first
+ * orbit: 0 (innermost orbit) → 1 (outermost orbit)
+ * orbitsPerLoop: whole orbits per loop (faster planets move faster, as in the sky)
+ */
+export const CLASSICAL_PLANETS = [
+  { id: 'saturn', name: 'Saturn', orbit: 1.0, orbitsPerLoop: 1, color: '#A89F91', size: 1.1 },
+  { id: 'jupiter', name: 'Jupiter', orbit: 0.83, orbitsPerLoop: 2, color: '#E3B778', size: 1.3 },
+  { id: 'mars', name: 'Mars', orbit: 0.67, orbitsPerLoop: 3, color: '#E0533D', size: 0.9 },
+  { id: 'sun', name: 'Sun', orbit: 0.5, orbitsPerLoop: 4, color: '#FFD23F', size: 1.5 },
+  { id: 'venus', name: 'Venus', orbit: 0.33, orbitsPerLoop: 5, color: '#F5C6E0', size: 1.0 },
+  { id: 'mercury', name: 'Mercury', orbit: 0.17, orbitsPerLoop: 6, color: '#B8C4D6', size: 0.8 },
+  { id: 'moon', name: 'Moon', orbit: 0.0, orbitsPerLoop: 8, color: '#E8E8F4', size: 1.0 },
+].map(planet => ({ ...planet, glowColor: planet.color, glyph: planet.id }));
+
+/**
+ * Major aspects (angular separation in degrees)
+ */
+export const ASPECTS = {
+  conjunction: { angle: 0, color: '#FFD700', nature: 'fusion' },
+  trine: { angle: 120, color: '#4FC3F7', nature: 'harmonious' },
+  square: { angle: 90, color: '#FF5252', nature: 'tense' },
+  opposition: { angle: 180, color: '#E040FB', nature: 'tense' },
+};
+
+/**
+ * Wrap degrees into [0, 360)
+ * @param {number} degrees
+ * @returns {number}
+ */
+export function normalizeLongitude(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Shortest angular separation between two longitudes
+ * @param {number} a - Longitude in degrees
+ * @param {number} b - Longitude in degrees
+ * @returns {number} Separation in degrees (0-180)
+ */
+export function getAngularSeparation(a, b) {
+  const delta = normalizeLongitude(a - b);
+  return delta > 180 ? 360 - delta : delta;
+}
+
+/**
+ * Aspect strength between two longitudes
+ * 1 at exact aspect, fading linearly to 0 at the edge of the orb
+ * @param {number} a - Longitude in degrees
+ * @param {number} b - Longitude in degrees
+ * @param {string} aspect - Aspect name (key of ASPECTS)
+ * @param {number} [orb=8] - Allowed deviation in degrees
+ * @returns {number} Strength (0-1)
+ */
+export function getAspectStrength(a, b, aspect, orb = 8) {
+  const definition = ASPECTS[aspect];
+  if (!definition || orb <= 0) return 0;
+  const deviation = Math.abs(getAngularSeparation(a, b) - definition.angle);
+  return Math.max(0, 1 - deviation / orb);
+}
+
+/**
+ * Place a longitude on the chart (normalized coordinates)
+ * Aries rises on the left (9 o'clock) and longitude increases counterclockwise
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} radius - Distance from the center (normalized)
+ * @param {number} [rotation=0] - Extra rotation in degrees (precession)
+ * @param {{x: number, y: number}} [center={x: 0.5, y: 0.5}] - Chart center
+ * @returns {{x: number, y: number}}
+ */
+export function longitudeToPoint(longitude, radius, rotation = 0, center = { x: 0.5, y: 0.5 }) {
+  const angle = ((longitude + rotation) * Math.PI) / 180;
+  return {
+    x: center.x - Math.cos(angle) * radius,
+    y: center.y + Math.sin(angle) * radius,
+  };
+}
+
+/**
+ * Get the zodiac sign a longitude falls in
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} Sign definition
+ */
+export function getSignAtLongitude(longitude) {
+  return ZODIAC_SIGNS[Math.floor(normalizeLongitude(longitude) / 30) % 12];
+}
@@ -0,0 +1,178 @@
+/**
+ * Celestial Glyphs
+ *
+ * Vector stroke definitions for the 12 zodiac signs and the 7 classical planets.
+ *
+ * Glyphs use the MysticSymbolsEngine element format (normalized 0-1
+ * coordinates, y pointing down) and render through
+ * PhaseAnimatedPolygonEffect.renderGlyph():
+ *   { type: 'path', points: [[x, y], ...] }   open polyline
+ *   { type: 'polygon', points: [[x, y], ...] } closed outline
+ *   { type: 'line', x1, y1, x2, y2 }           single stroke
+ *
+ * Shapes are simplified astrological forms, readable at small sizes.
+ */
+
+/**
+ * Points on a circle or arc in normalized glyph space
+ * @private
+ */
+function arc(cx, cy, r, from = 0, to = Math.PI * 2, segments = 16) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const angle = from + (to - from) * (i / segments);
+    points.push([cx + Math.cos(angle) * r, cy + Math.sin(angle) * r]);
+  }
+  return points;
+}
+
+/**
+ * Closed circle outline
+ * @private
+ */
+function circle(cx, cy, r, segments = 16) {
+  return { type: 'polygon', points: arc(cx, cy, r, 0, Math.PI * 2, segments).slice(0, -1) };
+}
+
+export const ZODIAC_GLYPHS = {
+  // ♈ Ram's horns
+  aries: [
+    { type: 'path', points: [[0.15, 0.45], [0.15, 0.3], [0.25, 0.18], [0.38, 0.2], [0.5, 0.35], [0.5, 0.85]] },
+    { type: 'path', points: [[0.85, 0.45], [0.85, 0.3], [0.75, 0.18], [0.62, 0.2], [0.5, 0.35]] },
+  ],
+
+  // ♉ Bull's head and horns
+  taurus: [
+    circle(0.5, 0.62, 0.22),
+    { type: 'path', points: [[0.15, 0.15], [0.25, 0.3], [0.4, 0.38], [0.6, 0.38], [0.75, 0.3], [0.85, 0.15]] },
+  ],
+
+  // ♊ Twin pillars
+  gemini: [
+    { type: 'line', x1: 0.35, y1: 0.2, x2: 0.35, y2: 0.8 },
+    { type: 'line', x1: 0.65, y1: 0.2, x2: 0.65, y2: 0.8 },
+    { type: 'path', points: [[0.2, 0.15], [0.5, 0.22], [0.8, 0.15]] },
+    { type: 'path', points: [[0.2, 0.85], [0.5, 0.78], [0.8, 0.85]] },
+  ],
+
+  // ♋ Crab's claws
+  cancer: [
+    { type: 'path', points: [[0.85, 0.32], [0.6, 0.2], [0.35, 0.22], [0.2, 0.3]] },
+    circle(0.28, 0.38, 0.1, 12),
+    { type: 'path', points: [[0.15, 0.68], [0.4, 0.8], [0.65, 0.78], [0.8, 0.7]] },
+    circle(0.72, 0.62, 0.1, 12),
+  ],
+
+  // ♌ Lion's mane and tail
+  leo: [
+    circle(0.3, 0.62, 0.12, 12),
+    { type: 'path', points: [[0.38, 0.52], [0.35, 0.3], [0.45, 0.15], [0.62, 0.15], [0.7, 0.3], [0.6, 0.6], [0.65, 0.8], [0.8, 0.82]] },
+  ],
+
+  // ♍ Maiden
+  virgo: [
+    { type: 'path', points: [[0.1, 0.2], [0.15, 0.25], [0.15, 0.8]] },
+    { type: 'path', points: [[0.15, 0.3], [0.28, 0.2], [0.38, 0.3], [0.38, 0.8]] },
+    { type: 'path', points: [[0.38, 0.3], [0.5, 0.2], [0.6, 0.3], [0.6, 0.75], [0.7, 0.9]] },
+    { type: 'path', points: [[0.6, 0.5], [0.8, 0.4], [0.85, 0.55], [0.7, 0.7], [0.55, 0.9]] },
+  ],
+
+  // ♎ Scales
+  libra: [
+    { type: 'line', x1: 0.15, y1: 0.8, x2: 0.85, y2: 0.8 },
+    { type: 'path', points: [[0.15, 0.6], [0.35, 0.6], [0.35, 0.5], [0.4, 0.35], [0.5, 0.3], [0.6, 0.35], [0.65, 0.5], [0.65, 0.6], [0.85, 0.6]] },
+  ],
+
+  // ♏ Scorpion's sting
+  scorpio: [
+    { type: 'path', points: [[0.1, 0.2], [0.15, 0.25], [0.15, 0.8]] },
+    { type: 'path', points: [[0.15, 0.3], [0.28, 0.2], [0.38, 0.3], [0.38, 0.8]] },
+    { type: 'path', points: [[0.38, 0.3], [0.5, 0.2], [0.6, 0.3], [0.6, 0.75], [0.72, 0.85], [0.9, 0.85]] },
+    { type: 'path', points: [[0.82, 0.77], [0.9, 0.85], [0.82, 0.93]] },
+  ],
+
+  // ♐ Archer's arrow
+  sagittarius: [
+    { type: 'line', x1: 0.2, y1: 0.85, x2: 0.85, y2: 0.15 },
+    { type: 'path', points: [[0.5, 0.15], [0.85, 0.15], [0.85, 0.5]] },
+    { type: 'line', x1: 0.3, y1: 0.5, x2: 0.55, y2: 0.75 },
+  ],
+
+  // ♑ Sea-goat
+  capricorn: [
+    { type: 'path', points: [[0.1, 0.25], [0.2, 0.2], [0.3, 0.35], [0.35, 0.85]] },
+    { type: 'path', points: [[0.3, 0.35], [0.45, 0.2], [0.6, 0.35], [0.6, 0.65], [0.7, 0.8], [0.85, 0.75], [0.88, 0.6], [0.75, 0.52], [0.62, 0.6], [0.55, 0.85], [0.45, 0.9]] },
+  ],
+
+  // ♒ Waves
+  aquarius: [
+    { type: 'path', points: [[0.1, 0.4], [0.25, 0.28], [0.4, 0.4], [0.55, 0.28], [0.7, 0.4], [0.85, 0.28]] },
+    { type: 'path', points: [[0.1, 0.7], [0.25, 0.58], [0.4, 0.7], [0.55, 0.58], [0.7, 0.7], [0.85, 0.58]] },
+  ],
+
+  // ♓ Two fish bound together
+  pisces: [
+    { type: 'path', points: [[0.2, 0.15], [0.35, 0.35], [0.38, 0.5], [0.35, 0.65], [0.2, 0.85]] },
+    { type: 'path', points: [[0.8, 0.15], [0.65, 0.35], [0.62, 0.5], [0.65, 0.65], [0.8, 0.85]] },
+    { type: 'line', x1: 0.2, y1: 0.5, x2: 0.8, y2: 0.5 },
+  ],
+};
+
+export const PLANET_GLYPHS = {
+  // ☉ Circle with a point
+  sun: [
+    circle(0.5, 0.5, 0.38, 20),
+    circle(0.5, 0.5, 0.06, 6),
+  ],
+
+  // ☽ Crescent
+  moon: [
+    { type: 'path', points: [...arc(0.5, 0.5, 0.38, Math.PI * 0.5, Math.PI * 1.5, 12), ...arc(0.62, 0.5, 0.3, Math.PI * 1.4, Math.PI * 0.6, 12)] },
+  ],
+
+  // ☿ Horns, circle and cross
+  mercury: [
+    { type: 'path', points: arc(0.5, 0.08, 0.16, 0, Math.PI, 8) },
+    circle(0.5, 0.42, 0.18),
+    { type: 'line', x1: 0.5, y1: 0.6, x2: 0.5, y2: 0.94 },
+    { type: 'line', x1: 0.35, y1: 0.78, x2: 0.65, y2: 0.78 },
+  ],
+
+  // ♀ Circle over a cross
+  venus: [
+    circle(0.5, 0.35, 0.22),
+    { type: 'line', x1: 0.5, y1: 0.57, x2: 0.5, y2: 0.95 },
+    { type: 'line', x1: 0.32, y1: 0.78, x2: 0.68, y2: 0.78 },
+  ],
+
+  // ♂ Circle with an arrow
+  mars: [
+    circle(0.4, 0.6, 0.22),
+    { type: 'line', x1: 0.56, y1: 0.44, x2: 0.85, y2: 0.15 },
+    { type: 'path', points: [[0.6, 0.15], [0.85, 0.15], [0.85, 0.4]] },
+  ],
+
+  // ♃ Crescent over a cross
+  jupiter: [
+    { type: 'path', points: [[0.2, 0.3], [0.3, 0.18], [0.42, 0.2], [0.45, 0.35], [0.2, 0.65], [0.85, 0.65]] },
+    { type: 'line', x1: 0.65, y1: 0.2, x2: 0.65, y2: 0.9 },
+  ],
+
+  // ♄ Cross over a crescent
+  saturn: [
+    { type: 'line', x1: 0.3, y1: 0.1, x2: 0.3, y2: 0.7 },
+    { type: 'line', x1: 0.15, y1: 0.25, x2: 0.5, y2: 0.25 },
+    { type: 'path', points: [[0.3, 0.45], [0.45, 0.35], [0.65, 0.45], [0.65, 0.65], [0.55, 0.8], [0.7, 0.92]] },
+  ],
+};
+
+/**
+ * Get the stroke definition for a zodiac sign or planet
+ * @param {string} key - Sign or planet id (e.g. 'aries', 'saturn')
+ * @returns {Array<Object>|null} Glyph elements, or null if unknown
+ */
+export function getCelestialGlyph(key) {
+  if (!key) return null;
+  const id = key.toLowerCase();
+  return ZODIAC_GLYPHS[id] || PLANET_GLYPHS[id] || null;
+}
@@ -0,0 +1,93 @@
+/**
+ * Celestial Sphere Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with astrology-specific parameters:
+ * - Zodiac ring with sign glyphs and element colors
+ * - Seven classical planets on loop-safe orbits
+ * - Aspect lines (conjunction, trine, square, opposition) with orb tolerance
+ * - Precession of the whole sky
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class CelestialSphereConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== ZODIAC RING ======
+    zodiacRingRadius = 0.44,               // Outer edge of the ring (normalized)
+    zodiacRingWidth = 0.07,                // Ring band width (normalized)
+    zodiacRingColor = '#C9B8FF',           // Ring and divider color (string or ColorPicker)
+    zodiacRingOpacity = 0.8,               // Ring opacity
+    useElementColors = true,               // Color sign glyphs by element (fire/earth/air/water)
+    enableZodiacGlyphs = true,             // Draw the 12 sign glyphs in the band
+    zodiacGlyphSize = 12,                  // Glyph radius in pixels
+    zodiacGlyphLineWidth = 1.5,            // Glyph stroke width
+    zodiacGlyphsUpright = false,           // Keep glyphs upright instead of turning with the ring
+    zodiacActivationStagger = 0.6,         // Signs light up one by one in the first phase (0 = together)
+    signHighlightIntensity = 0.6,          // Extra brightness for signs hosting a planet
+
+    // ====== PLANETS ======
+    planetOrbitInnerRadius = 0.08,         // Moon orbit (normalized)
+    planetOrbitOuterRadius = 0.33,         // Saturn orbit (normalized)
+    planetSpeedMultiplier = 1,             // Scales every orbit count (integer for perfect loop)
+    planetStartLongitudes = null,          // { sun: 0, moon: 90, ... } in degrees; missing = seeded random
+    planetSize = 6,                        // Base planet radius in pixels (scaled per planet)
+    enablePlanetGlyphs = true,             // Draw planet glyphs beside the planets
+    planetGlyphSize = 8,                   // Glyph radius in pixels
+    enableOrbitRings = true,               // Faint ring along each orbit
+    orbitRingOpacity = 0.2,                // Orbit ring opacity
+
+    // ====== ASPECTS ======
+    enableAspects = true,                  // Draw lines between planets in aspect
+    aspectTypes = ['conjunction', 'trine', 'square', 'opposition'],  // Aspects to draw
+    aspectOrb = 8,                         // Tolerance in degrees; lines fade in/out across the orb
+    aspectColors = {},                     // Per-aspect color overrides, e.g. { trine: '#00FFAA' }
+    aspectThickness = 1.5,                 // Aspect line width (scaled by pathSizeScale)
+
+    // ====== PRECESSION ======
+    precessionTurns = 1,                   // Whole-sky turns per loop (integer, 0 = still, negative = reverse)
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.zodiacRingRadius = zodiacRingRadius;
+    this.zodiacRingWidth = zodiacRingWidth;
+    this.zodiacRingColor = zodiacRingColor;
+    this.zodiacRingOpacity = zodiacRingOpacity;
+    this.useElementColors = useElementColors;
+    this.enableZodiacGlyphs = enableZodiacGlyphs;
+    this.zodiacGlyphSize = zodiacGlyphSize;
+    this.zodiacGlyphLineWidth = zodiacGlyphLineWidth;
+    this.zodiacGlyphsUpright = zodiacGlyphsUpright;
+    this.zodiacActivationStagger = zodiacActivationStagger;
+    this.signHighlightIntensity = signHighlightIntensity;
+
+    this.planetOrbitInnerRadius = planetOrbitInnerRadius;
+    this.planetOrbitOuterRadius = planetOrbitOuterRadius;
+    this.planetSpeedMultiplier = planetSpeedMultiplier;
+    this.planetStartLongitudes = planetStartLongitudes;
+    this.planetSize = planetSize;
+    this.enablePlanetGlyphs = enablePlanetGlyphs;
+    this.planetGlyphSize = planetGlyphSize;
+    this.enableOrbitRings = enableOrbitRings;
+    this.orbitRingOpacity = orbitRingOpacity;
+
+    this.enableAspects = enableAspects;
+    this.aspectTypes = aspectTypes;
+    this.aspectOrb = aspectOrb;
+    this.aspectColors = aspectColors;
+    this.aspectThickness = aspectThickness;
+
+    this.precessionTurns = precessionTurns;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
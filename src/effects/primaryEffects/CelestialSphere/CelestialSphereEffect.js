@@ -0,0 +1,377 @@
+/**
+ * Celestial Sphere Effect
+ *
+ * Animates an astrological chart through the phase timeline:
+ * - Awakening: the zodiac lights up sign by sign from Aries
+ * - Ascension / Radiance: planets sweep their orbits, aspects flare as they align
+ * - Descent: the signs go dark again in order (seamless loop)
+ *
+ * Includes:
+ * - 12-sign zodiac ring with vector sign glyphs and element colors
+ * - The 7 classical planets on orbits with whole turns per loop
+ * - Aspect lines (conjunction, trine, square, opposition) that fade across the orb
+ * - Precession: the whole sky turns slowly backwards through the signs
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { CelestialSphereConfig } from './CelestialSphereConfig.js';
+import {
+  ZODIAC_SIGNS,
+  CLASSICAL_PLANETS,
+  ASPECTS,
+  getAngularSeparation,
+  getAspectStrength,
+  longitudeToPoint,
+} from './CelestialGeometry.js';
+import { getCelestialGlyph } from './CelestialGlyphs.js';
+
+export class CelestialSphereEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'celestial-sphere';
+  static _displayName_ = 'Celestial Sphere';
+  static _description_ = 'Zodiac ring with the seven classical planets, aspect lines and precession';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'zodiac', 'astrology', 'planets', 'celestial', 'mystical'];
+
+  constructor({
+    name = CelestialSphereEffect._name_,
+    requiresLayer = true,
+    config = new CelestialSphereConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof CelestialSphereConfig)) {
+      config = new CelestialSphereConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get sign and planet positions for the current frame
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} 12 sign nodes followed by 7 planet nodes
+   */
+  getNodePositions() {
+    const progress = this.getProgress();
+    const config = this.getActiveConfig();
+    const rotation = this.getPrecession(progress);
+    const bandRadius = (config.zodiacRingRadius ?? 0.44) - (config.zodiacRingWidth ?? 0.07) / 2;
+
+    const signs = ZODIAC_SIGNS.map(sign => ({
+      ...sign,
+      kind: 'sign',
+      ...longitudeToPoint(sign.longitude, bandRadius, rotation),
+    }));
+
+    const planets = CLASSICAL_PLANETS.map(planet => {
+      const longitude = this.getPlanetLongitude(planet, progress);
+      const orbitRadius = this.getOrbitRadius(planet);
+      return {
+        ...planet,
+        kind: 'planet',
+        longitude,
+        orbitRadius,
+        ...longitudeToPoint(longitude, orbitRadius, rotation),
+      };
+    });
+
+    return [...signs, ...planets];
+  }
+
+  /**
+   * Get the aspects active in the current frame
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Aspect objects with {start, end, type, strength}
+   */
+  getPathConnections() {
+    const progress = this.getProgress();
+    const config = this.getActiveConfig();
+    if (!config.enableAspects) return [];
+
+    const orb = config.aspectOrb ?? 8;
+    const types = (config.aspectTypes || []).filter(type => ASPECTS[type]);
+    const longitudes = CLASSICAL_PLANETS.map(planet => this.getPlanetLongitude(planet, progress));
+    const aspects = [];
+
+    for (let i = 0; i < CLASSICAL_PLANETS.length; i++) {
+      for (let j = i + 1; j < CLASSICAL_PLANETS.length; j++) {
+        for (const type of types) {
+          const strength = getAspectStrength(longitudes[i], longitudes[j], type, orb);
+          if (strength <= 0) continue;
+          aspects.push({ start: CLASSICAL_PLANETS[i].id, end: CLASSICAL_PLANETS[j].id, type, strength });
+        }
+      }
+    }
+
+    return aspects;
+  }
+
+  /**
+   * Pre-generate hook: blend mode, ring color and planet start longitudes
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = CelestialSphereConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+    this.config.zodiacRingColor = this._extractColor(this.config.zodiacRingColor, '#C9B8FF');
+
+    // Resolved into the config so a worker rebuilding the effect places the planets identically;
+    // forked so the draw does not depend on the main stream's position
+    const longitudeRandom = this.random.fork('planetLongitudes');
+    const provided = this.config.planetStartLongitudes || {};
+    const startLongitudes = {};
+    for (const planet of CLASSICAL_PLANETS) {
+      const drawn = longitudeRandom.range(0, 360);
+      startLongitudes[planet.id] = Number.isFinite(provided[planet.id]) ? provided[planet.id] : drawn;
+    }
+    this.config.planetStartLongitudes = startLongitudes;
+  }
+
+  /**
+   * Planet longitude at a progress (whole orbits per loop, so frame N-1 = frame 0)
+   * @param {Object} planet - Planet definition from CLASSICAL_PLANETS
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Longitude in degrees (unwrapped)
+   */
+  getPlanetLongitude(planet, progress) {
+    const config = this.getActiveConfig();
+    const start = config.planetStartLongitudes?.[planet.id] ?? 0;
+    const orbits = planet.orbitsPerLoop * Math.round(config.planetSpeedMultiplier ?? 1);
+    return start + 360 * orbits * progress;
+  }
+
+  /**
+   * Orbit radius of a planet (normalized), spread between the inner and outer orbit
+   * @param {Object} planet - Planet definition from CLASSICAL_PLANETS
+   * @returns {number}
+   */
+  getOrbitRadius(planet) {
+    const config = this.getActiveConfig();
+    const inner = config.planetOrbitInnerRadius ?? 0.08;
+    const outer = config.planetOrbitOuterRadius ?? 0.33;
+    return inner + (outer - inner) * planet.orbit;
+  }
+
+  /**
+   * Precession angle at a progress: the sky drifts backwards through the signs,
+   * whole turns per loop
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Rotation in degrees
+   */
+  getPrecession(progress) {
+    const turns = Math.round(this.getActiveConfig().precessionTurns ?? 1);
+    return -360 * turns * progress;
+  }
+
+  /**
+   * Render the chart, back to front
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    const nodes = this.getNodePositions();
+    const signs = nodes.filter(node => node.kind === 'sign');
+    const planets = nodes.filter(node => node.kind === 'planet');
+    const rotation = this.getPrecession(progress);
+
+    await this.#renderZodiacRing(canvas, width, height, frameConfig, rotation);
+    await this.#renderSigns(canvas, signs, planets, width, height, frameConfig, progress, rotation);
+    await this.#renderOrbits(canvas, width, height, frameConfig);
+    await this.#renderAspects(canvas, planets, width, height, frameConfig);
+    await this.#renderPlanets(canvas, planets, width, height, frameConfig, rotation);
+  }
+
+  /**
+   * Render the zodiac band: inner and outer rings plus the 12 sign dividers
+   * @private
+   */
+  async #renderZodiacRing(canvas, width, height, frameConfig, rotation) {
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+    const unit = Math.min(width, height) * (frameConfig.scale ?? 1.0);
+    const outer = (frameConfig.zodiacRingRadius ?? 0.44) * unit;
+    const inner = outer - (frameConfig.zodiacRingWidth ?? 0.07) * unit;
+    const color = frameConfig.zodiacRingColor;
+    const alpha = (frameConfig.zodiacRingOpacity ?? 0.8) * (frameConfig.nodeAlpha ?? 1.0);
+    if (alpha <= 0.01) return;
+
+    await canvas.drawRing2d(center, outer, 2, color, 1, color, alpha);
+    await canvas.drawRing2d(center, inner, 1.5, color, 0, null, alpha * 0.8);
+
+    for (let i = 0; i < 12; i++) {
+      const angle = ((i * 30 + rotation) * Math.PI) / 180;
+      const direction = { x: -Math.cos(angle), y: Math.sin(angle) };
+      await canvas.drawLine2d(
+        { x: center.x + direction.x * inner, y: center.y + direction.y * inner },
+        { x: center.x + direction.x * outer, y: center.y + direction.y * outer },
+        1,
+        color,
+        0,
+        null,
+        alpha * 0.7
+      );
+    }
+  }
+
+  /**
+   * Render the sign glyphs, lit in sequence and brightened while planets pass through
+   * @private
+   */
+  async #renderSigns(canvas, signs, planets, width, height, frameConfig, progress, rotation) {
+    if (!frameConfig.enableZodiacGlyphs) return;
+
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    const glyphSize = frameConfig.zodiacGlyphSize ?? 12;
+    const highlightIntensity = frameConfig.signHighlightIntensity ?? 0.6;
+
+    for (const sign of signs) {
+      const activation = this.#getSignActivation(sign.index, signs.length, progress, frameConfig);
+      const alpha = nodeAlpha * activation;
+      if (alpha <= 0.01) continue;
+
+      // Tent falloff: a planet at the sign's center counts fully, fading to 0 at the neighbours' centers
+      const hosted = Math.min(1, planets.reduce(
+        (sum, planet) => sum + Math.max(0, 1 - getAngularSeparation(planet.longitude, sign.longitude) / 30),
+        0
+      ));
+
+      const position = this.transformCoordinate(sign.x, sign.y, width, height);
+      const color = frameConfig.useElementColors ? sign.color : frameConfig.zodiacRingColor;
+
+      if (hosted > 0.01 && highlightIntensity > 0) {
+        await canvas.drawRing2d(position, glyphSize * 1.5, 2, color, 0, null, alpha * hosted * highlightIntensity * 0.6);
+      }
+
+      const angle = ((sign.longitude + rotation) * Math.PI) / 180;
+      await this.renderGlyph(canvas, getCelestialGlyph(sign.glyph), position, glyphSize, {
+        color,
+        opacity: alpha * Math.min(1, 0.55 + hosted * highlightIntensity),
+        // Glyph tops point away from the center unless kept upright
+        rotation: frameConfig.zodiacGlyphsUpright ? 0 : -angle - Math.PI / 2,
+        lineWidth: frameConfig.zodiacGlyphLineWidth ?? 1.5,
+      });
+    }
+  }
+
+  /**
+   * Sign activation: staggered in over the first phase, staggered out over the last
+   * @private
+   */
+  #getSignActivation(index, count, progress, frameConfig) {
+    const phases = this.getPhaseDefinitions();
+    if (phases.length === 0) return 1;
+
+    const phase = this.getCurrentPhase(progress);
+    const stagger = frameConfig.zodiacActivationStagger ?? 0.6;
+    const phaseProgress = Math.max(0, Math.min(1, this.getPhaseProgress(progress, phase)));
+
+    if (phase === phases[0].name) {
+      return this.getStaggeredProgress(index, count, phaseProgress, stagger);
+    }
+    if (phase === phases[phases.length - 1].name) {
+      return 1 - this.getStaggeredProgress(index, count, phaseProgress, stagger);
+    }
+    return 1;
+  }
+
+  /**
+   * Render a faint ring along each planetary orbit
+   * @private
+   */
+  async #renderOrbits(canvas, width, height, frameConfig) {
+    if (!frameConfig.enableOrbitRings) return;
+
+    const alpha = (frameConfig.orbitRingOpacity ?? 0.2) * (frameConfig.nodeAlpha ?? 1.0);
+    if (alpha <= 0.01) return;
+
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+    const unit = Math.min(width, height) * (frameConfig.scale ?? 1.0);
+
+    for (const planet of CLASSICAL_PLANETS) {
+      await canvas.drawRing2d(center, this.getOrbitRadius(planet) * unit, 1, planet.color, 0, null, alpha);
+    }
+  }
+
+  /**
+   * Render aspect lines between planets; strength fades the line across the orb
+   * Conjunctions are too short to read as lines, so they also get a ring around the pair
+   * @private
+   */
+  async #renderAspects(canvas, planets, width, height, frameConfig) {
+    const pathIntensity = frameConfig.pathIntensity ?? 1.0;
+    const thickness = (frameConfig.aspectThickness ?? 1.5) * (frameConfig.pathSizeScale || 1.0);
+    const colors = frameConfig.aspectColors || {};
+    const positions = new Map(
+      planets.map(planet => [planet.id, this.transformCoordinate(planet.x, planet.y, width, height)])
+    );
+
+    for (const aspect of this.getPathConnections()) {
+      const from = positions.get(aspect.start);
+      const to = positions.get(aspect.end);
+      if (!from || !to) continue;
+
+      const alpha = pathIntensity * aspect.strength;
+      if (alpha <= 0.01) continue;
+
+      const color = colors[aspect.type] || ASPECTS[aspect.type].color;
+      await canvas.drawLine2d(from, to, thickness, color, 1, color, alpha);
+
+      if (aspect.type === 'conjunction') {
+        const midpoint = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+        const span = Math.hypot(to.x - from.x, to.y - from.y) / 2;
+        await canvas.drawRing2d(midpoint, span + (frameConfig.planetSize ?? 6) * 2, 1.5, color, 0, null, alpha * 0.8);
+      }
+    }
+  }
+
+  /**
+   * Render the planets with their glyphs set just outside each disc
+   * @private
+   */
+  async #renderPlanets(canvas, planets, width, height, frameConfig, rotation) {
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    if (nodeAlpha <= 0.01) return;
+
+    const baseSize = frameConfig.planetSize ?? 6;
+    const glyphSize = frameConfig.planetGlyphSize ?? 8;
+
+    for (const planet of planets) {
+      const position = this.transformCoordinate(planet.x, planet.y, width, height);
+      const size = baseSize * planet.size;
+
+      await canvas.drawRing2d(position, size * 1.8, 2, planet.glowColor, 0, null, nodeAlpha * 0.35);
+      await canvas.drawFilledPolygon2d(size, position, 24, 0, planet.color, nodeAlpha);
+
+      if (!frameConfig.enablePlanetGlyphs) continue;
+
+      const angle = ((planet.longitude + rotation) * Math.PI) / 180;
+      const offset = size + glyphSize + 3;
+      await this.renderGlyph(
+        canvas,
+        getCelestialGlyph(planet.glyph),
+        { x: position.x - Math.cos(angle) * offset, y: position.y + Math.sin(angle) * offset },
+        glyphSize,
+        { color: planet.color, opacity: nodeAlpha * 0.9, lineWidth: 1.25 }
+      );
+    }
+  }
+}
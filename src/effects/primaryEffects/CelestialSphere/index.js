@@ -0,0 +1,46 @@
+/**
+ * Celestial Sphere - Complete Module
+ *
+ * Core Effect:
+ * - CelestialSphereEffect: Zodiac ring, classical planets, aspects and precession
+ *
+ * Configuration:
+ * - CelestialSphereConfig: Extends base config with zodiac, planet and aspect controls
+ *
+ * Geometry:
+ * - CelestialGeometry: Signs, planets, aspects and chart placement helpers
+ * - CelestialGlyphs: Vector zodiac and planet glyphs
+ *
+ * Presets (4 configurations):
+ * - HEAVENLY_SPHERES: Classic element-colored chart
+ * - GREAT_YEAR: Slow precession of the ages
+ * - BRASS_ASTROLABE: Antique single-metal instrument
+ * - COSMIC_DANCE: Fast planets, constant aspects
+ */
+
+// Core Effect
+export { CelestialSphereEffect } from './CelestialSphereEffect.js';
+
+// Configuration
+export { CelestialSphereConfig } from './CelestialSphereConfig.js';
+
+// Geometry
+export {
+  ZODIAC_SIGNS,
+  CLASSICAL_PLANETS,
+  ASPECTS,
+  normalizeLongitude,
+  getAngularSeparation,
+  getAspectStrength,
+  longitudeToPoint,
+  getSignAtLongitude,
+} from './CelestialGeometry.js';
+export { ZODIAC_GLYPHS, PLANET_GLYPHS, getCelestialGlyph } from './CelestialGlyphs.js';
+
+// Presets
+export {
+  HEAVENLY_SPHERES,
+  GREAT_YEAR,
+  BRASS_ASTROLABE,
+  COSMIC_DANCE,
+} from './presets/index.js';
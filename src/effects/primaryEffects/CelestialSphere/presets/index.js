@@ -0,0 +1,151 @@
+/**
+ * Celestial Sphere Presets
+ *
+ * 4 configurations of the turning heavens, from a classic natal wheel
+ * to a fast, aspect-heavy cosmic dance.
+ */
+
+/**
+ * PRESET 1: HEAVENLY_SPHERES
+ * Theme: The classic chart - element-colored signs, all four major aspects
+ * Vibe: Balanced, luminous, harmonious
+ */
+export const HEAVENLY_SPHERES = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.2,
+  phaseRadiance_start: 0.5,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.3,
+  awakeningNodeAlpha_end: 0.7,
+  ascensionNodeAlpha_start: 0.7,
+  ascensionNodeAlpha_end: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.3,
+
+  // Aspects start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  awakeningPathIntensity_end: 0.6,
+  descentPathIntensity_start: 1.0,
+  descentPathIntensity_end: 0.1,
+
+  zodiacActivationStagger: 0.6,
+  useElementColors: true,
+  planetSpeedMultiplier: 1,
+  aspectTypes: ['conjunction', 'trine', 'square', 'opposition'],
+  aspectOrb: 8,
+  precessionTurns: 1,
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: GREAT_YEAR
+ * Theme: The precession of the ages - the sky turning through the zodiac
+ * Vibe: Vast, slow, contemplative
+ */
+export const GREAT_YEAR = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.55,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.08,
+
+  awakeningEasing: 'smoothstep',
+  descentEasing: 'smoothstep',
+
+  awakeningNodeAlpha_start: 0.2,
+  descentNodeAlpha_end: 0.2,
+
+  // Aspects start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  zodiacRingColor: '#8FA8FF',
+  zodiacRingWidth: 0.09,
+  zodiacGlyphSize: 14,
+  zodiacActivationStagger: 0.9,
+  signHighlightIntensity: 0.4,
+
+  planetSize: 5,
+  enablePlanetGlyphs: false,
+  aspectTypes: ['trine', 'opposition'],
+  aspectOrb: 6,
+  precessionTurns: 2,
+
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: BRASS_ASTROLABE
+ * Theme: An engraved instrument - single-metal palette, upright glyphs, fixed sky
+ * Vibe: Antique, precise, mechanical
+ */
+export const BRASS_ASTROLABE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.15,
+  phaseRadiance_start: 0.4,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.4,
+  descentNodeAlpha_end: 0.4,
+
+  // Aspects start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  zodiacRingColor: '#D4A857',
+  zodiacRingOpacity: 1.0,
+  useElementColors: false,
+  zodiacGlyphsUpright: true,
+  zodiacActivationStagger: 0.3,
+
+  orbitRingOpacity: 0.35,
+  aspectColors: {
+    conjunction: '#FFE8A3',
+    trine: '#D4A857',
+    square: '#B5763A',
+    opposition: '#B5763A',
+  },
+  aspectThickness: 1,
+  precessionTurns: 0,
+
+  layerBlendMode: 'normal',
+};
+
+/**
+ * PRESET 4: COSMIC_DANCE
+ * Theme: Doubled planetary speeds and a wide orb - aspects flaring constantly
+ * Vibe: Energetic, kaleidoscopic, alive
+ */
+export const COSMIC_DANCE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.1,
+  phaseRadiance_start: 0.3,
+  phaseDescentstart: 0.75,
+  transitionZoneWidth: 0.04,
+
+  ascensionEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.3,
+  descentNodeAlpha_end: 0.3,
+
+  // Aspects start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  zodiacActivationStagger: 0.4,
+  signHighlightIntensity: 1.0,
+
+  planetSpeedMultiplier: 2,
+  planetSize: 7,
+  aspectOrb: 12,
+  aspectThickness: 2,
+  precessionTurns: -1,
+
+  layerBlendMode: 'screen',
+};
@@ -1,7 +1,7 @@
 /**
  * Chakra Mandala Geometry
  * 
- * Defines the 7-chakra energy system geometry:
+ * Defines the classical 7-chakra energy system geometry:
  * - Root (Muladhara)
  * - Sacral (Svadhisthana)
  * - Solar Plexus (Manipura)
@@ -12,6 +12,11 @@
  * 
  * Each chakra is positioned vertically along the central axis (sushumna nadi)
  * with mandala rings for visualization of energy flow.
+ * 
+ * Alternative systems are selectable through CHAKRA_SYSTEMS / getChakraSystem():
+ * - twelve: earth star below the root and four transpersonal points above the crown
+ * - tibetan: the five wheels of the Vajrayana completion stage
+ * Any system can add the minor hand and foot chakras, placed off the axis.
  */
 
 /**
@@ -209,4 +214,283 @@ export function getKundaliniActivationOrder() {
  */
 export function getAllChakraPositions() {
   return Object.values(CHAKRA_POSITIONS);
-}
\ No newline at end of file
+}
+
+// ====== TWELVE-CHAKRA SYSTEM ======
+// The classical seven re-spaced between the earth star and four transpersonal points
+
+/**
+ * Earth Star - Grounding into the planet, ancestral roots
+ * Located below the feet
+ */
+const EARTH_STAR = {
+  id: 'earth-star',
+  name: 'Earth Star',
+  x: 0.5,
+  y: 0.98,
+  radius: 20,
+  color: '#6d4c41', // Earth brown
+  glowColor: '#4e342e',
+  frequency: 174,  // Hz (solfeggio)
+};
+
+/**
+ * Soul Star - Soul purpose, the seat of the higher self
+ * Located a hand's width above the crown
+ */
+const SOUL_STAR = {
+  id: 'soul-star',
+  name: 'Soul Star',
+  x: 0.5,
+  y: 0.26,
+  radius: 21,
+  color: '#f8bbd0', // Pearl magenta
+  glowColor: '#f48fb1',
+  frequency: 528,
+};
+
+/**
+ * Stellar Gateway - Access to cosmic consciousness
+ */
+const STELLAR_GATEWAY = {
+  id: 'stellar-gateway',
+  name: 'Stellar Gateway',
+  x: 0.5,
+  y: 0.18,
+  radius: 20,
+  color: '#ffd700', // Gold
+  glowColor: '#c9a227',
+  frequency: 639,
+};
+
+/**
+ * Universal Chakra - Oneness with all that is
+ */
+const UNIVERSAL = {
+  id: 'universal',
+  name: 'Universal',
+  x: 0.5,
+  y: 0.10,
+  radius: 19,
+  color: '#e0e0e0', // Silver
+  glowColor: '#b0bec5',
+  frequency: 741,
+};
+
+/**
+ * Divine Gateway - Threshold to the source
+ */
+const DIVINE_GATEWAY = {
+  id: 'divine-gateway',
+  name: 'Divine Gateway',
+  x: 0.5,
+  y: 0.02,
+  radius: 18,
+  color: '#ffffff', // Platinum white
+  glowColor: '#e5e4e2',
+  frequency: 963,
+};
+
+// ====== TIBETAN FIVE-CHAKRA SYSTEM ======
+// Wheel colors follow the seed syllables (OM white, AH red, HUM blue, SVA yellow, HA green);
+// aliases let classical focus ids (e.g. 'anahata') select the matching wheel
+
+/**
+ * Secret Place Wheel - Bliss-sustaining wheel, HA
+ */
+const SECRET_WHEEL = {
+  id: 'secret-wheel',
+  name: 'Secret Place (Sukhapala)',
+  aliases: ['muladhara', 'svadhisthana'],
+  x: 0.5,
+  y: 0.82,
+  radius: 25,
+  color: '#27ae60', // Green
+  glowColor: '#1e8449',
+  frequency: 228,
+};
+
+/**
+ * Navel Wheel - Emanation wheel, SVA
+ */
+const NAVEL_WHEEL = {
+  id: 'navel-wheel',
+  name: 'Navel (Nirmanachakra)',
+  aliases: ['manipura'],
+  x: 0.5,
+  y: 0.65,
+  radius: 25,
+  color: '#f1c40f', // Yellow
+  glowColor: '#d4ac0d',
+  frequency: 384,
+};
+
+/**
+ * Heart Wheel - Dharma wheel, HUM
+ */
+const HEART_WHEEL = {
+  id: 'heart-wheel',
+  name: 'Heart (Dharmachakra)',
+  aliases: ['anahata'],
+  x: 0.5,
+  y: 0.48,
+  radius: 26,
+  color: '#2e86de', // Blue
+  glowColor: '#1b4f9c',
+  frequency: 341,
+};
+
+/**
+ * Throat Wheel - Enjoyment wheel, AH
+ */
+const THROAT_WHEEL = {
+  id: 'throat-wheel',
+  name: 'Throat (Sambhogachakra)',
+  aliases: ['vishuddha'],
+  x: 0.5,
+  y: 0.32,
+  radius: 24,
+  color: '#e74c3c', // Red
+  glowColor: '#b03a2e',
+  frequency: 384,
+};
+
+/**
+ * Crown Wheel - Great bliss wheel, OM
+ */
+const CROWN_WHEEL = {
+  id: 'crown-wheel',
+  name: 'Crown (Mahasukhachakra)',
+  aliases: ['ajna', 'sahasrara'],
+  x: 0.5,
+  y: 0.15,
+  radius: 24,
+  color: '#f5f5f5', // White
+  glowColor: '#d5d8dc',
+  frequency: 432,
+};
+
+// ====== MINOR CHAKRAS ======
+// Placed relative to the system's heart (hands) and root (feet) chakra
+
+/**
+ * Hand and foot chakras - giving/receiving and grounding points off the central axis
+ */
+const MINOR_CHAKRAS = [
+  { id: 'left-hand', name: 'Left Palm', anchor: 'hands', offsetX: -0.28, offsetY: 0.05, radius: 14, color: '#a3e4d7', glowColor: '#48c9b0', frequency: 417 },
+  { id: 'right-hand', name: 'Right Palm', anchor: 'hands', offsetX: 0.28, offsetY: 0.05, radius: 14, color: '#a3e4d7', glowColor: '#48c9b0', frequency: 417 },
+  { id: 'left-foot', name: 'Left Sole', anchor: 'feet', offsetX: -0.1, offsetY: 0.06, radius: 14, color: '#a04000', glowColor: '#6e2c00', frequency: 194.18 },
+  { id: 'right-foot', name: 'Right Sole', anchor: 'feet', offsetX: 0.1, offsetY: 0.06, radius: 14, color: '#a04000', glowColor: '#6e2c00', frequency: 194.18 },
+];
+
+/**
+ * Ring and bead scale for minor chakras relative to the axis chakras
+ */
+export const MINOR_CHAKRA_SCALE = 0.5;
+
+/**
+ * Selectable chakra systems
+ * Axis chakras are listed root to crown; anchors name the chakras the minor
+ * hand and foot chakras attach to
+ */
+export const CHAKRA_SYSTEMS = {
+  classical: {
+    id: 'classical',
+    name: 'Classical Seven',
+    description: 'The seven chakras of the Tantric yoga tradition along the sushumna',
+    chakras: [MULADHARA, SVADHISTHANA, MANIPURA, ANAHATA, VISHUDDHA, AJNA, SAHASRARA],
+    anchors: { hands: 'anahata', feet: 'muladhara' },
+  },
+  twelve: {
+    id: 'twelve',
+    name: 'Twelve Chakras',
+    description: 'Earth star below the root, the classical seven, and four transpersonal points above the crown',
+    chakras: [
+      EARTH_STAR,
+      { ...MULADHARA, y: 0.89 },
+      { ...SVADHISTHANA, y: 0.80 },
+      { ...MANIPURA, y: 0.71 },
+      { ...ANAHATA, y: 0.62 },
+      { ...VISHUDDHA, y: 0.53 },
+      { ...AJNA, y: 0.44 },
+      { ...SAHASRARA, y: 0.35 },
+      SOUL_STAR,
+      STELLAR_GATEWAY,
+      UNIVERSAL,
+      DIVINE_GATEWAY,
+    ],
+    anchors: { hands: 'anahata', feet: 'muladhara' },
+  },
+  tibetan: {
+    id: 'tibetan',
+    name: 'Tibetan Five Wheels',
+    description: 'The five wheels of the Vajrayana completion stage, secret place to crown',
+    chakras: [SECRET_WHEEL, NAVEL_WHEEL, HEART_WHEEL, THROAT_WHEEL, CROWN_WHEEL],
+    anchors: { hands: 'heart-wheel', feet: 'secret-wheel' },
+  },
+};
+
+/**
+ * Ids accepted by getChakraSystem()
+ */
+export const CHAKRA_SYSTEM_IDS = Object.keys(CHAKRA_SYSTEMS);
+
+/**
+ * Resolve a chakra system into renderable geometry
+ * @param {string} systemId - 'classical' | 'twelve' | 'tibetan'
+ * @param {Object} [options]
+ * @param {boolean} [options.includeMinorChakras=false] - Add the hand and foot chakras off the axis
+ * @returns {Object|null} { id, name, description, chakras, axisChakras, connections, channels },
+ *   or null if the system is unknown.
+ *   chakras: axis chakras root → crown, then minor chakras (minor: true), re-indexed in that order.
+ *   channels: the axis, then [left, anchor, right] for the hands and for the feet.
+ */
+export function getChakraSystem(systemId = 'classical', { includeMinorChakras = false } = {}) {
+  const system = CHAKRA_SYSTEMS[systemId];
+  if (!system) return null;
+
+  const axisChakras = system.chakras.map((chakra, index) => ({ ...chakra, index, minor: false }));
+  const connections = [];
+  for (let i = 0; i < axisChakras.length - 1; i++) {
+    connections.push({ start: axisChakras[i].id, end: axisChakras[i + 1].id });
+  }
+  const channels = [axisChakras];
+
+  const minorChakras = [];
+  if (includeMinorChakras) {
+    for (const limb of ['hands', 'feet']) {
+      const anchor = axisChakras.find(chakra => chakra.id === system.anchors[limb]);
+      const [left, right] = MINOR_CHAKRAS
+        .filter(minor => minor.anchor === limb)
+        .map(({ id, name, offsetX, offsetY, radius, color, glowColor, frequency }) => {
+          const minor = {
+            id,
+            name,
+            index: axisChakras.length + minorChakras.length,
+            x: anchor.x + offsetX,
+            y: anchor.y + offsetY,
+            radius,
+            color,
+            glowColor,
+            frequency,
+            minor: true,
+          };
+          minorChakras.push(minor);
+          return minor;
+        });
+
+      connections.push({ start: anchor.id, end: left.id }, { start: anchor.id, end: right.id });
+      channels.push([left, anchor, right]);
+    }
+  }
+
+  return {
+    id: system.id,
+    name: system.name,
+    description: system.description,
+    chakras: [...axisChakras, ...minorChakras],
+    axisChakras,
+    connections,
+    channels,
+  };
+}
@@ -2,6 +2,7 @@
  * Chakra Mandala Configuration
  * 
  * Extends PhaseAnimatedPolygonConfig with chakra-specific parameters:
+ * - Chakra system selection (classical, twelve, Tibetan, minor chakras)
  * - Mandala ring visualization
  * - Chakra-specific color controls
  * - Frequency visualization
@@ -16,12 +17,13 @@ export class ChakraMandalaConfig extends PhaseAnimatedPolygonConfig {
    * Pick a random element from an array, or return the value if it's not an array
    * Used for randomly selecting enum options (blend modes, chakra focus, etc.)
    * @param {Array|string|*} value - Array of options or a single value
+   * @param {Function} [random=Math.random] - Random source returning [0, 1); pass the effect's seeded generator
    * @return {string|*} - Random element from array or the value itself
    * @static
    */
-  static pickRandom(value) {
+  static pickRandom(value, random = Math.random) {
     if (Array.isArray(value)) {
-      return value[Math.floor(Math.random() * value.length)];
+      return value[Math.floor(random() * value.length)];
     }
     return value;
   }
@@ -34,6 +36,10 @@ export class ChakraMandalaConfig extends PhaseAnimatedPolygonConfig {
     // ====== SMOOTH PHASE TRANSITIONS ======
     transitionZoneWidth = 0.05,            // Width of transition zones between phases (5% = smooth blending)
 
+    // ====== CHAKRA SYSTEM ======
+    chakraSystem = 'classical',            // 'classical' (7), 'twelve' (earth star + 7 + 4 transpersonal) or 'tibetan' (5 wheels); array = random pick
+    includeMinorChakras = false,           // Add the hand and foot chakras off the central axis
+
     // ====== CHAKRA-SPECIFIC SETTINGS ======
     enableMandalaRings = true,             // Render mandala ring resonances
     mandalaRingSpeed = 2.0,                // Ring rotation/expansion speed
@@ -80,6 +86,17 @@ export class ChakraMandalaConfig extends PhaseAnimatedPolygonConfig {
     centralChannelGlow = 1.2,              // Central channel brightness multiplier
     centralChannelAuras = true,            // Enable multi-layer auras on central channel
 
+    // ====== KUNDALINI SERPENT ======
+    enableKundaliniSerpent = false,        // Serpent rising root → crown over ascension, returning in descent
+    kundaliniSpeed = 1.0,                  // Body undulation cycles per loop (rounded to whole cycles)
+    kundaliniWaveAmplitude = 0.08,         // Ida/pingala coil width (normalized, 0.02-0.15)
+    kundaliniGlowIntensity = 0.8,          // Serpent brightness (0-1)
+    kundaliniFractalLayers = 1,            // Fainter, wider echo layers of the serpent (0-3)
+    kundaliniOvertones = 2,                // Fractal ripples on each channel (0-5)
+    kundaliniThickness = 2.5,              // Channel line thickness in pixels
+    kundaliniIdaColor = '#9FC5FF',         // Ida nadi - lunar, cool (string or ColorPicker)
+    kundaliniPingalaColor = '#FF7043',     // Pingala nadi - solar, warm (string or ColorPicker)
+
     // ====== COLOR OVERRIDES ======
     // Chakra colors typically use their authentic colors, but allow override
     useCustomChakraColors = false,         // If true, use colorPicker instead of authentic
@@ -175,6 +192,10 @@ export class ChakraMandalaConfig extends PhaseAnimatedPolygonConfig {
     // Smooth transitions
     this.transitionZoneWidth = transitionZoneWidth;
 
+    // Chakra system
+    this.chakraSystem = chakraSystem;
+    this.includeMinorChakras = includeMinorChakras;
+
     // Chakra-specific settings
     this.enableMandalaRings = enableMandalaRings;
     this.mandalaRingSpeed = mandalaRingSpeed;
@@ -220,6 +241,16 @@ export class ChakraMandalaConfig extends PhaseAnimatedPolygonConfig {
     this.centralChannelGlow = centralChannelGlow;
     this.centralChannelAuras = centralChannelAuras;
 
+    this.enableKundaliniSerpent = enableKundaliniSerpent;
+    this.kundaliniSpeed = kundaliniSpeed;
+    this.kundaliniWaveAmplitude = kundaliniWaveAmplitude;
+    this.kundaliniGlowIntensity = kundaliniGlowIntensity;
+    this.kundaliniFractalLayers = kundaliniFractalLayers;
+    this.kundaliniOvertones = kundaliniOvertones;
+    this.kundaliniThicknessRaw = baseConfig?.kundaliniThicknessRaw ?? kundaliniThickness;
+    this.kundaliniIdaColor = kundaliniIdaColor;
+    this.kundaliniPingalaColor = kundaliniPingalaColor;
+
     this.useCustomChakraColors = useCustomChakraColors;
     this.chakraColorOverride = chakraColorOverride;
     this.chakraGlowColorOverride = chakraGlowColorOverride;
@@ -310,8 +341,8 @@ export class ChakraMandalaConfig extends PhaseAnimatedPolygonConfig {
    * Get focused chakra for a given phase
    * IMPORTANT: Randomization happens once in ChakraMandalaEffect.generate()
    * This method simply returns the pre-selected value for deterministic animation
-   * @param {string} phase - Phase name ('awakening' | 'ascension' | 'radiance' | 'descent')
-   * @returns {string} Chakra name to focus on during this phase
+   * @param {string} phase - Phase name ('awakening' | 'ascension' | 'radiance' | 'descent' or a custom phase)
+   * @returns {string} Chakra id to focus on during this phase (classical ids also match their Tibetan wheel)
    */
   getChakraFocusForPhase(phase) {
     const phaseMap = {
@@ -320,7 +351,9 @@ export class ChakraMandalaConfig extends PhaseAnimatedPolygonConfig {
       radiance: this.radianceChakraFocus,
       descent: this.descentChakraFocus,
     };
-    const phaseValue = phaseMap[phase] || 'anahata'; // Default to heart
+    // Custom timelines (config.phases) can declare { name, start, chakraFocus: 'manipura' }
+    const customPhase = Array.isArray(this.phases) ? this.phases.find(p => p.name === phase) : null;
+    const phaseValue = phaseMap[phase] || customPhase?.chakraFocus || 'anahata'; // Default to heart
     // Return pre-selected value (randomization already happened in generate())
     return phaseValue;
   }
@@ -1,13 +1,14 @@
 /**
  * Chakra Mandala Effect
  * 
- * Animates the 7-chakra energy system through mystical phases:
+ * Animates a chakra energy system through mystical phases:
  * - Individual chakra glows and mandala rings
  * - Energy flow between chakra nodes
  * - Frequency-based visualizations
  * 
  * Includes:
- * - 7 chakra nodes positioned vertically (energy axis)
+ * - Chakra nodes of the selected system (classical 7, twelve, Tibetan 5),
+ *   positioned along the energy axis, plus optional off-axis hand and foot chakras
  * - Mandala ring resonances around each chakra
  * - Smooth phase transitions
  * - Hardware-accelerated rendering via Canvas2dFactory
@@ -18,16 +19,17 @@ import { Canvas2dFactory } from 'my-nft-gen/src/core/factory/canvas/Canvas2dFact
 import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
 import { ChakraMandalaConfig } from './ChakraMandalaConfig.js';
 import { VerticalSineWaveEngine } from './VerticalSineWaveEngine.js';
+import { KundaliniSerpentEngine } from './KundaliniSerpentEngine.js';
 import {
-  CHAKRA_POSITIONS,
-  CHAKRA_CONNECTIONS,
-  MANDALA_RING_RADII,
+  CHAKRA_SYSTEM_IDS,
+  MINOR_CHAKRA_SCALE,
+  getChakraSystem,
 } from './ChakraGeometry.js';
 
 export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
   static _name_ = 'chakra-mandala';
   static _displayName_ = 'Chakra Mandala';
-  static _description_ = 'Animates the 7-chakra system with kundalini rising, mandala rings, and energy flow';
+  static _description_ = 'Animates the classical, twelve-chakra or Tibetan chakra system with kundalini rising, mandala rings, and energy flow';
   static _version_ = '1.0.0';
   static _author_ = 'Operator';
   static _tags_ = ['effect', 'primary', 'chakra', 'mandala', 'kundalini', 'energy', 'mystical'];
@@ -76,9 +78,9 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
     // Call parent invoke (handles Canvas2D rendering)
     await super.invoke(layer, currentFrame, numberOfFrames);
 
-    // Composite all sine wave layers on top with their opacity applied
+    // Composite all sine wave layers on top with their opacity and blend mode applied
     for (const sineWaveLayer of this.sineWaveLayers) {
-      await layer.compositeLayerOver(sineWaveLayer);
+      await this.compositeRenderedLayer(layer, sineWaveLayer);
     }
   }
 
@@ -89,7 +91,7 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @returns {Array} Array of chakra position objects
    */
   getNodePositions() {
-    return Object.values(CHAKRA_POSITIONS);
+    return this.chakraSystem.chakras;
   }
 
   /**
@@ -99,7 +101,7 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @returns {Array} Array of connection objects
    */
   getPathConnections() {
-    return CHAKRA_CONNECTIONS;
+    return this.chakraSystem.connections;
   }
 
   /**
@@ -109,16 +111,25 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    */
   generate() {
     // Randomly select blend mode if array provided
-    this.config.layerBlendMode = ChakraMandalaConfig.pickRandom(this.config.layerBlendMode);
+    this.config.layerBlendMode = ChakraMandalaConfig.pickRandom(this.config.layerBlendMode, this.random.next);
     
     // Randomly select explosion color scheme once for entire animation cycle
-    this.config.explosionColorScheme = ChakraMandalaConfig.pickRandom(this.config.explosionColorScheme);
+    this.config.explosionColorScheme = ChakraMandalaConfig.pickRandom(this.config.explosionColorScheme, this.random.next);
     
     // Randomly select chakra focus for each phase if array provided
-    this.config.awakeningChakraFocus = ChakraMandalaConfig.pickRandom(this.config.awakeningChakraFocus);
-    this.config.ascentionChakraFocus = ChakraMandalaConfig.pickRandom(this.config.ascentionChakraFocus);
-    this.config.radianceChakraFocus = ChakraMandalaConfig.pickRandom(this.config.radianceChakraFocus);
-    this.config.descentChakraFocus = ChakraMandalaConfig.pickRandom(this.config.descentChakraFocus);
+    this.config.awakeningChakraFocus = ChakraMandalaConfig.pickRandom(this.config.awakeningChakraFocus, this.random.next);
+    this.config.ascentionChakraFocus = ChakraMandalaConfig.pickRandom(this.config.ascentionChakraFocus, this.random.next);
+    this.config.radianceChakraFocus = ChakraMandalaConfig.pickRandom(this.config.radianceChakraFocus, this.random.next);
+    this.config.descentChakraFocus = ChakraMandalaConfig.pickRandom(this.config.descentChakraFocus, this.random.next);
+
+    // Resolve the chakra system once; every renderer reads this.chakraSystem
+    this.config.chakraSystem = ChakraMandalaConfig.pickRandom(this.config.chakraSystem, this.random.next);
+    const systemOptions = { includeMinorChakras: !!this.config.includeMinorChakras };
+    this.chakraSystem = getChakraSystem(this.config.chakraSystem, systemOptions);
+    if (!this.chakraSystem) {
+      console.warn(`⚠️ Chakra Mandala: unknown chakra system "${this.config.chakraSystem}", using classical (expected ${CHAKRA_SYSTEM_IDS.join(', ')})`);
+      this.chakraSystem = getChakraSystem('classical', systemOptions);
+    }
     
     // Extract all ColorPicker objects to plain strings for serialization survival
     // These must be stored as pure data because ColorPicker objects with methods
@@ -129,6 +140,8 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
     this.config.energyBeadColor = this._extractColor(this.config.energyBeadColor, '#ffff00');
     this.config.chakraColorOverride = this._extractColor(this.config.chakraColorOverride, '#ffffff');
     this.config.chakraGlowColorOverride = this._extractColor(this.config.chakraGlowColorOverride, '#ffffff');
+    this.config.kundaliniIdaColor = this._extractColor(this.config.kundaliniIdaColor, '#9FC5FF');
+    this.config.kundaliniPingalaColor = this._extractColor(this.config.kundaliniPingalaColor, '#FF7043');
     
     // === CRITICAL: Pre-compute all scaled values for serialization survival ===
     // Getters/setters are lost after JSON serialization, so compute once here
@@ -174,14 +187,22 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       value: (this.config.mandalaRingThicknessRaw || 2) * scale,
       writable: true, enumerable: true, configurable: true
     });
+    Object.defineProperty(this.config, 'kundaliniThicknessComputed', {
+      value: (this.config.kundaliniThicknessRaw || 2.5) * scale,
+      writable: true, enumerable: true, configurable: true
+    });
     
     // === CRITICAL: Pre-select all sine wave algorithm variants to lock in animation ===
     // Stored on effect instance (not config) so they don't need to survive JSON serialization
     // They're computed once in generate() and used throughout frame rendering
-    this.sineWaveAmplitudeAlgorithm = ChakraMandalaConfig.pickRandom(this.config.sineWaveAmplitudeOscillationAlgorithm);
-    this.sineWaveOpacityAlgorithm = ChakraMandalaConfig.pickRandom(this.config.sineWaveOpacityFindValueAlgorithm);
-    this.sineWaveBlurAlgorithm = ChakraMandalaConfig.pickRandom(this.config.sineWaveBlurFindValueAlgorithm);
-    this.sineWaveAccentAlgorithm = ChakraMandalaConfig.pickRandom(this.config.sineWaveAccentFindValueAlgorithm);
+    // Use a forked stream: when a worker rebuilds the effect from the serialized config,
+    // the config picks above are already resolved and draw nothing, so the main stream
+    // would be offset - the fork keeps these picks identical on both sides
+    const algorithmRandom = this.random.fork('sineWaveAlgorithms');
+    this.sineWaveAmplitudeAlgorithm = ChakraMandalaConfig.pickRandom(this.config.sineWaveAmplitudeOscillationAlgorithm, algorithmRandom.next);
+    this.sineWaveOpacityAlgorithm = ChakraMandalaConfig.pickRandom(this.config.sineWaveOpacityFindValueAlgorithm, algorithmRandom.next);
+    this.sineWaveBlurAlgorithm = ChakraMandalaConfig.pickRandom(this.config.sineWaveBlurFindValueAlgorithm, algorithmRandom.next);
+    this.sineWaveAccentAlgorithm = ChakraMandalaConfig.pickRandom(this.config.sineWaveAccentFindValueAlgorithm, algorithmRandom.next);
     
     // === CRITICAL: Pre-compute explosion particle positions to lock in animation ===
     // Stored on effect instance (not config) for same reason as algorithms above
@@ -195,108 +216,23 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   _precomputeExplosionParticles() {
-    const chakras = Object.values(CHAKRA_POSITIONS);
+    const chakras = this.chakraSystem.chakras;
+    const particleRandom = this.random.fork('explosionParticles');
     this.precomputedExplosionParticles = [];
     
-    for (const chakraIdx in chakras) {
+    for (let chakraIdx = 0; chakraIdx < chakras.length; chakraIdx++) {
       const particleSet = [];
       for (let particleIdx = 0; particleIdx < this.config.explosionParticleCount; particleIdx++) {
-        // Pre-compute random values ONCE
+        // Pre-compute seeded random values ONCE
         particleSet.push({
-          randomDistance: Math.random(),
-          randomRadius: Math.random()
+          randomDistance: particleRandom.next(),
+          randomRadius: particleRandom.next()
         });
       }
       this.precomputedExplosionParticles.push(particleSet);
     }
   }
 
-  /**
-   * Apply smooth phase transitions with interpolation
-   * @private
-   * @returns {Object} Interpolated parameters with smooth transition blending
-   */
-  #getPhaseWithSmoothTransition(progress, baseConfig) {
-    const transWidth = this.config.transitionZoneWidth || 0.05;
-    
-    // Get base phase boundaries
-    const phases = [
-      { name: 'awakening', start: 0 },
-      { name: 'ascension', start: baseConfig.phaseAscension_start || 0.2 },
-      { name: 'radiance', start: baseConfig.phaseRadiance_start || 0.6 },
-      { name: 'descent', start: baseConfig.phaseDescentstart || 0.85 }
-    ];
-    
-    // Find current phase and transition zone
-    let currentPhase = phases[0];
-    let nextPhase = phases[1];
-    let transitionProgress = 0;
-    let inTransition = false;
-
-    for (let i = 0; i < phases.length; i++) {
-      const phase = phases[i];
-      const nextIdx = (i + 1) % phases.length;
-      const nextPhaseStart = nextIdx === 0 ? 1.0 : phases[nextIdx].start;
-      const phaseEnd = nextPhaseStart;
-      const transitionStart = phaseEnd - transWidth;
-
-      if (progress >= phase.start && progress < transitionStart) {
-        currentPhase = phase;
-        inTransition = false;
-        break;
-      } else if (progress >= transitionStart && progress < phaseEnd) {
-        currentPhase = phase;
-        nextPhase = phases[nextIdx];
-        transitionProgress = (progress - transitionStart) / transWidth;
-        inTransition = true;
-        break;
-      }
-    }
-
-    return { currentPhase, nextPhase, transitionProgress, inTransition };
-  }
-
-  /**
-   * Interpolate alpha values smoothly during transitions
-   * @private
-   */
-  #interpolateAlpha(baseAlpha, transitionInfo) {
-    if (!transitionInfo.inTransition) {
-      return baseAlpha;
-    }
-    // Linear easing for smooth crossfade
-    return baseAlpha; // Alpha stays constant; other parameters interpolate
-  }
-
-  /**
-   * Extract color from either a ColorPicker object or a string
-   * Safely handles both cases without throwing errors
-   * @protected
-   * @param {ColorPicker|string} colorValue - Color value (string or ColorPicker)
-   * @param {string} fallback - Fallback color if extraction fails
-   * @returns {string} Hex color string
-   */
-  _extractColor(colorValue, fallback = '#000000') {
-    if (!colorValue) return fallback;
-    
-    // If it's a string, return it directly
-    if (typeof colorValue === 'string') {
-      return colorValue;
-    }
-    
-    // If it has a getColor method, call it
-    if (typeof colorValue.getColor === 'function') {
-      try {
-        return colorValue.getColor(this.settings) || fallback;
-      } catch (e) {
-        return fallback;
-      }
-    }
-    
-    // Otherwise return fallback
-    return fallback;
-  }
-
   /**
    * Override rendering to inject chakra-specific visualizations
    * @protected
@@ -307,12 +243,12 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @param {number} progress - Overall animation progress (0-1)
    */
   async renderEffect(canvas, width, height, frameConfig, progress) {
-    const centerX = width * this.config.centerX;
-    const centerY = height * this.config.centerY;
-    const scale = Math.min(width, height) * this.config.scale * 0.35; // Chakra system scale
+    const centerX = width * frameConfig.centerX;
+    const centerY = height * frameConfig.centerY;
+    const scale = Math.min(width, height) * frameConfig.scale * 0.35; // Chakra system scale
 
-    // Get smooth transition information
-    const transitionInfo = this.#getPhaseWithSmoothTransition(progress, frameConfig);
+    // Get smooth transition information (generic N-phase timeline from the base class)
+    const transitionInfo = this.getTransitionInfo(progress);
 
     // Draw components in order (back to front for proper layering)
     // Deepest/background layers first
@@ -323,6 +259,7 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
     await this.#renderMandalaResonancePatterns(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo);
     await this.#renderEnergyFlowSpirals(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo);
     await this.#renderEnergyFlow(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo);
+    await this.#renderKundaliniSerpent(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo);
     await this.#renderChakras(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo);
     await this.#renderChakraBreathing(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo);
     await this.#renderFrequencyVisualization(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo);
@@ -331,24 +268,26 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
   }
 
   /**
-   * Render the central channel (Sushumna Nadi) - vertical line through chakra centers
+   * Render the central channel (Sushumna Nadi) - vertical line through the axis chakra centers
    * @private
    */
   async #renderCentralChannel(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableCentralChannel) return;
+    if (!frameConfig.enableCentralChannel) return;
 
-    const chakras = Object.values(CHAKRA_POSITIONS);
+    const chakras = this.chakraSystem.axisChakras;
     const startChakra = chakras[0];
     const endChakra = chakras[chakras.length - 1];
 
+    const startX = centerX + (startChakra.x - 0.5) * scale * 2;
     const startY = centerY + (startChakra.y - 0.5) * scale * 2;
+    const endX = centerX + (endChakra.x - 0.5) * scale * 2;
     const endY = centerY + (endChakra.y - 0.5) * scale * 2;
 
-    const alpha = 0.3 * frameConfig.nodeAlpha * this.config.centralChannelGlow;
+    const alpha = 0.3 * frameConfig.nodeAlpha * frameConfig.centralChannelGlow;
     
     await canvas.drawLine2d(
-      { x: centerX, y: startY },
-      { x: centerX, y: endY },
+      { x: startX, y: startY },
+      { x: endX, y: endY },
       3,  // innerStroke
       '#FFFFFF',  // innerColor
       0,  // outerStroke
@@ -362,24 +301,26 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderCentralChannelAuras(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableCentralChannel || !this.config.centralChannelAuras) return;
+    if (!frameConfig.enableCentralChannel || !frameConfig.centralChannelAuras) return;
 
-    const chakras = Object.values(CHAKRA_POSITIONS);
+    const chakras = this.chakraSystem.axisChakras;
     const startChakra = chakras[0];
     const endChakra = chakras[chakras.length - 1];
 
+    const startX = centerX + (startChakra.x - 0.5) * scale * 2;
     const startY = centerY + (startChakra.y - 0.5) * scale * 2;
+    const endX = centerX + (endChakra.x - 0.5) * scale * 2;
     const endY = centerY + (endChakra.y - 0.5) * scale * 2;
 
     // Draw expanding aura layers around central channel
     for (let layer = 1; layer <= 3; layer++) {
       const auraWidth = 8 * layer;
-      const opacity = frameConfig.nodeAlpha * (0.2 / layer) * this.config.centralChannelGlow;
+      const opacity = frameConfig.nodeAlpha * (0.2 / layer) * frameConfig.centralChannelGlow;
       const breathing = Math.sin(progress * 2 * Math.PI) * 0.3 + 0.7;
       
       await canvas.drawLine2d(
-        { x: centerX - auraWidth * breathing, y: startY },
-        { x: centerX - auraWidth * breathing, y: endY },
+        { x: startX - auraWidth * breathing, y: startY },
+        { x: endX - auraWidth * breathing, y: endY },
         1,
         '#64C8FF',
         0,
@@ -388,8 +329,8 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       );
 
       await canvas.drawLine2d(
-        { x: centerX + auraWidth * breathing, y: startY },
-        { x: centerX + auraWidth * breathing, y: endY },
+        { x: startX + auraWidth * breathing, y: startY },
+        { x: endX + auraWidth * breathing, y: endY },
         1,
         '#64C8FF',
         0,
@@ -404,15 +345,15 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderMandalaRings(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableMandalaRings) return;
+    if (!frameConfig.enableMandalaRings) return;
 
-    const chakras = Object.values(CHAKRA_POSITIONS);
-    const rotation = (progress * this.config.mandalaRingSpeed * Math.PI * 2) % (Math.PI * 2);
+    const chakras = this.chakraSystem.chakras;
+    const rotation = (progress * frameConfig.mandalaRingSpeed * Math.PI * 2) % (Math.PI * 2);
 
     // Calculate ring radii between inner and outer bounds, scaled by mandala radius multiplier
-    const innerRadius = scale * this.config.mandalaInnerRadius * this.config.mandalaRadiusMultiplier;
-    const outerRadius = scale * this.config.mandalaOuterRadius * this.config.mandalaRadiusMultiplier;
-    const ringCount = 3 + this.config.mandalaRingLayers;
+    const innerRadius = scale * frameConfig.mandalaInnerRadius * frameConfig.mandalaRadiusMultiplier;
+    const outerRadius = scale * frameConfig.mandalaOuterRadius * frameConfig.mandalaRadiusMultiplier;
+    const ringCount = 3 + frameConfig.mandalaRingLayers;
     const ringRadii = [];
     for (let i = 0; i < ringCount; i++) {
       const t = i / (ringCount - 1);
@@ -425,14 +366,15 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       const y = centerY + (chakra.y - 0.5) * scale * 2;
 
       for (let ringIdx = 0; ringIdx < ringRadii.length; ringIdx++) {
-        const ringRadius = ringRadii[ringIdx];
-        const opacity = this.config.mandalaRingOpacity * (1 - ringIdx * 0.2) * frameConfig.nodeAlpha;
+        // Minor (hand/foot) chakras carry smaller mandalas
+        const ringRadius = ringRadii[ringIdx] * (chakra.minor ? MINOR_CHAKRA_SCALE : 1);
+        const opacity = frameConfig.mandalaRingOpacity * (1 - ringIdx * 0.2) * frameConfig.nodeAlpha;
 
         // Draw the ring
         await canvas.drawRing2d(
           { x, y },
           ringRadius,
-          this.config.mandalaRingThicknessComputed,  // innerStroke
+          frameConfig.mandalaRingThicknessComputed,  // innerStroke
           '#C8C8FF',  // innerColor (200, 200, 255)
           0,  // outerStroke
           null,  // outerColor
@@ -440,7 +382,7 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
         );
 
         // Draw radial segments as rays from ring
-        const segments = this.config.mandalaSymmetry || 6;
+        const segments = frameConfig.mandalaSymmetry || 6;
         for (let i = 0; i < segments; i++) {
           const angle = (i / segments) * Math.PI * 2 + rotation;
           const x1 = x + Math.cos(angle) * ringRadius;
@@ -467,9 +409,9 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderMandalaResonancePatterns(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableMandalaRings || !this.config.mandalaResonancePatterns) return;
+    if (!frameConfig.enableMandalaRings || !frameConfig.mandalaResonancePatterns) return;
 
-    const chakras = Object.values(CHAKRA_POSITIONS);
+    const chakras = this.chakraSystem.chakras;
     
     // Create resonance between each pair of chakras
     for (let i = 0; i < chakras.length; i++) {
@@ -510,11 +452,12 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderEnergyFlowSpirals(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableEnergyFlow || !this.config.energyFlowSpirals) return;
+    if (!frameConfig.enableEnergyFlow || !frameConfig.energyFlowSpirals) return;
 
-    for (const connection of CHAKRA_CONNECTIONS) {
-      const startChakra = CHAKRA_POSITIONS[connection.start];
-      const endChakra = CHAKRA_POSITIONS[connection.end];
+    const chakrasById = new Map(this.chakraSystem.chakras.map(chakra => [chakra.id, chakra]));
+    for (const connection of this.chakraSystem.connections) {
+      const startChakra = chakrasById.get(connection.start);
+      const endChakra = chakrasById.get(connection.end);
 
       const x1 = centerX + (startChakra.x - 0.5) * scale * 2;
       const y1 = centerY + (startChakra.y - 0.5) * scale * 2;
@@ -526,8 +469,8 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       const length = Math.sqrt(dx * dx + dy * dy);
 
       // Draw spiral patterns around energy connection
-      for (let spiral = 0; spiral < this.config.energyFlowSpiralDensity; spiral++) {
-        const spiralPhase = (progress * 2 + spiral / this.config.energyFlowSpiralDensity) * Math.PI * 2;
+      for (let spiral = 0; spiral < frameConfig.energyFlowSpiralDensity; spiral++) {
+        const spiralPhase = (progress * 2 + spiral / frameConfig.energyFlowSpiralDensity) * Math.PI * 2;
         const spiralSegments = 12;
         const spiralRadius = 6;
 
@@ -556,16 +499,95 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
     }
   }
 
+  /**
+   * Render the kundalini serpent - ida/pingala channels rising to the serpent head
+   * Fractal echo layers are drawn first (widest, faintest) so the main serpent sits on top.
+   * @private
+   */
+  async #renderKundaliniSerpent(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
+    if (!frameConfig.enableKundaliniSerpent) return;
+
+    // The serpent rises through the axis chakras only
+    const chakras = this.chakraSystem.axisChakras;
+    const toCanvas = (pt) => ({
+      x: centerX + (pt.x - 0.5) * scale * 2,
+      y: centerY + (pt.y - 0.5) * scale * 2,
+    });
+
+    const headPosition = KundaliniSerpentEngine.getHeadPosition(progress, this.getPhaseBoundaries());
+    const glow = frameConfig.kundaliniGlowIntensity * Math.max(0.3, frameConfig.nodeAlpha);
+    const thickness = frameConfig.kundaliniThicknessComputed || 2.5;
+    const idaColor = this._extractColor(frameConfig.kundaliniIdaColor, '#9FC5FF');
+    const pingalaColor = this._extractColor(frameConfig.kundaliniPingalaColor, '#FF7043');
+
+    // Dormant coil at the root, unwinding as the serpent rises
+    const coil = KundaliniSerpentEngine.computeCoil(chakras[0], headPosition, progress, {
+      radius: frameConfig.kundaliniWaveAmplitude * 0.8,
+    });
+    if (coil.opacity > 0.01) {
+      for (let i = 0; i < coil.points.length - 1; i++) {
+        await canvas.drawLine2d(
+          toCanvas(coil.points[i]),
+          toCanvas(coil.points[i + 1]),
+          thickness,
+          i % 2 === 0 ? idaColor : pingalaColor,
+          0,
+          null,
+          glow * coil.opacity * 0.8
+        );
+      }
+    }
+
+    if (headPosition < 0.01) return;
+
+    const layers = Math.max(0, Math.round(frameConfig.kundaliniFractalLayers || 0));
+    for (let layer = layers; layer >= 0; layer--) {
+      const { ida, pingala, head } = KundaliniSerpentEngine.computeChannels(chakras, headPosition, progress, {
+        amplitude: frameConfig.kundaliniWaveAmplitude,
+        speed: frameConfig.kundaliniSpeed,
+        overtones: Math.max(0, Math.round(frameConfig.kundaliniOvertones || 0)),
+        layer,
+      });
+      const layerAlpha = glow * Math.pow(0.5, layer);
+      const layerThickness = layer === 0 ? thickness : Math.max(1, thickness * 0.6);
+
+      for (const [channel, color] of [[ida, idaColor], [pingala, pingalaColor]]) {
+        for (let i = 0; i < channel.length - 1; i++) {
+          // Brightest at the head, fading toward the tail at the root
+          const tailFade = 0.35 + 0.65 * (channel[i].s / headPosition);
+          await canvas.drawLine2d(
+            toCanvas(channel[i]),
+            toCanvas(channel[i + 1]),
+            layerThickness,
+            color,
+            0,
+            null,
+            layerAlpha * tailFade
+          );
+        }
+      }
+
+      // Serpent head - where ida and pingala meet on the sushumna
+      if (layer === 0) {
+        const headPos = toCanvas(head);
+        await canvas.drawFilledPolygon2d(thickness * 3, headPos, 16, 0, '#FFFFFF', glow);
+        await canvas.drawRing2d(headPos, thickness * 6, thickness, pingalaColor, 0, null, glow * 0.6);
+        await canvas.drawRing2d(headPos, thickness * 9, thickness * 0.5, idaColor, 0, null, glow * 0.35);
+      }
+    }
+  }
+
   /**
    * Render energy flow between chakras - particle trail effect
    * @private
    */
   async #renderEnergyFlow(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableEnergyFlow) return;
+    if (!frameConfig.enableEnergyFlow) return;
 
-    for (const connection of CHAKRA_CONNECTIONS) {
-      const startChakra = CHAKRA_POSITIONS[connection.start];
-      const endChakra = CHAKRA_POSITIONS[connection.end];
+    const chakrasById = new Map(this.chakraSystem.chakras.map(chakra => [chakra.id, chakra]));
+    for (const connection of this.chakraSystem.connections) {
+      const startChakra = chakrasById.get(connection.start);
+      const endChakra = chakrasById.get(connection.end);
 
       const x1 = centerX + (startChakra.x - 0.5) * scale * 2;
       const y1 = centerY + (startChakra.y - 0.5) * scale * 2;
@@ -573,8 +595,8 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       const y2 = centerY + (endChakra.y - 0.5) * scale * 2;
 
       // Draw energy particles along connection with trail effect
-      for (let i = 0; i < this.config.energyFlowDensity; i++) {
-        const particleProgress = (progress * this.config.energyFlowSpeed + i / this.config.energyFlowDensity) % 1.0;
+      for (let i = 0; i < frameConfig.energyFlowDensity; i++) {
+        const particleProgress = (progress * frameConfig.energyFlowSpeed + i / frameConfig.energyFlowDensity) % 1.0;
         const px = x1 + (x2 - x1) * particleProgress;
         const py = y1 + (y2 - y1) * particleProgress;
 
@@ -594,8 +616,8 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
         );
 
         // Trail particles for more complexity
-        if (this.config.energyFlowTrailLength > 0) {
-          for (let trail = 1; trail <= Math.min(3, this.config.energyFlowTrailLength / 3); trail++) {
+        if (frameConfig.energyFlowTrailLength > 0) {
+          for (let trail = 1; trail <= Math.min(3, frameConfig.energyFlowTrailLength / 3); trail++) {
             const trailProgress = (particleProgress - trail * 0.1) % 1.0;
             if (trailProgress < 0) continue;
             
@@ -629,40 +651,41 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       ? this.config.getChakraFocusForPhase(phase)
       : null;
 
-    for (const chakra of Object.values(CHAKRA_POSITIONS)) {
+    for (const chakra of this.chakraSystem.chakras) {
       const x = centerX + (chakra.x - 0.5) * scale * 2;
       const y = centerY + (chakra.y - 0.5) * scale * 2;
       
       // Apply frequency-based size modulation if enabled
       let radiusMultiplier = 1.0;
-      if (this.config.enableFrequencyVisualization) {
+      if (frameConfig.enableFrequencyVisualization) {
         const freq = chakra.frequency || 0;
-        const oscillation = Math.sin(progress * this.config.frequencyOscillationSpeed * freq * Math.PI * 2) * 0.2 + 0.9;
+        const oscillation = Math.sin(progress * frameConfig.frequencyOscillationSpeed * freq * Math.PI * 2) * 0.2 + 0.9;
         radiusMultiplier = oscillation;
       }
       
-      const radius = chakra.radius * this.config.scale * 0.5 * radiusMultiplier;
+      const radius = chakra.radius * frameConfig.scale * 0.5 * radiusMultiplier;
 
       // Determine chakra color (custom or authentic)
       let chakraColor = chakra.color;
       let glowColor = chakra.glowColor;
       
-      if (this.config.useCustomChakraColors) {
-        chakraColor = this.config.chakraColorOverride.getColor(this.settings) || chakra.color;
-        glowColor = this.config.chakraGlowColorOverride.getColor(this.settings) || chakra.glowColor;
+      if (frameConfig.useCustomChakraColors) {
+        chakraColor = this._extractColor(frameConfig.chakraColorOverride, chakra.color);
+        glowColor = this._extractColor(frameConfig.chakraGlowColorOverride, chakra.glowColor);
       }
 
-      // Highlight focused chakra with extra glow
+      // Highlight focused chakra with extra glow (focus values are chakra ids; Tibetan wheels
+      // also answer to their classical equivalents)
       let extraGlowSize = 0;
-      if (chakra.name === focusedChakraName) {
-        extraGlowSize = this.config.chakraGlowSizeComputed * this.config.scale * 0.8;
+      if (chakra.id === focusedChakraName || chakra.aliases?.includes(focusedChakraName)) {
+        extraGlowSize = frameConfig.chakraGlowSizeComputed * frameConfig.scale * 0.8;
       }
 
       // Multi-layer glow effect
-      if (this.config.enableChakraGlows) {
-        for (let glowLayer = 0; glowLayer < this.config.chakraAuraLayers; glowLayer++) {
-          const glowSize = this.config.chakraGlowSizeComputed * this.config.scale * 0.5 + extraGlowSize * (1 - glowLayer / this.config.chakraAuraLayers);
-          const glowOpacity = this.config.chakraGlowIntensity * frameConfig.nodeAlpha * (0.4 / (glowLayer + 1));
+      if (frameConfig.enableChakraGlows) {
+        for (let glowLayer = 0; glowLayer < frameConfig.chakraAuraLayers; glowLayer++) {
+          const glowSize = frameConfig.chakraGlowSizeComputed * frameConfig.scale * 0.5 + extraGlowSize * (1 - glowLayer / frameConfig.chakraAuraLayers);
+          const glowOpacity = frameConfig.chakraGlowIntensity * frameConfig.nodeAlpha * (0.4 / (glowLayer + 1));
 
           await canvas.drawRing2d(
             { x, y },
@@ -695,16 +718,16 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderChakraBreathing(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableChakraGlows || this.config.chakraBreatheIntensity === 0) return;
+    if (!frameConfig.enableChakraGlows || frameConfig.chakraBreatheIntensity === 0) return;
 
-    for (const chakra of Object.values(CHAKRA_POSITIONS)) {
+    for (const chakra of this.chakraSystem.chakras) {
       const x = centerX + (chakra.x - 0.5) * scale * 2;
       const y = centerY + (chakra.y - 0.5) * scale * 2;
       
       // Breathing effect - slow pulse
       const breathPhase = progress * 2 * Math.PI + chakra.y * Math.PI * 4; // Phase offset by position
-      const breathMagnitude = Math.sin(breathPhase) * this.config.chakraBreatheIntensity;
-      const breathingRadius = this.config.chakraGlowSizeComputed * this.config.scale * 0.6 * (1 + breathMagnitude);
+      const breathMagnitude = Math.sin(breathPhase) * frameConfig.chakraBreatheIntensity;
+      const breathingRadius = frameConfig.chakraGlowSizeComputed * frameConfig.scale * 0.6 * (1 + breathMagnitude);
       
       const breathingOpacity = frameConfig.nodeAlpha * Math.abs(breathMagnitude) * 0.3;
       
@@ -726,9 +749,9 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderChakraExplosions(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableChakraExplosions) return;
+    if (!frameConfig.enableChakraExplosions) return;
 
-    for (const chakra of Object.values(CHAKRA_POSITIONS)) {
+    for (const [chakraIndex, chakra] of this.chakraSystem.chakras.entries()) {
       const x = centerX + (chakra.x - 0.5) * scale * 2;
       const y = centerY + (chakra.y - 0.5) * scale * 2;
       
@@ -736,17 +759,17 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       const breathPhase = progress * 2 * Math.PI + chakra.y * Math.PI * 4;
       let explosionPulse = Math.sin(breathPhase);
       
-      if (!this.config.explosionSynchronizeWithBreathing) {
+      if (!frameConfig.explosionSynchronizeWithBreathing) {
         // If not synced with breathing, use a continuous oscillation
         explosionPulse = Math.sin(progress * Math.PI * 4);
       }
       
       // Map pulse to 0-1 range with smooth continuous oscillation (always visible)
       explosionPulse = Math.abs(explosionPulse); // Use absolute value for smooth continuous animation
-      const explosionMagnitude = explosionPulse * this.config.explosionIntensity;
+      const explosionMagnitude = explosionPulse * frameConfig.explosionIntensity;
 
       // Get chakra color based on selected color scheme (picked once during generate())
-      const colorScheme = this.config.explosionColorScheme;
+      const colorScheme = frameConfig.explosionColorScheme;
       let baseColor;
       
       if (colorScheme === 'white') {
@@ -759,32 +782,32 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       } else {
         // Default: chakraColor scheme
         baseColor = chakra.color;
-        if (this.config.useCustomChakraColors) {
+        if (frameConfig.useCustomChakraColors) {
           // Safe extraction of color - handles both strings and ColorPicker objects
-          baseColor = this._extractColor(this.config.chakraColorOverride, chakra.color);
+          baseColor = this._extractColor(frameConfig.chakraColorOverride, chakra.color);
         }
       }
 
       // Get fuzz color for rings/rays
       let fuzzColorRays = baseColor;
-      if (this.config.explosionEnableFuzzLayer) {
-        fuzzColorRays = this._extractColor(this.config.explosionFuzzColor, baseColor);
+      if (frameConfig.explosionEnableFuzzLayer) {
+        fuzzColorRays = this._extractColor(frameConfig.explosionFuzzColor, baseColor);
       }
       
       // Helper function to render one layer of rings
       const renderRingLayer = async (isFuzz) => {
-        for (let ringIdx = 0; ringIdx < this.config.explosionRingCount; ringIdx++) {
-          const ringPhase = ringIdx / this.config.explosionRingCount;
+        for (let ringIdx = 0; ringIdx < frameConfig.explosionRingCount; ringIdx++) {
+          const ringPhase = ringIdx / frameConfig.explosionRingCount;
           const ringDelay = ringPhase - explosionPulse;
           
           let ringMagnitude = Math.sin(Math.max(0, 1 - Math.abs(ringDelay) * 2) * Math.PI);
           ringMagnitude = Math.pow(ringMagnitude, 0.5);
           
-          const ringRadius = this.config.chakraGlowSizeComputed * this.config.scale * 0.5 * (1 + explosionMagnitude * ringMagnitude * 1.5);
-          const baseOpacity = frameConfig.nodeAlpha * explosionMagnitude * ringMagnitude * 0.8 * (1 - ringIdx / this.config.explosionRingCount);
+          const ringRadius = frameConfig.chakraGlowSizeComputed * frameConfig.scale * 0.5 * (1 + explosionMagnitude * ringMagnitude * 1.5);
+          const baseOpacity = frameConfig.nodeAlpha * explosionMagnitude * ringMagnitude * 0.8 * (1 - ringIdx / frameConfig.explosionRingCount);
           
           if (isFuzz) {
-            const ringOpacity = baseOpacity * this.config.explosionFuzzOpacityMultiplier * this.config.explosionFuzzLayerOpacity;
+            const ringOpacity = baseOpacity * frameConfig.explosionFuzzOpacityMultiplier * frameConfig.explosionFuzzLayerOpacity;
             if (ringOpacity > 0.01) {
               await canvas.drawRing2d(
                 { x, y },
@@ -814,17 +837,17 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       };
       
       // ===== RENDER CONCENTRIC EXPLOSION RINGS - WITH INVERSION SUPPORT =====
-      if (this.config.explosionInvertFuzzLayers) {
+      if (frameConfig.explosionInvertFuzzLayers) {
         // Fuzz on top (inverted order)
-        if (!this.config.explosionEnableFuzzLayer) {
+        if (!frameConfig.explosionEnableFuzzLayer) {
           await renderRingLayer(false);
         } else {
           await renderRingLayer(false);
-          if (this.config.explosionEnableFuzzLayer) await renderRingLayer(true);
+          if (frameConfig.explosionEnableFuzzLayer) await renderRingLayer(true);
         }
       } else {
         // Base on top (default order)
-        if (this.config.explosionEnableFuzzLayer) {
+        if (frameConfig.explosionEnableFuzzLayer) {
           await renderRingLayer(true);
         }
         await renderRingLayer(false);
@@ -832,26 +855,26 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
 
       // Helper function to render one layer of rays
       const renderRayLayer = async (isFuzz) => {
-        for (let rayIdx = 0; rayIdx < this.config.explosionRayCount; rayIdx++) {
-          const rayAngle = (rayIdx / this.config.explosionRayCount) * Math.PI * 2;
+        for (let rayIdx = 0; rayIdx < frameConfig.explosionRayCount; rayIdx++) {
+          const rayAngle = (rayIdx / frameConfig.explosionRayCount) * Math.PI * 2;
           const rotationSpeed = 2.0;
           const rotatedAngle = rayAngle + progress * rotationSpeed * Math.PI * 2;
-          const rayLength = this.config.explosionRayLengthComputed * this.config.explosionRayLengthMultiplier * this.config.scale * 0.2 * explosionMagnitude;
+          const rayLength = frameConfig.explosionRayLengthComputed * frameConfig.explosionRayLengthMultiplier * frameConfig.scale * 0.2 * explosionMagnitude;
           
           const rayStart = {
-            x: x + Math.cos(rotatedAngle) * this.config.chakraGlowSizeComputed * this.config.scale * 0.3,
-            y: y + Math.sin(rotatedAngle) * this.config.chakraGlowSizeComputed * this.config.scale * 0.3
+            x: x + Math.cos(rotatedAngle) * frameConfig.chakraGlowSizeComputed * frameConfig.scale * 0.3,
+            y: y + Math.sin(rotatedAngle) * frameConfig.chakraGlowSizeComputed * frameConfig.scale * 0.3
           };
           
           const rayEnd = {
-            x: x + Math.cos(rotatedAngle) * (this.config.chakraGlowSizeComputed * this.config.scale * 0.3 + rayLength),
-            y: y + Math.sin(rotatedAngle) * (this.config.chakraGlowSizeComputed * this.config.scale * 0.3 + rayLength)
+            x: x + Math.cos(rotatedAngle) * (frameConfig.chakraGlowSizeComputed * frameConfig.scale * 0.3 + rayLength),
+            y: y + Math.sin(rotatedAngle) * (frameConfig.chakraGlowSizeComputed * frameConfig.scale * 0.3 + rayLength)
           };
           
           const baseRayOpacity = frameConfig.nodeAlpha * explosionMagnitude * 0.8;
           
           if (isFuzz) {
-            const rayOpacity = baseRayOpacity * this.config.explosionFuzzOpacityMultiplier * this.config.explosionFuzzLayerOpacity;
+            const rayOpacity = baseRayOpacity * frameConfig.explosionFuzzOpacityMultiplier * frameConfig.explosionFuzzLayerOpacity;
             if (rayOpacity > 0.01) {
               await canvas.drawLine2d(
                 rayStart,
@@ -880,17 +903,17 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       };
       
       // ===== RENDER RADIATING ENERGY RAYS/SPIKES - WITH INVERSION SUPPORT =====
-      if (this.config.explosionInvertFuzzLayers) {
+      if (frameConfig.explosionInvertFuzzLayers) {
         // Fuzz on top (inverted order)
-        if (!this.config.explosionEnableFuzzLayer) {
+        if (!frameConfig.explosionEnableFuzzLayer) {
           await renderRayLayer(false);
         } else {
           await renderRayLayer(false);
-          if (this.config.explosionEnableFuzzLayer) await renderRayLayer(true);
+          if (frameConfig.explosionEnableFuzzLayer) await renderRayLayer(true);
         }
       } else {
         // Base on top (default order)
-        if (this.config.explosionEnableFuzzLayer) {
+        if (frameConfig.explosionEnableFuzzLayer) {
           await renderRayLayer(true);
         }
         await renderRayLayer(false);
@@ -900,16 +923,16 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       // Generate particles with even distribution if enabled, otherwise use random
       const particlePositions = [];
       
-      if (this.config.explosionEvenParticleDistribution) {
+      if (frameConfig.explosionEvenParticleDistribution) {
         // Even grid distribution: arrange particles in concentric rings
-        const particlesPerRing = Math.ceil(Math.sqrt(this.config.explosionParticleCount));
-        const ringCount = Math.ceil(this.config.explosionParticleCount / particlesPerRing);
+        const particlesPerRing = Math.ceil(Math.sqrt(frameConfig.explosionParticleCount));
+        const ringCount = Math.ceil(frameConfig.explosionParticleCount / particlesPerRing);
         
         for (let ringIdx = 0; ringIdx < ringCount; ringIdx++) {
-          const ringRadius = ((ringIdx + 1) / ringCount) * this.config.explosionRayLengthComputed * this.config.scale * 0.2;
+          const ringRadius = ((ringIdx + 1) / ringCount) * frameConfig.explosionRayLengthComputed * frameConfig.scale * 0.2;
           const particlesInRing = Math.min(
             particlesPerRing, 
-            this.config.explosionParticleCount - ringIdx * particlesPerRing
+            frameConfig.explosionParticleCount - ringIdx * particlesPerRing
           );
           
           for (let pIdx = 0; pIdx < particlesInRing; pIdx++) {
@@ -926,14 +949,14 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       } else {
         // Random distribution: use pre-computed particles to ensure smooth animation
         const precomputedSet = this.precomputedExplosionParticles?.[chakraIndex] || [];
-        for (let particleIdx = 0; particleIdx < this.config.explosionParticleCount; particleIdx++) {
+        for (let particleIdx = 0; particleIdx < frameConfig.explosionParticleCount; particleIdx++) {
           const particleSeed = (chakra.y * 1000 + particleIdx * 7 + progress * 100) % 360;
           const particleAngle = (particleSeed * Math.PI * 2 / 360 + progress * Math.PI) % (Math.PI * 2);
           
           // Use pre-computed random values instead of generating new ones each frame
           const precomputed = precomputedSet[particleIdx] || { randomDistance: 0.5, randomRadius: 0.5 };
           const particleDistance = (precomputed.randomDistance + explosionMagnitude) * 
-            this.config.explosionRayLengthComputed * this.config.scale * 0.15;
+            frameConfig.explosionRayLengthComputed * frameConfig.scale * 0.15;
           
           particlePositions.push({
             angle: particleAngle,
@@ -945,8 +968,8 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       
       // Get fuzz color if dual-layer enabled
       let fuzzColor = baseColor;
-      if (this.config.explosionEnableFuzzLayer) {
-        fuzzColor = this._extractColor(this.config.explosionFuzzColor, baseColor);
+      if (frameConfig.explosionEnableFuzzLayer) {
+        fuzzColor = this._extractColor(frameConfig.explosionFuzzColor, baseColor);
       }
       
       // Helper function to render one layer of particles
@@ -955,12 +978,12 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
           const particleX = x + Math.cos(particle.angle) * particle.distance;
           const particleY = y + Math.sin(particle.angle) * particle.distance;
           const distanceFromCenter = Math.sqrt(Math.pow(particleX - x, 2) + Math.pow(particleY - y, 2));
-          const maxDistance = this.config.explosionRayLengthComputed * this.config.scale * 0.2 + 50;
+          const maxDistance = frameConfig.explosionRayLengthComputed * frameConfig.scale * 0.2 + 50;
           const baseParticleOpacity = frameConfig.nodeAlpha * explosionMagnitude * 0.7 * 
             Math.max(0, 1 - distanceFromCenter / maxDistance);
           
           if (isFuzz) {
-            const particleOpacity = baseParticleOpacity * this.config.explosionFuzzOpacityMultiplier * this.config.explosionFuzzLayerOpacity;
+            const particleOpacity = baseParticleOpacity * frameConfig.explosionFuzzOpacityMultiplier * frameConfig.explosionFuzzLayerOpacity;
             if (particleOpacity > 0.01) {
               await canvas.drawRing2d(
                 { x: particleX, y: particleY },
@@ -989,17 +1012,17 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       };
       
       // ===== RENDER CHAOTIC ENERGY PARTICLE SHARDS - WITH INVERSION SUPPORT =====
-      if (this.config.explosionInvertFuzzLayers) {
+      if (frameConfig.explosionInvertFuzzLayers) {
         // Fuzz on top (inverted order)
-        if (!this.config.explosionEnableFuzzLayer) {
+        if (!frameConfig.explosionEnableFuzzLayer) {
           await renderParticleLayer(false);
         } else {
           await renderParticleLayer(false);
-          if (this.config.explosionEnableFuzzLayer) await renderParticleLayer(true);
+          if (frameConfig.explosionEnableFuzzLayer) await renderParticleLayer(true);
         }
       } else {
         // Base on top (default order)
-        if (this.config.explosionEnableFuzzLayer) {
+        if (frameConfig.explosionEnableFuzzLayer) {
           await renderParticleLayer(true);
         }
         await renderParticleLayer(false);
@@ -1013,28 +1036,39 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderVerticalSineWaves(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo, width, height) {
-    if (!this.config.enableVerticalSineWaves) return;
+    if (!frameConfig.enableVerticalSineWaves) return;
 
-    const chakras = Object.values(CHAKRA_POSITIONS);
+    const [axisChakras, ...limbChannels] = this.chakraSystem.channels;
     
-    // Pass precomputed algorithms to config for engine consumption
+    // Pass precomputed algorithms to the frame config for engine consumption
     // These were computed in generate() and stored on effect instance
-    this.config.sineWaveAmplitudeAlgorithm = this.sineWaveAmplitudeAlgorithm;
-    this.config.sineWaveOpacityAlgorithm = this.sineWaveOpacityAlgorithm;
-    this.config.sineWaveBlurAlgorithm = this.sineWaveBlurAlgorithm;
-    this.config.sineWaveAccentAlgorithm = this.sineWaveAccentAlgorithm;
+    frameConfig.sineWaveAmplitudeAlgorithm = this.sineWaveAmplitudeAlgorithm;
+    frameConfig.sineWaveOpacityAlgorithm = this.sineWaveOpacityAlgorithm;
+    frameConfig.sineWaveBlurAlgorithm = this.sineWaveBlurAlgorithm;
+    frameConfig.sineWaveAccentAlgorithm = this.sineWaveAccentAlgorithm;
     
     const sineWaves = VerticalSineWaveEngine.generateRenderableSineWaves(
-      this.config,
-      chakras,
+      frameConfig,
+      axisChakras,
       this.totalFrames,
       this.frameNumber,
       width  // Pass actual canvas width for proper amplitude normalization
     );
 
+    // Hand and foot channels (minor chakras) each carry one wave through their three points
+    for (const channel of limbChannels) {
+      sineWaves.push(...VerticalSineWaveEngine.generateRenderableSineWaves(
+        { ...frameConfig, sineWaveProgression: 'sequential', sineWaveChakraGrouping: channel.length, sineWaveCount: 1 },
+        channel,
+        this.totalFrames,
+        this.frameNumber,
+        width
+      ));
+    }
+
     // Extract colors (handle both strings and ColorPicker objects)
-    const fuzzColor = this._extractColor(this.config.sineWaveFuzzColor, '#c8a2e0');
-    const baseColor = this._extractColor(this.config.sineWaveColor, '#9b59b6');
+    const fuzzColor = this._extractColor(frameConfig.sineWaveFuzzColor, '#c8a2e0');
+    const baseColor = this._extractColor(frameConfig.sineWaveColor, '#9b59b6');
 
     // Render each sine wave group with layered drawing effect
     for (const wave of sineWaves) {
@@ -1046,15 +1080,15 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
 
       // Calculate final opacity and layer properties
       const finalOpacity = wave.opacity * frameConfig.nodeAlpha;
-      const fuzzLayerOpacity = finalOpacity * this.config.sineWaveFuzzLayerOpacity;
+      const fuzzLayerOpacity = finalOpacity * frameConfig.sineWaveFuzzLayerOpacity;
 
       // Helper function to render sine wave path
       const renderLayer = async (isFuzz) => {
         const color = isFuzz ? fuzzColor : baseColor;
         const opacity = isFuzz ? fuzzLayerOpacity : finalOpacity;
         const thickness = isFuzz 
-          ? this.config.sineWaveThicknessComputed + wave.accent * 1.5  // Thicker for halo
-          : this.config.sineWaveThicknessComputed;  // Normal thickness
+          ? frameConfig.sineWaveThicknessComputed + wave.accent * 1.5  // Thicker for halo
+          : frameConfig.sineWaveThicknessComputed;  // Normal thickness
 
         // Create separate canvas for this path layer using actual canvas dimensions
         const pathCanvas = await Canvas2dFactory.getNewCanvas(width, height);
@@ -1070,6 +1104,11 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
 
         // Convert vector drawing to raster layer
         const pathLayer = await pathCanvas.convertToLayer();
+
+        // Gaussian blur on the halo (sineWaveBlurRange / sineWaveBlurTimes); base line stays crisp
+        if (isFuzz && wave.blur > 0) {
+          await pathLayer.blur(wave.blur);
+        }
         
         // Apply opacity adjustment on the layer
         await pathLayer.adjustLayerOpacity(opacity);
@@ -1079,7 +1118,7 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       };
 
       // Render layers in appropriate order based on invert flag
-      if (this.config.sineWaveInvertLayers) {
+      if (frameConfig.sineWaveInvertLayers) {
         // Inverted: base layer on bottom, fuzz layer on top (ethereal effect dominates)
         await renderLayer(false);  // Base layer first (bottom)
         await renderLayer(true);   // Fuzz layer second (top)
@@ -1096,20 +1135,20 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderFrequencyVisualization(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableFrequencyVisualization) return;
+    if (!frameConfig.enableFrequencyVisualization) return;
 
-    for (const chakra of Object.values(CHAKRA_POSITIONS)) {
+    for (const chakra of this.chakraSystem.chakras) {
       const x = centerX + (chakra.x - 0.5) * scale * 2;
       const y = centerY + (chakra.y - 0.5) * scale * 2;
       
       const freq = chakra.frequency || 0;
       
       // Create harmonic rings around each chakra with extra detail layers
-      const harmonicCount = 3 + this.config.frequencyDetailLayers;
+      const harmonicCount = 3 + frameConfig.frequencyDetailLayers;
       for (let harmonic = 1; harmonic <= harmonicCount; harmonic++) {
         const harmonicFreq = freq * harmonic;
-        const pulseRadius = (scale * 0.15) * Math.sin(progress * this.config.frequencyOscillationSpeed * harmonicFreq * Math.PI * 2);
-        const ringRadius = chakra.radius * this.config.scale * 0.5 + Math.max(0, pulseRadius);
+        const pulseRadius = (scale * 0.15) * Math.sin(progress * frameConfig.frequencyOscillationSpeed * harmonicFreq * Math.PI * 2);
+        const ringRadius = chakra.radius * frameConfig.scale * 0.5 + Math.max(0, pulseRadius);
         
         const opacity = frameConfig.nodeAlpha * (1 - harmonic * 0.15) * 0.5;
         
@@ -1132,25 +1171,25 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
    * @private
    */
   async #renderEnergyBeads(canvas, centerX, centerY, scale, frameConfig, progress, transitionInfo) {
-    if (!this.config.enableEnergyBeads) return;
-
-    const chakras = Object.values(CHAKRA_POSITIONS);
-    const beadCount = Math.max(1, Math.min(24, this.config.energyBeadCount));
-    const beadRadius = this.config.energyBeadRadiusComputed;
-    const beadOpacity = this.config.energyBeadOpacity;
-    const beadSpeed = this.config.energyBeadSpeed;
-    const ringLayer = this.config.energyBeadRingLayer;
-    const pulseEnabled = this.config.energyBeadPulseEnabled;
-    const pulseRange = this.config.energyBeadPulseRange;
-    const pulseTimes = this.config.energyBeadPulseTimes;
+    if (!frameConfig.enableEnergyBeads) return;
+
+    const chakras = this.chakraSystem.chakras;
+    const beadCount = Math.max(1, Math.min(24, frameConfig.energyBeadCount));
+    const beadRadius = frameConfig.energyBeadRadiusComputed;
+    const beadOpacity = frameConfig.energyBeadOpacity;
+    const beadSpeed = frameConfig.energyBeadSpeed;
+    const ringLayer = frameConfig.energyBeadRingLayer;
+    const pulseEnabled = frameConfig.energyBeadPulseEnabled;
+    const pulseRange = frameConfig.energyBeadPulseRange;
+    const pulseTimes = frameConfig.energyBeadPulseTimes;
     
     // Extract bead color (handles ColorPicker or string)
-    const beadColor = this._extractColor(this.config.energyBeadColor, '#64C8FF');
+    const beadColor = this._extractColor(frameConfig.energyBeadColor, '#64C8FF');
 
     // Calculate ring radii (same as mandala rings)
-    const innerRadius = scale * this.config.mandalaInnerRadius * this.config.mandalaRadiusMultiplier;
-    const outerRadius = scale * this.config.mandalaOuterRadius * this.config.mandalaRadiusMultiplier;
-    const ringCount = 3 + this.config.mandalaRingLayers;
+    const innerRadius = scale * frameConfig.mandalaInnerRadius * frameConfig.mandalaRadiusMultiplier;
+    const outerRadius = scale * frameConfig.mandalaOuterRadius * frameConfig.mandalaRadiusMultiplier;
+    const ringCount = 3 + frameConfig.mandalaRingLayers;
     const ringRadii = [];
     for (let i = 0; i < ringCount; i++) {
       const t = i / (ringCount - 1);
@@ -1175,7 +1214,7 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
       for (const ringIdx of ringsToRender) {
         if (ringIdx >= ringRadii.length) continue;
         
-        const orbitRadius = ringRadii[ringIdx];
+        const orbitRadius = ringRadii[ringIdx] * (chakra.minor ? MINOR_CHAKRA_SCALE : 1);
 
         // Render each bead
         for (let beadIdx = 0; beadIdx < beadCount; beadIdx++) {
@@ -1206,7 +1245,7 @@ export class ChakraMandalaEffect extends PhaseAnimatedPolygonEffect {
           }
 
           // Draw bead with glow effect
-          const glowIntensity = this.config.energyBeadGlowIntensity;
+          const glowIntensity = frameConfig.energyBeadGlowIntensity;
           
           // Outer glow (soft)
           await canvas.drawRing2d(
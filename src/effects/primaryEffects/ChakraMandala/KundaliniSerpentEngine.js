@@ -0,0 +1,149 @@
+/**
+ * Kundalini Serpent Engine
+ *
+ * Computes the kundalini serpent rising through the chakras:
+ * - Ida (lunar, left) and Pingala (solar, right) channels coiling around the
+ *   sushumna, crossing at every chakra
+ * - A head that climbs root → crown over the ascension phase, rests at the crown
+ *   through radiance and sinks back during descent (frame 0 = frame N-1)
+ * - Fractal overtone ripples layered on the main coil
+ * - The 3½-turn coil at the root, visible while the serpent sleeps
+ *
+ * All geometry is in normalized chakra space (same as CHAKRA_POSITIONS);
+ * the effect maps it to canvas coordinates.
+ */
+
+export class KundaliniSerpentEngine {
+  /**
+   * Serpent head height along the sushumna (0 = root, 1 = crown)
+   * Rises over the ascension phase and returns over descent. Without those phases
+   * (custom timelines) it follows a cosine rise and fall over the loop.
+   * @param {number} progress - Overall animation progress (0-1)
+   * @param {Object<string, number[]>} [boundaries] - Phase boundaries ({ ascension: [start, end], descent: [start, end] })
+   * @returns {number} Head position (0-1)
+   * @static
+   */
+  static getHeadPosition(progress, boundaries = {}) {
+    const ascension = boundaries.ascension;
+    const descent = boundaries.descent;
+
+    if (!ascension || !descent) {
+      return (1 - Math.cos(progress * Math.PI * 2)) / 2;
+    }
+
+    const local = (start, end) => (end > start ? Math.max(0, Math.min(1, (progress - start) / (end - start))) : 1);
+    const smoothstep = (t) => t * t * (3 - 2 * t);
+
+    if (progress < ascension[0]) return 0;
+    if (progress < ascension[1]) return smoothstep(local(ascension[0], ascension[1]));
+    if (progress < descent[0]) return 1;
+    return 1 - smoothstep(local(descent[0], descent[1]));
+  }
+
+  /**
+   * Point on the sushumna at height s, interpolated through the chakra positions
+   * @param {Array} chakras - Chakras ordered root → crown
+   * @param {number} s - Height along the channel (0 = root, 1 = crown)
+   * @returns {{x: number, y: number}} Normalized position
+   * @static
+   */
+  static getSushumnaPoint(chakras, s) {
+    const segments = chakras.length - 1;
+    const position = Math.max(0, Math.min(1, s)) * segments;
+    const index = Math.min(segments - 1, Math.floor(position));
+    const t = position - index;
+    const from = chakras[index];
+    const to = chakras[index + 1];
+
+    return {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+    };
+  }
+
+  /**
+   * Compute the ida/pingala channels from the root up to the head
+   * Channels cross at every chakra (sin(π·(n-1)·s) = 0), undulate with whole cycles
+   * per loop and carry `overtones` halving ripples at doubling frequencies.
+   * @param {Array} chakras - Chakras ordered root → crown
+   * @param {number} headPosition - Head height (0-1, see getHeadPosition)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @param {Object} options
+   * @param {number} [options.amplitude=0.08] - Coil width (normalized)
+   * @param {number} [options.speed=1] - Undulation cycles per loop (rounded to whole cycles)
+   * @param {number} [options.overtones=2] - Fractal ripple count
+   * @param {number} [options.layer=0] - Fractal echo layer (0 = main serpent)
+   * @param {number} [options.segments=96] - Samples from root to crown
+   * @returns {{ida: Array<{x: number, y: number, s: number}>, pingala: Array<{x: number, y: number, s: number}>, head: {x: number, y: number}}}
+   * @static
+   */
+  static computeChannels(chakras, headPosition, progress, {
+    amplitude = 0.08,
+    speed = 1,
+    overtones = 2,
+    layer = 0,
+    segments = 96,
+  } = {}) {
+    const crossings = chakras.length - 1;
+    const cycles = Math.max(1, Math.round(speed));
+    const layerAmplitude = amplitude * (1 + layer * 0.35);
+    const steps = Math.max(1, Math.ceil(segments * headPosition));
+
+    const ida = [];
+    const pingala = [];
+
+    for (let i = 0; i <= steps; i++) {
+      const s = headPosition * (i / steps);
+      const center = KundaliniSerpentEngine.getSushumnaPoint(chakras, s);
+
+      // Travelling swell along the body - whole cycles per loop keep the seam invisible
+      const swell = 1 + 0.25 * Math.sin((progress * cycles - s * 2) * Math.PI * 2 + layer);
+      let offset = Math.sin(Math.PI * crossings * s) * layerAmplitude * swell;
+
+      // Fractal overtones: each ripple at double the frequency and half the amplitude
+      for (let k = 1; k <= overtones; k++) {
+        const ripplePhase = (progress * cycles * (k + 1)) * Math.PI * 2;
+        offset += Math.sin(Math.PI * crossings * s * Math.pow(2, k) + ripplePhase) * layerAmplitude * Math.pow(0.5, k) * 0.5;
+      }
+
+      ida.push({ x: center.x - offset, y: center.y, s });
+      pingala.push({ x: center.x + offset, y: center.y, s });
+    }
+
+    return {
+      ida,
+      pingala,
+      head: KundaliniSerpentEngine.getSushumnaPoint(chakras, headPosition),
+    };
+  }
+
+  /**
+   * Compute the dormant coil around the root chakra
+   * Fades out as the serpent rises; turning speed is a whole number of turns per loop.
+   * @param {Object} root - Root chakra (normalized position)
+   * @param {number} headPosition - Head height (0-1)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @param {Object} options
+   * @param {number} [options.radius=0.06] - Outer coil radius (normalized)
+   * @param {number} [options.turns=3.5] - Coil turns
+   * @param {number} [options.segments=120] - Samples along the coil
+   * @returns {{points: Array<{x: number, y: number}>, opacity: number}}
+   * @static
+   */
+  static computeCoil(root, headPosition, progress, { radius = 0.06, turns = 3.5, segments = 120 } = {}) {
+    const points = [];
+    const rotation = progress * Math.PI * 2;
+
+    for (let i = 0; i <= segments; i++) {
+      const t = i / segments;
+      const angle = t * turns * Math.PI * 2 + rotation;
+      const r = radius * (0.25 + 0.75 * t);
+      points.push({
+        x: root.x + Math.cos(angle) * r,
+        y: root.y + Math.sin(angle) * r * 0.45,   // Flattened: coil seen from the side
+      });
+    }
+
+    return { points, opacity: 1 - headPosition };
+  }
+}
@@ -1,7 +1,8 @@
 /**
  * Vertical Sine Wave Engine
  * 
- * Computes smooth sine wave paths connecting 3+ chakra points vertically,
+ * Computes smooth sine wave paths connecting 3+ chakra points, mostly vertically
+ * along the central axis but through any placement (e.g. off-axis hand chakras),
  * with configurable oscillations for opacity, blur, and accent.
  * 
  * Key Features:
@@ -17,12 +18,13 @@ export class VerticalSineWaveEngine {
    * Pick a random element from an array, or return the value if it's not an array
    * Used for randomly selecting enum options (algorithms, etc.)
    * @param {Array|string|*} value - Array of options or a single value
+   * @param {Function} [random=Math.random] - Random source returning [0, 1); pass the effect's seeded generator
    * @return {string|*} - Random element from array or the value itself
    * @static
    */
-  static pickRandom(value) {
+  static pickRandom(value, random = Math.random) {
     if (Array.isArray(value)) {
-      return value[Math.floor(Math.random() * value.length)];
+      return value[Math.floor(random() * value.length)];
     }
     return value;
   }
@@ -32,12 +34,14 @@ export class VerticalSineWaveEngine {
    * UPDATED: Now supports wrapping to generate unlimited waves via cycling
    * @param {Array} chakras - Array of chakra position objects
    * @param {string} progression - 'sequential' or 'overlapping' (wraps when needed for more waves)
-   * @param {number} grouping - Points per sine wave (3, 4, 5)
+   * @param {number} grouping - Points per sine wave (3, 4, 5); capped at the number of chakras
    * @param {number} maxWaves - (optional) Maximum waves to generate. null = all natural groups
    * @returns {Array} Array of sine wave group objects
    */
   static generateSineWaveGroups(chakras, progression = 'sequential', grouping = 3, maxWaves = null) {
     const groups = [];
+    // A wave never revisits a chakra, so small systems get shorter waves
+    grouping = Math.min(grouping, chakras.length);
     
     if (progression === 'sequential') {
       // Non-overlapping sequential: 0-1-2, 3-4-5, 6-0-1 (wraps), etc.
@@ -81,10 +85,11 @@ export class VerticalSineWaveEngine {
   /**
    * Calculate a smooth sine wave path between chakra endpoints
    * Endpoints and control points (chakra centers) stay fixed
-   * Oscillation is modulated to be zero at control points and maximum between them
+   * Oscillation is modulated to be zero at control points and maximum between them,
+   * and runs across each segment (horizontal on the vertical axis)
    * 
    * @param {Array} groupChakras - Array of 3+ chakra objects (start, mid, end)
-   * @param {number} amplitude - Horizontal oscillation distance in pixels (e.g., 15)
+   * @param {number} amplitude - Oscillation distance in pixels (e.g., 15)
    * @param {number} frequency - Oscillations per wave cycle
    * @param {number} progress - Animation progress (0-1) for phase calculation
    * @param {number} totalFrames - Total frames in animation
@@ -102,10 +107,6 @@ export class VerticalSineWaveEngine {
     const numIntervals = groupChakras.length - 1;
     const totalSegments = numIntervals * resolution;
 
-    // Extract coordinates for vertical span and base x positions
-    const startY = groupChakras[0].y;
-    const endY = groupChakras[groupChakras.length - 1].y;
-
     // Calculate oscillation phase: ensures symmetry (frame 0 ≈ frame N-1)
     const normalizedProgress = currentFrame / totalFrames;
     const oscillationPhase = normalizedProgress * Math.PI * 2 * frequency;
@@ -128,27 +129,22 @@ export class VerticalSineWaveEngine {
     for (let segment = 0; segment <= totalSegments; segment++) {
       const t = segment / totalSegments; // Local progress (0-1) through wave
 
-      // Vertical position: lerp from start to end
-      const y = startY + (endY - startY) * t;
-
-      // Horizontal base position: interpolate through control points (chakra x-positions)
+      // Base position: interpolate through control points (chakra centers)
       // This ensures start/end/mid points stay at their chakra centers
-      const baseX = this.#interpolateControlPointX(groupChakras, t);
+      const base = this.#interpolateControlPoint(groupChakras, t);
 
       // Calculate oscillation envelope: zero at control points, maximum between them
       // This modulates the sine wave to fade in/out at chakra centers
       const oscillationEnvelope = this.#calculateOscillationEnvelope(groupChakras, t);
 
-      // Horizontal oscillation: sine wave with configurable amplitude, modulated by envelope
+      // Oscillation across the segment: sine wave with configurable amplitude, modulated by envelope
       const sineValue = Math.sin(oscillationPhase + t * Math.PI * 2 * frequency);
-      const xOffset = sineValue * normalizedAmplitude * oscillationEnvelope;
-
-      // Final x-coordinate: base position plus oscillation
-      const x = baseX + xOffset;
+      const offset = sineValue * normalizedAmplitude * oscillationEnvelope;
 
+      // Final coordinates: base position plus oscillation along the segment normal
       pathPoints.push({
-        x,
-        y,
+        x: base.x + base.normalX * offset,
+        y: base.y + base.normalY * offset,
         t, // Progress through wave for debugging
         sineValue, // Raw sine for reference
       });
@@ -158,14 +154,15 @@ export class VerticalSineWaveEngine {
   }
 
   /**
-   * Interpolate x-position through chakra control points
+   * Interpolate position through chakra control points
    * Ensures intermediate points pass through mid-wave chakras
    * @private
    * @param {Array} groupChakras - Chakra control points
    * @param {number} t - Progress through wave (0-1)
-   * @returns {number} Interpolated x-position (normalized)
+   * @returns {Object} Interpolated { x, y } (normalized) and the segment's unit normal
+   *   { normalX, normalY }, oriented rightward so vertical segments oscillate horizontally
    */
-  static #interpolateControlPointX(groupChakras, t) {
+  static #interpolateControlPoint(groupChakras, t) {
     const numChakras = groupChakras.length;
     
     // Determine which interval we're in
@@ -176,10 +173,27 @@ export class VerticalSineWaveEngine {
     const nextInterval = interval + 1;
     const localT = (t - interval * intervalSize) / intervalSize; // 0-1 within interval
     
-    // Linear interpolation between chakra x-positions
-    const x1 = groupChakras[interval].x;
-    const x2 = groupChakras[nextInterval].x;
-    return x1 + (x2 - x1) * localT;
+    // Linear interpolation between chakra positions
+    const from = groupChakras[interval];
+    const to = groupChakras[nextInterval];
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+
+    // Perpendicular to the segment, flipped to point right (or down when horizontal)
+    let normalX = length > 0 ? -dy / length : 1;
+    let normalY = length > 0 ? dx / length : 0;
+    if (normalX < 0 || (normalX === 0 && normalY < 0)) {
+      normalX = -normalX;
+      normalY = -normalY;
+    }
+
+    return {
+      x: from.x + dx * localT,
+      y: from.y + dy * localT,
+      normalX,
+      normalY,
+    };
   }
 
   /**
@@ -2,15 +2,20 @@
  * Chakra Mandala - Complete Module
  * 
  * Core Effect:
- * - ChakraMandalaEffect: Main animation orchestrator for 7-chakra system
+ * - ChakraMandalaEffect: Main animation orchestrator for the selectable chakra systems
  * 
  * Configuration:
  * - ChakraMandalaConfig: Extends base config with chakra-specific parameters
  * 
+ * Engines:
+ * - VerticalSineWaveEngine: Oscillating sine waves through chakra groups
+ * - KundaliniSerpentEngine: Ida/pingala serpent rising root → crown
+ * 
  * Geometry:
- * - ChakraGeometry: 7 chakra nodes positioned along energy axis
+ * - ChakraGeometry: 7 chakra nodes positioned along energy axis, plus the
+ *   twelve-chakra and Tibetan five-wheel systems and off-axis hand/foot chakras
  * 
- * Presets (10 unique configurations):
+ * Presets (13 unique configurations):
  * - KUNDALINI_AWAKENING: Classic kundalini rising
  * - HEART_CENTERED_HEALING: Gentle heart-focused meditation
  * - THIRD_EYE_ACTIVATION: Intense intuition focus
@@ -21,6 +26,9 @@
  * - THROAT_TRUTH_EXPRESSION: Communication and truth
  * - SOLAR_POWER_WILL: Personal power at Manipura
  * - CELESTIAL_VOID: Cosmic meditation with minimal elements
+ * - TWELVE_CHAKRA_ASCENSION: Earth star to divine gateway
+ * - TIBETAN_FIVE_WHEELS: Vajrayana inner heat through the five wheels
+ * - HEALING_HANDS_CIRCUIT: Classical seven with palm and sole chakras
  */
 
 // Core Effect
@@ -29,18 +37,26 @@ export { ChakraMandalaEffect } from './ChakraMandalaEffect.js';
 // Configuration
 export { ChakraMandalaConfig } from './ChakraMandalaConfig.js';
 
+// Engines
+export { VerticalSineWaveEngine } from './VerticalSineWaveEngine.js';
+export { KundaliniSerpentEngine } from './KundaliniSerpentEngine.js';
+
 // Geometry
 export {
   CHAKRA_POSITIONS,
   CHAKRA_CONNECTIONS,
   MANDALA_RING_RADII,
+  MINOR_CHAKRA_SCALE,
+  CHAKRA_SYSTEMS,
+  CHAKRA_SYSTEM_IDS,
+  getChakraSystem,
   getChakraByName,
   getChakraByIndex,
   getKundaliniActivationOrder,
   getAllChakraPositions,
 } from './ChakraGeometry.js';
 
-// Presets - 10 unique configurations
+// Presets - 13 unique configurations
 export {
   KUNDALINI_AWAKENING,
   HEART_CENTERED_HEALING,
@@ -52,4 +68,7 @@ export {
   THROAT_TRUTH_EXPRESSION,
   SOLAR_POWER_WILL,
   CELESTIAL_VOID,
+  TWELVE_CHAKRA_ASCENSION,
+  TIBETAN_FIVE_WHEELS,
+  HEALING_HANDS_CIRCUIT,
 } from './presets/index.js';
\ No newline at end of file
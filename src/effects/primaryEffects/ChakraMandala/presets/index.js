@@ -1,7 +1,7 @@
 /**
  * Chakra Mandala Presets
  * 
- * 10 unique configurations representing different chakra meditation practices,
+ * 13 unique configurations representing different chakra meditation practices,
  * energy patterns, and visual aesthetic journeys.
  * 
  * Each preset is designed to convey a specific spiritual intention or visual theme.
@@ -1447,4 +1447,493 @@ export const CELESTIAL_VOID = {
   energyBeadPulseEnabled: false,
   energyBeadPulseRange: { lower: 0.95, upper: 1.05 },
   energyBeadPulseTimes: 1,
-};
\ No newline at end of file
+};
+
+/**
+ * PRESET 11: TWELVE_CHAKRA_ASCENSION
+ * Theme: Twelve-chakra system - from the earth star to the divine gateway
+ * Perfect for: Light-body and ascension visualizations
+ * Vibe: Expansive, luminous, cosmic
+ */
+export const TWELVE_CHAKRA_ASCENSION = {
+  // Phase timing - long ascension through twelve centers
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.20,
+  phaseRadiance_start: 0.65,
+  phaseDescentstart: 0.85,
+
+  // Smooth transitions
+  transitionZoneWidth: 0.05,
+
+  // Chakra system - earth star, the classical seven and four transpersonal points
+  chakraSystem: 'twelve',
+  includeMinorChakras: false,
+
+  // === PHASE TRANSPARENCY (CRITICAL - Makes effects visible!) ===
+  // Awakening phase - emergence
+  awakeningNodeAlpha: 0.3,
+  awakeningNodeAlpha_start: 0.1,
+  awakeningNodeAlpha_end: 0.5,
+  // Ascension phase - rising
+  ascensionNodeAlpha: 0.9,
+  ascensionNodeAlpha_start: 0.5,
+  ascensionNodeAlpha_end: 1.0,
+  // Radiance phase - peak
+  radianceNodeAlpha: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  // Descent phase - descent
+  descentNodeAlpha: 0.4,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.1,
+
+  // Chakra-specific activation
+  enableKundaliniSerpent: true,
+  kundaliniSpeed: 1.0,
+  kundaliniWaveAmplitude: 0.08,
+  kundaliniGlowIntensity: 0.8,
+  kundaliniFractalLayers: 1,
+  kundaliniOvertones: 2,
+
+  // Mandala rings - small and faint so twelve mandalas stay readable
+  enableMandalaRings: true,
+  mandalaRingSpeed: 1.0,
+  mandalaRingOpacity: 0.3,
+  mandalaRingThickness: 1.5,
+  mandalaSymmetry: 12,
+  mandalaRingLayers: 1,
+  mandalaResonancePatterns: false,
+  mandalaInnerRadius: 0.1,
+  mandalaOuterRadius: 0.4,
+  mandalaRadiusMultiplier: 0.6,
+
+  // Frequency visualization
+  enableFrequencyVisualization: true,
+  frequencyOscillationSpeed: 3.0,
+  frequencyDetailLayers: 1,
+
+  // Energy flow - prominent
+  enableEnergyFlow: true,
+  energyFlowSpeed: 1.8,
+  energyFlowDensity: 5,
+  energyFlowTrailLength: 6,
+  energyFlowSpirals: true,
+  energyFlowSpiralDensity: 1,
+
+  // Chakra glows - moderate
+  enableChakraGlows: true,
+  chakraGlowSize: 30,
+  chakraGlowIntensity: 0.7,
+  chakraBreatheIntensity: 0.3,
+  chakraAuraLayers: 2,
+
+  // Central channel
+  enableCentralChannel: true,
+  centralChannelGlow: 1.5,
+  centralChannelAuras: true,
+
+  // Color overrides
+  useCustomChakraColors: false,
+  chakraColorOverride: '#ff0000',
+  chakraGlowColorOverride: '#ff6666',
+
+  // Rendering
+  nodeSize: 18,
+  pathThickness: 1.5,
+  layerBlendMode: 'screen',
+  layerOpacity: 1.0,
+
+  // Energy pulses
+  enableEnergyPulses: true,
+  pulseWaveSpeed: 1.5,
+  pulseBreathIntensity: 0.3,
+
+  // Focus progression
+  awakeningChakraFocus: 'earth-star',
+  ascentionChakraFocus: ['anahata', 'soul-star'],
+  radianceChakraFocus: ['stellar-gateway', 'divine-gateway'],
+  descentChakraFocus: 'earth-star',
+
+  // Chakra explosion effects - soft starbursts
+  enableChakraExplosions: true,
+  explosionRayCount: 8,
+  explosionRayLength: 35,
+  explosionRayLengthMultiplier: 1.0,
+  explosionRingCount: 3,
+  explosionParticleCount: 10,
+  explosionEvenParticleDistribution: true,
+  explosionIntensity: 0.6,
+  explosionSynchronizeWithBreathing: true,
+  explosionColorScheme: ['chakraColor', 'rainbow'],
+  explosionEnableFuzzLayer: true,
+  explosionFuzzColor: '#fff4c2',
+  explosionFuzzOpacityMultiplier: 0.4,
+  explosionFuzzLayerOpacity: 0.6,
+  explosionInvertFuzzLayers: false,
+
+  // Vertical sine waves - golden light threads
+  enableVerticalSineWaves: true,
+  sineWaveColor: '#ffd700',
+  sineWaveFuzzColor: '#fff8dc',
+  sineWaveThickness: 2.5,
+  sineWaveAmplitude: 12,
+  sineWaveFrequency: 2.5,
+  sineWaveOpacityRange: { lower: 0.4, upper: 1.0 },
+  sineWaveOpacityTimes: 2,
+  sineWaveOpacityFindValueAlgorithm: ['sinusoidal', 'square'],
+  sineWaveBlurRange: { lower: 2, upper: 8 },
+  sineWaveBlurTimes: 3,
+  sineWaveBlurFindValueAlgorithm: ['sinusoidal'],
+  sineWaveAccentRange: { lower: 0.8, upper: 2.5 },
+  sineWaveAccentTimes: 3,
+  sineWaveAccentFindValueAlgorithm: ['square', 'sawtooth'],
+  sineWaveInvertLayers: false,
+  sineWaveFuzzLayerOpacity: 0.6,
+  sineWaveChakraGrouping: 4,
+  sineWaveProgression: 'overlapping',
+  sineWaveCount: 4,
+  sineWaveHarmonicRatios: [1, 2, 1.5, 3, 2.5],
+  enableSineWaveAmplitudeOscillation: true,
+  sineWaveAmplitudeOscillationRange: { lower: 0.7, upper: 2.0 },
+  sineWaveAmplitudeOscillationTimes: 2,
+  sineWaveAmplitudeOscillationAlgorithm: ['sinusoidal', 'square'],
+
+  // Energy beads
+  enableEnergyBeads: true,
+  energyBeadCount: 5,
+  energyBeadRadius: 4,
+  energyBeadColor: '#fff8dc',
+  energyBeadOpacity: 0.8,
+  energyBeadGlowIntensity: 1.2,
+  energyBeadSpeed: 1.0,
+  energyBeadRingLayer: 0,
+  energyBeadPulseEnabled: true,
+  energyBeadPulseRange: { lower: 0.7, upper: 1.3 },
+  energyBeadPulseTimes: 2,
+};
+
+/**
+ * PRESET 12: TIBETAN_FIVE_WHEELS
+ * Theme: Vajrayana inner heat - the five wheels in their seed-syllable colors
+ * Perfect for: Tummo and completion-stage meditation visuals
+ * Vibe: Fierce warmth, clear light, devotional
+ */
+export const TIBETAN_FIVE_WHEELS = {
+  // Phase timing - inner heat rises, holds at the crown, then melts back down
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.60,
+  phaseDescentstart: 0.85,
+
+  // Smooth transitions
+  transitionZoneWidth: 0.05,
+
+  // Chakra system - secret place, navel, heart, throat and crown wheels
+  chakraSystem: 'tibetan',
+  includeMinorChakras: false,
+
+  // === PHASE TRANSPARENCY (CRITICAL - Makes effects visible!) ===
+  // Awakening phase - emergence
+  awakeningNodeAlpha: 0.3,
+  awakeningNodeAlpha_start: 0.1,
+  awakeningNodeAlpha_end: 0.5,
+  // Ascension phase - rising
+  ascensionNodeAlpha: 0.9,
+  ascensionNodeAlpha_start: 0.5,
+  ascensionNodeAlpha_end: 1.0,
+  // Radiance phase - peak
+  radianceNodeAlpha: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  // Descent phase - descent
+  descentNodeAlpha: 0.4,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.1,
+
+  // Chakra-specific activation
+  enableKundaliniSerpent: true,
+  kundaliniSpeed: 0.8,
+  kundaliniWaveAmplitude: 0.06,
+  kundaliniGlowIntensity: 0.7,
+  kundaliniFractalLayers: 1,
+  kundaliniOvertones: 1,
+
+  // Mandala rings - eight spokes of the dharma wheel
+  enableMandalaRings: true,
+  mandalaRingSpeed: 0.6,
+  mandalaRingOpacity: 0.5,
+  mandalaRingThickness: 1.5,
+  mandalaSymmetry: 8,
+  mandalaRingLayers: 2,
+  mandalaResonancePatterns: true,
+  mandalaInnerRadius: 0.1,
+  mandalaOuterRadius: 0.4,
+  mandalaRadiusMultiplier: 1.1,
+
+  // Frequency visualization
+  enableFrequencyVisualization: true,
+  frequencyOscillationSpeed: 3.0,
+  frequencyDetailLayers: 1,
+
+  // Energy flow - prominent
+  enableEnergyFlow: true,
+  energyFlowSpeed: 1.2,
+  energyFlowDensity: 6,
+  energyFlowTrailLength: 6,
+  energyFlowSpirals: true,
+  energyFlowSpiralDensity: 2,
+
+  // Chakra glows - moderate
+  enableChakraGlows: true,
+  chakraGlowSize: 45,
+  chakraGlowIntensity: 0.8,
+  chakraBreatheIntensity: 0.4,
+  chakraAuraLayers: 1,
+
+  // Central channel
+  enableCentralChannel: true,
+  centralChannelGlow: 1.8,
+  centralChannelAuras: true,
+
+  // Color overrides
+  useCustomChakraColors: false,
+  chakraColorOverride: '#ff0000',
+  chakraGlowColorOverride: '#ff6666',
+
+  // Rendering
+  nodeSize: 24,
+  pathThickness: 1.5,
+  layerBlendMode: 'screen',
+  layerOpacity: 1.0,
+
+  // Energy pulses
+  enableEnergyPulses: true,
+  pulseWaveSpeed: 1.5,
+  pulseBreathIntensity: 0.3,
+
+  // Focus progression
+  awakeningChakraFocus: 'navel-wheel',
+  ascentionChakraFocus: 'heart-wheel',
+  radianceChakraFocus: 'crown-wheel',
+  descentChakraFocus: 'navel-wheel',
+
+  // Chakra explosion effects - wheel-colored blazes
+  enableChakraExplosions: true,
+  explosionRayCount: 8,
+  explosionRayLength: 50,
+  explosionRayLengthMultiplier: 1.0,
+  explosionRingCount: 4,
+  explosionParticleCount: 12,
+  explosionEvenParticleDistribution: true,
+  explosionIntensity: 0.75,
+  explosionSynchronizeWithBreathing: true,
+  explosionColorScheme: 'chakraColor',
+  explosionEnableFuzzLayer: true,
+  explosionFuzzColor: '#ffe0b2',
+  explosionFuzzOpacityMultiplier: 0.4,
+  explosionFuzzLayerOpacity: 0.6,
+  explosionInvertFuzzLayers: false,
+
+  // Vertical sine waves - red drop rising, white drop descending
+  enableVerticalSineWaves: true,
+  sineWaveColor: '#e74c3c',
+  sineWaveFuzzColor: '#fdfefe',
+  sineWaveThickness: 2.5,
+  sineWaveAmplitude: 14,
+  sineWaveFrequency: 2.0,
+  sineWaveOpacityRange: { lower: 0.4, upper: 1.0 },
+  sineWaveOpacityTimes: 2,
+  sineWaveOpacityFindValueAlgorithm: ['sinusoidal', 'square'],
+  sineWaveBlurRange: { lower: 2, upper: 8 },
+  sineWaveBlurTimes: 3,
+  sineWaveBlurFindValueAlgorithm: ['sinusoidal'],
+  sineWaveAccentRange: { lower: 0.8, upper: 2.5 },
+  sineWaveAccentTimes: 3,
+  sineWaveAccentFindValueAlgorithm: ['square', 'sawtooth'],
+  sineWaveInvertLayers: false,
+  sineWaveFuzzLayerOpacity: 0.6,
+  sineWaveChakraGrouping: 5,
+  sineWaveProgression: 'sequential',
+  sineWaveCount: 2,
+  sineWaveHarmonicRatios: [1, 2],
+  enableSineWaveAmplitudeOscillation: true,
+  sineWaveAmplitudeOscillationRange: { lower: 0.7, upper: 2.0 },
+  sineWaveAmplitudeOscillationTimes: 2,
+  sineWaveAmplitudeOscillationAlgorithm: ['sinusoidal', 'square'],
+
+  // Energy beads
+  enableEnergyBeads: true,
+  energyBeadCount: 8,
+  energyBeadRadius: 6,
+  energyBeadColor: '#fdfefe',
+  energyBeadOpacity: 0.8,
+  energyBeadGlowIntensity: 1.2,
+  energyBeadSpeed: 1.0,
+  energyBeadRingLayer: 2,
+  energyBeadPulseEnabled: true,
+  energyBeadPulseRange: { lower: 0.7, upper: 1.3 },
+  energyBeadPulseTimes: 2,
+};
+
+/**
+ * PRESET 13: HEALING_HANDS_CIRCUIT
+ * Theme: Classical seven with the minor hand and foot chakras - energy circulating through the limbs
+ * Perfect for: Reiki and energy-healing visuals
+ * Vibe: Warm, nurturing, grounded
+ */
+export const HEALING_HANDS_CIRCUIT = {
+  // Phase timing - balanced, with a long radiance for the hands
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.20,
+  phaseRadiance_start: 0.55,
+  phaseDescentstart: 0.80,
+
+  // Smooth transitions
+  transitionZoneWidth: 0.05,
+
+  // Chakra system - classical seven plus palm and sole chakras off the axis
+  chakraSystem: 'classical',
+  includeMinorChakras: true,
+
+  // === PHASE TRANSPARENCY (CRITICAL - Makes effects visible!) ===
+  // Awakening phase - emergence
+  awakeningNodeAlpha: 0.3,
+  awakeningNodeAlpha_start: 0.1,
+  awakeningNodeAlpha_end: 0.5,
+  // Ascension phase - rising
+  ascensionNodeAlpha: 0.9,
+  ascensionNodeAlpha_start: 0.5,
+  ascensionNodeAlpha_end: 1.0,
+  // Radiance phase - peak
+  radianceNodeAlpha: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  // Descent phase - descent
+  descentNodeAlpha: 0.4,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.1,
+
+  // Chakra-specific activation - no serpent, the flow runs through the limbs
+  enableKundaliniSerpent: false,
+  kundaliniSpeed: 1.2,
+  kundaliniWaveAmplitude: 0.12,
+  kundaliniGlowIntensity: 0.95,
+  kundaliniFractalLayers: 2,
+  kundaliniOvertones: 3,
+
+  // Mandala rings - subtle
+  enableMandalaRings: true,
+  mandalaRingSpeed: 0.8,
+  mandalaRingOpacity: 0.35,
+  mandalaRingThickness: 1.5,
+  mandalaSymmetry: 6,
+  mandalaRingLayers: 2,
+  mandalaResonancePatterns: false,
+  mandalaInnerRadius: 0.1,
+  mandalaOuterRadius: 0.4,
+  mandalaRadiusMultiplier: 0.8,
+
+  // Frequency visualization
+  enableFrequencyVisualization: true,
+  frequencyOscillationSpeed: 3.0,
+  frequencyDetailLayers: 1,
+
+  // Energy flow - prominent
+  enableEnergyFlow: true,
+  energyFlowSpeed: 1.4,
+  energyFlowDensity: 6,
+  energyFlowTrailLength: 9,
+  energyFlowSpirals: true,
+  energyFlowSpiralDensity: 2,
+
+  // Chakra glows - moderate
+  enableChakraGlows: true,
+  chakraGlowSize: 36,
+  chakraGlowIntensity: 0.7,
+  chakraBreatheIntensity: 0.35,
+  chakraAuraLayers: 2,
+
+  // Central channel
+  enableCentralChannel: true,
+  centralChannelGlow: 1.0,
+  centralChannelAuras: true,
+
+  // Color overrides
+  useCustomChakraColors: false,
+  chakraColorOverride: '#ff0000',
+  chakraGlowColorOverride: '#ff6666',
+
+  // Rendering
+  nodeSize: 20,
+  pathThickness: 1.5,
+  layerBlendMode: 'screen',
+  layerOpacity: 1.0,
+
+  // Energy pulses
+  enableEnergyPulses: true,
+  pulseWaveSpeed: 1.5,
+  pulseBreathIntensity: 0.3,
+
+  // Focus progression
+  awakeningChakraFocus: 'muladhara',
+  ascentionChakraFocus: 'anahata',
+  radianceChakraFocus: ['anahata', 'left-hand', 'right-hand'],
+  descentChakraFocus: 'muladhara',
+
+  // Chakra explosion effects - gentle pulses
+  enableChakraExplosions: true,
+  explosionRayCount: 6,
+  explosionRayLength: 30,
+  explosionRayLengthMultiplier: 1.0,
+  explosionRingCount: 2,
+  explosionParticleCount: 8,
+  explosionEvenParticleDistribution: true,
+  explosionIntensity: 0.5,
+  explosionSynchronizeWithBreathing: true,
+  explosionColorScheme: 'chakraColor',
+  explosionEnableFuzzLayer: true,
+  explosionFuzzColor: '#d5f5e3',
+  explosionFuzzOpacityMultiplier: 0.4,
+  explosionFuzzLayerOpacity: 0.6,
+  explosionInvertFuzzLayers: false,
+
+  // Vertical sine waves - axis waves plus one through each pair of limbs
+  enableVerticalSineWaves: true,
+  sineWaveColor: '#48c9b0',
+  sineWaveFuzzColor: '#d5f5e3',
+  sineWaveThickness: 2.5,
+  sineWaveAmplitude: 10,
+  sineWaveFrequency: 2.0,
+  sineWaveOpacityRange: { lower: 0.4, upper: 1.0 },
+  sineWaveOpacityTimes: 2,
+  sineWaveOpacityFindValueAlgorithm: ['sinusoidal', 'square'],
+  sineWaveBlurRange: { lower: 2, upper: 8 },
+  sineWaveBlurTimes: 3,
+  sineWaveBlurFindValueAlgorithm: ['sinusoidal'],
+  sineWaveAccentRange: { lower: 0.8, upper: 2.5 },
+  sineWaveAccentTimes: 3,
+  sineWaveAccentFindValueAlgorithm: ['square', 'sawtooth'],
+  sineWaveInvertLayers: false,
+  sineWaveFuzzLayerOpacity: 0.6,
+  sineWaveChakraGrouping: 3,
+  sineWaveProgression: 'sequential',
+  sineWaveCount: 3,
+  sineWaveHarmonicRatios: [1, 1.5],
+  enableSineWaveAmplitudeOscillation: true,
+  sineWaveAmplitudeOscillationRange: { lower: 0.7, upper: 2.0 },
+  sineWaveAmplitudeOscillationTimes: 2,
+  sineWaveAmplitudeOscillationAlgorithm: ['sinusoidal', 'square'],
+
+  // Energy beads
+  enableEnergyBeads: true,
+  energyBeadCount: 6,
+  energyBeadRadius: 5,
+  energyBeadColor: '#a3e4d7',
+  energyBeadOpacity: 0.8,
+  energyBeadGlowIntensity: 1.2,
+  energyBeadSpeed: 1.0,
+  energyBeadRingLayer: 1,
+  energyBeadPulseEnabled: true,
+  energyBeadPulseRange: { lower: 0.7, upper: 1.3 },
+  energyBeadPulseTimes: 2,
+};
@@ -0,0 +1,70 @@
+/**
+ * Custom Geometry Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with a data-driven node/edge graph:
+ * - The geometry itself (object or JSON string, see GeometrySchema)
+ * - Default node, edge and symbol styling for entries that don't set their own
+ * - Node and edge reveal timing
+ *
+ * Symbols use the base mystic symbol parameters
+ * (enableMysticSymbols, symbolShowOnPhases, mysticSymbolSizeScale).
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class CustomGeometryConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== GEOMETRY ======
+    geometry = null,                       // { name, description, nodes, edges } or the same as a JSON string (null = built-in Tria Prima)
+
+    // ====== NODE DEFAULTS ======
+    nodeColor = '#FFFFFF',                 // Node fill when a node sets no color (string or ColorPicker)
+    nodeGlowColor = '#C9B6FF',             // Node glow when a node sets no glowColor (string or ColorPicker)
+    nodeSides = 6,                         // Node polygon sides when a node sets none
+
+    // ====== EDGE DEFAULTS ======
+    edgeColor = '#FFFFFF',                 // Edge color when an edge sets no color (string or ColorPicker)
+    edgeGlowColor = '#C9B6FF',             // Edge glow when an edge sets no glowColor (string or ColorPicker)
+
+    // ====== SYMBOL DEFAULTS ======
+    symbolColor = null,                    // Symbol stroke when a node sets no symbolColor (null = the node's color)
+    symbolSize = 12,                       // Half the glyph size in pixels when a node sets no symbolSize
+    symbolLineWidth = 1.5,                 // Glyph stroke width in pixels
+
+    // ====== REVEAL ======
+    nodeRevealStagger = 0.6,               // Node fade-in stagger across the first phase (0 = all at once, →1 = one after another)
+    edgeRevealStagger = 0.7,               // Edge draw-in stagger across the second phase
+    radianceGlowSwell = 0.3,               // How much node glows swell during the second-to-last phase
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.geometry = geometry;
+
+    this.nodeColor = nodeColor;
+    this.nodeGlowColor = nodeGlowColor;
+    this.nodeSides = nodeSides;
+
+    this.edgeColor = edgeColor;
+    this.edgeGlowColor = edgeGlowColor;
+
+    this.symbolColor = symbolColor;
+    this.symbolSize = symbolSize;
+    this.symbolLineWidth = symbolLineWidth;
+
+    this.nodeRevealStagger = nodeRevealStagger;
+    this.edgeRevealStagger = edgeRevealStagger;
+    this.radianceGlowSwell = radianceGlowSwell;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * Custom Geometry Effect
+ *
+ * Animates any node/edge graph given as data, so new diagrams need no subclass:
+ * - Awakening: nodes fade in one by one, in the order they are listed
+ * - Ascension: edges draw in one by one
+ * - Radiance: node glows swell and settle back
+ * - Descent: edges and nodes withdraw in reverse (seamless loop)
+ *
+ * The graph comes from config.geometry (object or JSON string) and is validated
+ * once in generate() against GeometrySchema. An invalid graph is reported with
+ * every error and replaced by the built-in Tria Prima, so a typo never breaks a render.
+ * Nodes may carry glyphs from the shipped libraries ('zodiac:leo', 'rune:algiz', …)
+ * or inline glyph elements.
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { CustomGeometryConfig } from './CustomGeometryConfig.js';
+import { DEFAULT_GEOMETRY, validateGeometry } from './GeometrySchema.js';
+
+const COLOR_DEFAULTS = {
+  nodeColor: '#FFFFFF',
+  nodeGlowColor: '#C9B6FF',
+  edgeColor: '#FFFFFF',
+  edgeGlowColor: '#C9B6FF',
+};
+
+export class CustomGeometryEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'custom-geometry';
+  static _displayName_ = 'Custom Geometry';
+  static _description_ = 'Any node and edge diagram loaded from JSON, with glyph symbols, staggered reveals and seamless looping';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'custom', 'json', 'data-driven', 'sacred-geometry', 'mystical'];
+
+  constructor({
+    name = CustomGeometryEffect._name_,
+    requiresLayer = true,
+    config = new CustomGeometryConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof CustomGeometryConfig)) {
+      config = new CustomGeometryConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get the graph's nodes, each fading in on its turn
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Nodes with their geometry id, styling, symbol and reveal alpha
+   */
+  getNodePositions() {
+    const config = this.getActiveConfig();
+    const progress = this.getProgress();
+    const { nodes } = this.geometry;
+    const reveals = this.getNodeReveals(progress);
+    const swell = this.getGlowSwell(progress);
+    const nodeSize = config.nodeSize ?? 20;
+    const glowSize = config.nodeGlowSize ?? 25;
+
+    return nodes.map((node, n) => ({
+      id: node.id,
+      x: node.x,
+      y: node.y,
+      color: node.color ?? config.nodeColor,
+      glowColor: node.glowColor ?? config.nodeGlowColor,
+      size: node.size ?? nodeSize,
+      glowSize: (node.glowSize ?? glowSize) * swell,
+      sides: node.sides ?? config.nodeSides ?? 6,
+      symbol: node.symbol,
+      symbolColor: node.symbolColor ?? config.symbolColor ?? node.color ?? config.nodeColor,
+      symbolSize: node.symbolSize ?? config.symbolSize ?? 12,
+      alpha: reveals[n],
+    }));
+  }
+
+  /**
+   * Get the graph's edges, each drawing in on its turn
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Edges with {start, end} node ids, styling and draw-in reveal
+   */
+  getPathConnections() {
+    const config = this.getActiveConfig();
+    const reveals = this.getEdgeReveals(this.getProgress());
+
+    return this.geometry.edges.map((edge, e) => ({
+      start: edge.from,
+      end: edge.to,
+      type: 'edge',
+      color: edge.color ?? config.edgeColor,
+      glowColor: edge.glowColor ?? config.edgeGlowColor,
+      thickness: edge.thickness !== undefined ? edge.thickness * (config.pathSizeScale || 1.0) : undefined,
+      reveal: reveals[e],
+    }));
+  }
+
+  /**
+   * Pre-generate hook: blend mode, colors and the validated geometry
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = CustomGeometryConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    for (const [key, fallback] of Object.entries(COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+    if (this.config.symbolColor !== null && this.config.symbolColor !== undefined) {
+      this.config.symbolColor = this._extractColor(this.config.symbolColor, COLOR_DEFAULTS.nodeColor);
+    }
+
+    const result = validateGeometry(this.config.geometry ?? DEFAULT_GEOMETRY);
+    for (const warning of result.warnings) {
+      console.warn(`⚠️ Custom Geometry: ${warning}`);
+    }
+
+    if (result.valid) {
+      this.geometry = result.geometry;
+    } else {
+      console.warn(`⚠️ Custom Geometry: invalid geometry, using ${DEFAULT_GEOMETRY.name} instead:\n  - ${result.errors.join('\n  - ')}`);
+      this.geometry = validateGeometry(DEFAULT_GEOMETRY).geometry;
+    }
+  }
+
+  /**
+   * How visible each node is (0-1)
+   * Nodes fade in across the first phase and out in reverse across the last
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<number>} Reveal per node, in geometry order
+   */
+  getNodeReveals(progress) {
+    const stagger = this.getActiveConfig().nodeRevealStagger ?? 0.6;
+    return this.#getSequenceReveal(this.geometry.nodes.length, stagger, progress, 0);
+  }
+
+  /**
+   * How much of each edge is drawn (0-1)
+   * Edges draw in across the second phase (the first with fewer than three phases)
+   * and are undrawn in reverse across the last
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<number>} Reveal per edge, in geometry order
+   */
+  getEdgeReveals(progress) {
+    const stagger = this.getActiveConfig().edgeRevealStagger ?? 0.7;
+    const activePhase = this.getPhaseDefinitions().length >= 3 ? 1 : 0;
+    return this.#getSequenceReveal(this.geometry.edges.length, stagger, progress, activePhase);
+  }
+
+  /**
+   * Node glow multiplier from the radiance swell
+   * The second-to-last phase rises and falls once, so the other phases stay at 1
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Glow size multiplier
+   */
+  getGlowSwell(progress) {
+    const { index, count, eased } = this.#getPhasePosition(progress);
+    if (count < 4 || index !== count - 2) return 1;
+    return 1 + (this.getActiveConfig().radianceGlowSwell ?? 0.3) * Math.sin(eased * Math.PI);
+  }
+
+  /**
+   * Name, description and counts of the loaded graph
+   * @returns {Object}
+   */
+  getGeometryMetadata() {
+    return {
+      ...super.getGeometryMetadata(),
+      name: this.geometry.name ?? this.constructor._displayName_,
+      description: this.geometry.description ?? this.constructor._description_,
+    };
+  }
+
+  /**
+   * Render edges, nodes, then node symbols
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    await this.renderPaths(canvas, width, height, frameConfig, progress);
+    await this.renderNodes(canvas, width, height, frameConfig, progress);
+
+    if (frameConfig.enableMysticSymbols) {
+      await this.renderSymbols(canvas, width, height, frameConfig, progress);
+    }
+  }
+
+  /**
+   * Render each node's glyph over the node, fading with it
+   * Shown only on the phases listed in symbolShowOnPhases
+   * @protected
+   */
+  async renderSymbols(canvas, width, height, frameConfig, progress) {
+    const showOn = frameConfig.symbolShowOnPhases;
+    if (Array.isArray(showOn) && !showOn.includes(this.getCurrentPhase(progress))) return;
+
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    const sizeScale = frameConfig.mysticSymbolSizeScale ?? 1.0;
+
+    for (const node of this.getNodePositions()) {
+      const opacity = nodeAlpha * node.alpha;
+      if (!node.symbol || opacity <= 0.01) continue;
+
+      await this.renderGlyph(canvas, node.symbol, this.transformCoordinate(node.x, node.y, width, height), node.symbolSize * sizeScale, {
+        color: node.symbolColor,
+        opacity,
+        lineWidth: frameConfig.symbolLineWidth ?? 1.5,
+      });
+    }
+  }
+
+  /**
+   * Current phase index and progress through it
+   * @private
+   */
+  #getPhasePosition(progress) {
+    const phases = this.getPhaseDefinitions();
+    const phase = this.getCurrentPhase(progress);
+    const index = Math.max(0, phases.findIndex(definition => definition.name === phase));
+    const phaseProgress = Math.max(0, Math.min(1, this.getPhaseProgress(progress, phase)));
+
+    return {
+      index,
+      count: phases.length,
+      phaseProgress,
+      eased: this.applyEasing(phaseProgress, this.getPhaseEasing(phase)),
+    };
+  }
+
+  /**
+   * Staggered reveal of a sequence: drawn in during `activePhase`, held until the
+   * last phase, then undrawn last-to-first
+   * @private
+   */
+  #getSequenceReveal(count, stagger, progress, activePhase) {
+    const { index, count: phases, eased } = this.#getPhasePosition(progress);
+    const reveals = [];
+
+    for (let i = 0; i < count; i++) {
+      if (phases > 1 && index === phases - 1) {
+        reveals.push(1 - this.getStaggeredProgress(count - 1 - i, count, eased, stagger));
+      } else if (index === activePhase) {
+        reveals.push(this.getStaggeredProgress(i, count, eased, stagger));
+      } else {
+        reveals.push(index < activePhase ? 0 : 1);
+      }
+    }
+
+    return reveals;
+  }
+}
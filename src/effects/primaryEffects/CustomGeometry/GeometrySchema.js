@@ -0,0 +1,325 @@
+/**
+ * Geometry Schema
+ *
+ * Validates a node/edge graph for CustomGeometryEffect, given as an object or
+ * a JSON string:
+ *
+ *   {
+ *     "name": "Planetary Hexagram",            optional
+ *     "description": "…",                       optional
+ *     "nodes": [
+ *       {
+ *         "id": "saturn",                       required, unique (string or number)
+ *         "x": 0.5, "y": 0.2,                   required, normalized 0-1 (y pointing down)
+ *         "color": "#FFD166",                   optional hex colors
+ *         "glowColor": "#FFFFFF",
+ *         "size": 12, "glowSize": 20,           optional pixels
+ *         "sides": 6,                           optional polygon sides (>= 3)
+ *         "symbol": "planet:saturn",            optional glyph reference or inline elements
+ *         "symbolColor": "#FFFFFF",             optional
+ *         "symbolSize": 14                      optional pixels (half the glyph size)
+ *       }
+ *     ],
+ *     "edges": [
+ *       { "from": "saturn", "to": "jupiter",    required node ids
+ *         "color": "#FFFFFF", "glowColor": "#FFD166", "thickness": 2 },
+ *       ["jupiter", "mars"]                     shorthand
+ *     ]
+ *   }
+ *
+ * Errors make the graph unusable; warnings (unknown properties, unknown glyph
+ * references, duplicate edges) are reported and the offending part ignored.
+ */
+
+import { ParameterTrackEngine } from '../../base/ParameterTrackEngine.js';
+import { GLYPH_ELEMENT_TYPES, resolveGlyph } from './GlyphLibrary.js';
+
+const GEOMETRY_KEYS = ['name', 'description', 'nodes', 'edges'];
+const NODE_KEYS = ['id', 'x', 'y', 'color', 'glowColor', 'size', 'glowSize', 'sides', 'symbol', 'symbolColor', 'symbolSize'];
+const EDGE_KEYS = ['from', 'to', 'color', 'glowColor', 'thickness'];
+
+/**
+ * Built-in graph used when a custom geometry fails validation:
+ * the tria prima triangle around the alchemical sun
+ */
+export const DEFAULT_GEOMETRY = {
+  name: 'Tria Prima',
+  description: 'Sulphur, mercury and salt around the alchemical sun',
+  nodes: [
+    { id: 'sulphur', x: 0.5, y: 0.22, color: '#E25822', symbol: 'alchemy:sulphur' },
+    { id: 'mercury', x: 0.76, y: 0.67, color: '#C0C0C0', symbol: 'alchemy:mercury' },
+    { id: 'salt', x: 0.24, y: 0.67, color: '#F4F1EA', symbol: 'alchemy:salt' },
+    { id: 'sun', x: 0.5, y: 0.52, color: '#FFD166', size: 14, symbol: 'planet:sun' },
+  ],
+  edges: [
+    ['sulphur', 'mercury'],
+    ['mercury', 'salt'],
+    ['salt', 'sulphur'],
+    ['sun', 'sulphur'],
+    ['sun', 'mercury'],
+    ['sun', 'salt'],
+  ],
+};
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function isValidId(id) {
+  return (typeof id === 'string' && id.length > 0) || Number.isFinite(id);
+}
+
+/**
+ * @private
+ */
+function checkNumber(errors, path, value, { min = -Infinity, max = Infinity, integer = false, positive = false } = {}) {
+  const valid = typeof value === 'number'
+    && Number.isFinite(value)
+    && value >= min
+    && value <= max
+    && (!integer || Number.isInteger(value))
+    && (!positive || value > 0);
+
+  if (!valid) {
+    const range = [
+      integer ? 'an integer' : 'a number',
+      positive ? '> 0' : null,
+      min > -Infinity && max < Infinity ? `between ${min} and ${max}` : min > -Infinity ? `>= ${min}` : null,
+    ].filter(Boolean).join(' ');
+    errors.push(`${path} must be ${range}, got ${JSON.stringify(value)}`);
+  }
+  return valid;
+}
+
+/**
+ * @private
+ */
+function checkColor(errors, path, value) {
+  const valid = ParameterTrackEngine.isColor(value);
+  if (!valid) {
+    errors.push(`${path} must be a hex color like "#FFD166", got ${JSON.stringify(value)}`);
+  }
+  return valid;
+}
+
+/**
+ * @private
+ */
+function checkUnknownKeys(warnings, path, value, allowed) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      warnings.push(`${path}.${key} is not a known property and is ignored (expected ${allowed.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Validate inline glyph elements
+ * @private
+ */
+function checkGlyphElements(errors, path, elements) {
+  if (elements.length === 0) {
+    errors.push(`${path} must contain at least one glyph element`);
+    return false;
+  }
+
+  const before = errors.length;
+  elements.forEach((element, e) => {
+    const elementPath = `${path}[${e}]`;
+    if (!isPlainObject(element) || !GLYPH_ELEMENT_TYPES.includes(element.type)) {
+      errors.push(`${elementPath}.type must be one of ${GLYPH_ELEMENT_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (element.type === 'path' || element.type === 'polygon') {
+      const points = element.points;
+      const validPoints = Array.isArray(points)
+        && points.length >= 2
+        && points.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+      if (!validPoints) {
+        errors.push(`${elementPath}.points must be at least two [x, y] number pairs`);
+      }
+    } else if (element.type === 'line') {
+      for (const key of ['x1', 'y1', 'x2', 'y2']) {
+        checkNumber(errors, `${elementPath}.${key}`, element[key]);
+      }
+    } else {
+      checkNumber(errors, `${elementPath}.r`, element.r, { positive: true });
+    }
+  });
+  return errors.length === before;
+}
+
+/**
+ * Validate and normalize one node
+ * @private
+ */
+function validateNode(node, index, errors, warnings) {
+  const path = `nodes[${index}]`;
+  if (!isPlainObject(node)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+  checkUnknownKeys(warnings, path, node, NODE_KEYS);
+
+  const before = errors.length;
+  if (!isValidId(node.id)) {
+    errors.push(`${path}.id must be a non-empty string or a number`);
+  }
+  checkNumber(errors, `${path}.x`, node.x, { min: 0, max: 1 });
+  checkNumber(errors, `${path}.y`, node.y, { min: 0, max: 1 });
+
+  for (const key of ['color', 'glowColor', 'symbolColor']) {
+    if (node[key] !== undefined) checkColor(errors, `${path}.${key}`, node[key]);
+  }
+  for (const key of ['size', 'symbolSize']) {
+    if (node[key] !== undefined) checkNumber(errors, `${path}.${key}`, node[key], { positive: true });
+  }
+  if (node.glowSize !== undefined) checkNumber(errors, `${path}.glowSize`, node.glowSize, { min: 0 });
+  if (node.sides !== undefined) checkNumber(errors, `${path}.sides`, node.sides, { min: 3, integer: true });
+
+  let symbol = null;
+  if (Array.isArray(node.symbol)) {
+    if (checkGlyphElements(errors, `${path}.symbol`, node.symbol)) symbol = node.symbol;
+  } else if (typeof node.symbol === 'string') {
+    symbol = resolveGlyph(node.symbol);
+    if (!symbol) {
+      warnings.push(`${path}.symbol "${node.symbol}" is not a known glyph and is ignored (use '<library>:<key>', e.g. 'zodiac:leo')`);
+    }
+  } else if (node.symbol !== undefined && node.symbol !== null) {
+    errors.push(`${path}.symbol must be a glyph reference string or an array of glyph elements`);
+  }
+
+  if (errors.length > before) return null;
+
+  const normalized = { id: String(node.id), x: node.x, y: node.y, symbol };
+  for (const key of ['color', 'glowColor', 'size', 'glowSize', 'sides', 'symbolColor', 'symbolSize']) {
+    if (node[key] !== undefined) normalized[key] = node[key];
+  }
+  return normalized;
+}
+
+/**
+ * Validate and normalize one edge
+ * @private
+ */
+function validateEdge(edge, index, ids, errors, warnings) {
+  const path = `edges[${index}]`;
+  if (Array.isArray(edge)) {
+    if (edge.length !== 2) {
+      errors.push(`${path} must be a [from, to] pair`);
+      return null;
+    }
+    edge = { from: edge[0], to: edge[1] };
+  } else if (!isPlainObject(edge)) {
+    errors.push(`${path} must be an object or a [from, to] pair`);
+    return null;
+  } else {
+    checkUnknownKeys(warnings, path, edge, EDGE_KEYS);
+  }
+
+  const before = errors.length;
+  for (const key of ['from', 'to']) {
+    if (edge[key] === undefined || edge[key] === null || !ids.has(String(edge[key]))) {
+      errors.push(`${path}.${key} must be the id of a node, got ${JSON.stringify(edge[key])}`);
+    }
+  }
+  if (errors.length === before && String(edge.from) === String(edge.to)) {
+    errors.push(`${path} connects node "${edge.from}" to itself`);
+  }
+  for (const key of ['color', 'glowColor']) {
+    if (edge[key] !== undefined) checkColor(errors, `${path}.${key}`, edge[key]);
+  }
+  if (edge.thickness !== undefined) checkNumber(errors, `${path}.thickness`, edge.thickness, { positive: true });
+
+  if (errors.length > before) return null;
+
+  const normalized = { from: String(edge.from), to: String(edge.to) };
+  for (const key of ['color', 'glowColor', 'thickness']) {
+    if (edge[key] !== undefined) normalized[key] = edge[key];
+  }
+  return normalized;
+}
+
+/**
+ * Validate a custom geometry
+ * @param {Object|string} source - Geometry object or JSON string
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>, geometry: Object|null}}
+ *   geometry: normalized copy (string ids, resolved symbols, object edges) when valid
+ */
+export function validateGeometry(source) {
+  const errors = [];
+  const warnings = [];
+
+  let definition = source;
+  if (typeof source === 'string') {
+    try {
+      definition = JSON.parse(source);
+    } catch (e) {
+      return { valid: false, errors: [`geometry is not valid JSON: ${e.message}`], warnings, geometry: null };
+    }
+  }
+
+  if (!isPlainObject(definition)) {
+    return { valid: false, errors: ['geometry must be an object with nodes and edges'], warnings, geometry: null };
+  }
+  checkUnknownKeys(warnings, 'geometry', definition, GEOMETRY_KEYS);
+
+  if (!Array.isArray(definition.nodes) || definition.nodes.length === 0) {
+    errors.push('nodes must be a non-empty array');
+  }
+  if (definition.edges !== undefined && !Array.isArray(definition.edges)) {
+    errors.push('edges must be an array');
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings, geometry: null };
+  }
+
+  const nodes = definition.nodes.map((node, n) => validateNode(node, n, errors, warnings));
+
+  // Ids of every node, valid or not, so edges to a broken node don't report twice
+  const ids = new Set();
+  definition.nodes.forEach((node, n) => {
+    if (!isPlainObject(node) || !isValidId(node.id)) return;
+    const id = String(node.id);
+    if (ids.has(id)) errors.push(`nodes[${n}].id "${id}" is already used by another node`);
+    ids.add(id);
+  });
+
+  const seen = new Set();
+  const edges = [];
+  (definition.edges ?? []).forEach((edge, e) => {
+    const normalized = validateEdge(edge, e, ids, errors, warnings);
+    if (!normalized) return;
+
+    const key = [normalized.from, normalized.to].sort().join('\u0000');
+    if (seen.has(key)) {
+      warnings.push(`edges[${e}] duplicates an earlier edge between "${normalized.from}" and "${normalized.to}" and is ignored`);
+      return;
+    }
+    seen.add(key);
+    edges.push(normalized);
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings, geometry: null };
+  }
+
+  return {
+    valid: true,
+    errors,
+    warnings,
+    geometry: {
+      name: typeof definition.name === 'string' ? definition.name : null,
+      description: typeof definition.description === 'string' ? definition.description : null,
+      nodes,
+      edges,
+    },
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Glyph Library
+ *
+ * Resolves symbol references in custom geometry to glyph elements from the
+ * effects that ship vector glyphs. A reference is '<library>:<key>':
+ * - zodiac:aries … zodiac:pisces      (CelestialSphere)
+ * - planet:sun … planet:saturn        (CelestialSphere)
+ * - alchemy:fire, alchemy:salt, …     (HermeticAlchemy)
+ * - rune:fehu … rune:othala           (RunicCircle)
+ * - hebrew:aleph … hebrew:tav         (AnimatedTreeOfLife)
+ *
+ * Keys are case-insensitive. Inline glyphs (arrays of elements in the
+ * MysticSymbolsEngine format) are accepted as they are.
+ */
+
+import { ZODIAC_GLYPHS, PLANET_GLYPHS } from '../CelestialSphere/CelestialGlyphs.js';
+import { ALCHEMY_GLYPHS } from '../HermeticAlchemy/AlchemyGeometry.js';
+import { RUNE_GLYPHS } from '../RunicCircle/RunicGeometry.js';
+import { HEBREW_LETTER_GLYPHS } from '../AnimatedTreeOfLife/HebrewLetterGlyphs.js';
+
+/**
+ * Glyph sets by library name
+ */
+export const GLYPH_LIBRARIES = {
+  zodiac: ZODIAC_GLYPHS,
+  planet: PLANET_GLYPHS,
+  alchemy: ALCHEMY_GLYPHS,
+  rune: RUNE_GLYPHS,
+  hebrew: HEBREW_LETTER_GLYPHS,
+};
+
+/**
+ * Element types renderGlyph() can draw
+ */
+export const GLYPH_ELEMENT_TYPES = ['path', 'polygon', 'line', 'arc'];
+
+/**
+ * Look up a glyph by reference
+ * @param {string} reference - '<library>:<key>' (e.g. 'zodiac:leo', 'rune:algiz')
+ * @returns {Array<Object>|null} Glyph elements, or null if the library or key is unknown
+ */
+export function resolveGlyph(reference) {
+  if (typeof reference !== 'string') return null;
+
+  const [library, key] = reference.split(':');
+  const glyphs = GLYPH_LIBRARIES[library?.toLowerCase()];
+  if (!glyphs || !key) return null;
+
+  const match = Object.keys(glyphs).find(name => name.toLowerCase() === key.toLowerCase());
+  return match ? glyphs[match] : null;
+}
+
+/**
+ * All valid glyph references, for editor pickers and error messages
+ * @returns {Array<string>} '<library>:<key>' references
+ */
+export function listGlyphReferences() {
+  return Object.entries(GLYPH_LIBRARIES)
+    .flatMap(([library, glyphs]) => Object.keys(glyphs).map(key => `${library}:${key.toLowerCase()}`));
+}
@@ -0,0 +1,42 @@
+/**
+ * Custom Geometry - Complete Module
+ *
+ * Core Effect:
+ * - CustomGeometryEffect: Any node/edge diagram loaded from data, revealed phase by phase
+ *
+ * Configuration:
+ * - CustomGeometryConfig: Extends base config with the geometry and default styling
+ *
+ * Geometry:
+ * - GeometrySchema: Validation of node/edge graphs (objects or JSON strings)
+ * - GlyphLibrary: Glyph references into the zodiac, planet, alchemy, rune and Hebrew sets
+ *
+ * Presets (4 configurations):
+ * - PLANETARY_HEXAGRAM: Planets on the hexagram, sun at the center
+ * - ZODIAC_TRINES: Twelve signs joined into the four elemental triangles
+ * - AETT_OF_FREYR: First aett of runes on an octagon and octagram
+ * - PENTACLE_SIGIL: JSON-string geometry with inline glyphs
+ */
+
+// Core Effect
+export { CustomGeometryEffect } from './CustomGeometryEffect.js';
+
+// Configuration
+export { CustomGeometryConfig } from './CustomGeometryConfig.js';
+
+// Geometry
+export { DEFAULT_GEOMETRY, validateGeometry } from './GeometrySchema.js';
+export {
+  GLYPH_LIBRARIES,
+  GLYPH_ELEMENT_TYPES,
+  resolveGlyph,
+  listGlyphReferences,
+} from './GlyphLibrary.js';
+
+// Presets
+export {
+  PLANETARY_HEXAGRAM,
+  ZODIAC_TRINES,
+  AETT_OF_FREYR,
+  PENTACLE_SIGIL,
+} from './presets/index.js';
@@ -0,0 +1,245 @@
+/**
+ * Custom Geometry Presets
+ *
+ * 4 example diagrams written as data - starting points for artists designing
+ * their own graphs. The last one gives its geometry as a JSON string with
+ * inline glyphs, the way a diagram exported from an editor would arrive.
+ */
+
+/**
+ * PRESET 1: PLANETARY_HEXAGRAM
+ * Theme: The six planets on the points of the hexagram, the sun at its heart
+ * Vibe: Hermetic, balanced, celestial
+ */
+export const PLANETARY_HEXAGRAM = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.55,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.7,
+  awakeningNodeAlpha_end: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.7,
+
+  // Edges start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  geometry: {
+    name: 'Planetary Hexagram',
+    description: 'The six planets on the points of the hexagram, the sun at its heart',
+    nodes: [
+      { id: 'sun', x: 0.5, y: 0.5, color: '#FFD166', size: 14, glowSize: 26, symbol: 'planet:sun', symbolSize: 16 },
+      { id: 'saturn', x: 0.5, y: 0.2, color: '#8E7CC3', symbol: 'planet:saturn' },
+      { id: 'jupiter', x: 0.76, y: 0.35, color: '#4FC3F7', symbol: 'planet:jupiter' },
+      { id: 'venus', x: 0.76, y: 0.65, color: '#7CFFCB', symbol: 'planet:venus' },
+      { id: 'moon', x: 0.5, y: 0.8, color: '#E8E8F0', symbol: 'planet:moon' },
+      { id: 'mercury', x: 0.24, y: 0.65, color: '#FFB347', symbol: 'planet:mercury' },
+      { id: 'mars', x: 0.24, y: 0.35, color: '#FF5C5C', symbol: 'planet:mars' },
+    ],
+    edges: [
+      ['saturn', 'venus'],
+      ['venus', 'mercury'],
+      ['mercury', 'saturn'],
+      ['moon', 'jupiter'],
+      ['jupiter', 'mars'],
+      ['mars', 'moon'],
+      { from: 'sun', to: 'saturn', color: '#FFD166', thickness: 1 },
+      { from: 'sun', to: 'jupiter', color: '#FFD166', thickness: 1 },
+      { from: 'sun', to: 'venus', color: '#FFD166', thickness: 1 },
+      { from: 'sun', to: 'moon', color: '#FFD166', thickness: 1 },
+      { from: 'sun', to: 'mercury', color: '#FFD166', thickness: 1 },
+      { from: 'sun', to: 'mars', color: '#FFD166', thickness: 1 },
+    ],
+  },
+  nodeSize: 10,
+  nodeGlowSize: 18,
+  symbolSize: 11,
+  symbolColor: '#FFFFFF',
+  edgeGlowColor: '#FFD166',
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: ZODIAC_TRINES
+ * Theme: The twelve signs around the wheel, joined into the four elemental triangles
+ * Vibe: Astrological, harmonious, cyclical
+ */
+export const ZODIAC_TRINES = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.82,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.6,
+  descentNodeAlpha_end: 0.6,
+
+  // Edges start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  geometry: {
+    name: 'Zodiac Trines',
+    description: 'The twelve signs joined into the fire, earth, air and water triangles',
+    nodes: [
+      { id: 'aries', x: 0.14, y: 0.5, color: '#FF6B4A', symbol: 'zodiac:aries' },
+      { id: 'taurus', x: 0.188, y: 0.68, color: '#7BC96F', symbol: 'zodiac:taurus' },
+      { id: 'gemini', x: 0.32, y: 0.812, color: '#FFE14D', symbol: 'zodiac:gemini' },
+      { id: 'cancer', x: 0.5, y: 0.86, color: '#4CC9F0', symbol: 'zodiac:cancer' },
+      { id: 'leo', x: 0.68, y: 0.812, color: '#FF6B4A', symbol: 'zodiac:leo' },
+      { id: 'virgo', x: 0.812, y: 0.68, color: '#7BC96F', symbol: 'zodiac:virgo' },
+      { id: 'libra', x: 0.86, y: 0.5, color: '#FFE14D', symbol: 'zodiac:libra' },
+      { id: 'scorpio', x: 0.812, y: 0.32, color: '#4CC9F0', symbol: 'zodiac:scorpio' },
+      { id: 'sagittarius', x: 0.68, y: 0.188, color: '#FF6B4A', symbol: 'zodiac:sagittarius' },
+      { id: 'capricorn', x: 0.5, y: 0.14, color: '#7BC96F', symbol: 'zodiac:capricorn' },
+      { id: 'aquarius', x: 0.32, y: 0.188, color: '#FFE14D', symbol: 'zodiac:aquarius' },
+      { id: 'pisces', x: 0.188, y: 0.32, color: '#4CC9F0', symbol: 'zodiac:pisces' },
+    ],
+    edges: [
+      { from: 'aries', to: 'leo', color: '#FF6B4A' },
+      { from: 'leo', to: 'sagittarius', color: '#FF6B4A' },
+      { from: 'sagittarius', to: 'aries', color: '#FF6B4A' },
+      { from: 'taurus', to: 'virgo', color: '#7BC96F' },
+      { from: 'virgo', to: 'capricorn', color: '#7BC96F' },
+      { from: 'capricorn', to: 'taurus', color: '#7BC96F' },
+      { from: 'gemini', to: 'libra', color: '#FFE14D' },
+      { from: 'libra', to: 'aquarius', color: '#FFE14D' },
+      { from: 'aquarius', to: 'gemini', color: '#FFE14D' },
+      { from: 'cancer', to: 'scorpio', color: '#4CC9F0' },
+      { from: 'scorpio', to: 'pisces', color: '#4CC9F0' },
+      { from: 'pisces', to: 'cancer', color: '#4CC9F0' },
+    ],
+  },
+  nodeSize: 4,
+  nodeGlowSize: 22,
+  nodeSides: 12,
+  symbolSize: 12,
+  edgeRevealStagger: 0.85,
+
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: AETT_OF_FREYR
+ * Theme: The first eight runes on an octagon, bound by an eight-pointed star
+ * Vibe: Northern, carved, protective
+ */
+export const AETT_OF_FREYR = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.04,
+
+  awakeningEasing: 'easeInOutCubic',
+  ascensionEasing: 'easeInOutCubic',
+  radianceEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.6,
+  descentNodeAlpha_end: 0.6,
+
+  // Edges start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  geometry: {
+    name: 'Aett of Freyr',
+    description: 'Fehu to wunjo on an octagon, bound by the {8/3} star',
+    nodes: [
+      { id: 'fehu', x: 0.5, y: 0.16, symbol: 'rune:fehu' },
+      { id: 'uruz', x: 0.74, y: 0.26, symbol: 'rune:uruz' },
+      { id: 'thurisaz', x: 0.84, y: 0.5, symbol: 'rune:thurisaz' },
+      { id: 'ansuz', x: 0.74, y: 0.74, symbol: 'rune:ansuz' },
+      { id: 'raidho', x: 0.5, y: 0.84, symbol: 'rune:raidho' },
+      { id: 'kenaz', x: 0.26, y: 0.74, symbol: 'rune:kenaz' },
+      { id: 'gebo', x: 0.16, y: 0.5, symbol: 'rune:gebo' },
+      { id: 'wunjo', x: 0.26, y: 0.26, symbol: 'rune:wunjo' },
+    ],
+    edges: [
+      ['fehu', 'uruz'], ['uruz', 'thurisaz'], ['thurisaz', 'ansuz'], ['ansuz', 'raidho'],
+      ['raidho', 'kenaz'], ['kenaz', 'gebo'], ['gebo', 'wunjo'], ['wunjo', 'fehu'],
+      { from: 'fehu', to: 'ansuz', color: '#E0A040' },
+      { from: 'ansuz', to: 'gebo', color: '#E0A040' },
+      { from: 'gebo', to: 'thurisaz', color: '#E0A040' },
+      { from: 'thurisaz', to: 'wunjo', color: '#E0A040' },
+      { from: 'wunjo', to: 'raidho', color: '#E0A040' },
+      { from: 'raidho', to: 'uruz', color: '#E0A040' },
+      { from: 'uruz', to: 'kenaz', color: '#E0A040' },
+      { from: 'kenaz', to: 'fehu', color: '#E0A040' },
+    ],
+  },
+  nodeColor: '#C8B08A',
+  nodeGlowColor: '#E0A040',
+  nodeSize: 18,
+  nodeGlowSize: 24,
+  nodeSides: 8,
+  edgeColor: '#C8B08A',
+  edgeGlowColor: '#5C4033',
+  symbolColor: '#1A1208',
+  symbolSize: 12,
+  symbolLineWidth: 2.5,
+
+  layerBlendMode: 'normal',
+};
+
+/**
+ * PRESET 4: PENTACLE_SIGIL
+ * Theme: A pentagram of hand-drawn sigils, given as a JSON string with inline glyphs
+ * Vibe: Occult, personal, handmade
+ */
+export const PENTACLE_SIGIL = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.2,
+  phaseRadiance_start: 0.5,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Edges start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  geometry: `{
+    "name": "Pentacle Sigil",
+    "description": "Five sigils on a pentagram, drawn point to point",
+    "nodes": [
+      { "id": "spirit", "x": 0.5, "y": 0.18,
+        "symbol": [{ "type": "arc", "r": 0.6 }, { "type": "line", "x1": 0.5, "y1": 0.1, "x2": 0.5, "y2": 0.9 }] },
+      { "id": "water", "x": 0.804, "y": 0.401,
+        "symbol": [{ "type": "path", "points": [[0.1, 0.4], [0.3, 0.6], [0.5, 0.4], [0.7, 0.6], [0.9, 0.4]] }] },
+      { "id": "fire", "x": 0.688, "y": 0.759,
+        "symbol": [{ "type": "polygon", "points": [[0.5, 0.1], [0.9, 0.85], [0.1, 0.85]] }] },
+      { "id": "earth", "x": 0.312, "y": 0.759,
+        "symbol": [{ "type": "polygon", "points": [[0.2, 0.2], [0.8, 0.2], [0.8, 0.8], [0.2, 0.8]] }] },
+      { "id": "air", "x": 0.196, "y": 0.401,
+        "symbol": [{ "type": "line", "x1": 0.1, "y1": 0.5, "x2": 0.9, "y2": 0.5 }, { "type": "arc", "r": 0.35 }] }
+    ],
+    "edges": [
+      ["spirit", "fire"],
+      ["fire", "air"],
+      ["air", "water"],
+      ["water", "earth"],
+      ["earth", "spirit"]
+    ]
+  }`,
+  nodeColor: '#B388FF',
+  nodeGlowColor: '#7C4DFF',
+  nodeSize: 6,
+  nodeGlowSize: 26,
+  nodeSides: 5,
+  edgeColor: '#E0D0FF',
+  edgeGlowColor: '#7C4DFF',
+  symbolColor: '#FFFFFF',
+  symbolSize: 14,
+  nodeRevealStagger: 0.8,
+
+  layerBlendMode: ['screen', 'lighten', 'normal'],
+};
@@ -0,0 +1,78 @@
+/**
+ * Enneagram Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with enneagram parameters:
+ * - Diagram size and tracing order
+ * - Circle, triangle and hexad styling
+ * - The nine points
+ * - Flow dots travelling the inner figures
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class EnneagramConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== DIAGRAM ======
+    diagramRadius = 0.36,                  // Circle radius (normalized)
+    traceOrder = ['circle', 'triangle', 'hexad'],  // Figures traced one after another across the phases
+    traceHold = 0,                         // Fraction of each phase that holds before tracing continues
+
+    // ====== CIRCLE ======
+    circleColor = '#C9B6FF',               // Circle color (string or ColorPicker)
+    circleLineWidth = 2,                   // Circle stroke width
+    circleSegments = 72,                   // Segments used while the circle is being traced
+
+    // ====== INNER FIGURES ======
+    triangleColor = '#FFD166',             // 3-6-9 triangle color (string or ColorPicker)
+    hexadColor = '#4CC9F0',                // 1-4-2-8-5-7 hexad color (string or ColorPicker)
+    figureLineWidth = 2.5,                 // Inner figure stroke width
+
+    // ====== POINTS ======
+    pointColor = '#FFFFFF',                // Point color (string or ColorPicker)
+    pointSize = 6,                         // Point radius in pixels
+    pointGlowSize = 12,                    // Point glow ring radius in pixels
+
+    // ====== FLOW ======
+    enableFlow = true,                     // Dots travelling the traced inner figures
+    flowDotCount = 3,                      // Dots per figure
+    flowSpeed = 1,                         // Laps per loop (integer for perfect loop)
+    flowDotSize = 4,                       // Dot radius in pixels
+    flowColor = '#FFFFFF',                 // Dot color (string or ColorPicker)
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.diagramRadius = diagramRadius;
+    this.traceOrder = traceOrder;
+    this.traceHold = traceHold;
+
+    this.circleColor = circleColor;
+    this.circleLineWidth = circleLineWidth;
+    this.circleSegments = circleSegments;
+
+    this.triangleColor = triangleColor;
+    this.hexadColor = hexadColor;
+    this.figureLineWidth = figureLineWidth;
+
+    this.pointColor = pointColor;
+    this.pointSize = pointSize;
+    this.pointGlowSize = pointGlowSize;
+
+    this.enableFlow = enableFlow;
+    this.flowDotCount = flowDotCount;
+    this.flowSpeed = flowSpeed;
+    this.flowDotSize = flowDotSize;
+    this.flowColor = flowColor;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Enneagram Effect
+ *
+ * Traces the enneagram through the phase timeline, one figure per phase:
+ * - Awakening: the circle is drawn from the top, the nine points appearing as it passes
+ * - Ascension: the 3-6-9 triangle is traced
+ * - Radiance: the 1-4-2-8-5-7 hexad is traced, flow dots circulating both figures
+ * - Descent: every figure unwinds together (seamless loop)
+ *
+ * The trace is a glyph-state sequence on the SymbolSequenceEngine, so any number
+ * of phases or a different traceOrder spreads the tracing evenly.
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { SymbolSequenceEngine } from '../../base/SymbolSequenceEngine.js';
+import { EnneagramConfig } from './EnneagramConfig.js';
+import {
+  ENNEAGRAM_FIGURES,
+  ENNEAGRAM_POINTS,
+  TRACEABLE_FIGURES,
+  getEnneagramPoint,
+  getFigureSegments,
+} from './EnneagramGeometry.js';
+
+const COLOR_DEFAULTS = {
+  circleColor: '#C9B6FF',
+  triangleColor: '#FFD166',
+  hexadColor: '#4CC9F0',
+  pointColor: '#FFFFFF',
+  flowColor: '#FFFFFF',
+};
+
+export class EnneagramEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'enneagram';
+  static _displayName_ = 'Enneagram';
+  static _description_ = 'The nine-point enneagram traced phase by phase: circle, 3-6-9 triangle and 1-4-2-8-5-7 hexad with circulating flow';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'enneagram', 'gurdjieff', 'law-of-seven', 'sacred-geometry', 'mystical'];
+
+  constructor({
+    name = EnneagramEffect._name_,
+    requiresLayer = true,
+    config = new EnneagramConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof EnneagramConfig)) {
+      config = new EnneagramConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get the nine points, each appearing as the circle trace passes it
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Points 'point-1' … 'point-9' with per-node styling
+   */
+  getNodePositions() {
+    const config = this.getActiveConfig();
+    const unit = config.diagramRadius ?? 0.36;
+    const reveals = this.getFigureReveals(this.getProgress());
+    const sweep = reveals.circle ?? reveals[this.traceOrder[0]] ?? 1;
+
+    return ENNEAGRAM_POINTS.map(point => ({
+      id: `point-${point.number}`,
+      number: point.number,
+      x: 0.5 + point.x * unit,
+      y: 0.5 + point.y * unit,
+      color: config.pointColor,
+      glowColor: config.pointColor,
+      size: config.pointSize ?? 6,
+      glowSize: config.pointGlowSize ?? 12,
+      sides: 16,
+      // Point 9 sits where the sweep starts, point 8 where it ends
+      alpha: Math.max(0, Math.min(1, (sweep - (point.number % 9) / 9) * 9)),
+    }));
+  }
+
+  /**
+   * Get the triangle and hexad segments, each traced in turn
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Segments with {start, end} point ids, reveal and styling
+   */
+  getPathConnections() {
+    const config = this.getActiveConfig();
+    const reveals = this.getFigureReveals(this.getProgress());
+    const thickness = (config.figureLineWidth ?? 2.5) * (config.pathSizeScale || 1.0);
+    const paths = [];
+
+    for (const id of this.traceOrder) {
+      if (id === 'circle') continue;
+
+      const segments = getFigureSegments(id);
+      const color = config[`${id}Color`];
+      segments.forEach(([from, to], s) => {
+        paths.push({
+          start: `point-${from}`,
+          end: `point-${to}`,
+          type: id,
+          color,
+          glowColor: color,
+          thickness,
+          reveal: Math.max(0, Math.min(1, reveals[id] * segments.length - s)),
+        });
+      });
+    }
+
+    return paths;
+  }
+
+  /**
+   * Pre-generate hook: blend mode, colors and the trace sequence
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = EnneagramConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    for (const [key, fallback] of Object.entries(COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+
+    const requested = Array.isArray(this.config.traceOrder) ? this.config.traceOrder : TRACEABLE_FIGURES;
+    const unknown = requested.filter(id => !TRACEABLE_FIGURES.includes(id));
+    if (unknown.length > 0) {
+      console.warn(`⚠️ Enneagram: unknown figures ignored: ${unknown.join(', ')} (expected ${TRACEABLE_FIGURES.join(', ')})`);
+    }
+    this.traceOrder = [...new Set(requested.filter(id => TRACEABLE_FIGURES.includes(id)))];
+
+    // One glyph state per phase: how many figures are traced when the phase starts.
+    // The last phase starts fully traced and wraps back to nothing across the seam.
+    const phases = this.getPhaseDefinitions();
+    const slots = Math.max(2, phases.length);
+    const states = Array.from({ length: slots }, (_, i) => ({ trace: (i * this.traceOrder.length) / (slots - 1) }));
+    const positions = phases.length >= 2 ? SymbolSequenceEngine.positionsFromPhases(phases) : [0, 0.5];
+
+    this.traceKeyframes = SymbolSequenceEngine.buildKeyframes(states, {
+      positions,
+      hold: this.config.traceHold ?? 0,
+    });
+  }
+
+  /**
+   * How much of each figure is traced (0-1)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Object<string, number>} Reveal per figure id
+   */
+  getFigureReveals(progress) {
+    const easing = this.getPhaseEasing(this.getCurrentPhase(progress));
+    const { state } = SymbolSequenceEngine.sample(this.traceKeyframes, progress, t => this.applyEasing(t, easing));
+
+    const reveals = {};
+    this.traceOrder.forEach((id, f) => {
+      reveals[id] = Math.max(0, Math.min(1, state.trace - f));
+    });
+    return reveals;
+  }
+
+  /**
+   * Render circle, figures, points, then flow dots
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    const reveals = this.getFigureReveals(progress);
+
+    if (reveals.circle !== undefined) {
+      await this.#renderCircle(canvas, width, height, frameConfig, reveals.circle);
+    }
+    await this.renderPaths(canvas, width, height, frameConfig, progress);
+    await this.renderNodes(canvas, width, height, frameConfig, progress);
+
+    if (frameConfig.enableFlow) {
+      await this.#renderFlow(canvas, width, height, frameConfig, progress, reveals);
+    }
+  }
+
+  /**
+   * Render the circle, swept clockwise from point 9
+   * @private
+   */
+  async #renderCircle(canvas, width, height, frameConfig, sweep) {
+    const alpha = frameConfig.nodeAlpha ?? 1.0;
+    if (sweep <= 0 || alpha <= 0.01) return;
+
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+    const radius = (frameConfig.diagramRadius ?? 0.36) * Math.min(width, height) * (frameConfig.scale ?? 1.0);
+    const lineWidth = frameConfig.circleLineWidth ?? 2;
+    const color = frameConfig.circleColor;
+
+    if (sweep >= 1) {
+      await canvas.drawRing2d(center, radius, lineWidth, color, 0, null, alpha);
+      return;
+    }
+
+    const total = Math.max(8, Math.round(frameConfig.circleSegments ?? 72));
+    const segments = Math.max(1, Math.ceil(total * sweep));
+    const start = -Math.PI / 2;
+    let previous = { x: center.x, y: center.y - radius };
+
+    for (let s = 1; s <= segments; s++) {
+      const angle = start + (s / segments) * sweep * Math.PI * 2;
+      const point = { x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius };
+      await canvas.drawLine2d(previous, point, lineWidth, color, 0, null, alpha);
+      previous = point;
+    }
+  }
+
+  /**
+   * Render dots circulating each traced inner figure in its tracing direction
+   * Dots fade with their figure's trace, so they vanish as it unwinds
+   * @private
+   */
+  async #renderFlow(canvas, width, height, frameConfig, progress, reveals) {
+    const unit = frameConfig.diagramRadius ?? 0.36;
+    const count = Math.max(1, Math.round(frameConfig.flowDotCount ?? 3));
+    const speed = Math.round(frameConfig.flowSpeed ?? 1);
+    const size = frameConfig.flowDotSize ?? 4;
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+
+    for (const id of this.traceOrder) {
+      if (id === 'circle') continue;
+
+      const alpha = reveals[id] * reveals[id] * nodeAlpha;
+      if (alpha <= 0.01) continue;
+
+      const { sequence } = ENNEAGRAM_FIGURES[id];
+      for (let d = 0; d < count; d++) {
+        const along = ((progress * speed + d / count) % 1 + 1) % 1 * sequence.length;
+        const index = Math.floor(along);
+        const from = getEnneagramPoint(sequence[index]);
+        const to = getEnneagramPoint(sequence[(index + 1) % sequence.length]);
+        const local = along - index;
+
+        const position = this.transformCoordinate(
+          0.5 + (from.x + (to.x - from.x) * local) * unit,
+          0.5 + (from.y + (to.y - from.y) * local) * unit,
+          width,
+          height
+        );
+        const color = frameConfig[`${id}Color`];
+        await canvas.drawRing2d(position, size * 2, 0, null, 2, color, alpha * 0.4);
+        await canvas.drawFilledPolygon2d(size, position, 12, 0, frameConfig.flowColor, alpha);
+      }
+    }
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Enneagram Geometry
+ *
+ * The nine points on a circle and the two inner figures:
+ * - Points 1-9 clockwise, 9 at the top
+ * - Triangle 3-6-9 (the law of three)
+ * - Hexad 1-4-2-8-5-7 (the law of seven, the repeating decimal of 1/7)
+ *
+ * Coordinates are unitless: circle radius 1, centered on the origin, y pointing down.
+ */
+
+/**
+ * Unit-circle position of a point (1-9)
+ * @param {number} number - Point number
+ * @returns {{x: number, y: number}}
+ */
+export function getEnneagramPoint(number) {
+  const angle = -Math.PI / 2 + ((number % 9) / 9) * Math.PI * 2;
+  return { x: Math.cos(angle), y: Math.sin(angle) };
+}
+
+/**
+ * The nine points, in number order
+ */
+export const ENNEAGRAM_POINTS = Array.from({ length: 9 }, (_, i) => ({
+  number: i + 1,
+  ...getEnneagramPoint(i + 1),
+}));
+
+/**
+ * The inner figures as closed point sequences, in tracing order
+ */
+export const ENNEAGRAM_FIGURES = {
+  triangle: { id: 'triangle', name: 'Law of Three', sequence: [3, 6, 9] },
+  hexad: { id: 'hexad', name: 'Law of Seven', sequence: [1, 4, 2, 8, 5, 7] },
+};
+
+/**
+ * Everything that can be traced, in the default order
+ */
+export const TRACEABLE_FIGURES = ['circle', 'triangle', 'hexad'];
+
+/**
+ * Segments of a closed figure as [fromPoint, toPoint] pairs
+ * @param {string} id - 'triangle' | 'hexad'
+ * @returns {Array<[number, number]>}
+ */
+export function getFigureSegments(id) {
+  const { sequence } = ENNEAGRAM_FIGURES[id];
+  return sequence.map((point, i) => [point, sequence[(i + 1) % sequence.length]]);
+}
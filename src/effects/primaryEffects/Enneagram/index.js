@@ -0,0 +1,41 @@
+/**
+ * Enneagram - Complete Module
+ *
+ * Core Effect:
+ * - EnneagramEffect: Circle, 3-6-9 triangle and 1-4-2-8-5-7 hexad traced phase by phase
+ *
+ * Configuration:
+ * - EnneagramConfig: Extends base config with tracing, figure, point and flow controls
+ *
+ * Geometry:
+ * - EnneagramGeometry: The nine points and the inner figures
+ *
+ * Presets (4 configurations):
+ * - CLASSIC_ENNEAGRAM: All three figures, one per phase
+ * - LAW_OF_SEVEN: Circle and hexad with racing flow dots
+ * - FOURTH_WAY: Sepia manuscript, pausing between figures
+ * - NINEFOLD_RADIANCE: Large, bright and fast
+ */
+
+// Core Effect
+export { EnneagramEffect } from './EnneagramEffect.js';
+
+// Configuration
+export { EnneagramConfig } from './EnneagramConfig.js';
+
+// Geometry
+export {
+  ENNEAGRAM_POINTS,
+  ENNEAGRAM_FIGURES,
+  TRACEABLE_FIGURES,
+  getEnneagramPoint,
+  getFigureSegments,
+} from './EnneagramGeometry.js';
+
+// Presets
+export {
+  CLASSIC_ENNEAGRAM,
+  LAW_OF_SEVEN,
+  FOURTH_WAY,
+  NINEFOLD_RADIANCE,
+} from './presets/index.js';
@@ -0,0 +1,128 @@
+/**
+ * Enneagram Presets
+ *
+ * 4 configurations of the traced enneagram, from the classic three-figure
+ * diagram to the hexad alone with fast circulation.
+ */
+
+/**
+ * PRESET 1: CLASSIC_ENNEAGRAM
+ * Theme: Circle, triangle and hexad traced one per phase in lavender, gold and cyan
+ * Vibe: Clear, instructive, balanced
+ */
+export const CLASSIC_ENNEAGRAM = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.5,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.6,
+  awakeningNodeAlpha_end: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.6,
+
+  // Figures start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: LAW_OF_SEVEN
+ * Theme: Only the circle and the 1-4-2-8-5-7 hexad, with dots racing its path
+ * Vibe: Hypnotic, recurring, cyclical
+ */
+export const LAW_OF_SEVEN = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Figures start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  traceOrder: ['circle', 'hexad'],
+  hexadColor: '#7CFFCB',
+  circleColor: '#3A7D6B',
+  flowDotCount: 6,
+  flowSpeed: 2,
+  flowColor: '#E0FFF4',
+
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: FOURTH_WAY
+ * Theme: Sepia and ink, each figure pausing before it is traced
+ * Vibe: Scholarly, esoteric, old manuscript
+ */
+export const FOURTH_WAY = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.55,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.04,
+
+  awakeningEasing: 'easeInOutCubic',
+  ascensionEasing: 'easeInOutCubic',
+  radianceEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Figures start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  traceHold: 0.25,
+  circleColor: '#C8B08A',
+  triangleColor: '#8C5A2B',
+  hexadColor: '#5C4033',
+  pointColor: '#E8D8B8',
+  pointSize: 5,
+  enableFlow: false,
+
+  layerBlendMode: 'normal',
+};
+
+/**
+ * PRESET 4: NINEFOLD_RADIANCE
+ * Theme: Large, bright diagram with thick figures and many circulating dots
+ * Vibe: Energetic, luminous, awakened
+ */
+export const NINEFOLD_RADIANCE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.2,
+  phaseRadiance_start: 0.45,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.4,
+  descentNodeAlpha_end: 0.4,
+
+  // Figures start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  diagramRadius: 0.42,
+  circleColor: '#FF9EF5',
+  triangleColor: '#FFE14D',
+  hexadColor: '#52F2FF',
+  figureLineWidth: 4,
+  pointSize: 8,
+  pointGlowSize: 18,
+  flowDotCount: 4,
+  flowSpeed: 3,
+  flowDotSize: 5,
+
+  layerBlendMode: ['screen', 'lighten', 'normal'],
+};
@@ -0,0 +1,85 @@
+/**
+ * Fibonacci Spiral Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with phyllotaxis-specific parameters:
+ * - Node count, growth and golden-gradient colors
+ * - Spiral arm families (parastichies) and how they are drawn
+ * - Unfurl stagger and rotation
+ * - Fractal sub-spirals that bloom during radiance
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class FibonacciSpiralConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== PHYLLOTAXIS ======
+    nodeCount = 89,                        // Seeds in the head (Fibonacci numbers look best)
+    spiralRadius = 0.42,                   // Outermost node radius (normalized)
+    spiralInnerRadius = 0.06,              // Innermost node radius, as a fraction of spiralRadius
+    organicJitter = 0.02,                  // Seeded irregularity of node placement (0 = perfect lattice)
+    seedMinSize = 2,                       // Node radius at the center in pixels
+    seedMaxSize = 9,                       // Node radius at the rim in pixels
+    innerColor = '#FFF4D6',                // Golden gradient - center (string or ColorPicker)
+    outerColor = '#D4A017',                // Golden gradient - rim (string or ColorPicker)
+    highlightFibonacciNodes = true,        // Ring the nodes whose index is a Fibonacci number
+
+    // ====== SPIRAL ARMS ======
+    armFamilies = [8, 13],                 // Parastichy steps - consecutive Fibonacci numbers wind opposite ways
+    armOpacity = 0.6,                      // Arm opacity (scaled by pathIntensity)
+    armCurveSegments = 4,                  // Segments per arm link (1 = straight chords)
+
+    // ====== UNFURL & MOTION ======
+    unfurlStagger = 0.85,                  // 0 = all seeds together, →1 = strictly one after another
+    spiralRotationSpeed = 1,               // Head turns per loop (integer for perfect loop, 0 = still)
+    seedPulseSpeed = 2,                    // Brightness waves running outward per loop (integer)
+    seedPulseIntensity = 0.3,              // Brightness wave strength
+
+    // ====== FRACTAL SUB-SPIRALS ======
+    enableFractals = true,                 // Sub-spirals bloom on Fibonacci nodes in radiance
+    fractalHostCount = 5,                  // Outermost Fibonacci-index nodes that host a sub-spiral
+    fractalNodeCount = 34,                 // Seeds per sub-spiral
+    fractalScale = 0.16,                   // Sub-spiral radius, as a fraction of spiralRadius
+    fractalDepth = 2,                      // Recursion depth (1 = one level of sub-spirals)
+    fractalArmFamilies = [5, 8],           // Parastichy steps inside sub-spirals
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.nodeCount = nodeCount;
+    this.spiralRadius = spiralRadius;
+    this.spiralInnerRadius = spiralInnerRadius;
+    this.organicJitter = organicJitter;
+    this.seedMinSize = seedMinSize;
+    this.seedMaxSize = seedMaxSize;
+    this.innerColor = innerColor;
+    this.outerColor = outerColor;
+    this.highlightFibonacciNodes = highlightFibonacciNodes;
+
+    this.armFamilies = armFamilies;
+    this.armOpacity = armOpacity;
+    this.armCurveSegments = armCurveSegments;
+
+    this.unfurlStagger = unfurlStagger;
+    this.spiralRotationSpeed = spiralRotationSpeed;
+    this.seedPulseSpeed = seedPulseSpeed;
+    this.seedPulseIntensity = seedPulseIntensity;
+
+    this.enableFractals = enableFractals;
+    this.fractalHostCount = fractalHostCount;
+    this.fractalNodeCount = fractalNodeCount;
+    this.fractalScale = fractalScale;
+    this.fractalDepth = fractalDepth;
+    this.fractalArmFamilies = fractalArmFamilies;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
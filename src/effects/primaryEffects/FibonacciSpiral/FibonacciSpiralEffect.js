@@ -0,0 +1,374 @@
+/**
+ * Fibonacci Spiral Effect
+ *
+ * Grows a sunflower head of golden-angle seeds through the phase timeline:
+ * - Awakening / Ascension: seeds unfurl from the center outward, spiral arms draw in
+ * - Radiance: fractal sub-spirals bloom on the outer Fibonacci-index seeds
+ * - Descent: sub-spirals fold away, then the head retracts to the center (seamless loop)
+ *
+ * Includes:
+ * - Phyllotaxis seeds on a logarithmic growth curve (golden angle divergence)
+ * - Parastichy arms along the logarithmic spirals joining neighbouring seeds
+ * - Golden gradient coloring and an outward brightness pulse
+ * - Recursive sub-spirals, each level shrinking by φ²
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { ParameterTrackEngine } from '../../base/ParameterTrackEngine.js';
+import { FibonacciSpiralConfig } from './FibonacciSpiralConfig.js';
+import {
+  GOLDEN_RATIO,
+  generatePhyllotaxis,
+  getParastichyConnections,
+  interpolateLogSpiral,
+} from './SpiralGeometry.js';
+
+const GOLDEN_COLOR_DEFAULTS = {
+  innerColor: '#FFF4D6',
+  outerColor: '#D4A017',
+};
+
+export class FibonacciSpiralEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'fibonacci-spiral';
+  static _displayName_ = 'Fibonacci Spiral';
+  static _description_ = 'Golden-angle phyllotaxis seeds unfurling along logarithmic spiral arms, with fractal sub-spirals';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'fibonacci', 'golden-ratio', 'spiral', 'phyllotaxis', 'sacred-geometry'];
+
+  constructor({
+    name = FibonacciSpiralEffect._name_,
+    requiresLayer = true,
+    config = new FibonacciSpiralConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof FibonacciSpiralConfig)) {
+      config = new FibonacciSpiralConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get seed positions for the current frame
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Seeds from the center outward
+   */
+  getNodePositions() {
+    const config = this.getActiveConfig();
+    const rotation = this.getSpiralRotation(this.getProgress());
+    const spiralRadius = config.spiralRadius ?? 0.42;
+
+    return (this.seeds || []).map(seed => ({
+      id: seed.index,
+      name: `SEED_${seed.index}`,
+      index: seed.index,
+      isFibonacci: seed.isFibonacci,
+      x: 0.5 + Math.cos(seed.angle + rotation) * seed.radius * spiralRadius,
+      y: 0.5 + Math.sin(seed.angle + rotation) * seed.radius * spiralRadius,
+    }));
+  }
+
+  /**
+   * Get the spiral arm links between seeds
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Links with {start, end, family} seed indices
+   */
+  getPathConnections() {
+    return this.arms || [];
+  }
+
+  /**
+   * Pre-generate hook: blend mode, gradient colors, seed lattice and arms
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = FibonacciSpiralConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    for (const [key, fallback] of Object.entries(GOLDEN_COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+
+    const count = Math.max(1, Math.round(this.config.nodeCount ?? 89));
+    const jitterRandom = this.random.fork('phyllotaxisJitter');
+    this.seeds = generatePhyllotaxis(count, {
+      innerRadius: this.config.spiralInnerRadius ?? 0.06,
+      jitter: () => jitterRandom.range(-1, 1),
+      jitterAmount: this.config.organicJitter ?? 0,
+    });
+    this.arms = getParastichyConnections(count, this.config.armFamilies || []);
+
+    // Sub-spirals are perfect lattices - irregularity at that scale only reads as noise
+    const subCount = Math.max(1, Math.round(this.config.fractalNodeCount ?? 34));
+    this.subSeeds = generatePhyllotaxis(subCount, { innerRadius: 0.12 });
+    this.subArms = getParastichyConnections(subCount, this.config.fractalArmFamilies || []);
+  }
+
+  /**
+   * Head rotation at a progress (whole turns per loop)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Rotation in radians
+   */
+  getSpiralRotation(progress) {
+    return progress * Math.round(this.getActiveConfig().spiralRotationSpeed ?? 1) * Math.PI * 2;
+  }
+
+  /**
+   * How far the head has unfurled (0 = folded at the center, 1 = fully open)
+   * The first two phases open it half each, the last phase folds it back
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Unfurl amount (0-1)
+   */
+  getUnfurl(progress) {
+    const { index, count, eased } = this.#getPhasePosition(progress);
+    if (index === count - 1) return 1 - eased;
+    if (index === 0) return count > 2 ? eased * 0.5 : eased;
+    if (index === 1) return 0.5 + eased * 0.5;
+    return 1;
+  }
+
+  /**
+   * How far the fractal sub-spirals have bloomed (0-1)
+   * They open across the second-to-last phase (radiance) and fold away in the first
+   * half of the last phase, before the head itself retracts
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Bloom amount (0-1)
+   */
+  getFractalBloom(progress) {
+    const { index, count, eased, phaseProgress } = this.#getPhasePosition(progress);
+    if (count < 4) return 0;
+    if (index === count - 2) return eased;
+    if (index === count - 1) return 1 - Math.min(1, phaseProgress * 2);
+    return 0;
+  }
+
+  /**
+   * Render the spiral, back to front
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    const seeds = this.#getSeedStates(width, height, frameConfig, progress);
+
+    await this.#renderArms(canvas, seeds, width, height, frameConfig, progress);
+    await this.#renderFractals(canvas, seeds, width, height, frameConfig, progress);
+    await this.#renderSeeds(canvas, seeds, frameConfig);
+  }
+
+  /**
+   * Current phase index and progress through it
+   * @private
+   */
+  #getPhasePosition(progress) {
+    const phases = this.getPhaseDefinitions();
+    const phase = this.getCurrentPhase(progress);
+    const index = Math.max(0, phases.findIndex(definition => definition.name === phase));
+    const phaseProgress = Math.max(0, Math.min(1, this.getPhaseProgress(progress, phase)));
+
+    return {
+      index,
+      count: phases.length,
+      phaseProgress,
+      eased: this.applyEasing(phaseProgress, this.getPhaseEasing(phase)),
+    };
+  }
+
+  /**
+   * Pixel position, reveal, color and size of every seed for this frame
+   * @private
+   */
+  #getSeedStates(width, height, frameConfig, progress) {
+    const unfurl = this.getUnfurl(progress);
+    const stagger = frameConfig.unfurlStagger ?? 0.85;
+    const pulseSpeed = Math.round(frameConfig.seedPulseSpeed ?? 2);
+    const pulseIntensity = frameConfig.seedPulseIntensity ?? 0.3;
+    const minSize = frameConfig.seedMinSize ?? 2;
+    const maxSize = frameConfig.seedMaxSize ?? 9;
+    const nodes = this.getNodePositions();
+    const last = Math.max(1, nodes.length - 1);
+
+    return nodes.map((node, i) => {
+      const t = i / last;
+      return {
+        ...node,
+        seed: this.seeds[i],
+        t,
+        position: this.transformCoordinate(node.x, node.y, width, height),
+        reveal: this.getStaggeredProgress(i, nodes.length, unfurl, stagger),
+        color: this.#getGoldenColor(t, frameConfig),
+        size: minSize + (maxSize - minSize) * t,
+        // Brightness waves run from the center to the rim
+        pulse: 1 + pulseIntensity * Math.sin((progress * pulseSpeed - t) * Math.PI * 2),
+      };
+    });
+  }
+
+  /**
+   * Render the parastichy arms, each link drawing in toward its outer seed
+   * @private
+   */
+  async #renderArms(canvas, seeds, width, height, frameConfig, progress) {
+    const intensity = (frameConfig.pathIntensity ?? 1.0) * (frameConfig.armOpacity ?? 0.6);
+    if (intensity <= 0.01) return;
+
+    const thickness = (frameConfig.pathThickness || 1.5) * (frameConfig.pathSizeScale || 1.0);
+    const segments = Math.max(1, Math.round(frameConfig.armCurveSegments ?? 4));
+    const rotation = this.getSpiralRotation(progress);
+    const spiralRadius = frameConfig.spiralRadius ?? 0.42;
+
+    const toPixel = ({ radius, angle }) => this.transformCoordinate(
+      0.5 + Math.cos(angle + rotation) * radius * spiralRadius,
+      0.5 + Math.sin(angle + rotation) * radius * spiralRadius,
+      width,
+      height
+    );
+
+    for (const arm of this.getPathConnections()) {
+      const from = seeds[arm.start];
+      const to = seeds[arm.end];
+      if (!from || !to || from.reveal <= 0 || to.reveal <= 0) continue;
+
+      const alpha = intensity * from.reveal;
+      let previous = from.position;
+      for (let s = 1; s <= segments; s++) {
+        const point = toPixel(interpolateLogSpiral(from.seed, to.seed, (s / segments) * to.reveal));
+        await canvas.drawLine2d(previous, point, thickness, from.color, 0, null, alpha);
+        previous = point;
+      }
+    }
+  }
+
+  /**
+   * Render fractal sub-spirals on the outermost Fibonacci-index seeds
+   * @private
+   */
+  async #renderFractals(canvas, seeds, width, height, frameConfig, progress) {
+    if (!frameConfig.enableFractals) return;
+
+    const bloom = this.getFractalBloom(progress);
+    if (bloom <= 0) return;
+
+    const hosts = seeds
+      .filter(seed => seed.isFibonacci && seed.index > 0)
+      .slice(-Math.max(0, frameConfig.fractalHostCount ?? 5));
+    const unit = Math.min(width, height) * (frameConfig.scale ?? 1.0);
+    const baseRadius = (frameConfig.spiralRadius ?? 0.42) * (frameConfig.fractalScale ?? 0.16) * unit;
+    const depth = Math.max(1, Math.round(frameConfig.fractalDepth ?? 2));
+    const rotation = this.getSpiralRotation(progress);
+
+    for (let h = 0; h < hosts.length; h++) {
+      const host = hosts[h];
+      const hostBloom = this.getStaggeredProgress(h, hosts.length, bloom, 0.5) * host.reveal;
+      if (hostBloom <= 0) continue;
+
+      // Sub-spirals counter-rotate against the head
+      await this.#renderSubSpiral(canvas, host.position, baseRadius * (0.5 + host.t * 0.5), {
+        angle: host.seed.angle - rotation,
+        bloom: hostBloom,
+        depth,
+        color: host.color,
+        frameConfig,
+      });
+    }
+  }
+
+  /**
+   * Render one sub-spiral and recurse into its two outermost Fibonacci seeds,
+   * each level shrinking by φ²
+   * @private
+   */
+  async #renderSubSpiral(canvas, center, radius, { angle, bloom, depth, color, frameConfig }) {
+    const subSeeds = this.subSeeds || [];
+    const nodeAlpha = (frameConfig.nodeAlpha ?? 1.0) * bloom;
+    const pathAlpha = (frameConfig.pathIntensity ?? 1.0) * (frameConfig.armOpacity ?? 0.6) * bloom;
+    if (nodeAlpha <= 0.01 || radius < 2) return;
+
+    const points = subSeeds.map(seed => ({
+      x: center.x + Math.cos(seed.angle + angle) * seed.radius * radius,
+      y: center.y + Math.sin(seed.angle + angle) * seed.radius * radius,
+      reveal: this.getStaggeredProgress(seed.index, subSeeds.length, bloom, 0.8),
+    }));
+
+    if (pathAlpha > 0.01) {
+      for (const arm of this.subArms || []) {
+        const from = points[arm.start];
+        const to = points[arm.end];
+        if (!from || !to || to.reveal <= 0) continue;
+        await canvas.drawLine2d(from, to, 1, color, 0, null, pathAlpha * to.reveal * 0.7);
+      }
+    }
+
+    const dotSize = Math.max(1, radius * 0.05);
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+      if (point.reveal <= 0) continue;
+      await canvas.drawFilledPolygon2d(dotSize * (0.5 + subSeeds[i].radius * 0.5), point, 8, 0, color, nodeAlpha * point.reveal);
+    }
+
+    if (depth <= 1) return;
+
+    const children = subSeeds.filter(seed => seed.isFibonacci && seed.index > 0).slice(-2);
+    for (const child of children) {
+      await this.#renderSubSpiral(canvas, points[child.index], radius / (GOLDEN_RATIO * GOLDEN_RATIO), {
+        angle: angle + child.angle,
+        bloom: bloom * points[child.index].reveal,
+        depth: depth - 1,
+        color,
+        frameConfig,
+      });
+    }
+  }
+
+  /**
+   * Render the seeds, Fibonacci-index seeds ringed
+   * @private
+   */
+  async #renderSeeds(canvas, seeds, frameConfig) {
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    if (nodeAlpha <= 0.01) return;
+
+    for (const seed of seeds) {
+      if (seed.reveal <= 0) continue;
+
+      const alpha = Math.min(1, nodeAlpha * seed.reveal * seed.pulse);
+      const size = seed.size * (0.4 + seed.reveal * 0.6);
+
+      await canvas.drawFilledPolygon2d(size, seed.position, 16, 0, seed.color, alpha);
+
+      if (frameConfig.highlightFibonacciNodes && seed.isFibonacci) {
+        await canvas.drawRing2d(seed.position, size * 1.8, 1.5, seed.color, 1, frameConfig.innerColor, alpha * 0.8);
+      }
+    }
+  }
+
+  /**
+   * Golden gradient color at t (0 = center, 1 = rim)
+   * @private
+   */
+  #getGoldenColor(t, frameConfig) {
+    const inner = ParameterTrackEngine.isColor(frameConfig.innerColor) ? frameConfig.innerColor : GOLDEN_COLOR_DEFAULTS.innerColor;
+    const outer = ParameterTrackEngine.isColor(frameConfig.outerColor) ? frameConfig.outerColor : GOLDEN_COLOR_DEFAULTS.outerColor;
+    return ParameterTrackEngine.interpolate(inner, outer, t);
+  }
+}
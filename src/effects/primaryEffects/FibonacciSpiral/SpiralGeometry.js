@@ -0,0 +1,122 @@
+/**
+ * Fibonacci Spiral Geometry
+ *
+ * Phyllotaxis: the arrangement of seeds in a sunflower head.
+ * - Node i sits at angle i × golden angle (≈137.5°)
+ * - Radius grows geometrically with i, so every arithmetic run of nodes
+ *   (i, i + F, i + 2F, ...) lies on a logarithmic spiral
+ * - For Fibonacci steps F (5, 8, 13, ...) those runs are nearest neighbours and
+ *   read as the visible spiral arms (parastichies), consecutive Fibonacci families
+ *   winding in opposite directions
+ *
+ * Coordinates are polar and unitless: radius runs from innerRadius to 1 and is
+ * scaled by the effect.
+ */
+
+export const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+
+/** Golden angle in radians: 2π / φ² ≈ 137.508° */
+export const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * First n Fibonacci numbers (1, 1, 2, 3, 5, 8, ...)
+ * @param {number} n - Count
+ * @returns {Array<number>}
+ */
+export function fibonacciSequence(n) {
+  const sequence = [];
+  let a = 1;
+  let b = 1;
+  for (let i = 0; i < n; i++) {
+    sequence.push(a);
+    [a, b] = [b, a + b];
+  }
+  return sequence;
+}
+
+/**
+ * Whether a number belongs to the Fibonacci sequence
+ * @param {number} value - Non-negative integer
+ * @returns {boolean}
+ */
+export function isFibonacciNumber(value) {
+  if (!Number.isInteger(value) || value < 0) return false;
+  let a = 0;
+  let b = 1;
+  while (a < value) {
+    [a, b] = [b, a + b];
+  }
+  return a === value;
+}
+
+/**
+ * Generate phyllotaxis nodes on a logarithmic growth curve
+ * @param {number} count - Number of nodes
+ * @param {Object} [options]
+ * @param {number} [options.innerRadius=0.08] - Radius of the first node (outermost node is at 1)
+ * @param {number} [options.divergence=GOLDEN_ANGLE] - Angle between consecutive nodes (radians)
+ * @param {Function} [options.jitter] - Optional () => number in [-1, 1] for organic irregularity
+ * @param {number} [options.jitterAmount=0] - Jitter scale, as a fraction of the node's radius
+ * @returns {Array<Object>} Nodes { index, radius, angle, isFibonacci }
+ */
+export function generatePhyllotaxis(count, {
+  innerRadius = 0.08,
+  divergence = GOLDEN_ANGLE,
+  jitter = null,
+  jitterAmount = 0,
+} = {}) {
+  const nodes = [];
+  const inner = Math.max(1e-3, Math.min(1, innerRadius));
+  const growth = count > 1 ? Math.pow(1 / inner, 1 / (count - 1)) : 1;
+
+  for (let i = 0; i < count; i++) {
+    let radius = inner * Math.pow(growth, i);
+    let angle = i * divergence;
+
+    if (jitter && jitterAmount > 0) {
+      radius *= 1 + jitter() * jitterAmount;
+      angle += jitter() * jitterAmount;
+    }
+
+    nodes.push({ index: i, radius, angle, isFibonacci: isFibonacciNumber(i) });
+  }
+
+  return nodes;
+}
+
+/**
+ * Connections along the spiral arms: node i → node i + F for each family F
+ * @param {number} count - Number of nodes
+ * @param {Array<number>} families - Arm step sizes (Fibonacci numbers give true parastichies)
+ * @returns {Array<Object>} Connections { start, end, family }
+ */
+export function getParastichyConnections(count, families) {
+  const connections = [];
+  for (const family of families) {
+    if (!Number.isInteger(family) || family < 1) continue;
+    for (let i = 0; i + family < count; i++) {
+      connections.push({ start: i, end: i + family, family });
+    }
+  }
+  return connections;
+}
+
+/**
+ * Point at t along the logarithmic spiral through two nodes
+ * Radius interpolates geometrically and angle linearly (the short way round),
+ * which is exactly the arm the two nodes share
+ * @param {{radius: number, angle: number}} from - Start node
+ * @param {{radius: number, angle: number}} to - End node
+ * @param {number} t - Position along the arm (0-1)
+ * @returns {{radius: number, angle: number}}
+ */
+export function interpolateLogSpiral(from, to, t) {
+  let delta = (to.angle - from.angle) % (Math.PI * 2);
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+
+  return {
+    radius: from.radius * Math.pow(to.radius / from.radius, t),
+    angle: from.angle + delta * t,
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Fibonacci Spiral - Complete Module
+ *
+ * Core Effect:
+ * - FibonacciSpiralEffect: Phyllotaxis seeds unfurling along logarithmic spiral arms
+ *
+ * Configuration:
+ * - FibonacciSpiralConfig: Extends base config with seed, arm, unfurl and fractal controls
+ *
+ * Geometry:
+ * - SpiralGeometry: Golden angle, phyllotaxis lattice, parastichy arms, log-spiral interpolation
+ *
+ * Presets (4 configurations):
+ * - GOLDEN_SUNFLOWER: Classic 89-seed head
+ * - FRACTAL_BLOOM: Deep self-similar sub-spirals
+ * - PINECONE: Sparse scales, no fractals
+ * - GOLDEN_VORTEX: Dense, fast-spinning head
+ */
+
+// Core Effect
+export { FibonacciSpiralEffect } from './FibonacciSpiralEffect.js';
+
+// Configuration
+export { FibonacciSpiralConfig } from './FibonacciSpiralConfig.js';
+
+// Geometry
+export {
+  GOLDEN_RATIO,
+  GOLDEN_ANGLE,
+  fibonacciSequence,
+  isFibonacciNumber,
+  generatePhyllotaxis,
+  getParastichyConnections,
+  interpolateLogSpiral,
+} from './SpiralGeometry.js';
+
+// Presets
+export {
+  GOLDEN_SUNFLOWER,
+  FRACTAL_BLOOM,
+  PINECONE,
+  GOLDEN_VORTEX,
+} from './presets/index.js';
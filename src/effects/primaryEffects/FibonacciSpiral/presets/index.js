@@ -0,0 +1,158 @@
+/**
+ * Fibonacci Spiral Presets
+ *
+ * 4 configurations of golden-angle growth, from a full sunflower head
+ * to a sparse pinecone and a deep fractal bloom.
+ */
+
+/**
+ * PRESET 1: GOLDEN_SUNFLOWER
+ * Theme: The classic sunflower head - 89 seeds, 8 and 13 arms
+ * Vibe: Warm, organic, radiant
+ */
+export const GOLDEN_SUNFLOWER = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.2,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.3,
+  awakeningNodeAlpha_end: 0.8,
+  ascensionNodeAlpha_start: 0.8,
+  ascensionNodeAlpha_end: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.3,
+
+  // Arms start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  awakeningPathIntensity_end: 0.6,
+  descentPathIntensity_start: 1.0,
+  descentPathIntensity_end: 0.1,
+
+  nodeCount: 89,
+  armFamilies: [8, 13],
+  spiralRotationSpeed: 1,
+  enableFractals: true,
+  fractalHostCount: 5,
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: FRACTAL_BLOOM
+ * Theme: Self-similarity - long radiance, deep sub-spirals on many hosts
+ * Vibe: Intricate, hypnotic, infinite
+ */
+export const FRACTAL_BLOOM = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.12,
+  phaseRadiance_start: 0.35,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.06,
+
+  radianceEasing: 'easeOutCubic',
+
+  awakeningNodeAlpha_start: 0.2,
+  descentNodeAlpha_end: 0.2,
+
+  // Arms start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  nodeCount: 55,
+  armFamilies: [5, 8],
+  armOpacity: 0.4,
+  seedMaxSize: 7,
+
+  fractalHostCount: 8,
+  fractalNodeCount: 34,
+  fractalScale: 0.24,
+  fractalDepth: 3,
+
+  innerColor: '#FFFFFF',
+  outerColor: '#E8B923',
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: PINECONE
+ * Theme: Sparse scales on tight 5 and 8 arms, no fractals
+ * Vibe: Earthy, structural, calm
+ */
+export const PINECONE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.08,
+
+  awakeningEasing: 'smoothstep',
+  descentEasing: 'smoothstep',
+
+  awakeningNodeAlpha_start: 0.4,
+  descentNodeAlpha_end: 0.4,
+
+  // Arms start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  nodeCount: 55,
+  spiralInnerRadius: 0.12,
+  organicJitter: 0.04,
+  seedMinSize: 3,
+  seedMaxSize: 12,
+  armFamilies: [5, 8],
+  armOpacity: 0.8,
+  armCurveSegments: 6,
+
+  innerColor: '#E6C79C',
+  outerColor: '#7A4B24',
+  enableFractals: false,
+  spiralRotationSpeed: 0,
+  seedPulseIntensity: 0.15,
+
+  layerBlendMode: 'normal',
+};
+
+/**
+ * PRESET 4: GOLDEN_VORTEX
+ * Theme: A dense 144-seed head spinning fast, pulses racing outward
+ * Vibe: Kinetic, luminous, overwhelming
+ */
+export const GOLDEN_VORTEX = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.1,
+  phaseRadiance_start: 0.4,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.04,
+
+  awakeningEasing: 'easeInCubic',
+
+  awakeningNodeAlpha_start: 0.3,
+  descentNodeAlpha_end: 0.3,
+
+  // Arms start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  nodeCount: 144,
+  spiralInnerRadius: 0.04,
+  seedMinSize: 1.5,
+  seedMaxSize: 7,
+  armFamilies: [13, 21],
+  armCurveSegments: 3,
+  unfurlStagger: 0.95,
+
+  spiralRotationSpeed: 2,
+  seedPulseSpeed: 4,
+  seedPulseIntensity: 0.5,
+  fractalHostCount: 3,
+  fractalDepth: 1,
+
+  innerColor: '#FFFDE7',
+  outerColor: '#FF8F00',
+  layerBlendMode: 'screen',
+};
@@ -0,0 +1,233 @@
+/**
+ * Hermetic Alchemy Geometry
+ *
+ * Defines the alchemical diagram:
+ * - The four elements on the square of qualities (Fire, Air, Water, Earth),
+ *   each sharing one quality with its neighbours and opposing the element across
+ * - The three principles (Sulphur, Mercury, Salt) as the inner triangle
+ * - Transmutation bonds between them
+ * - The four stages of the Great Work (nigredo → albedo → citrinitas → rubedo)
+ *
+ * Glyphs use the MysticSymbolsEngine element format (normalized 0-1, y down)
+ * and render through PhaseAnimatedPolygonEffect.renderGlyph().
+ */
+
+/**
+ * Points on a circle or arc in normalized glyph space
+ * @private
+ */
+function arcPoints(cx, cy, r, segments = 16, from = 0, to = Math.PI * 2) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const angle = from + (to - from) * (i / segments);
+    points.push([cx + Math.cos(angle) * r, cy + Math.sin(angle) * r]);
+  }
+  return points;
+}
+
+/**
+ * Alchemical glyphs for the elements and principles
+ */
+export const ALCHEMY_GLYPHS = {
+  // 🜂 Fire - upward triangle
+  fire: [
+    { type: 'polygon', points: [[0.5, 0.15], [0.85, 0.8], [0.15, 0.8]] },
+  ],
+
+  // 🜁 Air - upward triangle crossed by a bar
+  air: [
+    { type: 'polygon', points: [[0.5, 0.15], [0.85, 0.8], [0.15, 0.8]] },
+    { type: 'line', x1: 0.2, y1: 0.55, x2: 0.8, y2: 0.55 },
+  ],
+
+  // 🜄 Water - downward triangle
+  water: [
+    { type: 'polygon', points: [[0.15, 0.2], [0.85, 0.2], [0.5, 0.85]] },
+  ],
+
+  // 🜃 Earth - downward triangle crossed by a bar
+  earth: [
+    { type: 'polygon', points: [[0.15, 0.2], [0.85, 0.2], [0.5, 0.85]] },
+    { type: 'line', x1: 0.2, y1: 0.45, x2: 0.8, y2: 0.45 },
+  ],
+
+  // 🜍 Sulphur - triangle over a cross
+  sulphur: [
+    { type: 'polygon', points: [[0.5, 0.08], [0.75, 0.5], [0.25, 0.5]] },
+    { type: 'line', x1: 0.5, y1: 0.5, x2: 0.5, y2: 0.92 },
+    { type: 'line', x1: 0.32, y1: 0.72, x2: 0.68, y2: 0.72 },
+  ],
+
+  // ☿ Mercury - horns, circle and cross
+  mercury: [
+    { type: 'path', points: arcPoints(0.5, 0.08, 0.16, 8, 0, Math.PI) },
+    { type: 'polygon', points: arcPoints(0.5, 0.42, 0.18, 16).slice(0, -1) },
+    { type: 'line', x1: 0.5, y1: 0.6, x2: 0.5, y2: 0.94 },
+    { type: 'line', x1: 0.35, y1: 0.78, x2: 0.65, y2: 0.78 },
+  ],
+
+  // 🜔 Salt - circle divided by a horizontal bar
+  salt: [
+    { type: 'polygon', points: arcPoints(0.5, 0.5, 0.35, 20).slice(0, -1) },
+    { type: 'line', x1: 0.15, y1: 0.5, x2: 0.85, y2: 0.5 },
+  ],
+};
+
+/**
+ * Four elements on the square of qualities
+ * Fire (hot, dry) - Air (hot, wet) - Water (cold, wet) - Earth (cold, dry)
+ */
+const FIRE = {
+  id: 'fire',
+  name: 'Fire',
+  kind: 'element',
+  x: 0.5,
+  y: 0.16,
+  qualities: ['hot', 'dry'],
+  color: '#E25822',
+  glowColor: '#FF8C42',
+  glyph: 'fire',
+};
+
+const AIR = {
+  id: 'air',
+  name: 'Air',
+  kind: 'element',
+  x: 0.84,
+  y: 0.5,
+  qualities: ['hot', 'wet'],
+  color: '#F4E04D',
+  glowColor: '#FFF59D',
+  glyph: 'air',
+};
+
+const WATER = {
+  id: 'water',
+  name: 'Water',
+  kind: 'element',
+  x: 0.5,
+  y: 0.84,
+  qualities: ['cold', 'wet'],
+  color: '#2E86DE',
+  glowColor: '#74B9FF',
+  glyph: 'water',
+};
+
+const EARTH = {
+  id: 'earth',
+  name: 'Earth',
+  kind: 'element',
+  x: 0.16,
+  y: 0.5,
+  qualities: ['cold', 'dry'],
+  color: '#6B8E23',
+  glowColor: '#A4C639',
+  glyph: 'earth',
+};
+
+/**
+ * Three principles (tria prima) - soul, spirit and body
+ */
+const SULPHUR = {
+  id: 'sulphur',
+  name: 'Sulphur',
+  kind: 'principle',
+  x: 0.5,
+  y: 0.36,
+  aspect: 'soul',
+  color: '#FFB300',
+  glowColor: '#FFD54F',
+  glyph: 'sulphur',
+};
+
+const MERCURY = {
+  id: 'mercury',
+  name: 'Mercury',
+  kind: 'principle',
+  x: 0.64,
+  y: 0.6,
+  aspect: 'spirit',
+  color: '#C0C0C0',
+  glowColor: '#E8E8F0',
+  glyph: 'mercury',
+};
+
+const SALT = {
+  id: 'salt',
+  name: 'Salt',
+  kind: 'principle',
+  x: 0.36,
+  y: 0.6,
+  aspect: 'body',
+  color: '#F0EAD6',
+  glowColor: '#FFFFFF',
+  glyph: 'salt',
+};
+
+/**
+ * All alchemy nodes: elements first, then principles
+ */
+export const ALCHEMY_POSITIONS = {
+  fire: FIRE,
+  air: AIR,
+  water: WATER,
+  earth: EARTH,
+  sulphur: SULPHUR,
+  mercury: MERCURY,
+  salt: SALT,
+};
+
+/**
+ * Transmutation bonds
+ * type: 'quality'   neighbouring elements sharing a quality
+ *       'contrary'  opposed elements across the square
+ *       'principle' the tria prima triangle
+ *       'transmutation' element → principle it resolves into
+ */
+export const ALCHEMY_BONDS = [
+  // Square of qualities
+  { start: 'fire', end: 'air', type: 'quality', quality: 'hot' },
+  { start: 'air', end: 'water', type: 'quality', quality: 'wet' },
+  { start: 'water', end: 'earth', type: 'quality', quality: 'cold' },
+  { start: 'earth', end: 'fire', type: 'quality', quality: 'dry' },
+
+  // Contraries
+  { start: 'fire', end: 'water', type: 'contrary' },
+  { start: 'air', end: 'earth', type: 'contrary' },
+
+  // Tria prima
+  { start: 'sulphur', end: 'mercury', type: 'principle' },
+  { start: 'mercury', end: 'salt', type: 'principle' },
+  { start: 'salt', end: 'sulphur', type: 'principle' },
+
+  // Elements resolving into the principles
+  { start: 'fire', end: 'sulphur', type: 'transmutation' },
+  { start: 'air', end: 'mercury', type: 'transmutation' },
+  { start: 'water', end: 'mercury', type: 'transmutation' },
+  { start: 'earth', end: 'salt', type: 'transmutation' },
+];
+
+/**
+ * Stages of the Great Work, in order
+ * Mapped onto the phase timeline: awakening = nigredo, ascension = albedo,
+ * radiance = citrinitas, descent = rubedo (returning to nigredo at the loop seam)
+ */
+export const MAGNUM_OPUS_STAGES = ['nigredo', 'albedo', 'citrinitas', 'rubedo'];
+
+/**
+ * Get an alchemy node by id
+ * @param {string} id - Node id (e.g. 'fire', 'salt')
+ * @returns {Object|undefined} Node definition
+ */
+export function getAlchemyNode(id) {
+  return ALCHEMY_POSITIONS[id];
+}
+
+/**
+ * Get the glyph for an alchemy node
+ * @param {string} key - Glyph key (node.glyph)
+ * @returns {Array<Object>|null} Glyph elements, or null if unknown
+ */
+export function getAlchemyGlyph(key) {
+  return ALCHEMY_GLYPHS[key] || null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Hermetic Alchemy Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with alchemy-specific parameters:
+ * - Stage colors of the Great Work (nigredo, albedo, citrinitas, rubedo)
+ * - Element / principle glyphs
+ * - Transmutation bond flow
+ * - Crucible with rising bubbles and the squared outer circle
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class HermeticAlchemyConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== STAGES OF THE GREAT WORK ======
+    // Bond colors shift stage → next stage across each phase (string or ColorPicker)
+    nigredoColor = '#4A4458',              // Blackening - putrefaction (lifted off black so it stays visible)
+    albedoColor = '#F4F1EA',               // Whitening - purification
+    citrinitasColor = '#F2C12E',           // Yellowing - solar dawn
+    rubedoColor = '#B3122E',               // Reddening - the philosopher's stone
+
+    // ====== GLYPHS ======
+    enableElementGlyphs = true,            // Draw element / principle glyphs on the nodes
+    glyphSize = 16,                        // Glyph radius in pixels
+    glyphLineWidth = 2,                    // Glyph stroke width
+    glyphBreathIntensity = 0.08,           // Glyph scale breathing amount
+
+    // ====== TRANSMUTATION BONDS ======
+    bondTypeOpacity = {                    // Opacity multiplier per bond type
+      quality: 0.8,
+      contrary: 0.35,
+      principle: 1.0,
+      transmutation: 0.9,
+    },
+    enableBondFlow = true,                 // Particles travelling along the bonds
+    bondFlowSpeed = 2,                     // Trips per loop (integer for perfect loop)
+    bondFlowParticles = 3,                 // Particles per bond
+    bondFlowParticleSize = 3,              // Particle radius in pixels
+
+    // ====== CRUCIBLE ======
+    enableCrucible = true,                 // Central vessel with rising bubbles
+    crucibleRadius = 0.07,                 // Vessel radius (normalized)
+    crucibleBubbleCount = 12,              // Bubbles rising in the vessel
+    crucibleBubbleSpeed = 1,               // Rises per loop (integer for perfect loop)
+
+    // ====== SQUARED CIRCLE ======
+    enableOuterCircle = true,              // Outer circle and square enclosing the diagram
+    outerCircleRadius = 0.46,              // Circle radius (normalized)
+    outerCircleRotationSpeed = 1,          // Square turns per loop (integer for perfect loop)
+    outerCircleOpacity = 0.5,              // Circle / square opacity
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.nigredoColor = nigredoColor;
+    this.albedoColor = albedoColor;
+    this.citrinitasColor = citrinitasColor;
+    this.rubedoColor = rubedoColor;
+
+    this.enableElementGlyphs = enableElementGlyphs;
+    this.glyphSize = glyphSize;
+    this.glyphLineWidth = glyphLineWidth;
+    this.glyphBreathIntensity = glyphBreathIntensity;
+
+    this.bondTypeOpacity = bondTypeOpacity;
+    this.enableBondFlow = enableBondFlow;
+    this.bondFlowSpeed = bondFlowSpeed;
+    this.bondFlowParticles = bondFlowParticles;
+    this.bondFlowParticleSize = bondFlowParticleSize;
+
+    this.enableCrucible = enableCrucible;
+    this.crucibleRadius = crucibleRadius;
+    this.crucibleBubbleCount = crucibleBubbleCount;
+    this.crucibleBubbleSpeed = crucibleBubbleSpeed;
+
+    this.enableOuterCircle = enableOuterCircle;
+    this.outerCircleRadius = outerCircleRadius;
+    this.outerCircleRotationSpeed = outerCircleRotationSpeed;
+    this.outerCircleOpacity = outerCircleOpacity;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
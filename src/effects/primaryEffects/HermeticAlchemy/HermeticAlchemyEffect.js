@@ -0,0 +1,357 @@
+/**
+ * Hermetic Alchemy Effect
+ *
+ * Animates the alchemical diagram through the stages of the Great Work:
+ * - Awakening: nigredo → albedo (blackening gives way to whitening)
+ * - Ascension: albedo → citrinitas
+ * - Radiance: citrinitas → rubedo (the philosopher's stone)
+ * - Descent: rubedo → nigredo (seamless loop)
+ *
+ * Includes:
+ * - 4 element nodes on the square of qualities + 3 principle nodes (tria prima)
+ * - Triangle / inverted-triangle element glyphs and principle glyphs
+ * - Transmutation bonds whose color follows the current stage
+ * - Particles flowing along the bonds, a crucible with rising bubbles
+ * - The squared circle enclosing the work
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { ParameterTrackEngine } from '../../base/ParameterTrackEngine.js';
+import { HermeticAlchemyConfig } from './HermeticAlchemyConfig.js';
+import {
+  ALCHEMY_POSITIONS,
+  ALCHEMY_BONDS,
+  MAGNUM_OPUS_STAGES,
+  getAlchemyGlyph,
+} from './AlchemyGeometry.js';
+
+const STAGE_COLOR_DEFAULTS = {
+  nigredoColor: '#4A4458',
+  albedoColor: '#F4F1EA',
+  citrinitasColor: '#F2C12E',
+  rubedoColor: '#B3122E',
+};
+
+export class HermeticAlchemyEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'hermetic-alchemy';
+  static _displayName_ = 'Hermetic Alchemy';
+  static _description_ = 'Animates the four elements and three principles through nigredo, albedo, citrinitas and rubedo';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'alchemy', 'hermetic', 'elements', 'transmutation', 'mystical'];
+
+  constructor({
+    name = HermeticAlchemyEffect._name_,
+    requiresLayer = true,
+    config = new HermeticAlchemyConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof HermeticAlchemyConfig)) {
+      config = new HermeticAlchemyConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get node positions for the alchemy diagram
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Elements followed by principles
+   */
+  getNodePositions() {
+    return Object.values(ALCHEMY_POSITIONS);
+  }
+
+  /**
+   * Get the transmutation bonds
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Bond objects with {start, end, type} node ids
+   */
+  getPathConnections() {
+    return ALCHEMY_BONDS;
+  }
+
+  /**
+   * Pre-generate hook: blend mode, stage colors and crucible bubbles
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = HermeticAlchemyConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    // Stage colors as plain hex strings so they survive serialization and interpolate
+    for (const [key, fallback] of Object.entries(STAGE_COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+
+    // Forked stream: a worker rebuilding the effect from the resolved config draws nothing
+    // above, so the bubbles must not depend on the main stream's position
+    const bubbleRandom = this.random.fork('crucibleBubbles');
+    this.crucibleBubbles = [];
+    for (let i = 0; i < (this.config.crucibleBubbleCount || 0); i++) {
+      this.crucibleBubbles.push({
+        offset: bubbleRandom.next(),
+        drift: bubbleRandom.range(-0.6, 0.6),
+        size: bubbleRandom.range(0.6, 1.4),
+      });
+    }
+  }
+
+  /**
+   * Name of the Great Work stage a progress falls in
+   * Phase i of the timeline maps to stage i (mod 4)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {string} 'nigredo' | 'albedo' | 'citrinitas' | 'rubedo'
+   */
+  getCurrentStage(progress) {
+    const phases = this.getPhaseDefinitions();
+    const index = phases.findIndex(phase => phase.name === this.getCurrentPhase(progress));
+    return MAGNUM_OPUS_STAGES[Math.max(0, index) % MAGNUM_OPUS_STAGES.length];
+  }
+
+  /**
+   * Bond color for a progress: each phase blends its stage into the next one,
+   * and the last phase blends back into the first stage so frame N-1 = frame 0
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {string} Hex color
+   */
+  getStageColor(progress) {
+    const source = this.getActiveConfig();
+    const colors = MAGNUM_OPUS_STAGES.map(stage => {
+      const value = source[`${stage}Color`];
+      return ParameterTrackEngine.isColor(value) ? value : STAGE_COLOR_DEFAULTS[`${stage}Color`];
+    });
+
+    const phases = this.getPhaseDefinitions();
+    const phase = this.getCurrentPhase(progress);
+    const index = Math.max(0, phases.findIndex(definition => definition.name === phase));
+    const from = colors[index % colors.length];
+    const to = index === phases.length - 1 ? colors[0] : colors[(index + 1) % colors.length];
+
+    const phaseProgress = Math.max(0, Math.min(1, this.getPhaseProgress(progress, phase)));
+    const t = this.applyEasing(phaseProgress, this.getPhaseEasing(phase));
+
+    return ParameterTrackEngine.interpolate(from, to, t);
+  }
+
+  /**
+   * Render the alchemy diagram, back to front
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    const stageColor = this.getStageColor(progress);
+    const nodes = this.#getNodeMap(width, height);
+
+    await this.#renderOuterCircle(canvas, width, height, frameConfig, progress, stageColor);
+    await this.#renderBonds(canvas, nodes, frameConfig, stageColor);
+    await this.#renderBondFlow(canvas, nodes, frameConfig, progress, stageColor);
+    await this.#renderCrucible(canvas, nodes, width, height, frameConfig, progress, stageColor);
+    await this.#renderNodes(canvas, nodes, frameConfig, progress, stageColor);
+  }
+
+  /**
+   * Map node ids to their definitions and pixel positions
+   * @private
+   */
+  #getNodeMap(width, height) {
+    const map = new Map();
+    for (const node of this.getNodePositions()) {
+      map.set(node.id, { node, position: this.transformCoordinate(node.x, node.y, width, height) });
+    }
+    return map;
+  }
+
+  /**
+   * Render the squared circle: outer ring plus a slowly turning inscribed square
+   * @private
+   */
+  async #renderOuterCircle(canvas, width, height, frameConfig, progress, stageColor) {
+    if (!frameConfig.enableOuterCircle) return;
+
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+    const radius = (frameConfig.outerCircleRadius ?? 0.46) * Math.min(width, height) * (frameConfig.scale ?? 1.0);
+    const alpha = (frameConfig.outerCircleOpacity ?? 0.5) * (frameConfig.nodeAlpha ?? 1.0);
+    const rotation = progress * Math.round(frameConfig.outerCircleRotationSpeed ?? 1) * Math.PI * 2;
+
+    await canvas.drawRing2d(center, radius, 1.5, stageColor, 0, null, alpha);
+
+    const corners = [];
+    for (let i = 0; i < 4; i++) {
+      const angle = rotation + Math.PI / 4 + (i / 4) * Math.PI * 2;
+      corners.push({ x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius });
+    }
+    for (let i = 0; i < 4; i++) {
+      await canvas.drawLine2d(corners[i], corners[(i + 1) % 4], 1, stageColor, 0, null, alpha * 0.7);
+    }
+  }
+
+  /**
+   * Render the transmutation bonds in the current stage color
+   * Contraries are dashed - they oppose rather than join
+   * @private
+   */
+  async #renderBonds(canvas, nodes, frameConfig, stageColor) {
+    const pathIntensity = frameConfig.pathIntensity ?? 1.0;
+    const thickness = (frameConfig.pathThickness || 2) * (frameConfig.pathSizeScale || 1.0);
+    const typeOpacity = frameConfig.bondTypeOpacity || {};
+
+    for (const bond of this.getPathConnections()) {
+      const from = nodes.get(bond.start);
+      const to = nodes.get(bond.end);
+      if (!from || !to) continue;
+
+      const alpha = pathIntensity * (typeOpacity[bond.type] ?? 1.0);
+      if (alpha <= 0.01) continue;
+
+      if (bond.type === 'contrary') {
+        const dashes = 14;
+        for (let i = 0; i < dashes; i += 2) {
+          await canvas.drawLine2d(
+            this.#lerpPoint(from.position, to.position, i / dashes),
+            this.#lerpPoint(from.position, to.position, (i + 1) / dashes),
+            thickness * 0.75,
+            stageColor,
+            0,
+            null,
+            alpha
+          );
+        }
+        continue;
+      }
+
+      await canvas.drawLine2d(from.position, to.position, thickness, stageColor, 1, from.node.glowColor, alpha);
+    }
+  }
+
+  /**
+   * Render particles flowing along the bonds (start → end, whole trips per loop)
+   * @private
+   */
+  async #renderBondFlow(canvas, nodes, frameConfig, progress, stageColor) {
+    if (!frameConfig.enableBondFlow) return;
+
+    const speed = Math.max(1, Math.round(frameConfig.bondFlowSpeed ?? 2));
+    const particles = Math.max(1, frameConfig.bondFlowParticles ?? 3);
+    const size = frameConfig.bondFlowParticleSize ?? 3;
+    const pathIntensity = frameConfig.pathIntensity ?? 1.0;
+    const bonds = this.getPathConnections();
+
+    for (let b = 0; b < bonds.length; b++) {
+      const bond = bonds[b];
+      if (bond.type === 'contrary') continue;
+
+      const from = nodes.get(bond.start);
+      const to = nodes.get(bond.end);
+      if (!from || !to) continue;
+
+      for (let p = 0; p < particles; p++) {
+        const raw = progress * speed + p / particles + b / bonds.length;
+        const t = raw - Math.floor(raw);
+        const alpha = Math.sin(t * Math.PI) * pathIntensity;
+        if (alpha <= 0.01) continue;
+
+        await canvas.drawFilledPolygon2d(size, this.#lerpPoint(from.position, to.position, t), 12, 0, stageColor, alpha);
+      }
+    }
+  }
+
+  /**
+   * Render the crucible at the heart of the tria prima, with bubbles rising through it
+   * @private
+   */
+  async #renderCrucible(canvas, nodes, width, height, frameConfig, progress, stageColor) {
+    if (!frameConfig.enableCrucible) return;
+
+    const principles = [...nodes.values()].filter(entry => entry.node.kind === 'principle');
+    if (principles.length === 0) return;
+
+    const center = {
+      x: principles.reduce((sum, entry) => sum + entry.position.x, 0) / principles.length,
+      y: principles.reduce((sum, entry) => sum + entry.position.y, 0) / principles.length,
+    };
+    const radius = (frameConfig.crucibleRadius ?? 0.07) * Math.min(width, height) * (frameConfig.scale ?? 1.0);
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+
+    await canvas.drawRing2d(center, radius, 2, stageColor, 1, '#000000', nodeAlpha * 0.8);
+
+    const speed = Math.max(1, Math.round(frameConfig.crucibleBubbleSpeed ?? 1));
+    for (const bubble of this.crucibleBubbles || []) {
+      const raw = progress * speed + bubble.offset;
+      const t = raw - Math.floor(raw);
+      const wobble = Math.sin((t + bubble.offset) * Math.PI * 2) * radius * 0.08;
+      const position = {
+        x: center.x + bubble.drift * radius * 0.8 + wobble,
+        y: center.y + radius * (0.8 - 1.6 * t),
+      };
+
+      await canvas.drawRing2d(
+        position,
+        radius * 0.08 * bubble.size * (0.6 + t * 0.6),
+        1,
+        stageColor,
+        0,
+        null,
+        nodeAlpha * Math.sin(t * Math.PI) * 0.8
+      );
+    }
+  }
+
+  /**
+   * Render element and principle nodes with their glyphs
+   * @private
+   */
+  async #renderNodes(canvas, nodes, frameConfig, progress, stageColor) {
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    const nodeSize = frameConfig.nodeSize ?? 20;
+    const glowSize = frameConfig.nodeGlowSize ?? 25;
+    const breath = frameConfig.glyphBreathIntensity ?? 0.08;
+    const entries = [...nodes.values()];
+
+    for (let i = 0; i < entries.length; i++) {
+      const { node, position } = entries[i];
+      const pulse = Math.sin((progress + i / entries.length) * Math.PI * 2);
+
+      // Stage-colored glow, backing disc, node-colored rim
+      await canvas.drawRing2d(position, glowSize * (1 + pulse * 0.1), 3, stageColor, 0, null, nodeAlpha * 0.4);
+      await canvas.drawFilledPolygon2d(nodeSize, position, 32, 0, '#000000', nodeAlpha * 0.6);
+      await canvas.drawRing2d(position, nodeSize, 2, node.color, 1, node.glowColor, nodeAlpha);
+
+      if (!frameConfig.enableElementGlyphs) continue;
+
+      await this.renderGlyph(canvas, getAlchemyGlyph(node.glyph), position, (frameConfig.glyphSize ?? 16) * (1 + pulse * breath), {
+        color: node.color,
+        opacity: nodeAlpha,
+        lineWidth: frameConfig.glyphLineWidth ?? 2,
+      });
+    }
+  }
+
+  /**
+   * Point at t along a segment
+   * @private
+   */
+  #lerpPoint(a, b, t) {
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Hermetic Alchemy - Complete Module
+ *
+ * Core Effect:
+ * - HermeticAlchemyEffect: Four elements and three principles through the Great Work
+ *
+ * Configuration:
+ * - HermeticAlchemyConfig: Extends base config with stage colors, bonds and crucible
+ *
+ * Geometry:
+ * - AlchemyGeometry: Element / principle nodes, transmutation bonds and glyphs
+ *
+ * Presets (4 configurations):
+ * - MAGNUM_OPUS: Balanced classical Great Work
+ * - PHILOSOPHERS_STONE: Lingering rubedo
+ * - LEAD_INTO_GOLD: Rapid transmutation
+ * - EMERALD_TABLET: Quiet green contemplation
+ */
+
+// Core Effect
+export { HermeticAlchemyEffect } from './HermeticAlchemyEffect.js';
+
+// Configuration
+export { HermeticAlchemyConfig } from './HermeticAlchemyConfig.js';
+
+// Geometry
+export {
+  ALCHEMY_POSITIONS,
+  ALCHEMY_BONDS,
+  ALCHEMY_GLYPHS,
+  MAGNUM_OPUS_STAGES,
+  getAlchemyNode,
+  getAlchemyGlyph,
+} from './AlchemyGeometry.js';
+
+// Presets
+export {
+  MAGNUM_OPUS,
+  PHILOSOPHERS_STONE,
+  LEAD_INTO_GOLD,
+  EMERALD_TABLET,
+} from './presets/index.js';
@@ -0,0 +1,171 @@
+/**
+ * Hermetic Alchemy Presets
+ *
+ * 4 configurations of the Great Work, from the balanced classical opus
+ * to a rapid lead-into-gold transmutation.
+ */
+
+/**
+ * PRESET 1: MAGNUM_OPUS
+ * Theme: The classical Great Work - balanced stages, all elements and principles
+ * Vibe: Measured, ceremonial, complete
+ */
+export const MAGNUM_OPUS = {
+  // Phase timing - four even-ish stages
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.55,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha: 0.4,
+  awakeningNodeAlpha_start: 0.2,
+  awakeningNodeAlpha_end: 0.6,
+  ascensionNodeAlpha: 0.9,
+  ascensionNodeAlpha_start: 0.6,
+  ascensionNodeAlpha_end: 1.0,
+  radianceNodeAlpha: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha: 0.5,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.2,
+
+  awakeningPathIntensity_start: 0.1,
+  awakeningPathIntensity_end: 0.5,
+  descentPathIntensity_start: 1.0,
+  descentPathIntensity_end: 0.1,
+
+  enableElementGlyphs: true,
+  glyphSize: 16,
+  enableBondFlow: true,
+  bondFlowSpeed: 2,
+  bondFlowParticles: 3,
+  enableCrucible: true,
+  crucibleBubbleCount: 12,
+  enableOuterCircle: true,
+  outerCircleRotationSpeed: 1,
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: PHILOSOPHERS_STONE
+ * Theme: Long radiance lingering on the reddening - the stone revealed
+ * Vibe: Regal, glowing, triumphant
+ */
+export const PHILOSOPHERS_STONE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.15,
+  phaseRadiance_start: 0.4,
+  phaseDescentstart: 0.88,
+  transitionZoneWidth: 0.06,
+
+  radianceEasing: 'easeOutQuart',
+
+  // Bonds start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  awakeningNodeAlpha_start: 0.2,
+  awakeningNodeAlpha_end: 0.7,
+  ascensionNodeAlpha_start: 0.7,
+  ascensionNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.2,
+
+  rubedoColor: '#D4142A',
+  citrinitasColor: '#FFCC33',
+
+  nodeSize: 22,
+  nodeGlowSize: 32,
+  glyphSize: 18,
+  glyphBreathIntensity: 0.12,
+  pathThickness: 3,
+
+  bondTypeOpacity: { quality: 0.7, contrary: 0.25, principle: 1.0, transmutation: 1.0 },
+  bondFlowSpeed: 3,
+  bondFlowParticles: 4,
+  bondFlowParticleSize: 4,
+
+  crucibleRadius: 0.09,
+  crucibleBubbleCount: 18,
+  crucibleBubbleSpeed: 2,
+
+  outerCircleOpacity: 0.7,
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: LEAD_INTO_GOLD
+ * Theme: Rapid transmutation - short stages, fast flow, no contraries
+ * Vibe: Energetic, kinetic, bright
+ */
+export const LEAD_INTO_GOLD = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.12,
+  phaseRadiance_start: 0.3,
+  phaseDescentstart: 0.7,
+  transitionZoneWidth: 0.04,
+
+  awakeningEasing: 'easeInCubic',
+  ascensionEasing: 'easeInOutCubic',
+
+  // Bonds start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  nigredoColor: '#5A5A66',
+  albedoColor: '#DDE3EA',
+  citrinitasColor: '#FFD700',
+  rubedoColor: '#E8A317',
+
+  bondTypeOpacity: { quality: 0.9, contrary: 0.0, principle: 0.8, transmutation: 1.0 },
+  bondFlowSpeed: 4,
+  bondFlowParticles: 5,
+  bondFlowParticleSize: 2.5,
+
+  crucibleBubbleCount: 20,
+  crucibleBubbleSpeed: 3,
+  outerCircleRotationSpeed: 2,
+
+  layerBlendMode: 'lighten',
+};
+
+/**
+ * PRESET 4: EMERALD_TABLET
+ * Theme: "As above, so below" - quiet, green-tinged contemplation
+ * Vibe: Ancient, calm, minimal
+ */
+export const EMERALD_TABLET = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.08,
+
+  awakeningEasing: 'smoothstep',
+  ascensionEasing: 'smoothstep',
+  radianceEasing: 'smoothstep',
+  descentEasing: 'smoothstep',
+
+  // Bonds start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  nigredoColor: '#2F4F3F',
+  albedoColor: '#CFE8D8',
+  citrinitasColor: '#50C878',
+  rubedoColor: '#0B6E4F',
+
+  nodeSize: 18,
+  nodeGlowSize: 22,
+  glyphLineWidth: 1.5,
+  pathThickness: 1.5,
+
+  enableBondFlow: false,
+  crucibleBubbleCount: 6,
+  outerCircleOpacity: 0.35,
+
+  layerBlendMode: 'screen',
+};
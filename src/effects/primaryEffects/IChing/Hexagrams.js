@@ -0,0 +1,75 @@
+/**
+ * Hexagrams
+ *
+ * The eight trigrams and the 64 hexagrams of the I Ching in King Wen order.
+ * Lines are listed bottom to top: 1 = yang (solid), 0 = yin (broken).
+ * A hexagram is a lower trigram (lines 1-3) under an upper trigram (lines 4-6).
+ */
+
+/**
+ * The eight trigrams, in the row/column order of KING_WEN_TABLE
+ */
+export const TRIGRAMS = [
+  { id: 'qian', name: 'Heaven', lines: [1, 1, 1] },
+  { id: 'zhen', name: 'Thunder', lines: [1, 0, 0] },
+  { id: 'kan', name: 'Water', lines: [0, 1, 0] },
+  { id: 'gen', name: 'Mountain', lines: [0, 0, 1] },
+  { id: 'kun', name: 'Earth', lines: [0, 0, 0] },
+  { id: 'xun', name: 'Wind', lines: [0, 1, 1] },
+  { id: 'li', name: 'Fire', lines: [1, 0, 1] },
+  { id: 'dui', name: 'Lake', lines: [1, 1, 0] },
+];
+
+/**
+ * King Wen numbers: rows are the upper trigram, columns the lower trigram (TRIGRAMS order)
+ */
+const KING_WEN_TABLE = {
+  qian: [1, 25, 6, 33, 12, 44, 13, 10],
+  zhen: [34, 51, 40, 62, 16, 32, 55, 54],
+  kan: [5, 3, 29, 39, 8, 48, 63, 60],
+  gen: [26, 27, 4, 52, 23, 18, 22, 41],
+  kun: [11, 24, 7, 15, 2, 46, 36, 19],
+  xun: [9, 42, 59, 53, 20, 57, 37, 61],
+  li: [14, 21, 64, 56, 35, 50, 30, 38],
+  dui: [43, 17, 47, 31, 45, 28, 49, 58],
+};
+
+/**
+ * All 64 hexagrams, indexed by King Wen number - 1
+ */
+export const HEXAGRAMS = TRIGRAMS
+  .flatMap(upper => TRIGRAMS.map((lower, column) => ({
+    number: KING_WEN_TABLE[upper.id][column],
+    lines: [...lower.lines, ...upper.lines],
+    lower: lower.id,
+    upper: upper.id,
+  })))
+  .sort((a, b) => a.number - b.number);
+
+/**
+ * Look up a hexagram by King Wen number
+ * @param {number} number - 1-64
+ * @returns {Object|null} Hexagram, or null if out of range
+ */
+export function getHexagram(number) {
+  return HEXAGRAMS[number - 1] ?? null;
+}
+
+/**
+ * Find the hexagram with the given lines
+ * @param {Array<number>} lines - Six lines, bottom to top
+ * @returns {Object|null} Hexagram, or null if the lines are not six 0/1 values
+ */
+export function findHexagram(lines) {
+  return HEXAGRAMS.find(hexagram => hexagram.lines.every((line, i) => line === lines[i])) ?? null;
+}
+
+/**
+ * Flip changing lines (yang ↔ yin)
+ * @param {Array<number>} lines - Six lines, bottom to top
+ * @param {Array<number>} changing - Indices (0 = bottom) of the lines that change
+ * @returns {Array<number>} New lines
+ */
+export function flipLines(lines, changing) {
+  return lines.map((line, i) => (changing.includes(i) ? 1 - line : line));
+}
@@ -0,0 +1,70 @@
+/**
+ * I Ching Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with hexagram parameters:
+ * - Starting hexagram and how it changes each phase
+ * - Line layout
+ * - Line, changing-line and marker colors
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class IChingConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== HEXAGRAMS ======
+    startHexagram = 1,                     // King Wen number to start from (1-64, null = seeded random)
+    hexagramSequence = null,               // Explicit King Wen numbers, one per phase (overrides changing lines)
+    maxChangingLines = 3,                  // Lines that change per phase: 1 up to this many (seeded)
+    changeHold = 0.6,                      // Fraction of each phase the hexagram holds before its lines change
+
+    // ====== LAYOUT ======
+    hexagramWidth = 0.36,                  // Line length (normalized)
+    lineSpacing = 0.065,                   // Distance between lines (normalized)
+    trigramGap = 0.02,                     // Extra space between the lower and upper trigram
+    yinGap = 0.22,                         // Gap in a broken line, as a fraction of its length
+    lineThickness = 22,                    // Line thickness in pixels
+
+    // ====== COLORS ======
+    yangColor = '#FFD166',                 // Solid line color (string or ColorPicker)
+    yinColor = '#8EC5FF',                  // Broken line color (string or ColorPicker)
+    changingColor = '#FF5C8A',             // Glow and markers on changing lines (string or ColorPicker)
+
+    // ====== CHANGING-LINE MARKERS ======
+    showMarkers = true,                    // Traditional marks (○ old yang, × old yin) before a line changes
+    markerSize = 9,                        // Marker radius in pixels
+    markerOffset = 0.035,                  // Marker distance right of the lines (normalized)
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.startHexagram = startHexagram;
+    this.hexagramSequence = hexagramSequence;
+    this.maxChangingLines = maxChangingLines;
+    this.changeHold = changeHold;
+
+    this.hexagramWidth = hexagramWidth;
+    this.lineSpacing = lineSpacing;
+    this.trigramGap = trigramGap;
+    this.yinGap = yinGap;
+    this.lineThickness = lineThickness;
+
+    this.yangColor = yangColor;
+    this.yinColor = yinColor;
+    this.changingColor = changingColor;
+
+    this.showMarkers = showMarkers;
+    this.markerSize = markerSize;
+    this.markerOffset = markerOffset;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * I Ching Effect
+ *
+ * Morphs through hexagrams, one per phase:
+ * - Each phase holds its hexagram, marks the lines about to change
+ *   (○ old yang, × old yin), then flips them - broken lines closing,
+ *   solid lines opening
+ * - The last phase changes back into the first hexagram (seamless loop)
+ *
+ * Hexagrams come from a seeded walk of changing lines or an explicit sequence,
+ * and are played through the SymbolSequenceEngine as glyph states (six line values).
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { ParameterTrackEngine } from '../../base/ParameterTrackEngine.js';
+import { SymbolSequenceEngine } from '../../base/SymbolSequenceEngine.js';
+import { IChingConfig } from './IChingConfig.js';
+import { HEXAGRAMS, getHexagram, findHexagram, flipLines } from './Hexagrams.js';
+
+const COLOR_DEFAULTS = {
+  yangColor: '#FFD166',
+  yinColor: '#8EC5FF',
+  changingColor: '#FF5C8A',
+};
+
+const LINE_COUNT = 6;
+
+/**
+ * Hexagrams to play: the explicit sequence, or a seeded walk of changing lines
+ * (a module function because generate() runs before private methods exist)
+ * @private
+ */
+function buildHexagramSequence(config, random, phaseCount) {
+  const explicit = Array.isArray(config.hexagramSequence) ? config.hexagramSequence : null;
+  if (explicit) {
+    const hexagrams = explicit.map(getHexagram).filter(Boolean);
+    if (hexagrams.length === explicit.length && hexagrams.length > 0) return hexagrams;
+    console.warn(`⚠️ I Ching: hexagramSequence must hold King Wen numbers 1-64, got ${JSON.stringify(explicit)}; using changing lines`);
+  }
+
+  const start = getHexagram(config.startHexagram) ?? HEXAGRAMS[random.nextInt(HEXAGRAMS.length)];
+  const maxChanging = Math.max(1, Math.min(LINE_COUNT, Math.round(config.maxChangingLines ?? 3)));
+  const hexagrams = [start];
+
+  for (let i = 1; i < Math.max(2, phaseCount); i++) {
+    const candidates = [0, 1, 2, 3, 4, 5];
+    const changing = [];
+    const count = 1 + random.nextInt(maxChanging);
+    while (changing.length < count) {
+      changing.push(candidates.splice(random.nextInt(candidates.length), 1)[0]);
+    }
+    hexagrams.push(findHexagram(flipLines(hexagrams[hexagrams.length - 1].lines, changing)));
+  }
+
+  return hexagrams;
+}
+
+export class IChingEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'i-ching';
+  static _displayName_ = 'I Ching';
+  static _description_ = 'Hexagrams of the I Ching morphing phase by phase as their changing lines flip between yin and yang';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'i-ching', 'hexagram', 'yin-yang', 'taoism', 'mystical'];
+
+  constructor({
+    name = IChingEffect._name_,
+    requiresLayer = true,
+    config = new IChingConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof IChingConfig)) {
+      config = new IChingConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get the four endpoints of every line for the current frame
+   * Broken lines open a gap between their inner endpoints; solid lines close it
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Nodes 'line-<n>-<outer|inner>-<left|right>', bottom line first
+   */
+  getNodePositions() {
+    const config = this.getActiveConfig();
+    const { state } = this.getLineState(this.getProgress());
+    const halfWidth = (config.hexagramWidth ?? 0.36) / 2;
+    const yinGap = config.yinGap ?? 0.22;
+    const nodes = [];
+
+    state.forEach((value, line) => {
+      const y = this.#getLineY(line, config);
+      const gap = (1 - Math.max(0, Math.min(1, value))) * yinGap * halfWidth;
+
+      nodes.push(
+        { id: `line-${line}-outer-left`, line, x: 0.5 - halfWidth, y },
+        { id: `line-${line}-inner-left`, line, x: 0.5 - gap, y },
+        { id: `line-${line}-inner-right`, line, x: 0.5 + gap, y },
+        { id: `line-${line}-outer-right`, line, x: 0.5 + halfWidth, y },
+      );
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Get the two halves of every line, colored between yin and yang
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Half-lines with {start, end} node ids and styling
+   */
+  getPathConnections() {
+    const config = this.getActiveConfig();
+    const { state, from, to, t } = this.getLineState(this.getProgress());
+    const thickness = (config.lineThickness ?? 22) * (config.pathSizeScale || 1.0);
+    // Changing lines glow only mid-flip, so held hexagrams look the same either side of a change
+    const flipGlow = Math.sin(t * Math.PI);
+    const paths = [];
+
+    state.forEach((value, line) => {
+      const color = ParameterTrackEngine.interpolate(config.yinColor, config.yangColor, Math.max(0, Math.min(1, value)));
+      const glowColor = from[line] !== to[line]
+        ? ParameterTrackEngine.interpolate(color, config.changingColor, flipGlow)
+        : color;
+
+      for (const side of ['left', 'right']) {
+        paths.push({
+          start: `line-${line}-outer-${side}`,
+          end: `line-${line}-inner-${side}`,
+          type: 'line',
+          line,
+          color,
+          glowColor,
+          thickness,
+        });
+      }
+    });
+
+    return paths;
+  }
+
+  /**
+   * Pre-generate hook: blend mode, colors and the hexagram sequence
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = IChingConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    for (const [key, fallback] of Object.entries(COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+
+    // Forked: a rebuilt config has the blend mode resolved already and draws nothing above,
+    // so the main stream would be offset and the sequence would change
+    const phases = this.getPhaseDefinitions();
+    this.hexagrams = buildHexagramSequence(this.config, this.random.fork('hexagramSequence'), phases.length);
+
+    // One hexagram per phase when the counts match, otherwise spread evenly
+    const positions = this.hexagrams.length === phases.length
+      ? SymbolSequenceEngine.positionsFromPhases(phases)
+      : null;
+
+    this.lineKeyframes = SymbolSequenceEngine.buildKeyframes(
+      this.hexagrams.map(hexagram => hexagram.lines),
+      { positions, hold: this.config.changeHold ?? 0.6 }
+    );
+  }
+
+  /**
+   * Line values for a progress (0 = yin, 1 = yang, in between while changing)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {{state: Array<number>, from: Array<number>, to: Array<number>, t: number, local: number, hold: number,
+   *   fromHexagram: Object, toHexagram: Object}}
+   */
+  getLineState(progress) {
+    const easing = this.getPhaseEasing(this.getCurrentPhase(progress));
+    const sample = SymbolSequenceEngine.sample(this.lineKeyframes, progress, t => this.applyEasing(t, easing));
+
+    return {
+      ...sample,
+      hold: this.lineKeyframes[sample.fromIndex].hold,
+      fromHexagram: this.hexagrams[sample.fromIndex],
+      toHexagram: this.hexagrams[sample.toIndex],
+    };
+  }
+
+  /**
+   * Render change glows, the lines, then the changing-line markers
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    const lineState = this.getLineState(progress);
+
+    await this.#renderChangeGlow(canvas, width, height, frameConfig, lineState);
+    await this.renderPaths(canvas, width, height, frameConfig, progress);
+    if (frameConfig.showMarkers) {
+      await this.#renderMarkers(canvas, width, height, frameConfig, lineState);
+    }
+  }
+
+  /**
+   * Normalized y of a line (0 = bottom), the trigrams set slightly apart
+   * @private
+   */
+  #getLineY(line, config) {
+    const spacing = config.lineSpacing ?? 0.065;
+    const trigramOffset = (line >= 3 ? -1 : 1) * (config.trigramGap ?? 0.02) / 2;
+    return 0.5 + (2.5 - line) * spacing + trigramOffset;
+  }
+
+  /**
+   * Strength of the changing-line marker while a hexagram holds, fading as the lines flip
+   * @private
+   */
+  #getMarkerStrength({ t, local, hold }) {
+    if (t > 0) return 1 - t;
+    return hold > 0 ? Math.min(1, (local / hold) * 2) : 0;
+  }
+
+  /**
+   * Render a soft glow behind each line while it flips
+   * @private
+   */
+  async #renderChangeGlow(canvas, width, height, frameConfig, { from, to, t }) {
+    const alpha = Math.sin(t * Math.PI) * 0.4 * (frameConfig.pathIntensity ?? 1.0);
+    if (alpha <= 0.01) return;
+
+    const halfWidth = (frameConfig.hexagramWidth ?? 0.36) / 2;
+    const thickness = (frameConfig.lineThickness ?? 22) * 1.8;
+
+    for (let line = 0; line < LINE_COUNT; line++) {
+      if (from[line] === to[line]) continue;
+
+      const y = this.#getLineY(line, frameConfig);
+      await canvas.drawLine2d(
+        this.transformCoordinate(0.5 - halfWidth, y, width, height),
+        this.transformCoordinate(0.5 + halfWidth, y, width, height),
+        thickness,
+        frameConfig.changingColor,
+        0,
+        null,
+        alpha
+      );
+    }
+  }
+
+  /**
+   * Render the traditional marks beside changing lines: a circle on an old yang
+   * line (about to break), a cross on an old yin line (about to join)
+   * @private
+   */
+  async #renderMarkers(canvas, width, height, frameConfig, lineState) {
+    const alpha = this.#getMarkerStrength(lineState) * (frameConfig.nodeAlpha ?? 1.0);
+    if (alpha <= 0.01) return;
+
+    const x = 0.5 + (frameConfig.hexagramWidth ?? 0.36) / 2 + (frameConfig.markerOffset ?? 0.035);
+    const size = frameConfig.markerSize ?? 9;
+    const color = frameConfig.changingColor;
+
+    for (let line = 0; line < LINE_COUNT; line++) {
+      if (lineState.from[line] === lineState.to[line]) continue;
+
+      const center = this.transformCoordinate(x, this.#getLineY(line, frameConfig), width, height);
+      if (lineState.from[line] === 1) {
+        await canvas.drawRing2d(center, size, 2, color, 0, null, alpha);
+      } else {
+        await canvas.drawLine2d({ x: center.x - size, y: center.y - size }, { x: center.x + size, y: center.y + size }, 2, color, 0, null, alpha);
+        await canvas.drawLine2d({ x: center.x - size, y: center.y + size }, { x: center.x + size, y: center.y - size }, 2, color, 0, null, alpha);
+      }
+    }
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * I Ching - Complete Module
+ *
+ * Core Effect:
+ * - IChingEffect: Hexagrams morphing phase by phase as their changing lines flip
+ *
+ * Configuration:
+ * - IChingConfig: Extends base config with hexagram sequence, layout, color and marker controls
+ *
+ * Geometry:
+ * - Hexagrams: The eight trigrams and the 64 hexagrams in King Wen order
+ *
+ * Presets (4 configurations):
+ * - CLASSIC_CHANGES: From The Creative, up to three lines changing per phase
+ * - HEAVEN_AND_EARTH: Fixed cycle through The Creative, Peace, The Receptive and Standstill
+ * - ORACLE_INK: Seeded random start in ink tones
+ * - TIDES_OF_CHANGE: From The Abysmal, up to six lines changing at once
+ */
+
+// Core Effect
+export { IChingEffect } from './IChingEffect.js';
+
+// Configuration
+export { IChingConfig } from './IChingConfig.js';
+
+// Geometry
+export {
+  TRIGRAMS,
+  HEXAGRAMS,
+  getHexagram,
+  findHexagram,
+  flipLines,
+} from './Hexagrams.js';
+
+// Presets
+export {
+  CLASSIC_CHANGES,
+  HEAVEN_AND_EARTH,
+  ORACLE_INK,
+  TIDES_OF_CHANGE,
+} from './presets/index.js';
@@ -0,0 +1,132 @@
+/**
+ * I Ching Presets
+ *
+ * 4 configurations of the changing hexagram, from a seeded walk out of
+ * The Creative to a fixed cycle through heaven and earth.
+ */
+
+/**
+ * PRESET 1: CLASSIC_CHANGES
+ * Theme: Starts from The Creative (1), up to three lines changing each phase in gold and sky blue
+ * Vibe: Contemplative, oracular, balanced
+ */
+export const CLASSIC_CHANGES = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.5,
+  phaseDescentstart: 0.75,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.8,
+  awakeningNodeAlpha_end: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.8,
+
+  // Lines start and end the loop at the same soft glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.6,
+  descentPathIntensity_end: 0.6,
+
+  startHexagram: 1,
+  maxChangingLines: 3,
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: HEAVEN_AND_EARTH
+ * Theme: The Creative → Peace → The Receptive → Standstill, one trigram turning per phase
+ * Vibe: Cosmic, cyclical, seasonal
+ */
+export const HEAVEN_AND_EARTH = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.5,
+  phaseDescentstart: 0.75,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.8,
+  descentNodeAlpha_end: 0.8,
+
+  // Lines start and end the loop at the same soft glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.6,
+  descentPathIntensity_end: 0.6,
+
+  hexagramSequence: [1, 11, 2, 12],
+  changeHold: 0.5,
+  yangColor: '#FFF3C4',
+  yinColor: '#7A5C3E',
+  changingColor: '#FFB347',
+  trigramGap: 0.04,
+
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: ORACLE_INK
+ * Theme: Seeded random starting hexagram in ink on parchment tones, one or two lines changing
+ * Vibe: Scholarly, quiet, divinatory
+ */
+export const ORACLE_INK = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.55,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.04,
+
+  awakeningEasing: 'easeInOutCubic',
+  ascensionEasing: 'easeInOutCubic',
+  radianceEasing: 'easeInOutCubic',
+  descentEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.7,
+  descentNodeAlpha_end: 0.7,
+
+  // Lines start and end the loop at the same soft glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.5,
+  descentPathIntensity_end: 0.5,
+
+  startHexagram: null,
+  maxChangingLines: 2,
+  changeHold: 0.7,
+  yangColor: '#2B2118',
+  yinColor: '#5C4A3A',
+  changingColor: '#A23B2A',
+  lineThickness: 18,
+  markerSize: 8,
+
+  layerBlendMode: 'normal',
+};
+
+/**
+ * PRESET 4: TIDES_OF_CHANGE
+ * Theme: Starts from The Abysmal (29), up to all six lines turning at once in deep sea colors
+ * Vibe: Turbulent, flowing, transformative
+ */
+export const TIDES_OF_CHANGE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.2,
+  phaseRadiance_start: 0.45,
+  phaseDescentstart: 0.7,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.8,
+  descentNodeAlpha_end: 0.8,
+
+  // Lines start and end the loop at the same soft glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.6,
+  descentPathIntensity_end: 0.6,
+
+  startHexagram: 29,
+  maxChangingLines: 6,
+  changeHold: 0.35,
+  hexagramWidth: 0.42,
+  lineSpacing: 0.075,
+  lineThickness: 26,
+  yangColor: '#52F2FF',
+  yinColor: '#1B4B8F',
+  changingColor: '#E0FFF4',
+
+  layerBlendMode: ['screen', 'lighten', 'normal'],
+};
@@ -0,0 +1,76 @@
+/**
+ * Merkaba Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with 3D solid parameters:
+ * - Solid selection and nesting (Merkaba and the five Platonic solids)
+ * - Merkaba counter-rotation
+ * - Edge and vertex styling
+ * - Edge draw-in and radiance swell
+ *
+ * Rotation, projection and depth alpha use the base 3D parameters
+ * (rotation3D, projection, cameraDistance, depthAlphaRange).
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class MerkabaConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== SOLIDS ======
+    solids = ['merkaba'],                  // Nested solids, outermost first: 'merkaba' | 'tetrahedron' | 'hexahedron' | 'octahedron' | 'icosahedron' | 'dodecahedron'
+    solidRadius = 0.3,                     // Circumradius of the outermost solid (normalized)
+    nestingRatio = 0.6,                    // Each inner solid's radius relative to the one outside it
+    tilt = 20,                             // Fixed forward tilt of the whole figure in degrees
+
+    // ====== MERKABA ======
+    merkabaSpin = 1,                       // Counter-rotation of the two tetrahedra about the vertical axis (integer turns per loop)
+    sunColor = '#FFD54F',                  // Upward tetrahedron color (string or ColorPicker)
+    earthColor = '#4FC3F7',                // Downward tetrahedron color (string or ColorPicker)
+
+    // ====== PLATONIC SOLIDS ======
+    useElementColors = true,               // Color each Platonic solid by its classical element
+    solidColor = '#E8D5FF',                // Single color when element colors are off (string or ColorPicker)
+
+    // ====== EDGES & VERTICES ======
+    edgeWidth = 2,                         // Edge stroke width at the center depth (scaled by perspective)
+    vertexDotSize = 3,                     // Vertex dot radius at the center depth (scaled by perspective)
+    drawStagger = 0.7,                     // Edge draw-in stagger (0 = all at once, →1 = one after another)
+    radianceSwell = 0.12,                  // How much the figure swells during radiance
+
+    // ====== 3D (base overrides) ======
+    rotation3D = [
+      { axis: 'y', turns: 1 },
+      { axis: [1, 0, 1], turns: 1 },
+    ],
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super({ ...baseConfig, rotation3D });
+
+    this.solids = solids;
+    this.solidRadius = solidRadius;
+    this.nestingRatio = nestingRatio;
+    this.tilt = tilt;
+
+    this.merkabaSpin = merkabaSpin;
+    this.sunColor = sunColor;
+    this.earthColor = earthColor;
+
+    this.useElementColors = useElementColors;
+    this.solidColor = solidColor;
+
+    this.edgeWidth = edgeWidth;
+    this.vertexDotSize = vertexDotSize;
+    this.drawStagger = drawStagger;
+    this.radianceSwell = radianceSwell;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
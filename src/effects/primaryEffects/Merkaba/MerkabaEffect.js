@@ -0,0 +1,305 @@
+/**
+ * Merkaba Effect
+ *
+ * Rotating 3D Merkaba and Platonic solids through the phase timeline:
+ * - Awakening: edges draw in one by one, outermost solid first
+ * - Ascension: the figure turns, the Merkaba's tetrahedra counter-rotating
+ * - Radiance: the figure swells and settles back
+ * - Descent: edges are undrawn in reverse (seamless loop)
+ *
+ * Includes:
+ * - Star tetrahedron (sun and earth tetrahedra) and the five Platonic solids, nested
+ * - Loop-safe rotation about any axes and perspective/orthographic projection
+ *   from the base class 3D layer
+ * - Depth-sorted edges and vertices with depth-based alpha and perspective widths,
+ *   drawn with the base class node/path rendering
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { Projection3D } from '../../base/Projection3D.js';
+import { MerkabaConfig } from './MerkabaConfig.js';
+import { SOLID_IDS, buildSolid } from './PlatonicSolids3D.js';
+
+const COLOR_DEFAULTS = {
+  sunColor: '#FFD54F',
+  earthColor: '#4FC3F7',
+  solidColor: '#E8D5FF',
+};
+
+const VERTICAL_AXIS = [0, 1, 0];
+const TILT_AXIS = [1, 0, 0];
+
+export class MerkabaEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'merkaba';
+  static _displayName_ = 'Merkaba';
+  static _description_ = 'Rotating 3D Merkaba star tetrahedron and Platonic solids with perspective projection and depth-sorted edges';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'merkaba', 'platonic-solids', '3d', 'sacred-geometry', 'mystical'];
+
+  constructor({
+    name = MerkabaEffect._name_,
+    requiresLayer = true,
+    config = new MerkabaConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof MerkabaConfig)) {
+      config = new MerkabaConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get every solid vertex, projected for the current frame, farthest first
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Vertex nodes ('<solid>:<part>:<vertex>') with depth, alpha and perspective size
+   */
+  getNodePositions() {
+    const config = this.getActiveConfig();
+    const progress = this.getProgress();
+    const projected = this.#projectSolids(progress);
+    const reveals = this.getEdgeReveals(progress);
+    const dotSize = config.vertexDotSize ?? 3;
+    const nodes = [];
+
+    for (const part of projected) {
+      // A vertex appears with the first of its edges
+      const presence = part.vertices.map(() => 0);
+      part.edges.forEach(([a, b], e) => {
+        const reveal = reveals[part.edgeOffset + e];
+        presence[a] = Math.max(presence[a], reveal);
+        presence[b] = Math.max(presence[b], reveal);
+      });
+
+      part.vertices.forEach((vertex, v) => {
+        nodes.push({
+          id: `${part.key}:${v}`,
+          type: 'vertex',
+          solid: part.solid,
+          x: vertex.x,
+          y: vertex.y,
+          depth: vertex.depth,
+          color: part.color,
+          glowColor: part.color,
+          size: dotSize * vertex.perspective,
+          glowSize: dotSize * vertex.perspective * 2,
+          sides: 12,
+          alpha: presence[v] * this.getDepthAlpha(vertex.depth),
+        });
+      });
+    }
+
+    return nodes.sort((a, b) => a.depth - b.depth);
+  }
+
+  /**
+   * Get every solid edge for the current frame, farthest first
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Edges with {start, end} node ids, depth alpha, perspective width and draw-in reveal
+   */
+  getPathConnections() {
+    const config = this.getActiveConfig();
+    const progress = this.getProgress();
+    const projected = this.#projectSolids(progress);
+    const reveals = this.getEdgeReveals(progress);
+    const edgeWidth = (config.edgeWidth ?? 2) * (config.pathSizeScale || 1.0);
+    const paths = [];
+
+    for (const part of projected) {
+      part.edges.forEach(([a, b], e) => {
+        const from = part.vertices[a];
+        const to = part.vertices[b];
+        const depth = (from.depth + to.depth) / 2;
+
+        paths.push({
+          start: `${part.key}:${a}`,
+          end: `${part.key}:${b}`,
+          type: 'edge',
+          solid: part.solid,
+          depth,
+          color: part.color,
+          glowColor: part.color,
+          thickness: edgeWidth * (from.perspective + to.perspective) / 2,
+          intensity: this.getDepthAlpha(depth),
+          reveal: reveals[part.edgeOffset + e],
+        });
+      });
+    }
+
+    return paths.sort((a, b) => a.depth - b.depth);
+  }
+
+  /**
+   * Pre-generate hook: blend mode, colors and solid geometry
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = MerkabaConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    for (const [key, fallback] of Object.entries(COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+
+    const requested = Array.isArray(this.config.solids) ? this.config.solids : [this.config.solids];
+    const unknown = requested.filter(id => !SOLID_IDS.includes(id));
+    if (unknown.length > 0) {
+      console.warn(`⚠️ Merkaba: unknown solids ignored: ${unknown.join(', ')} (expected ${SOLID_IDS.join(', ')})`);
+    }
+
+    this.solids = requested.filter(id => SOLID_IDS.includes(id)).map(buildSolid);
+    this.edgeCount = this.solids.reduce((sum, solid) => sum + solid.parts.reduce((n, part) => n + part.edges.length, 0), 0);
+
+    // Validate the axes once so a bad rotation3D fails here rather than mid-render
+    Projection3D.getLoopRotations(this.config.rotation3D, 0);
+  }
+
+  /**
+   * How much of each edge is drawn (0-1)
+   * Edges draw in across the first phase and are undrawn in reverse across the last
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<number>} Reveal per edge, solid by solid, part by part
+   */
+  getEdgeReveals(progress) {
+    const stagger = this.getActiveConfig().drawStagger ?? 0.7;
+    return this.#getSequenceReveal(this.edgeCount, stagger, progress, 0);
+  }
+
+  /**
+   * Size multiplier from the radiance swell
+   * The second-to-last phase rises and falls once, so the other phases stay at 1
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Size multiplier
+   */
+  getSwell(progress) {
+    const { index, count, eased } = this.#getPhasePosition(progress);
+    if (count < 4 || index !== count - 2) return 1;
+    return 1 + (this.getActiveConfig().radianceSwell ?? 0.12) * Math.sin(eased * Math.PI);
+  }
+
+  /**
+   * Render edges, then vertices, each farthest first
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    await this.renderPaths(canvas, width, height, frameConfig, progress);
+    await this.renderNodes(canvas, width, height, frameConfig, progress);
+  }
+
+  /**
+   * Project every part of every solid for a progress
+   * Parts spin about the vertical axis first (Merkaba counter-rotation), then the
+   * loop rotations and the fixed tilt apply to the whole figure
+   * @private
+   * @returns {Array<{key, solid, color, vertices, edges, edgeOffset}>}
+   */
+  #projectSolids(progress) {
+    const config = this.getActiveConfig();
+    const radius = config.solidRadius ?? 0.3;
+    const ratio = config.nestingRatio ?? 0.6;
+    const swell = this.getSwell(progress);
+    const rotations = [
+      ...this.getLoopRotations3D(progress),
+      { axis: TILT_AXIS, angle: ((config.tilt ?? 0) * Math.PI) / 180 },
+    ];
+    const spinAngle = progress * Math.round(config.merkabaSpin ?? 0) * Math.PI * 2;
+
+    const parts = [];
+    let edgeOffset = 0;
+
+    this.solids.forEach((solid, s) => {
+      const size = Math.pow(ratio, s) * swell;
+
+      for (const part of solid.parts) {
+        const spin = (part.spin ?? 0) * spinAngle;
+        const vertices = part.vertices.map(vertex => {
+          const spun = spin === 0 ? vertex : Projection3D.rotate(vertex, VERTICAL_AXIS, spin);
+          return this.projectPoint3D({ x: spun.x * size, y: spun.y * size, z: spun.z * size }, radius, rotations);
+        });
+
+        parts.push({
+          key: `${s}:${part.id}`,
+          solid: solid.id,
+          color: this.#getPartColor(solid, part, config),
+          vertices,
+          edges: part.edges,
+          edgeOffset,
+        });
+        edgeOffset += part.edges.length;
+      }
+    });
+
+    return parts;
+  }
+
+  /**
+   * @private
+   */
+  #getPartColor(solid, part, config) {
+    if (part.id === 'sun') return config.sunColor;
+    if (part.id === 'earth') return config.earthColor;
+    return config.useElementColors ? solid.color : config.solidColor;
+  }
+
+  /**
+   * Current phase index and progress through it
+   * @private
+   */
+  #getPhasePosition(progress) {
+    const phases = this.getPhaseDefinitions();
+    const phase = this.getCurrentPhase(progress);
+    const index = Math.max(0, phases.findIndex(definition => definition.name === phase));
+    const phaseProgress = Math.max(0, Math.min(1, this.getPhaseProgress(progress, phase)));
+
+    return {
+      index,
+      count: phases.length,
+      phaseProgress,
+      eased: this.applyEasing(phaseProgress, this.getPhaseEasing(phase)),
+    };
+  }
+
+  /**
+   * Staggered reveal of a sequence: drawn in during `activePhase`, held until the
+   * last phase, then undrawn last-to-first
+   * @private
+   */
+  #getSequenceReveal(count, stagger, progress, activePhase) {
+    const { index, count: phases, eased } = this.#getPhasePosition(progress);
+    const reveals = [];
+
+    for (let i = 0; i < count; i++) {
+      if (phases > 1 && index === phases - 1) {
+        reveals.push(1 - this.getStaggeredProgress(count - 1 - i, count, eased, stagger));
+      } else if (index === activePhase) {
+        reveals.push(this.getStaggeredProgress(i, count, eased, stagger));
+      } else {
+        reveals.push(index < activePhase ? 0 : 1);
+      }
+    }
+
+    return reveals;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Platonic Solids 3D
+ *
+ * Vertex and edge data for the Merkaba and the five Platonic solids in model space
+ * (x right, y up, z toward the viewer), every solid scaled to a unit circumradius:
+ * - Merkaba: star tetrahedron, an upward (sun) and a downward (earth) tetrahedron
+ * - Tetrahedron, cube, octahedron, icosahedron, dodecahedron
+ *
+ * Edges are found as the vertex pairs at the shortest distance, which is exact for
+ * every Platonic solid.
+ */
+
+import { PLATONIC_SOLIDS } from '../SacredGeometry/CirclePackingGeometry.js';
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+
+/**
+ * Scale points to unit circumradius
+ * @private
+ */
+function toUnitRadius(points) {
+  return points.map(([x, y, z]) => {
+    const length = Math.hypot(x, y, z);
+    return { x: x / length, y: y / length, z: z / length };
+  });
+}
+
+/**
+ * Every sign combination of a point's non-zero coordinates
+ * @private
+ */
+function signCombinations([x, y, z]) {
+  const points = [];
+  for (const sx of x === 0 ? [1] : [1, -1]) {
+    for (const sy of y === 0 ? [1] : [1, -1]) {
+      for (const sz of z === 0 ? [1] : [1, -1]) {
+        points.push([x * sx, y * sy, z * sz]);
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * The three cyclic permutations of a point's coordinates
+ * @private
+ */
+function cyclicPermutations([x, y, z]) {
+  return [[x, y, z], [y, z, x], [z, x, y]];
+}
+
+/**
+ * Vertex pairs at the shortest distance
+ * @param {Array<{x, y, z}>} vertices - Solid vertices
+ * @returns {Array<[number, number]>} Edges as vertex index pairs
+ */
+export function findEdges(vertices) {
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  let shortest = Infinity;
+
+  for (let i = 0; i < vertices.length; i++) {
+    for (let j = i + 1; j < vertices.length; j++) {
+      shortest = Math.min(shortest, distance(vertices[i], vertices[j]));
+    }
+  }
+
+  const edges = [];
+  for (let i = 0; i < vertices.length; i++) {
+    for (let j = i + 1; j < vertices.length; j++) {
+      if (distance(vertices[i], vertices[j]) < shortest * 1.001) edges.push([i, j]);
+    }
+  }
+  return edges;
+}
+
+/**
+ * Tetrahedron standing on its base with its apex on +y (or -y when inverted)
+ * @private
+ */
+function tetrahedronVertices(inverted = false) {
+  const sign = inverted ? -1 : 1;
+  const baseRadius = Math.sqrt(8 / 9);
+  const points = [[0, sign, 0]];
+  for (let k = 0; k < 3; k++) {
+    const angle = (k / 3) * Math.PI * 2 + (inverted ? Math.PI : 0);
+    points.push([Math.cos(angle) * baseRadius, -sign / 3, Math.sin(angle) * baseRadius]);
+  }
+  return toUnitRadius(points);
+}
+
+const VERTEX_BUILDERS = {
+  tetrahedron: () => tetrahedronVertices(),
+  hexahedron: () => toUnitRadius(signCombinations([1, 1, 1])),
+  octahedron: () => toUnitRadius([[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]),
+  icosahedron: () => toUnitRadius(cyclicPermutations([0, 1, PHI]).flatMap(signCombinations)),
+  dodecahedron: () => toUnitRadius([
+    ...signCombinations([1, 1, 1]),
+    ...cyclicPermutations([0, 1 / PHI, PHI]).flatMap(signCombinations),
+  ]),
+};
+
+/**
+ * Build one Platonic solid
+ * Name, element and color match the Sacred Geometry solids
+ * @param {string} id - 'tetrahedron' | 'hexahedron' | 'octahedron' | 'icosahedron' | 'dodecahedron'
+ * @returns {{id, name, element, color, parts: Array<{id, vertices, edges}>}|null} Solid, or null if unknown
+ */
+export function buildPlatonicSolid(id) {
+  const build = VERTEX_BUILDERS[id];
+  if (!build) return null;
+
+  const meta = PLATONIC_SOLIDS.find(solid => solid.id === id);
+  const vertices = build();
+
+  return {
+    id,
+    name: meta?.name ?? id,
+    element: meta?.element ?? null,
+    color: meta?.color ?? '#FFFFFF',
+    parts: [{ id, vertices, edges: findEdges(vertices) }],
+  };
+}
+
+/**
+ * Build the Merkaba: two interpenetrating tetrahedra, apexes up and down
+ * Its parts can counter-rotate (sun turns one way, earth the other)
+ * @returns {{id, name, element, color, parts: Array<{id, vertices, edges, spin}>}}
+ */
+export function buildMerkaba() {
+  const sun = tetrahedronVertices(false);
+  const earth = tetrahedronVertices(true);
+
+  return {
+    id: 'merkaba',
+    name: 'Merkaba',
+    element: 'spirit',
+    color: '#FFFFFF',
+    parts: [
+      { id: 'sun', vertices: sun, edges: findEdges(sun), spin: 1 },
+      { id: 'earth', vertices: earth, edges: findEdges(earth), spin: -1 },
+    ],
+  };
+}
+
+/**
+ * Solids available to the Merkaba effect
+ */
+export const SOLID_IDS = ['merkaba', 'tetrahedron', 'hexahedron', 'octahedron', 'icosahedron', 'dodecahedron'];
+
+/**
+ * Build any solid by id
+ * @param {string} id - One of SOLID_IDS
+ * @returns {Object|null} Solid, or null if unknown
+ */
+export function buildSolid(id) {
+  return id === 'merkaba' ? buildMerkaba() : buildPlatonicSolid(id);
+}
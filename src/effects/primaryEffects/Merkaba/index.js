@@ -0,0 +1,41 @@
+/**
+ * Merkaba - Complete Module
+ *
+ * Core Effect:
+ * - MerkabaEffect: Rotating 3D Merkaba and Platonic solids with depth-sorted edges
+ *
+ * Configuration:
+ * - MerkabaConfig: Extends base config with solid, nesting, spin, edge and vertex controls
+ *
+ * Geometry:
+ * - PlatonicSolids3D: Unit-radius vertices and edges for the Merkaba and the five Platonic solids
+ *
+ * Presets (4 configurations):
+ * - MERKABA_ACTIVATION: The lone counter-rotating star tetrahedron
+ * - KEPLER_COSMOS: All five solids nested in elemental colors
+ * - CRYSTAL_DUALS: Cube and octahedron in orthographic projection
+ * - COSMIC_MERKABA: Fast Merkaba inside a dodecahedron, close camera
+ */
+
+// Core Effect
+export { MerkabaEffect } from './MerkabaEffect.js';
+
+// Configuration
+export { MerkabaConfig } from './MerkabaConfig.js';
+
+// Geometry
+export {
+  SOLID_IDS,
+  buildSolid,
+  buildMerkaba,
+  buildPlatonicSolid,
+  findEdges,
+} from './PlatonicSolids3D.js';
+
+// Presets
+export {
+  MERKABA_ACTIVATION,
+  KEPLER_COSMOS,
+  CRYSTAL_DUALS,
+  COSMIC_MERKABA,
+} from './presets/index.js';
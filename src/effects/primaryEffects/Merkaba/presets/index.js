@@ -0,0 +1,150 @@
+/**
+ * Merkaba Presets
+ *
+ * 4 configurations of the rotating 3D solids, from the lone counter-rotating
+ * Merkaba to all five Platonic solids nested inside one another.
+ */
+
+/**
+ * PRESET 1: MERKABA_ACTIVATION
+ * Theme: Gold sun and blue earth tetrahedra counter-rotating about the vertical axis
+ * Vibe: Meditative, balanced, light body
+ */
+export const MERKABA_ACTIVATION = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.6,
+  awakeningNodeAlpha_end: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.6,
+
+  // Edges start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  solids: ['merkaba'],
+  solidRadius: 0.34,
+  merkabaSpin: 1,
+  rotation3D: [],
+  tilt: 15,
+  edgeWidth: 3,
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: KEPLER_COSMOS
+ * Theme: All five Platonic solids nested in their elemental colors, tumbling together
+ * Vibe: Harmonic, Renaissance, music of the spheres
+ */
+export const KEPLER_COSMOS = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.35,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Edges start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  solids: ['dodecahedron', 'icosahedron', 'octahedron', 'hexahedron', 'tetrahedron'],
+  solidRadius: 0.4,
+  nestingRatio: 0.8,
+  useElementColors: true,
+  rotation3D: [
+    { axis: 'y', turns: 1 },
+    { axis: [1, 0, 1], turns: 1 },
+  ],
+  edgeWidth: 1.5,
+  vertexDotSize: 2,
+  drawStagger: 0.85,
+
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: CRYSTAL_DUALS
+ * Theme: Cube and octahedron, each other's duals, in flat orthographic projection
+ * Vibe: Technical, crystalline, blueprint
+ */
+export const CRYSTAL_DUALS = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.04,
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Edges start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  solids: ['hexahedron', 'octahedron'],
+  solidRadius: 0.36,
+  nestingRatio: 0.82,
+  projection: 'orthographic',
+  depthAlphaRange: { near: 1.0, far: 0.15 },
+  useElementColors: false,
+  solidColor: '#9BE7FF',
+  rotation3D: [
+    { axis: [1, 1, 1], turns: 1 },
+  ],
+  tilt: 0,
+  radianceSwell: 0.05,
+
+  layerBlendMode: 'normal',
+};
+
+/**
+ * PRESET 4: COSMIC_MERKABA
+ * Theme: A fast-spinning Merkaba inside a dodecahedron, seen through a close, wide camera
+ * Vibe: Visionary, vertiginous, interdimensional
+ */
+export const COSMIC_MERKABA = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.2,
+  phaseRadiance_start: 0.5,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  radianceEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.4,
+  descentNodeAlpha_end: 0.4,
+
+  // Edges start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  solids: ['dodecahedron', 'merkaba'],
+  solidRadius: 0.36,
+  nestingRatio: 0.7,
+  cameraDistance: 2.0,
+  merkabaSpin: 3,
+  sunColor: '#FF4FD8',
+  earthColor: '#4FFFE1',
+  useElementColors: false,
+  solidColor: '#7C4DFF',
+  rotation3D: [
+    { axis: 'y', turns: -1 },
+    { axis: 'z', turns: 1 },
+  ],
+  radianceSwell: 0.2,
+  edgeWidth: 2.5,
+
+  layerBlendMode: ['screen', 'lighten', 'normal'],
+};
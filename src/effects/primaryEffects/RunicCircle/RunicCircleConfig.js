@@ -0,0 +1,100 @@
+/**
+ * Runic Circle Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with rune-specific parameters:
+ * - Aett grouping and ring layout
+ * - Counter-rotating ring speeds
+ * - Sequential activation flares
+ * - Bind-rune binding lines
+ * - Protective outer circle
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class RunicCircleConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== LAYOUT & AETT GROUPING ======
+    aettGrouping = 'ring',                 // 'ring' (one ring, aett-colored sectors) | 'concentric' (one ring per aett) | 'none'
+    runeRingRadius = 0.36,                 // Radius of the (outermost) rune ring (normalized)
+    concentricRingSpacing = 0.1,           // Gap between aett rings in 'concentric' mode (normalized)
+    ringRotationSpeeds = [1, -1, 1],       // Turns per loop, outer → inner ring (integers; alternate signs to counter-rotate)
+
+    // ====== COLORS ======
+    freyrAettColor = '#FF6B6B',            // Freyr's aett (fehu → wunjo)
+    heimdallAettColor = '#4ECDC4',         // Heimdall's aett (hagalaz → sowilo)
+    tyrAettColor = '#95E1D3',              // Tyr's aett (tiwaz → othala)
+    runeColor = '#C0C0D8',                 // Single color when aettGrouping is 'none'
+    circleColor = '#8E6CCF',               // Rings and protective circle
+    flareColor = '#FFFFFF',                // Activation flare
+
+    // ====== RUNES ======
+    runeSize = 14,                         // Glyph radius in pixels
+    runeLineWidth = 2,                     // Glyph stroke width
+    runesFaceOutward = true,               // Turn glyphs with the ring (false = always upright)
+    dormantRuneAlpha = 0.3,                // Brightness of runes not yet activated
+
+    // ====== ACTIVATION ======
+    activationStagger = 0.8,               // 0 = all runes at once, →1 = strictly one after another
+    enableActivationFlares = true,         // Burst of light as each rune activates
+    flareSize = 2.2,                       // Flare radius as a multiple of runeSize
+
+    // ====== BINDINGS ======
+    ringLinkOpacity = 0.5,                 // Lines between neighbouring runes once both are active
+    bindRunes = ['alu', 'protection'],     // Bind-rune names (see BIND_RUNES) or arrays of rune ids
+    bindingOpacity = 0.9,                  // Binding line opacity (scaled by pathIntensity)
+    bindingCycles = 1,                     // Times the bindings take turns glowing per loop (integer)
+    enableBindRuneGlyphs = true,           // Draw each bind-rune as one composite glyph inside the circle
+    bindRuneSize = 22,                     // Composite glyph radius in pixels
+
+    // ====== PROTECTIVE CIRCLE ======
+    enableProtectiveCircle = true,         // Outer double ring with tick marks
+    protectiveCircleRadius = 0.46,         // Outer ring radius (normalized)
+    protectiveCircleOpacity = 0.6,         // Ring opacity
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.aettGrouping = aettGrouping;
+    this.runeRingRadius = runeRingRadius;
+    this.concentricRingSpacing = concentricRingSpacing;
+    this.ringRotationSpeeds = ringRotationSpeeds;
+
+    this.freyrAettColor = freyrAettColor;
+    this.heimdallAettColor = heimdallAettColor;
+    this.tyrAettColor = tyrAettColor;
+    this.runeColor = runeColor;
+    this.circleColor = circleColor;
+    this.flareColor = flareColor;
+
+    this.runeSize = runeSize;
+    this.runeLineWidth = runeLineWidth;
+    this.runesFaceOutward = runesFaceOutward;
+    this.dormantRuneAlpha = dormantRuneAlpha;
+
+    this.activationStagger = activationStagger;
+    this.enableActivationFlares = enableActivationFlares;
+    this.flareSize = flareSize;
+
+    this.ringLinkOpacity = ringLinkOpacity;
+    this.bindRunes = bindRunes;
+    this.bindingOpacity = bindingOpacity;
+    this.bindingCycles = bindingCycles;
+    this.enableBindRuneGlyphs = enableBindRuneGlyphs;
+    this.bindRuneSize = bindRuneSize;
+
+    this.enableProtectiveCircle = enableProtectiveCircle;
+    this.protectiveCircleRadius = protectiveCircleRadius;
+    this.protectiveCircleOpacity = protectiveCircleOpacity;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
@@ -0,0 +1,423 @@
+/**
+ * Runic Circle Effect
+ *
+ * Animates a protective circle of the 24 Elder Futhark runes:
+ * - Awakening: runes fade in dormant, rings begin to turn
+ * - Ascension: runes activate one by one in futhark order, each with a flare
+ * - Radiance: every rune lit, bind-runes take turns glowing
+ * - Descent: runes go dormant in reverse order (seamless loop)
+ *
+ * Includes:
+ * - Vector stroke runes on counter-rotating rings
+ * - Aett grouping: one ring with colored sectors, or one concentric ring per aett
+ * - Binding lines between the runes of each bind-rune, and composite bind-rune glyphs
+ * - Protective outer circle with tick marks
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { ParameterTrackEngine } from '../../base/ParameterTrackEngine.js';
+import { RunicCircleConfig } from './RunicCircleConfig.js';
+import {
+  AETTIR,
+  ELDER_FUTHARK,
+  BIND_RUNES,
+  getRuneGlyph,
+  resolveBindRune,
+} from './RunicGeometry.js';
+
+const COLOR_DEFAULTS = {
+  freyrAettColor: '#FF6B6B',
+  heimdallAettColor: '#4ECDC4',
+  tyrAettColor: '#95E1D3',
+  runeColor: '#C0C0D8',
+  circleColor: '#8E6CCF',
+  flareColor: '#FFFFFF',
+};
+
+export class RunicCircleEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'runic-circle';
+  static _displayName_ = 'Runic Circle';
+  static _description_ = 'The 24 Elder Futhark runes on counter-rotating rings, activating in sequence and joined by bind-runes';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'runes', 'futhark', 'norse', 'bind-rune', 'mystical'];
+
+  constructor({
+    name = RunicCircleEffect._name_,
+    requiresLayer = true,
+    config = new RunicCircleConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof RunicCircleConfig)) {
+      config = new RunicCircleConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get rune positions for the current frame
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} 24 runes in futhark order
+   */
+  getNodePositions() {
+    const progress = this.getProgress();
+    const concentric = this.isConcentric();
+
+    return ELDER_FUTHARK.map(rune => {
+      const ring = concentric ? rune.aettIndex : 0;
+      const slot = concentric ? rune.aettPosition : rune.index;
+      const slots = concentric ? 8 : ELDER_FUTHARK.length;
+      const radius = this.getRingRadius(ring);
+      // Fehu sits at the top, the futhark runs clockwise
+      const angle = -Math.PI / 2 + (slot / slots) * Math.PI * 2 + this.getRingRotation(ring, progress);
+
+      return {
+        ...rune,
+        ring,
+        angle,
+        radius,
+        x: 0.5 + Math.cos(angle) * radius,
+        y: 0.5 + Math.sin(angle) * radius,
+      };
+    });
+  }
+
+  /**
+   * Get ring links and bind-rune binding lines
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Links with {start, end, type} rune ids ('ring' | 'bind', plus binding index)
+   */
+  getPathConnections() {
+    const connections = [];
+
+    if (this.isConcentric()) {
+      for (const rune of ELDER_FUTHARK) {
+        const next = ELDER_FUTHARK[rune.aettIndex * 8 + ((rune.aettPosition + 1) % 8)];
+        connections.push({ start: rune.id, end: next.id, type: 'ring' });
+      }
+    } else {
+      for (const rune of ELDER_FUTHARK) {
+        const next = ELDER_FUTHARK[(rune.index + 1) % ELDER_FUTHARK.length];
+        connections.push({ start: rune.id, end: next.id, type: 'ring' });
+      }
+    }
+
+    (this.bindings || []).forEach((binding, b) => {
+      const { runes } = binding;
+      // Two runes share one line; three or more close into a figure
+      const links = runes.length > 2 ? runes.length : runes.length - 1;
+      for (let i = 0; i < links; i++) {
+        connections.push({ start: runes[i].id, end: runes[(i + 1) % runes.length].id, type: 'bind', binding: b });
+      }
+    });
+
+    return connections;
+  }
+
+  /**
+   * Pre-generate hook: blend mode, colors and bind-runes
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = RunicCircleConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    for (const [key, fallback] of Object.entries(COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+
+    this.bindings = [];
+    for (const binding of this.config.bindRunes || []) {
+      const runes = resolveBindRune(binding);
+      if (runes.length < 2) {
+        console.warn(`⚠️ [RunicCircle] Ignoring bind-rune ${JSON.stringify(binding)} - needs at least two known runes (named bind-runes: ${Object.keys(BIND_RUNES).join(', ')})`);
+        continue;
+      }
+      this.bindings.push({ name: typeof binding === 'string' ? binding : runes.map(rune => rune.id).join('-'), runes });
+    }
+  }
+
+  /**
+   * Whether each aett sits on its own concentric ring
+   * @returns {boolean}
+   */
+  isConcentric() {
+    return this.getActiveConfig().aettGrouping === 'concentric';
+  }
+
+  /**
+   * Radius of a rune ring (normalized); ring 0 is outermost
+   * @param {number} ring - Ring index
+   * @returns {number}
+   */
+  getRingRadius(ring) {
+    const config = this.getActiveConfig();
+    return (config.runeRingRadius ?? 0.36) - ring * (config.concentricRingSpacing ?? 0.1);
+  }
+
+  /**
+   * Rotation of a ring at a progress (whole turns per loop)
+   * @param {number} ring - Ring index (speeds repeat if there are fewer speeds than rings)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Rotation in radians
+   */
+  getRingRotation(ring, progress) {
+    const speeds = this.getActiveConfig().ringRotationSpeeds;
+    const list = Array.isArray(speeds) && speeds.length > 0 ? speeds : [1, -1];
+    return progress * Math.round(list[ring % list.length] || 0) * Math.PI * 2;
+  }
+
+  /**
+   * Activation of a rune (0 = dormant, 1 = lit)
+   * Runes activate in futhark order across the second phase (the first when there
+   * are only two) and go dormant in reverse order across the last phase
+   * @param {number} index - Futhark index (0-23)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {{activation: number, flare: number}} Activation and flare strength (0-1)
+   */
+  getRuneActivation(index, progress) {
+    const phases = this.getPhaseDefinitions();
+    const phase = this.getCurrentPhase(progress);
+    const phaseIndex = Math.max(0, phases.findIndex(definition => definition.name === phase));
+    const phaseProgress = Math.max(0, Math.min(1, this.getPhaseProgress(progress, phase)));
+    const eased = this.applyEasing(phaseProgress, this.getPhaseEasing(phase));
+    const stagger = this.getActiveConfig().activationStagger ?? 0.8;
+    const count = ELDER_FUTHARK.length;
+    const activationPhase = phases.length >= 3 ? 1 : 0;
+
+    if (phases.length > 1 && phaseIndex === phases.length - 1) {
+      return { activation: 1 - this.getStaggeredProgress(count - 1 - index, count, eased, stagger), flare: 0 };
+    }
+    if (phaseIndex === activationPhase) {
+      const activation = this.getStaggeredProgress(index, count, eased, stagger);
+      return { activation, flare: Math.sin(activation * Math.PI) };
+    }
+    return { activation: phaseIndex < activationPhase ? 0 : 1, flare: 0 };
+  }
+
+  /**
+   * Render the circle, back to front
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    const runes = new Map(this.getNodePositions().map(rune => [rune.id, {
+      ...rune,
+      ...this.getRuneActivation(rune.index, progress),
+      position: this.transformCoordinate(rune.x, rune.y, width, height),
+      color: this.#getRuneColor(rune, frameConfig),
+    }]));
+    const bindingStrengths = this.#getBindingStrengths(runes, progress, frameConfig);
+
+    await this.#renderProtectiveCircle(canvas, width, height, frameConfig, progress);
+    await this.#renderRings(canvas, width, height, frameConfig);
+    await this.#renderLinks(canvas, runes, bindingStrengths, frameConfig);
+    await this.#renderRunes(canvas, runes, frameConfig);
+    await this.#renderBindRuneGlyphs(canvas, runes, bindingStrengths, width, height, frameConfig);
+  }
+
+  /**
+   * Rune color: its aett's color, or the single rune color when grouping is off
+   * @private
+   */
+  #getRuneColor(rune, frameConfig) {
+    if (frameConfig.aettGrouping === 'none') return frameConfig.runeColor;
+    return frameConfig[`${rune.aett}AettColor`] || AETTIR[rune.aettIndex].color;
+  }
+
+  /**
+   * Glow strength of each binding: bindings take turns peaking (whole cycles per loop),
+   * gated by the activation of their least-lit rune
+   * @private
+   */
+  #getBindingStrengths(runes, progress, frameConfig) {
+    const bindings = this.bindings || [];
+    const cycles = Math.max(1, Math.round(frameConfig.bindingCycles ?? 1));
+
+    return bindings.map((binding, b) => {
+      const gate = Math.min(...binding.runes.map(rune => runes.get(rune.id)?.activation ?? 0));
+      const turn = bindings.length > 1
+        ? 0.5 + 0.5 * Math.cos((progress * cycles - b / bindings.length) * Math.PI * 2)
+        : 1;
+      return gate * turn;
+    });
+  }
+
+  /**
+   * Render the protective circle: double ring with ticks turning against the outer runes
+   * @private
+   */
+  async #renderProtectiveCircle(canvas, width, height, frameConfig, progress) {
+    if (!frameConfig.enableProtectiveCircle) return;
+
+    const alpha = (frameConfig.protectiveCircleOpacity ?? 0.6) * (frameConfig.nodeAlpha ?? 1.0);
+    if (alpha <= 0.01) return;
+
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+    const unit = Math.min(width, height) * (frameConfig.scale ?? 1.0);
+    const outer = (frameConfig.protectiveCircleRadius ?? 0.46) * unit;
+    const inner = outer - 0.02 * unit;
+    const color = frameConfig.circleColor;
+    const rotation = -this.getRingRotation(0, progress);
+
+    await canvas.drawRing2d(center, outer, 2, color, 1, color, alpha);
+    await canvas.drawRing2d(center, inner, 1, color, 0, null, alpha * 0.8);
+
+    for (let i = 0; i < 72; i++) {
+      const angle = rotation + (i / 72) * Math.PI * 2;
+      const length = i % 3 === 0 ? 1 : 0.5;
+      const from = inner + (outer - inner) * (1 - length) * 0.5;
+      const to = outer - (outer - inner) * (1 - length) * 0.5;
+      await canvas.drawLine2d(
+        { x: center.x + Math.cos(angle) * from, y: center.y + Math.sin(angle) * from },
+        { x: center.x + Math.cos(angle) * to, y: center.y + Math.sin(angle) * to },
+        1,
+        color,
+        0,
+        null,
+        alpha * 0.7
+      );
+    }
+  }
+
+  /**
+   * Render a faint circle along each rune ring
+   * @private
+   */
+  async #renderRings(canvas, width, height, frameConfig) {
+    const alpha = (frameConfig.nodeAlpha ?? 1.0) * 0.35;
+    if (alpha <= 0.01) return;
+
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+    const unit = Math.min(width, height) * (frameConfig.scale ?? 1.0);
+    const rings = this.isConcentric() ? AETTIR.length : 1;
+
+    for (let ring = 0; ring < rings; ring++) {
+      const color = this.isConcentric() && frameConfig.aettGrouping !== 'none'
+        ? frameConfig[`${AETTIR[ring].id}AettColor`]
+        : frameConfig.circleColor;
+      await canvas.drawRing2d(center, this.getRingRadius(ring) * unit, 1, color, 0, null, alpha);
+    }
+  }
+
+  /**
+   * Render ring links between active neighbours and the bind-rune binding lines
+   * @private
+   */
+  async #renderLinks(canvas, runes, bindingStrengths, frameConfig) {
+    const pathIntensity = frameConfig.pathIntensity ?? 1.0;
+    const thickness = (frameConfig.pathThickness || 1.5) * (frameConfig.pathSizeScale || 1.0);
+
+    for (const link of this.getPathConnections()) {
+      const from = runes.get(link.start);
+      const to = runes.get(link.end);
+      if (!from || !to) continue;
+
+      if (link.type === 'ring') {
+        const alpha = pathIntensity * (frameConfig.ringLinkOpacity ?? 0.5) * Math.min(from.activation, to.activation);
+        if (alpha <= 0.01) continue;
+        await canvas.drawLine2d(from.position, to.position, thickness * 0.6, from.color, 0, null, alpha);
+        continue;
+      }
+
+      const alpha = pathIntensity * (frameConfig.bindingOpacity ?? 0.9) * (bindingStrengths[link.binding] ?? 0);
+      if (alpha <= 0.01) continue;
+      await canvas.drawLine2d(from.position, to.position, thickness, frameConfig.flareColor, 2, from.color, alpha);
+    }
+  }
+
+  /**
+   * Render the runes: backing disc, activation flare, glyph
+   * @private
+   */
+  async #renderRunes(canvas, runes, frameConfig) {
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    if (nodeAlpha <= 0.01) return;
+
+    const size = frameConfig.runeSize ?? 14;
+    const dormant = frameConfig.dormantRuneAlpha ?? 0.3;
+
+    for (const rune of runes.values()) {
+      const alpha = nodeAlpha * (dormant + (1 - dormant) * rune.activation);
+
+      await canvas.drawFilledPolygon2d(size * 1.2, rune.position, 24, 0, '#000000', nodeAlpha * 0.6);
+
+      if (frameConfig.enableActivationFlares && rune.flare > 0.01) {
+        const flareRadius = size * (frameConfig.flareSize ?? 2.2) * (0.5 + rune.flare * 0.5);
+        await canvas.drawRing2d(rune.position, flareRadius, 3, frameConfig.flareColor, 2, rune.color, nodeAlpha * rune.flare);
+      }
+
+      await this.renderGlyph(canvas, getRuneGlyph(rune.glyph), rune.position, size, {
+        // Dormant runes are silver, warming to their aett color as they activate
+        color: ParameterTrackEngine.interpolate(frameConfig.runeColor, rune.color, rune.activation),
+        opacity: alpha,
+        // Glyph tops point away from the center
+        rotation: frameConfig.runesFaceOutward ? rune.angle + Math.PI / 2 : 0,
+        lineWidth: frameConfig.runeLineWidth ?? 2,
+      });
+    }
+  }
+
+  /**
+   * Render each bind-rune as one composite glyph: its runes overlaid on a shared stave,
+   * spaced around the inside of the circle
+   * @private
+   */
+  async #renderBindRuneGlyphs(canvas, runes, bindingStrengths, width, height, frameConfig) {
+    if (!frameConfig.enableBindRuneGlyphs) return;
+
+    const bindings = this.bindings || [];
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    const size = frameConfig.bindRuneSize ?? 22;
+    const innerRadius = bindings.length > 1 ? this.getRingRadius(this.isConcentric() ? AETTIR.length - 1 : 0) * 0.45 : 0;
+
+    for (let b = 0; b < bindings.length; b++) {
+      const alpha = nodeAlpha * bindingStrengths[b];
+      if (alpha <= 0.01) continue;
+
+      const angle = -Math.PI / 2 + (b / bindings.length) * Math.PI * 2;
+      const position = this.transformCoordinate(
+        0.5 + Math.cos(angle) * innerRadius,
+        0.5 + Math.sin(angle) * innerRadius,
+        width,
+        height
+      );
+      const color = runes.get(bindings[b].runes[0].id)?.color || frameConfig.runeColor;
+
+      await canvas.drawRing2d(position, size * 1.4, 1.5, color, 0, null, alpha * 0.5);
+      await this.renderGlyph(canvas, [{ type: 'line', x1: 0.5, y1: 0.05, x2: 0.5, y2: 0.95 }], position, size, {
+        color: frameConfig.flareColor,
+        opacity: alpha,
+        lineWidth: (frameConfig.runeLineWidth ?? 2) * 1.25,
+      });
+      for (const rune of bindings[b].runes) {
+        await this.renderGlyph(canvas, getRuneGlyph(rune.glyph), position, size, {
+          color,
+          opacity: alpha * 0.9,
+          lineWidth: frameConfig.runeLineWidth ?? 2,
+        });
+      }
+    }
+  }
+}
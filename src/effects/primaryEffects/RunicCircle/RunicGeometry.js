@@ -0,0 +1,138 @@
+/**
+ * Runic Circle Geometry
+ *
+ * Defines the Elder Futhark:
+ * - 24 runes in futhark order, each with name, sound, meaning and aett
+ * - Vector stroke glyphs (MysticSymbolsEngine element format, 0-1 coordinates,
+ *   y pointing down) rendered through PhaseAnimatedPolygonEffect.renderGlyph()
+ * - The three aettir (families of eight): Freyr's, Heimdall's and Tyr's
+ * - Named bind-runes: runes joined on a shared stave as a single charm
+ */
+
+/**
+ * Vertical stave at x
+ * @private
+ */
+function stave(x, y1 = 0.1, y2 = 0.9) {
+  return { type: 'line', x1: x, y1, x2: x, y2 };
+}
+
+/**
+ * The three aettir, in futhark order
+ */
+export const AETTIR = [
+  { id: 'freyr', name: "Freyr's Aett", index: 0, color: '#FF6B6B' },
+  { id: 'heimdall', name: "Heimdall's Aett", index: 1, color: '#4ECDC4' },
+  { id: 'tyr', name: "Tyr's Aett", index: 2, color: '#95E1D3' },
+];
+
+/**
+ * The 24 runes of the Elder Futhark
+ */
+export const ELDER_FUTHARK = [
+  { id: 'fehu', letter: 'ᚠ', sound: 'f', meaning: 'Wealth' },
+  { id: 'uruz', letter: 'ᚢ', sound: 'u', meaning: 'Strength' },
+  { id: 'thurisaz', letter: 'ᚦ', sound: 'th', meaning: 'Giant / thorn' },
+  { id: 'ansuz', letter: 'ᚨ', sound: 'a', meaning: 'The god / breath' },
+  { id: 'raidho', letter: 'ᚱ', sound: 'r', meaning: 'Journey' },
+  { id: 'kenaz', letter: 'ᚲ', sound: 'k', meaning: 'Torch' },
+  { id: 'gebo', letter: 'ᚷ', sound: 'g', meaning: 'Gift' },
+  { id: 'wunjo', letter: 'ᚹ', sound: 'w', meaning: 'Joy' },
+  { id: 'hagalaz', letter: 'ᚺ', sound: 'h', meaning: 'Hail' },
+  { id: 'naudhiz', letter: 'ᚾ', sound: 'n', meaning: 'Need' },
+  { id: 'isa', letter: 'ᛁ', sound: 'i', meaning: 'Ice' },
+  { id: 'jera', letter: 'ᛃ', sound: 'j', meaning: 'Harvest' },
+  { id: 'eihwaz', letter: 'ᛇ', sound: 'ei', meaning: 'Yew' },
+  { id: 'perthro', letter: 'ᛈ', sound: 'p', meaning: 'Lot cup' },
+  { id: 'algiz', letter: 'ᛉ', sound: 'z', meaning: 'Protection' },
+  { id: 'sowilo', letter: 'ᛊ', sound: 's', meaning: 'Sun' },
+  { id: 'tiwaz', letter: 'ᛏ', sound: 't', meaning: 'Tyr / justice' },
+  { id: 'berkano', letter: 'ᛒ', sound: 'b', meaning: 'Birch' },
+  { id: 'ehwaz', letter: 'ᛖ', sound: 'e', meaning: 'Horse' },
+  { id: 'mannaz', letter: 'ᛗ', sound: 'm', meaning: 'Mankind' },
+  { id: 'laguz', letter: 'ᛚ', sound: 'l', meaning: 'Water' },
+  { id: 'ingwaz', letter: 'ᛜ', sound: 'ng', meaning: 'Ing / seed' },
+  { id: 'dagaz', letter: 'ᛞ', sound: 'd', meaning: 'Day' },
+  { id: 'othala', letter: 'ᛟ', sound: 'o', meaning: 'Heritage' },
+].map((rune, index) => ({
+  ...rune,
+  index,
+  name: rune.id.charAt(0).toUpperCase() + rune.id.slice(1),
+  aett: AETTIR[Math.floor(index / 8)].id,
+  aettIndex: Math.floor(index / 8),
+  aettPosition: index % 8,
+  glyph: rune.id,
+}));
+
+export const RUNE_GLYPHS = {
+  fehu: [stave(0.35), { type: 'line', x1: 0.35, y1: 0.3, x2: 0.7, y2: 0.1 }, { type: 'line', x1: 0.35, y1: 0.5, x2: 0.7, y2: 0.3 }],
+  uruz: [{ type: 'path', points: [[0.3, 0.9], [0.3, 0.1], [0.7, 0.3], [0.7, 0.9]] }],
+  thurisaz: [stave(0.35), { type: 'path', points: [[0.35, 0.3], [0.65, 0.5], [0.35, 0.7]] }],
+  ansuz: [stave(0.35), { type: 'line', x1: 0.35, y1: 0.1, x2: 0.7, y2: 0.3 }, { type: 'line', x1: 0.35, y1: 0.35, x2: 0.7, y2: 0.55 }],
+  raidho: [stave(0.35), { type: 'path', points: [[0.35, 0.1], [0.65, 0.28], [0.35, 0.46], [0.65, 0.9]] }],
+  kenaz: [{ type: 'path', points: [[0.65, 0.2], [0.35, 0.5], [0.65, 0.8]] }],
+  gebo: [{ type: 'line', x1: 0.2, y1: 0.1, x2: 0.8, y2: 0.9 }, { type: 'line', x1: 0.8, y1: 0.1, x2: 0.2, y2: 0.9 }],
+  wunjo: [stave(0.35), { type: 'path', points: [[0.35, 0.1], [0.65, 0.28], [0.35, 0.46]] }],
+
+  hagalaz: [stave(0.3), stave(0.7), { type: 'line', x1: 0.3, y1: 0.4, x2: 0.7, y2: 0.6 }],
+  naudhiz: [stave(0.5), { type: 'line', x1: 0.3, y1: 0.4, x2: 0.7, y2: 0.6 }],
+  isa: [stave(0.5)],
+  jera: [{ type: 'path', points: [[0.45, 0.2], [0.25, 0.4], [0.45, 0.6]] }, { type: 'path', points: [[0.55, 0.4], [0.75, 0.6], [0.55, 0.8]] }],
+  eihwaz: [stave(0.5), { type: 'line', x1: 0.5, y1: 0.1, x2: 0.7, y2: 0.25 }, { type: 'line', x1: 0.5, y1: 0.9, x2: 0.3, y2: 0.75 }],
+  perthro: [stave(0.3), { type: 'path', points: [[0.3, 0.1], [0.6, 0.3], [0.7, 0.15]] }, { type: 'path', points: [[0.3, 0.9], [0.6, 0.7], [0.7, 0.85]] }],
+  algiz: [stave(0.5), { type: 'line', x1: 0.5, y1: 0.45, x2: 0.2, y2: 0.1 }, { type: 'line', x1: 0.5, y1: 0.45, x2: 0.8, y2: 0.1 }],
+  sowilo: [{ type: 'path', points: [[0.65, 0.1], [0.35, 0.35], [0.65, 0.65], [0.35, 0.9]] }],
+
+  tiwaz: [stave(0.5), { type: 'path', points: [[0.2, 0.35], [0.5, 0.1], [0.8, 0.35]] }],
+  berkano: [stave(0.35), { type: 'path', points: [[0.35, 0.1], [0.65, 0.3], [0.35, 0.5], [0.65, 0.7], [0.35, 0.9]] }],
+  ehwaz: [{ type: 'path', points: [[0.25, 0.9], [0.25, 0.1], [0.5, 0.35], [0.75, 0.1], [0.75, 0.9]] }],
+  mannaz: [stave(0.25), stave(0.75), { type: 'line', x1: 0.25, y1: 0.1, x2: 0.75, y2: 0.45 }, { type: 'line', x1: 0.75, y1: 0.1, x2: 0.25, y2: 0.45 }],
+  laguz: [stave(0.4), { type: 'line', x1: 0.4, y1: 0.1, x2: 0.7, y2: 0.3 }],
+  ingwaz: [{ type: 'polygon', points: [[0.5, 0.2], [0.75, 0.5], [0.5, 0.8], [0.25, 0.5]] }],
+  dagaz: [{ type: 'polygon', points: [[0.2, 0.1], [0.2, 0.9], [0.8, 0.1], [0.8, 0.9]] }],
+  othala: [{ type: 'path', points: [[0.25, 0.9], [0.7, 0.45], [0.5, 0.2], [0.3, 0.45], [0.75, 0.9]] }],
+};
+
+/**
+ * Named bind-runes (rune ids in binding order)
+ */
+export const BIND_RUNES = {
+  'alu': ['ansuz', 'laguz', 'uruz'],                               // Attested charm word - ale, ecstasy
+  'laukaz': ['laguz', 'ansuz', 'uruz', 'kenaz', 'algiz'],          // Attested charm word - leek, growth
+  'gibu-auja': ['gebo', 'ansuz'],                                  // "I give luck"
+  'protection': ['algiz', 'thurisaz', 'tiwaz'],
+  'prosperity': ['fehu', 'jera', 'othala'],
+  'victory': ['tiwaz', 'sowilo', 'dagaz'],
+};
+
+/**
+ * Get a rune definition by id or index
+ * @param {string|number} key - Rune id (e.g. 'fehu') or futhark index (0-23)
+ * @returns {Object|null}
+ */
+export function getRune(key) {
+  if (typeof key === 'number') return ELDER_FUTHARK[key] || null;
+  if (typeof key !== 'string') return null;
+  return ELDER_FUTHARK.find(rune => rune.id === key.toLowerCase()) || null;
+}
+
+/**
+ * Get the stroke definition for a rune
+ * @param {string} id - Rune id
+ * @returns {Array<Object>|null} Glyph elements, or null if unknown
+ */
+export function getRuneGlyph(id) {
+  return (id && RUNE_GLYPHS[id.toLowerCase()]) || null;
+}
+
+/**
+ * Resolve a bind-rune to rune definitions
+ * Accepts a name from BIND_RUNES or an array of rune ids / indices
+ * @param {string|Array} binding - Bind-rune name or rune list
+ * @returns {Array<Object>} Runes (unknown entries dropped)
+ */
+export function resolveBindRune(binding) {
+  const ids = typeof binding === 'string' ? BIND_RUNES[binding.toLowerCase()] : binding;
+  if (!Array.isArray(ids)) return [];
+  return ids.map(getRune).filter(Boolean);
+}
@@ -0,0 +1,43 @@
+/**
+ * Runic Circle - Complete Module
+ *
+ * Core Effect:
+ * - RunicCircleEffect: Elder Futhark runes on counter-rotating rings with bind-runes
+ *
+ * Configuration:
+ * - RunicCircleConfig: Extends base config with aett grouping, activation and binding controls
+ *
+ * Geometry:
+ * - RunicGeometry: The 24 runes, their stroke glyphs, the three aettir and named bind-runes
+ *
+ * Presets (4 configurations):
+ * - WARDING_CIRCLE: Single protective ring
+ * - THREE_AETTIR: One counter-rotating ring per aett
+ * - SILVER_SEIDR: Monochrome trance circle
+ * - RAGNAROK: Fast, blazing, every binding lit
+ */
+
+// Core Effect
+export { RunicCircleEffect } from './RunicCircleEffect.js';
+
+// Configuration
+export { RunicCircleConfig } from './RunicCircleConfig.js';
+
+// Geometry
+export {
+  AETTIR,
+  ELDER_FUTHARK,
+  RUNE_GLYPHS,
+  BIND_RUNES,
+  getRune,
+  getRuneGlyph,
+  resolveBindRune,
+} from './RunicGeometry.js';
+
+// Presets
+export {
+  WARDING_CIRCLE,
+  THREE_AETTIR,
+  SILVER_SEIDR,
+  RAGNAROK,
+} from './presets/index.js';
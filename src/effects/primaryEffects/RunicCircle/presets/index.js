@@ -0,0 +1,150 @@
+/**
+ * Runic Circle Presets
+ *
+ * 4 configurations of the rune circle, from a single warding ring
+ * to three counter-rotating aettir.
+ */
+
+/**
+ * PRESET 1: WARDING_CIRCLE
+ * Theme: One protective ring, aett-colored sectors, alu and protection bind-runes
+ * Vibe: Steady, guarded, ancient
+ */
+export const WARDING_CIRCLE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.15,
+  phaseRadiance_start: 0.55,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.4,
+  awakeningNodeAlpha_end: 0.8,
+  ascensionNodeAlpha_start: 0.8,
+  ascensionNodeAlpha_end: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.4,
+
+  // Links start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  awakeningPathIntensity_end: 0.5,
+  descentPathIntensity_start: 1.0,
+  descentPathIntensity_end: 0.1,
+
+  aettGrouping: 'ring',
+  ringRotationSpeeds: [1, -1],
+  bindRunes: ['alu', 'protection'],
+  enableProtectiveCircle: true,
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: THREE_AETTIR
+ * Theme: Each aett on its own ring, alternately counter-rotating
+ * Vibe: Mechanical, layered, hypnotic
+ */
+export const THREE_AETTIR = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.2,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.06,
+
+  ascensionEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.3,
+  descentNodeAlpha_end: 0.3,
+
+  // Links start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  aettGrouping: 'concentric',
+  runeRingRadius: 0.38,
+  concentricRingSpacing: 0.11,
+  ringRotationSpeeds: [1, -1, 1],
+  runeSize: 12,
+
+  bindRunes: ['victory'],
+  enableBindRuneGlyphs: true,
+  bindRuneSize: 26,
+
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: SILVER_SEIDR
+ * Theme: Monochrome silver runes on violet, slow single turn, many bind-runes in rotation
+ * Vibe: Quiet, trance-like, nocturnal
+ */
+export const SILVER_SEIDR = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.5,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.08,
+
+  awakeningEasing: 'smoothstep',
+  ascensionEasing: 'smoothstep',
+  descentEasing: 'smoothstep',
+
+  awakeningNodeAlpha_start: 0.3,
+  descentNodeAlpha_end: 0.3,
+
+  // Links start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  aettGrouping: 'none',
+  runeColor: '#D8D8E8',
+  circleColor: '#6A4C9C',
+  flareColor: '#E6E0FF',
+  ringRotationSpeeds: [1, 0],
+  dormantRuneAlpha: 0.2,
+  activationStagger: 0.95,
+
+  bindRunes: ['alu', 'laukaz', 'gibu-auja', 'prosperity'],
+  bindingCycles: 2,
+  bindingOpacity: 0.7,
+
+  layerBlendMode: 'lighten',
+};
+
+/**
+ * PRESET 4: RAGNAROK
+ * Theme: Fast opposing rings, rapid-fire flares, every binding blazing
+ * Vibe: Violent, bright, apocalyptic
+ */
+export const RAGNAROK = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.08,
+  phaseRadiance_start: 0.3,
+  phaseDescentstart: 0.75,
+  transitionZoneWidth: 0.04,
+
+  awakeningEasing: 'easeInCubic',
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Links start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  aettGrouping: 'concentric',
+  ringRotationSpeeds: [2, -3, 2],
+  freyrAettColor: '#FF3D00',
+  heimdallAettColor: '#FFAB00',
+  tyrAettColor: '#FF1744',
+  circleColor: '#B71C1C',
+  flareColor: '#FFF3E0',
+
+  activationStagger: 0.6,
+  flareSize: 3,
+  bindRunes: ['victory', 'protection', ['thurisaz', 'hagalaz', 'naudhiz', 'isa']],
+  bindingCycles: 3,
+
+  layerBlendMode: 'screen',
+};
@@ -0,0 +1,162 @@
+/**
+ * Circle Packing Geometry
+ *
+ * One hexagonal circle-packing generator behind the classic sacred-geometry figures:
+ * - Seed of Life: 7 circles (center + first ring), centers one radius apart
+ * - Flower of Life: 19 circles (two rings), centers one radius apart, enclosed
+ * - Fruit of Life: 13 non-overlapping circles (center, inner hexagon, outer hexagon
+ *   on the same spokes), centers two radii apart
+ * - Metatron's Cube: the Fruit of Life centers joined by all 78 lines
+ *
+ * Plus the Platonic solid outlines traditionally found inside Metatron's Cube,
+ * as edge lists over the 13 Metatron nodes.
+ *
+ * Coordinates are unitless: circle radius 1, pattern centered on the origin.
+ */
+
+/**
+ * Pattern definitions
+ * spacing: distance between neighbouring centers, in circle radii
+ * rings: hex rings of the lattice to include
+ * cornersOnly: in the outermost ring, keep only the 6 spoke points
+ * extent: radius of the whole figure, in circle radii
+ */
+export const SACRED_PATTERNS = {
+  'seed-of-life': { name: 'Seed of Life', spacing: 1, rings: 1, cornersOnly: false, extent: 2, enclosed: false },
+  'flower-of-life': { name: 'Flower of Life', spacing: 1, rings: 2, cornersOnly: false, extent: 3, enclosed: true },
+  'fruit-of-life': { name: 'Fruit of Life', spacing: 2, rings: 2, cornersOnly: true, extent: 5, enclosed: false },
+  'metatrons-cube': { name: "Metatron's Cube", spacing: 2, rings: 2, cornersOnly: true, extent: 5, enclosed: false },
+};
+
+/**
+ * Hexagonal lattice points, ring by ring, each ring starting at the top and running clockwise
+ * @param {number} rings - Number of rings around the center
+ * @param {number} spacing - Distance between neighbouring points
+ * @returns {Array<Object>} Points { x, y, ring, isCorner }
+ */
+export function generateHexLattice(rings, spacing = 1) {
+  const points = [{ x: 0, y: 0, ring: 0, isCorner: true }];
+
+  for (let ring = 1; ring <= rings; ring++) {
+    for (let side = 0; side < 6; side++) {
+      const cornerAngle = -Math.PI / 2 + (side * Math.PI) / 3;
+      const nextAngle = cornerAngle + Math.PI / 3;
+      const corner = { x: Math.cos(cornerAngle) * ring * spacing, y: Math.sin(cornerAngle) * ring * spacing };
+      const next = { x: Math.cos(nextAngle) * ring * spacing, y: Math.sin(nextAngle) * ring * spacing };
+
+      // Each side holds `ring` points: the corner, then evenly spaced toward the next corner
+      for (let step = 0; step < ring; step++) {
+        const t = step / ring;
+        points.push({
+          x: corner.x + (next.x - corner.x) * t,
+          y: corner.y + (next.y - corner.y) * t,
+          ring,
+          isCorner: step === 0,
+        });
+      }
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Circles of a sacred pattern, in construction order (center outward)
+ * @param {string} pattern - Key of SACRED_PATTERNS
+ * @returns {Array<Object>} Circles { x, y, radius, ring, order } (radius 1)
+ */
+export function generatePatternCircles(pattern) {
+  const definition = getSacredPattern(pattern);
+
+  return generateHexLattice(definition.rings, definition.spacing)
+    .filter(point => !definition.cornersOnly || point.ring < definition.rings || point.isCorner)
+    .map((point, order) => ({ x: point.x, y: point.y, radius: 1, ring: point.ring, order }));
+}
+
+/**
+ * The 13 Metatron nodes: center (0), inner hexagon (1-6), outer hexagon (7-12)
+ * Inner and outer hexagons share spokes, starting at the top and running clockwise
+ */
+export const METATRON_NODES = generatePatternCircles('fruit-of-life').map((circle, index) => ({
+  id: index,
+  name: index === 0 ? 'CENTER' : index <= 6 ? `INNER_${index - 1}` : `OUTER_${index - 7}`,
+  ring: circle.ring,
+  x: circle.x,
+  y: circle.y,
+}));
+
+/**
+ * All 78 lines of Metatron's Cube (every pair of the 13 nodes)
+ */
+export const METATRON_EDGES = (() => {
+  const edges = [];
+  for (let a = 0; a < METATRON_NODES.length; a++) {
+    for (let b = a + 1; b < METATRON_NODES.length; b++) {
+      edges.push({ start: a, end: b, type: 'metatron' });
+    }
+  }
+  return edges;
+})();
+
+const C = 0;
+const I = k => 1 + (((k % 6) + 6) % 6);
+const O = k => 7 + (((k % 6) + 6) % 6);
+const hexagon = ring => [0, 1, 2, 3, 4, 5].map(k => [ring(k), ring(k + 1)]);
+
+/**
+ * Platonic solid outlines within Metatron's Cube (edge pairs of node indices),
+ * each seen along a 3-fold axis as in the traditional diagram
+ * The dodecahedron has no exact projection on the 13-node grid; its entry is the
+ * customary approximation (two hexagons joined by spokes)
+ */
+export const PLATONIC_SOLIDS = [
+  {
+    id: 'tetrahedron',
+    name: 'Tetrahedron',
+    element: 'fire',
+    color: '#FF6B4A',
+    edges: [[O(0), O(2)], [O(2), O(4)], [O(4), O(0)], [C, O(0)], [C, O(2)], [C, O(4)]],
+  },
+  {
+    id: 'hexahedron',
+    name: 'Cube',
+    element: 'earth',
+    color: '#8FBF6A',
+    edges: [...hexagon(O), [C, O(1)], [C, O(3)], [C, O(5)]],
+  },
+  {
+    id: 'octahedron',
+    name: 'Octahedron',
+    element: 'air',
+    color: '#F7E07A',
+    edges: [...hexagon(I), [I(0), I(2)], [I(2), I(4)], [I(4), I(0)], [I(1), I(3)], [I(3), I(5)], [I(5), I(1)]],
+  },
+  {
+    id: 'icosahedron',
+    name: 'Icosahedron',
+    element: 'water',
+    color: '#5EA8F2',
+    edges: [
+      ...hexagon(O),
+      [I(0), I(2)], [I(2), I(4)], [I(4), I(0)],
+      ...[0, 2, 4].flatMap(k => [[I(k), O(k - 1)], [I(k), O(k)], [I(k), O(k + 1)]]),
+    ],
+  },
+  {
+    id: 'dodecahedron',
+    name: 'Dodecahedron',
+    element: 'aether',
+    color: '#C58AF9',
+    edges: [...hexagon(I), ...hexagon(O), ...[0, 1, 2, 3, 4, 5].map(k => [I(k), O(k)])],
+  },
+];
+
+/**
+ * Get a pattern definition, falling back to the Flower of Life
+ * @param {string} pattern - Key of SACRED_PATTERNS
+ * @returns {Object}
+ */
+export function getSacredPattern(pattern) {
+  return SACRED_PATTERNS[pattern] || SACRED_PATTERNS['flower-of-life'];
+}
+
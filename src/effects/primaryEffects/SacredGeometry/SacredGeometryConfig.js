@@ -0,0 +1,83 @@
+/**
+ * Sacred Geometry Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with circle-packing parameters:
+ * - Pattern selection (Seed / Flower / Fruit of Life, Metatron's Cube)
+ * - Circle construction animation
+ * - Metatron lines and nodes
+ * - Platonic solid highlights
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class SacredGeometryConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== PATTERN ======
+    pattern = 'metatrons-cube',            // 'seed-of-life' | 'flower-of-life' | 'fruit-of-life' | 'metatrons-cube'
+    patternRadius = 0.42,                  // Radius of the whole figure (normalized)
+    rotationSpeed = 0,                     // Figure turns per loop (integer for perfect loop, 0 = still)
+
+    // ====== CIRCLES ======
+    circleColor = '#E8D5FF',               // Circle stroke color (string or ColorPicker)
+    circleLineWidth = 1.5,                 // Circle stroke width
+    circleOpacity = 0.8,                   // Circle opacity
+    encloseFlower = true,                  // Draw the enclosing circle around the Flower of Life
+    constructionStagger = 0.7,             // 0 = all circles at once, →1 = strictly one after another
+    circleSegments = 48,                   // Segments used while a circle is being drawn
+
+    // ====== METATRON'S CUBE ======
+    enableMetatronLines = false,           // Draw the 78 lines on any pattern (always on for 'metatrons-cube')
+    lineColor = '#B39DDB',                 // Line color (string or ColorPicker)
+    lineOpacity = 0.6,                     // Line opacity (scaled by pathIntensity)
+    lineStagger = 0.8,                     // Stagger of the line draw-in
+    showMetatronNodes = true,              // Dots on the 13 nodes while lines are shown
+    nodeColor = '#FFFFFF',                 // Node dot color (string or ColorPicker)
+    nodeDotSize = 4,                       // Node dot radius in pixels
+
+    // ====== PLATONIC SOLIDS ======
+    enablePlatonicSolids = true,           // Highlight the solids one at a time in radiance
+    platonicSolids = ['tetrahedron', 'hexahedron', 'octahedron', 'icosahedron', 'dodecahedron'],  // Order of appearance
+    useElementColors = true,               // Color each solid by its classical element
+    solidColor = '#FFD700',                // Single highlight color when element colors are off
+    solidLineWidth = 3,                    // Highlight stroke width
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.pattern = pattern;
+    this.patternRadius = patternRadius;
+    this.rotationSpeed = rotationSpeed;
+
+    this.circleColor = circleColor;
+    this.circleLineWidth = circleLineWidth;
+    this.circleOpacity = circleOpacity;
+    this.encloseFlower = encloseFlower;
+    this.constructionStagger = constructionStagger;
+    this.circleSegments = circleSegments;
+
+    this.enableMetatronLines = enableMetatronLines;
+    this.lineColor = lineColor;
+    this.lineOpacity = lineOpacity;
+    this.lineStagger = lineStagger;
+    this.showMetatronNodes = showMetatronNodes;
+    this.nodeColor = nodeColor;
+    this.nodeDotSize = nodeDotSize;
+
+    this.enablePlatonicSolids = enablePlatonicSolids;
+    this.platonicSolids = platonicSolids;
+    this.useElementColors = useElementColors;
+    this.solidColor = solidColor;
+    this.solidLineWidth = solidLineWidth;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
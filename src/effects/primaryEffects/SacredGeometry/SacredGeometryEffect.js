@@ -0,0 +1,373 @@
+/**
+ * Sacred Geometry Effect
+ *
+ * Constructs the circle-packing figures of sacred geometry through the phase timeline:
+ * - Awakening: circles are drawn one by one, center outward, like compass work
+ * - Ascension: the 78 lines of Metatron's Cube draw in across the Fruit of Life
+ * - Radiance: the Platonic solids hidden in the cube light up one at a time
+ * - Descent: lines and circles are undrawn in reverse (seamless loop)
+ *
+ * Includes:
+ * - Seed of Life, Flower of Life, Fruit of Life and Metatron's Cube from one
+ *   hexagonal circle-packing generator
+ * - The 13-node Metatron graph as the effect's nodes and paths
+ * - Tetrahedron, cube, octahedron, icosahedron and dodecahedron outlines
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { SacredGeometryConfig } from './SacredGeometryConfig.js';
+import {
+  METATRON_NODES,
+  METATRON_EDGES,
+  PLATONIC_SOLIDS,
+  generatePatternCircles,
+  getSacredPattern,
+} from './CirclePackingGeometry.js';
+
+const COLOR_DEFAULTS = {
+  circleColor: '#E8D5FF',
+  lineColor: '#B39DDB',
+  nodeColor: '#FFFFFF',
+  solidColor: '#FFD700',
+};
+
+// Metatron's Cube spans the Fruit of Life: outer circles reach 5 radii from the center
+const METATRON_EXTENT = 5;
+
+export class SacredGeometryEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'sacred-geometry';
+  static _displayName_ = 'Sacred Geometry';
+  static _description_ = "Seed, Flower and Fruit of Life and Metatron's Cube constructed circle by circle, with the Platonic solids revealed";
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'sacred-geometry', 'flower-of-life', 'metatron', 'platonic-solids', 'mystical'];
+
+  constructor({
+    name = SacredGeometryEffect._name_,
+    requiresLayer = true,
+    config = new SacredGeometryConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof SacredGeometryConfig)) {
+      config = new SacredGeometryConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get the 13 Metatron nodes for the current frame
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Center, inner hexagon, outer hexagon
+   */
+  getNodePositions() {
+    const config = this.getActiveConfig();
+    const unit = (config.patternRadius ?? 0.42) / METATRON_EXTENT;
+    const rotation = this.getRotation(this.getProgress());
+
+    return METATRON_NODES.map(node => ({
+      ...node,
+      ...this.#toNormalized(node, unit, rotation),
+    }));
+  }
+
+  /**
+   * Get the 78 lines of Metatron's Cube
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Lines with {start, end, type} node indices
+   */
+  getPathConnections() {
+    return METATRON_EDGES;
+  }
+
+  /**
+   * Pre-generate hook: blend mode, colors and pattern circles
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = SacredGeometryConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    for (const [key, fallback] of Object.entries(COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+
+    this.circles = generatePatternCircles(this.config.pattern);
+    this.solids = (this.config.platonicSolids || [])
+      .map(id => PLATONIC_SOLIDS.find(solid => solid.id === id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Figure rotation at a progress (whole turns per loop)
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {number} Rotation in radians
+   */
+  getRotation(progress) {
+    return progress * Math.round(this.getActiveConfig().rotationSpeed ?? 0) * Math.PI * 2;
+  }
+
+  /**
+   * Whether the Metatron lines are drawn for the current pattern
+   * @returns {boolean}
+   */
+  showsMetatronLines() {
+    const config = this.getActiveConfig();
+    return config.pattern === 'metatrons-cube' || Boolean(config.enableMetatronLines);
+  }
+
+  /**
+   * How much of each circle is drawn (0-1)
+   * Circles are drawn in order across the first phase and undrawn in reverse across the last
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<number>} Sweep per circle, in construction order
+   */
+  getCircleSweeps(progress) {
+    const count = (this.circles || []).length;
+    const stagger = this.getActiveConfig().constructionStagger ?? 0.7;
+    return this.#getSequenceReveal(count, stagger, progress, 0);
+  }
+
+  /**
+   * How much of each Metatron line is drawn (0-1)
+   * Lines draw in across the second phase and are undrawn in reverse across the last
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<number>} Reveal per line, in METATRON_EDGES order
+   */
+  getLineReveals(progress) {
+    const stagger = this.getActiveConfig().lineStagger ?? 0.8;
+    const activePhase = this.getPhaseDefinitions().length >= 3 ? 1 : 0;
+    return this.#getSequenceReveal(METATRON_EDGES.length, stagger, progress, activePhase);
+  }
+
+  /**
+   * Highlight strength of each Platonic solid (0-1)
+   * The second-to-last phase (radiance) is split evenly between the solids,
+   * each rising and falling within its slot
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<number>} Strength per solid, in configured order
+   */
+  getSolidHighlights(progress) {
+    const solids = this.solids || [];
+    const { index, count, phaseProgress } = this.#getPhasePosition(progress);
+    if (count < 4 || index !== count - 2) return solids.map(() => 0);
+
+    return solids.map((solid, s) => {
+      const local = Math.max(0, Math.min(1, phaseProgress * solids.length - s));
+      return Math.sin(local * Math.PI);
+    });
+  }
+
+  /**
+   * Render the figure, back to front
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    const rotation = this.getRotation(progress);
+    const nodes = this.getNodePositions().map(node => this.transformCoordinate(node.x, node.y, width, height));
+    const lineReveals = this.showsMetatronLines() ? this.getLineReveals(progress) : null;
+
+    await this.#renderCircles(canvas, width, height, frameConfig, progress, rotation);
+    if (lineReveals) {
+      await this.#renderMetatronLines(canvas, nodes, lineReveals, frameConfig);
+    }
+    await this.#renderPlatonicSolids(canvas, nodes, frameConfig, progress);
+    if (lineReveals && frameConfig.showMetatronNodes) {
+      await this.#renderNodes(canvas, nodes, lineReveals, frameConfig);
+    }
+  }
+
+  /**
+   * Current phase index and progress through it
+   * @private
+   */
+  #getPhasePosition(progress) {
+    const phases = this.getPhaseDefinitions();
+    const phase = this.getCurrentPhase(progress);
+    const index = Math.max(0, phases.findIndex(definition => definition.name === phase));
+    const phaseProgress = Math.max(0, Math.min(1, this.getPhaseProgress(progress, phase)));
+
+    return {
+      index,
+      count: phases.length,
+      phaseProgress,
+      eased: this.applyEasing(phaseProgress, this.getPhaseEasing(phase)),
+    };
+  }
+
+  /**
+   * Staggered reveal of a sequence: drawn in during `activePhase`, held until the
+   * last phase, then undrawn last-to-first
+   * @private
+   */
+  #getSequenceReveal(count, stagger, progress, activePhase) {
+    const { index, count: phases, eased } = this.#getPhasePosition(progress);
+    const reveals = [];
+
+    for (let i = 0; i < count; i++) {
+      if (phases > 1 && index === phases - 1) {
+        reveals.push(1 - this.getStaggeredProgress(count - 1 - i, count, eased, stagger));
+      } else if (index === activePhase) {
+        reveals.push(this.getStaggeredProgress(i, count, eased, stagger));
+      } else {
+        reveals.push(index < activePhase ? 0 : 1);
+      }
+    }
+
+    return reveals;
+  }
+
+  /**
+   * Pattern-space point → normalized canvas coordinates
+   * @private
+   */
+  #toNormalized(point, unit, rotation) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return {
+      x: 0.5 + (point.x * cos - point.y * sin) * unit,
+      y: 0.5 + (point.x * sin + point.y * cos) * unit,
+    };
+  }
+
+  /**
+   * Render the pattern circles, each swept from its top like a compass stroke
+   * @private
+   */
+  async #renderCircles(canvas, width, height, frameConfig, progress, rotation) {
+    const alpha = (frameConfig.circleOpacity ?? 0.8) * (frameConfig.nodeAlpha ?? 1.0);
+    if (alpha <= 0.01) return;
+
+    const definition = getSacredPattern(frameConfig.pattern);
+    const unit = (frameConfig.patternRadius ?? 0.42) / definition.extent;
+    const pixelRadius = unit * Math.min(width, height) * (frameConfig.scale ?? 1.0);
+    const sweeps = this.getCircleSweeps(progress);
+    const color = frameConfig.circleColor;
+    const lineWidth = frameConfig.circleLineWidth ?? 1.5;
+
+    for (let i = 0; i < this.circles.length; i++) {
+      const circle = this.circles[i];
+      const normalized = this.#toNormalized(circle, unit, rotation);
+      const center = this.transformCoordinate(normalized.x, normalized.y, width, height);
+      await this.#drawArc(canvas, center, pixelRadius * circle.radius, sweeps[i], rotation, color, lineWidth, alpha, frameConfig);
+    }
+
+    // The Flower of Life is traditionally bounded by a circle through its outer petals
+    if (definition.enclosed && frameConfig.encloseFlower) {
+      const center = this.transformCoordinate(0.5, 0.5, width, height);
+      const sweep = sweeps[sweeps.length - 1] ?? 0;
+      await this.#drawArc(canvas, center, pixelRadius * definition.extent, sweep, rotation, color, lineWidth * 1.5, alpha, frameConfig);
+    }
+  }
+
+  /**
+   * Draw a circle from its top, clockwise, up to `sweep` of a full turn
+   * @private
+   */
+  async #drawArc(canvas, center, radius, sweep, rotation, color, lineWidth, alpha, frameConfig) {
+    if (sweep <= 0) return;
+
+    if (sweep >= 1) {
+      await canvas.drawRing2d(center, radius, lineWidth, color, 0, null, alpha);
+      return;
+    }
+
+    const total = Math.max(8, Math.round(frameConfig.circleSegments ?? 48));
+    const segments = Math.max(1, Math.ceil(total * sweep));
+    const start = -Math.PI / 2 + rotation;
+    let previous = { x: center.x + Math.cos(start) * radius, y: center.y + Math.sin(start) * radius };
+
+    for (let s = 1; s <= segments; s++) {
+      const angle = start + (s / segments) * sweep * Math.PI * 2;
+      const point = { x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius };
+      await canvas.drawLine2d(previous, point, lineWidth, color, 0, null, alpha);
+      previous = point;
+    }
+  }
+
+  /**
+   * Render the 78 lines, each growing from its first node toward its second
+   * @private
+   */
+  async #renderMetatronLines(canvas, nodes, lineReveals, frameConfig) {
+    const intensity = (frameConfig.pathIntensity ?? 1.0) * (frameConfig.lineOpacity ?? 0.6);
+    if (intensity <= 0.01) return;
+
+    const thickness = (frameConfig.pathThickness || 1) * (frameConfig.pathSizeScale || 1.0);
+
+    for (let e = 0; e < METATRON_EDGES.length; e++) {
+      const reveal = lineReveals[e];
+      if (reveal <= 0) continue;
+
+      const from = nodes[METATRON_EDGES[e].start];
+      const to = nodes[METATRON_EDGES[e].end];
+      const end = { x: from.x + (to.x - from.x) * reveal, y: from.y + (to.y - from.y) * reveal };
+      await canvas.drawLine2d(from, end, thickness, frameConfig.lineColor, 0, null, intensity);
+    }
+  }
+
+  /**
+   * Render the highlighted Platonic solid outlines
+   * @private
+   */
+  async #renderPlatonicSolids(canvas, nodes, frameConfig, progress) {
+    if (!frameConfig.enablePlatonicSolids) return;
+
+    const highlights = this.getSolidHighlights(progress);
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    const lineWidth = frameConfig.solidLineWidth ?? 3;
+
+    for (let s = 0; s < this.solids.length; s++) {
+      const alpha = highlights[s] * nodeAlpha;
+      if (alpha <= 0.01) continue;
+
+      const solid = this.solids[s];
+      const color = frameConfig.useElementColors ? solid.color : frameConfig.solidColor;
+      for (const [a, b] of solid.edges) {
+        await canvas.drawLine2d(nodes[a], nodes[b], lineWidth, color, 2, color, alpha);
+      }
+    }
+  }
+
+  /**
+   * Render dots on the 13 nodes, each appearing with its first line
+   * @private
+   */
+  async #renderNodes(canvas, nodes, lineReveals, frameConfig) {
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    const size = frameConfig.nodeDotSize ?? 4;
+    const presence = nodes.map(() => 0);
+
+    METATRON_EDGES.forEach((edge, e) => {
+      presence[edge.start] = Math.max(presence[edge.start], lineReveals[e]);
+      presence[edge.end] = Math.max(presence[edge.end], lineReveals[e]);
+    });
+
+    for (let i = 0; i < nodes.length; i++) {
+      const alpha = nodeAlpha * presence[i];
+      if (alpha <= 0.01) continue;
+      await canvas.drawFilledPolygon2d(size, nodes[i], 16, 0, frameConfig.nodeColor, alpha);
+    }
+  }
+}
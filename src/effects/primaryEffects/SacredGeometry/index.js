@@ -0,0 +1,43 @@
+/**
+ * Sacred Geometry - Complete Module
+ *
+ * Core Effect:
+ * - SacredGeometryEffect: Circle-packing figures constructed circle by circle, with Metatron's Cube and the Platonic solids
+ *
+ * Configuration:
+ * - SacredGeometryConfig: Extends base config with pattern, construction, line and solid controls
+ *
+ * Geometry:
+ * - CirclePackingGeometry: Hex-lattice circle packing, the 13-node Metatron graph and Platonic solid outlines
+ *
+ * Presets (4 configurations):
+ * - SEED_OF_LIFE: Seven circles, drawn slowly
+ * - FLOWER_OF_LIFE: Nineteen circles in their bounding circle
+ * - FRUIT_OF_LIFE: Thirteen circles with the cube traced over them
+ * - METATRONS_CUBE: The full cube with all five solids
+ */
+
+// Core Effect
+export { SacredGeometryEffect } from './SacredGeometryEffect.js';
+
+// Configuration
+export { SacredGeometryConfig } from './SacredGeometryConfig.js';
+
+// Geometry
+export {
+  SACRED_PATTERNS,
+  METATRON_NODES,
+  METATRON_EDGES,
+  PLATONIC_SOLIDS,
+  generateHexLattice,
+  generatePatternCircles,
+  getSacredPattern,
+} from './CirclePackingGeometry.js';
+
+// Presets
+export {
+  SEED_OF_LIFE,
+  FLOWER_OF_LIFE,
+  FRUIT_OF_LIFE,
+  METATRONS_CUBE,
+} from './presets/index.js';
@@ -0,0 +1,134 @@
+/**
+ * Sacred Geometry Presets
+ *
+ * 4 configurations of the circle-packing figures, from the seven-circle
+ * Seed of Life to the full Metatron's Cube with its Platonic solids.
+ */
+
+/**
+ * PRESET 1: SEED_OF_LIFE
+ * Theme: The seven circles of creation, drawn slowly in pale lavender
+ * Vibe: Quiet, patient, beginning
+ */
+export const SEED_OF_LIFE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.35,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.5,
+  awakeningNodeAlpha_end: 0.9,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.5,
+
+  // Lines start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  pattern: 'seed-of-life',
+  patternRadius: 0.36,
+  circleLineWidth: 2,
+  constructionStagger: 0.9,
+  enablePlatonicSolids: false,
+
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: FLOWER_OF_LIFE
+ * Theme: Nineteen interlocking circles in their bounding circle, one slow turn per loop
+ * Vibe: Harmonious, blooming, complete
+ */
+export const FLOWER_OF_LIFE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.4,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.4,
+  descentNodeAlpha_end: 0.4,
+
+  // Lines start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  pattern: 'flower-of-life',
+  patternRadius: 0.44,
+  rotationSpeed: 1,
+  circleColor: '#FFE9B0',
+  encloseFlower: true,
+  constructionStagger: 0.8,
+  enablePlatonicSolids: false,
+
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: FRUIT_OF_LIFE
+ * Theme: Thirteen separate circles, the cube's lines traced over them, solids in gold
+ * Vibe: Scholarly, precise, illuminated manuscript
+ */
+export const FRUIT_OF_LIFE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.5,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.04,
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Lines start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  pattern: 'fruit-of-life',
+  circleColor: '#D8C9A3',
+  enableMetatronLines: true,
+  lineColor: '#B08D57',
+  lineOpacity: 0.4,
+  useElementColors: false,
+  solidColor: '#FFD700',
+  platonicSolids: ['hexahedron', 'tetrahedron', 'octahedron'],
+
+  layerBlendMode: 'normal',
+};
+
+/**
+ * PRESET 4: METATRONS_CUBE
+ * Theme: The full cube, all five solids lit in their elemental colors, counter-turning
+ * Vibe: Radiant, cosmic, archangelic
+ */
+export const METATRONS_CUBE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.2,
+  phaseRadiance_start: 0.4,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  radianceEasing: 'linear',
+
+  awakeningNodeAlpha_start: 0.4,
+  descentNodeAlpha_end: 0.4,
+
+  // Lines start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  pattern: 'metatrons-cube',
+  patternRadius: 0.44,
+  rotationSpeed: -1,
+  circleOpacity: 0.5,
+  lineStagger: 0.9,
+  nodeDotSize: 5,
+  useElementColors: true,
+  solidLineWidth: 3.5,
+
+  layerBlendMode: ['screen', 'lighten', 'normal'],
+};
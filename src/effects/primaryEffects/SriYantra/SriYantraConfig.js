@@ -0,0 +1,145 @@
+/**
+ * Sri Yantra Configuration
+ *
+ * Extends PhaseAnimatedPolygonConfig with Sri Yantra parameters:
+ * - Layout of the triangles, lotus rings and bhupura gate
+ * - Triangle assembly animation
+ * - Avarana (enclosure) lighting
+ * - Chakra-style mandala rings and energy beads
+ * - Bindu
+ */
+
+import { PhaseAnimatedPolygonConfig } from '../../base/PhaseAnimatedPolygonConfig.js';
+
+export class SriYantraConfig extends PhaseAnimatedPolygonConfig {
+  constructor({
+    // ====== INHERITED FROM BASE ======
+    // Phase timing, node/path animation, energy pulses, mystic symbols
+    // (all inherited from PhaseAnimatedPolygonConfig)
+
+    // ====== LAYOUT ======
+    yantraRadius = 0.24,                   // Radius of the circle holding the triangles (normalized)
+    eightPetalRadius = 0.3,                // Tip radius of the 8-petal lotus
+    sixteenPetalRadius = 0.36,             // Tip radius of the 16-petal lotus
+    bhupuraSize = 0.45,                    // Half the side of the bhupura square
+    bhupuraGateWidth = 0.07,               // Half the width of each gate
+    bhupuraGateDepth = 0.03,               // How far each gate projects outward
+    bhupuraLines = 3,                      // Nested bhupura outlines
+    bhupuraLineSpacing = 0.012,            // Gap between bhupura outlines
+    bhupuraColor = '#3DDC97',              // Bhupura color (string or ColorPicker)
+    bhupuraLineWidth = 1.5,                // Bhupura stroke width
+
+    // ====== TRIANGLES ======
+    shivaColor = '#FF9F40',                // Upward (Shiva) triangle color (string or ColorPicker)
+    shaktiColor = '#FF3D6E',               // Downward (Shakti) triangle color (string or ColorPicker)
+    triangleOpacity = 0.9,                 // Triangle opacity (scaled by pathIntensity)
+    vertexDotSize = 2,                     // Dot radius on each triangle corner in pixels
+    assemblyStagger = 0.6,                 // 0 = all triangles at once, →1 = strictly one after another
+    assemblyDistance = 0.35,               // How far triangles travel while assembling (yantra radii)
+
+    // ====== AVARANAS ======
+    avaranaColors = null,                  // Nine colors, outermost first (null = traditional palette)
+    avaranaStagger = 0.85,                 // Stagger of the inward lighting sequence
+    dormantAvaranaAlpha = 0.3,             // Opacity of the bhupura and lotus rings before they light
+    enclosureGlowWidth = 3,                // Stroke width of lit triangle enclosures
+    enclosureGlowOpacity = 0.8,            // Opacity of lit triangle enclosures
+
+    // ====== LOTUS RINGS ======
+    petalColor = '#FF8FA3',                // Petal color when dormant (string or ColorPicker)
+    petalLineWidth = 1.5,                  // Petal stroke width
+    lotusRotationSpeed = 0,                // Lotus turns per loop (integer for perfect loop, 0 = still)
+
+    // ====== MANDALA RINGS (Chakra-style) ======
+    enableMandalaRings = true,             // The circles between the lotus and the bhupura
+    mandalaRingLayers = 3,                 // Number of circles
+    mandalaRingSpacing = 0.012,            // Gap between circles (normalized)
+    mandalaRingColor = '#C8C8FF',          // Circle color (string or ColorPicker)
+    mandalaRingOpacity = 0.6,              // Circle opacity
+    mandalaRingThickness = 1.5,            // Circle stroke width
+    mandalaSymmetry = 16,                  // Radial ticks across the circles
+    mandalaRingSpeed = 1,                  // Tick turns per loop (integer for perfect loop)
+
+    // ====== ENERGY BEADS (Chakra-style) ======
+    enableEnergyBeads = true,              // Beads orbiting the mandala rings
+    energyBeadCount = 8,                   // Beads per ring (1-24)
+    energyBeadRadius = 3,                  // Bead size in pixels
+    energyBeadColor = '#FFD700',           // Bead color (string or ColorPicker)
+    energyBeadOpacity = 0.9,               // Bead opacity (0-1)
+    energyBeadGlowIntensity = 1.5,         // Glow multiplier around beads
+    energyBeadSpeed = 1,                   // Orbits per loop (integer for perfect loop; rings alternate direction)
+    energyBeadRingLayer = -1,              // Ring to orbit (0 = inner, or -1 = all)
+    energyBeadPulseEnabled = true,         // Enable size pulsing
+    energyBeadPulseRange = { lower: 0.7, upper: 1.3 },  // Size pulse multiplier range
+    energyBeadPulseTimes = 2,              // Pulse cycles per loop
+
+    // ====== BINDU ======
+    binduColor = '#FFFFFF',                // Bindu color (string or ColorPicker)
+    binduSize = 5,                         // Bindu radius in pixels
+    binduGlowSize = 12,                    // Bindu glow ring radius in pixels
+    binduPulseTimes = 3,                   // Bindu pulse cycles per loop
+
+    // ====== BLEND MODES ======
+    layerBlendMode = ['screen', 'lighten', 'normal'],  // Random blend mode per render
+
+    // ====== INHERITED BASE PARAMETERS ======
+    ...baseConfig
+  } = {}) {
+    super(baseConfig);
+
+    this.yantraRadius = yantraRadius;
+    this.eightPetalRadius = eightPetalRadius;
+    this.sixteenPetalRadius = sixteenPetalRadius;
+    this.bhupuraSize = bhupuraSize;
+    this.bhupuraGateWidth = bhupuraGateWidth;
+    this.bhupuraGateDepth = bhupuraGateDepth;
+    this.bhupuraLines = bhupuraLines;
+    this.bhupuraLineSpacing = bhupuraLineSpacing;
+    this.bhupuraColor = bhupuraColor;
+    this.bhupuraLineWidth = bhupuraLineWidth;
+
+    this.shivaColor = shivaColor;
+    this.shaktiColor = shaktiColor;
+    this.triangleOpacity = triangleOpacity;
+    this.vertexDotSize = vertexDotSize;
+    this.assemblyStagger = assemblyStagger;
+    this.assemblyDistance = assemblyDistance;
+
+    this.avaranaColors = avaranaColors;
+    this.avaranaStagger = avaranaStagger;
+    this.dormantAvaranaAlpha = dormantAvaranaAlpha;
+    this.enclosureGlowWidth = enclosureGlowWidth;
+    this.enclosureGlowOpacity = enclosureGlowOpacity;
+
+    this.petalColor = petalColor;
+    this.petalLineWidth = petalLineWidth;
+    this.lotusRotationSpeed = lotusRotationSpeed;
+
+    this.enableMandalaRings = enableMandalaRings;
+    this.mandalaRingLayers = mandalaRingLayers;
+    this.mandalaRingSpacing = mandalaRingSpacing;
+    this.mandalaRingColor = mandalaRingColor;
+    this.mandalaRingOpacity = mandalaRingOpacity;
+    this.mandalaRingThickness = mandalaRingThickness;
+    this.mandalaSymmetry = mandalaSymmetry;
+    this.mandalaRingSpeed = mandalaRingSpeed;
+
+    this.enableEnergyBeads = enableEnergyBeads;
+    this.energyBeadCount = energyBeadCount;
+    this.energyBeadRadius = energyBeadRadius;
+    this.energyBeadColor = energyBeadColor;
+    this.energyBeadOpacity = energyBeadOpacity;
+    this.energyBeadGlowIntensity = energyBeadGlowIntensity;
+    this.energyBeadSpeed = energyBeadSpeed;
+    this.energyBeadRingLayer = energyBeadRingLayer;
+    this.energyBeadPulseEnabled = energyBeadPulseEnabled;
+    this.energyBeadPulseRange = energyBeadPulseRange;
+    this.energyBeadPulseTimes = energyBeadPulseTimes;
+
+    this.binduColor = binduColor;
+    this.binduSize = binduSize;
+    this.binduGlowSize = binduGlowSize;
+    this.binduPulseTimes = binduPulseTimes;
+
+    this.layerBlendMode = layerBlendMode;
+  }
+}
@@ -0,0 +1,527 @@
+/**
+ * Sri Yantra Effect
+ *
+ * Builds the Sri Yantra through the phase timeline:
+ * - Awakening: the nine triangles assemble one by one - Shiva triangles rise,
+ *   Shakti triangles descend - into their interlocked positions
+ * - Ascension: the nine avaranas light in sequence from the bhupura inward to the bindu
+ * - Radiance: the fully lit yantra holds
+ * - Descent: the avaranas darken outward and the triangles part again (seamless loop)
+ *
+ * Includes:
+ * - Triangles solved so every marma closes (see SriYantraGeometry.js), drawn
+ *   with the base class node/path rendering
+ * - Bindu, 8- and 16-petal lotus rings and the bhupura square with its four gates
+ * - Chakra-style mandala rings with energy beads orbiting between lotus and bhupura
+ */
+
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { VerticalSineWaveEngine } from '../ChakraMandala/VerticalSineWaveEngine.js';
+import { SriYantraConfig } from './SriYantraConfig.js';
+import {
+  AVARANAS,
+  SRI_YANTRA,
+  getBhupuraOutline,
+  getEnclosureSegments,
+  getLotusPetals,
+} from './SriYantraGeometry.js';
+
+const COLOR_DEFAULTS = {
+  bhupuraColor: '#3DDC97',
+  shivaColor: '#FF9F40',
+  shaktiColor: '#FF3D6E',
+  petalColor: '#FF8FA3',
+  mandalaRingColor: '#C8C8FF',
+  energyBeadColor: '#FFD700',
+  binduColor: '#FFFFFF',
+};
+
+const TRIANGLE_EDGES = [['left', 'right'], ['left', 'apex'], ['right', 'apex']];
+
+// Avaranas drawn from the triangle overlaps start after bhupura and the two lotus rings
+const FIRST_TRIANGLE_AVARANA = AVARANAS.findIndex(avarana => avarana.form === 'triangles');
+
+export class SriYantraEffect extends PhaseAnimatedPolygonEffect {
+  static _name_ = 'sri-yantra';
+  static _displayName_ = 'Sri Yantra';
+  static _description_ = 'The nine interlocking triangles of the Sri Yantra assembling, with lotus rings, bhupura gate and avaranas lighting inward to the bindu';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'primary', 'sri-yantra', 'yantra', 'tantra', 'sacred-geometry', 'mystical'];
+
+  constructor({
+    name = SriYantraEffect._name_,
+    requiresLayer = true,
+    config = new SriYantraConfig({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    settings = new Settings({}),
+    frameNumber = 0,
+    totalFrames = 1,
+  } = {}) {
+    if (!(config instanceof SriYantraConfig)) {
+      config = new SriYantraConfig(config);
+    }
+
+    super({
+      name,
+      requiresLayer,
+      config,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      settings,
+      frameNumber,
+      totalFrames,
+    });
+  }
+
+  /**
+   * Get the 27 triangle corners at their assembly positions, plus the bindu
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Corner nodes ('<triangle id>-apex|left|right') and 'bindu', with per-node styling
+   */
+  getNodePositions() {
+    const config = this.getActiveConfig();
+    const progress = this.getProgress();
+    const assembly = this.getTriangleAssembly(progress);
+    const unit = config.yantraRadius ?? 0.24;
+    const dotSize = config.vertexDotSize ?? 2;
+    const nodes = [];
+
+    this.triangles.forEach((triangle, t) => {
+      const offset = this.#getAssemblyOffset(triangle, assembly[t], config);
+      const color = this.#getTriangleColor(triangle, config);
+
+      for (const corner of ['apex', 'left', 'right']) {
+        const point = triangle[corner];
+        nodes.push({
+          id: `${triangle.id}-${corner}`,
+          type: 'vertex',
+          triangle: triangle.id,
+          ...this.#toNormalized({ x: point.x, y: point.y + offset }, unit),
+          color,
+          glowColor: color,
+          size: dotSize,
+          glowSize: dotSize * 2,
+          sides: 8,
+          alpha: assembly[t],
+        });
+      }
+    });
+
+    const pulse = VerticalSineWaveEngine.calculateOscillationValue(
+      0.8,
+      1.3,
+      Math.max(1, Math.round(config.binduPulseTimes ?? 3)),
+      1,
+      progress,
+      'sinusoidal'
+    );
+
+    nodes.push({
+      id: 'bindu',
+      type: 'bindu',
+      ...this.#toNormalized(this.bindu, unit),
+      color: config.binduColor,
+      glowColor: config.binduColor,
+      size: (config.binduSize ?? 5) * pulse,
+      glowSize: (config.binduGlowSize ?? 12) * pulse,
+      sides: 16,
+      alpha: this.getAvaranaLights(progress)[AVARANAS.length - 1],
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Get the 27 triangle edges, faded with their triangle's assembly
+   * Implements required abstract method from PhaseAnimatedPolygonEffect
+   * @protected
+   * @returns {Array} Edges with {start, end} node ids and per-path styling
+   */
+  getPathConnections() {
+    const config = this.getActiveConfig();
+    const assembly = this.getTriangleAssembly(this.getProgress());
+    const opacity = config.triangleOpacity ?? 0.9;
+
+    return this.triangles.flatMap((triangle, t) => {
+      const color = this.#getTriangleColor(triangle, config);
+      return TRIANGLE_EDGES.map(([from, to]) => ({
+        start: `${triangle.id}-${from}`,
+        end: `${triangle.id}-${to}`,
+        type: 'triangle',
+        triangle: triangle.id,
+        color,
+        glowColor: color,
+        intensity: assembly[t] * opacity,
+      }));
+    });
+  }
+
+  /**
+   * Pre-generate hook: blend mode, colors and the solved yantra
+   * All randomization happens here ONCE (seeded)
+   * @protected
+   */
+  generate() {
+    this.config.layerBlendMode = SriYantraConfig.pickRandom(this.config.layerBlendMode, this.random.next);
+
+    for (const [key, fallback] of Object.entries(COLOR_DEFAULTS)) {
+      this.config[key] = this._extractColor(this.config[key], fallback);
+    }
+
+    const avaranaColors = Array.isArray(this.config.avaranaColors) ? this.config.avaranaColors : [];
+    this.config.avaranaColors = AVARANAS.map((avarana, i) => this._extractColor(avaranaColors[i], avarana.color));
+
+    this.triangles = SRI_YANTRA.triangles;
+    this.enclosureSegments = getEnclosureSegments(this.triangles).map(segment => ({
+      ...segment,
+      triangleIndex: this.triangles.findIndex(triangle => triangle.id === segment.triangle),
+      avarana: FIRST_TRIANGLE_AVARANA + Math.min(segment.depth, 4),
+    }));
+
+    // The bindu sits at the center of the innermost triangle
+    const center = this.triangles[this.triangles.length - 1];
+    this.bindu = { x: 0, y: (center.apex.y + center.left.y + center.right.y) / 3 };
+  }
+
+  /**
+   * How far each triangle has assembled (0-1)
+   * Triangles arrive in drawing order across the first phase and leave in reverse across the last
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<number>} Assembly per triangle, in SRI_YANTRA_TRIANGLES order
+   */
+  getTriangleAssembly(progress) {
+    const stagger = this.getActiveConfig().assemblyStagger ?? 0.6;
+    return this.#getSequenceReveal(this.triangles.length, stagger, progress, 0);
+  }
+
+  /**
+   * How brightly each avarana is lit (0-1)
+   * Avaranas light inward across the second phase and darken outward across the last
+   * @param {number} progress - Overall animation progress (0-1)
+   * @returns {Array<number>} Light per avarana, outermost first
+   */
+  getAvaranaLights(progress) {
+    const stagger = this.getActiveConfig().avaranaStagger ?? 0.85;
+    const activePhase = this.getPhaseDefinitions().length >= 3 ? 1 : 0;
+    return this.#getSequenceReveal(AVARANAS.length, stagger, progress, activePhase);
+  }
+
+  /**
+   * Render the yantra, outside in
+   * @protected
+   * @param {Canvas2d} canvas - Render canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {Object} frameConfig - Frame-specific configuration
+   * @param {number} progress - Overall animation progress (0-1)
+   */
+  async renderEffect(canvas, width, height, frameConfig, progress) {
+    const lights = this.getAvaranaLights(progress);
+
+    await this.#renderBhupura(canvas, width, height, frameConfig, lights[0]);
+    if (frameConfig.enableMandalaRings) {
+      await this.#renderMandalaRings(canvas, width, height, frameConfig, progress);
+    }
+    await this.#renderLotus(canvas, width, height, frameConfig, progress, 16, lights[1]);
+    await this.#renderLotus(canvas, width, height, frameConfig, progress, 8, lights[2]);
+
+    await this.renderPaths(canvas, width, height, frameConfig, progress);
+    await this.#renderEnclosures(canvas, width, height, frameConfig, progress, lights);
+    await this.renderNodes(canvas, width, height, frameConfig, progress);
+
+    if (frameConfig.enableEnergyBeads) {
+      await this.#renderEnergyBeads(canvas, width, height, frameConfig, progress);
+    }
+  }
+
+  /**
+   * Current phase index and progress through it
+   * @private
+   */
+  #getPhasePosition(progress) {
+    const phases = this.getPhaseDefinitions();
+    const phase = this.getCurrentPhase(progress);
+    const index = Math.max(0, phases.findIndex(definition => definition.name === phase));
+    const phaseProgress = Math.max(0, Math.min(1, this.getPhaseProgress(progress, phase)));
+
+    return {
+      index,
+      count: phases.length,
+      phaseProgress,
+      eased: this.applyEasing(phaseProgress, this.getPhaseEasing(phase)),
+    };
+  }
+
+  /**
+   * Staggered reveal of a sequence: revealed during `activePhase`, held until the
+   * last phase, then hidden last-to-first
+   * @private
+   */
+  #getSequenceReveal(count, stagger, progress, activePhase) {
+    const { index, count: phases, eased } = this.#getPhasePosition(progress);
+    const reveals = [];
+
+    for (let i = 0; i < count; i++) {
+      if (phases > 1 && index === phases - 1) {
+        reveals.push(1 - this.getStaggeredProgress(count - 1 - i, count, eased, stagger));
+      } else if (index === activePhase) {
+        reveals.push(this.getStaggeredProgress(i, count, eased, stagger));
+      } else {
+        reveals.push(index < activePhase ? 0 : 1);
+      }
+    }
+
+    return reveals;
+  }
+
+  /**
+   * Vertical offset (yantra radii) of a triangle that has not fully assembled
+   * Shiva triangles come up from below, Shakti triangles down from above
+   * @private
+   */
+  #getAssemblyOffset(triangle, assembly, config) {
+    const distance = (config.assemblyDistance ?? 0.35) * (1 - assembly);
+    return triangle.orientation === 'shiva' ? distance : -distance;
+  }
+
+  /**
+   * @private
+   */
+  #getTriangleColor(triangle, config) {
+    return triangle.orientation === 'shiva' ? config.shivaColor : config.shaktiColor;
+  }
+
+  /**
+   * Yantra-space point (centered, y down) → normalized canvas coordinates
+   * @private
+   */
+  #toNormalized(point, unit) {
+    return { x: 0.5 + point.x * unit, y: 0.5 + point.y * unit };
+  }
+
+  /**
+   * Pixel radius of a normalized radius
+   * @private
+   */
+  #toPixelRadius(radius, width, height, frameConfig) {
+    return radius * Math.min(width, height) * (frameConfig.scale ?? 1.0);
+  }
+
+  /**
+   * Draw a polyline through normalized points
+   * @private
+   */
+  async #drawPolyline(canvas, points, closed, width, height, lineWidth, color, alpha, glow = 0) {
+    const pixels = points.map(point => this.transformCoordinate(point.x, point.y, width, height));
+    const last = closed ? pixels.length : pixels.length - 1;
+
+    for (let i = 0; i < last; i++) {
+      const next = pixels[(i + 1) % pixels.length];
+      await canvas.drawLine2d(pixels[i], next, lineWidth, color, glow, color, alpha);
+    }
+  }
+
+  /**
+   * Render the nested bhupura squares with their four gates
+   * Drawn dormant, then overlaid in the avarana color as it lights
+   * @private
+   */
+  async #renderBhupura(canvas, width, height, frameConfig, light) {
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    const dormant = (frameConfig.dormantAvaranaAlpha ?? 0.3) * nodeAlpha;
+    const lit = light * nodeAlpha;
+    const lineWidth = frameConfig.bhupuraLineWidth ?? 1.5;
+    const gateWidth = frameConfig.bhupuraGateWidth ?? 0.07;
+    const gateDepth = frameConfig.bhupuraGateDepth ?? 0.03;
+    const lines = Math.max(1, Math.round(frameConfig.bhupuraLines ?? 3));
+
+    for (let l = 0; l < lines; l++) {
+      const inset = l * (frameConfig.bhupuraLineSpacing ?? 0.012);
+      const outline = getBhupuraOutline((frameConfig.bhupuraSize ?? 0.45) - inset, gateWidth - inset, gateDepth)
+        .map(point => this.#toNormalized(point, 1));
+
+      if (dormant > 0.01) {
+        await this.#drawPolyline(canvas, outline, true, width, height, lineWidth, frameConfig.bhupuraColor, dormant);
+      }
+      if (lit > 0.01) {
+        await this.#drawPolyline(canvas, outline, true, width, height, lineWidth, frameConfig.avaranaColors[0], lit, 2);
+      }
+    }
+  }
+
+  /**
+   * Render the circles between the 16-petal lotus and the bhupura, Chakra-mandala
+   * style: concentric rings crossed by radial ticks that turn with the loop
+   * @private
+   */
+  async #renderMandalaRings(canvas, width, height, frameConfig, progress) {
+    const alpha = (frameConfig.mandalaRingOpacity ?? 0.6) * (frameConfig.nodeAlpha ?? 1.0);
+    if (alpha <= 0.01) return;
+
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+    const radii = this.#getMandalaRingRadii(width, height, frameConfig);
+    const thickness = frameConfig.mandalaRingThickness ?? 1.5;
+    const color = frameConfig.mandalaRingColor;
+
+    for (let r = 0; r < radii.length; r++) {
+      await canvas.drawRing2d(center, radii[r], thickness, color, 0, null, alpha * (1 - r * 0.2));
+    }
+
+    if (radii.length < 2) return;
+
+    const rotation = progress * Math.round(frameConfig.mandalaRingSpeed ?? 1) * Math.PI * 2;
+    const segments = Math.max(1, Math.round(frameConfig.mandalaSymmetry ?? 16));
+    const inner = radii[0];
+    const outer = radii[radii.length - 1];
+
+    for (let s = 0; s < segments; s++) {
+      const angle = (s / segments) * Math.PI * 2 + rotation;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      await canvas.drawLine2d(
+        { x: center.x + cos * inner, y: center.y + sin * inner },
+        { x: center.x + cos * outer, y: center.y + sin * outer },
+        thickness,
+        color,
+        0,
+        null,
+        alpha * 0.5
+      );
+    }
+  }
+
+  /**
+   * Pixel radii of the mandala rings, innermost first
+   * @private
+   */
+  #getMandalaRingRadii(width, height, frameConfig) {
+    const layers = Math.max(0, Math.round(frameConfig.mandalaRingLayers ?? 3));
+    const spacing = frameConfig.mandalaRingSpacing ?? 0.012;
+    const first = frameConfig.sixteenPetalRadius ?? 0.36;
+
+    return Array.from({ length: layers }, (_, r) =>
+      this.#toPixelRadius(first + (r + 1) * spacing, width, height, frameConfig)
+    );
+  }
+
+  /**
+   * Render a lotus ring: its base circle and petals
+   * The 8-petal ring sits on the triangles' circle, the 16-petal ring on the 8-petal ring;
+   * they turn in opposite directions
+   * @private
+   */
+  async #renderLotus(canvas, width, height, frameConfig, progress, petals, light) {
+    const nodeAlpha = frameConfig.nodeAlpha ?? 1.0;
+    const dormant = (frameConfig.dormantAvaranaAlpha ?? 0.3) * nodeAlpha;
+    const lit = light * nodeAlpha;
+    const lineWidth = frameConfig.petalLineWidth ?? 1.5;
+    const avarana = AVARANAS.findIndex(definition => definition.form === `lotus-${petals}`);
+    const litColor = frameConfig.avaranaColors[avarana];
+
+    const inner = petals === 8 ? (frameConfig.yantraRadius ?? 0.24) : (frameConfig.eightPetalRadius ?? 0.3);
+    const outer = petals === 8 ? (frameConfig.eightPetalRadius ?? 0.3) : (frameConfig.sixteenPetalRadius ?? 0.36);
+    const direction = petals === 8 ? 1 : -1;
+    const rotation = direction * progress * Math.round(frameConfig.lotusRotationSpeed ?? 0) * Math.PI * 2;
+
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+    const baseRadius = this.#toPixelRadius(inner, width, height, frameConfig);
+    const outlines = getLotusPetals(petals, inner, outer, rotation)
+      .map(outline => outline.map(point => this.#toNormalized(point, 1)));
+
+    for (const [color, alpha, glow] of [[frameConfig.petalColor, dormant, 0], [litColor, lit, 2]]) {
+      if (alpha <= 0.01) continue;
+
+      await canvas.drawRing2d(center, baseRadius, lineWidth, color, glow, color, alpha);
+      for (const outline of outlines) {
+        await this.#drawPolyline(canvas, outline, false, width, height, lineWidth, color, alpha, glow);
+      }
+    }
+  }
+
+  /**
+   * Render the lit triangle avaranas: each stretch of triangle edge glows in the
+   * color of the enclosure it borders, following its triangle while it assembles
+   * @private
+   */
+  async #renderEnclosures(canvas, width, height, frameConfig, progress, lights) {
+    const opacity = (frameConfig.enclosureGlowOpacity ?? 0.8) * (frameConfig.nodeAlpha ?? 1.0);
+    if (opacity <= 0.01) return;
+
+    const assembly = this.getTriangleAssembly(progress);
+    const unit = frameConfig.yantraRadius ?? 0.24;
+    const lineWidth = frameConfig.enclosureGlowWidth ?? 3;
+
+    for (const segment of this.enclosureSegments) {
+      const alpha = opacity * lights[segment.avarana] * assembly[segment.triangleIndex];
+      if (alpha <= 0.01) continue;
+
+      const triangle = this.triangles[segment.triangleIndex];
+      const offset = this.#getAssemblyOffset(triangle, assembly[segment.triangleIndex], frameConfig);
+      const from = this.#toNormalized({ x: segment.from.x, y: segment.from.y + offset }, unit);
+      const to = this.#toNormalized({ x: segment.to.x, y: segment.to.y + offset }, unit);
+      const color = frameConfig.avaranaColors[segment.avarana];
+
+      await canvas.drawLine2d(
+        this.transformCoordinate(from.x, from.y, width, height),
+        this.transformCoordinate(to.x, to.y, width, height),
+        lineWidth,
+        color,
+        2,
+        color,
+        alpha
+      );
+    }
+  }
+
+  /**
+   * Render energy beads orbiting the mandala rings (as in the Chakra Mandala),
+   * alternate rings orbiting in opposite directions
+   * @private
+   */
+  async #renderEnergyBeads(canvas, width, height, frameConfig, progress) {
+    const radii = this.#getMandalaRingRadii(width, height, frameConfig);
+    if (radii.length === 0) return;
+
+    const beadCount = Math.max(1, Math.min(24, Math.round(frameConfig.energyBeadCount ?? 8)));
+    const beadOpacity = (frameConfig.energyBeadOpacity ?? 0.9) * (frameConfig.nodeAlpha ?? 1.0);
+    const beadSpeed = Math.round(frameConfig.energyBeadSpeed ?? 1);
+    const ringLayer = frameConfig.energyBeadRingLayer ?? -1;
+    const glowIntensity = frameConfig.energyBeadGlowIntensity ?? 1.5;
+    const color = frameConfig.energyBeadColor;
+    if (beadOpacity <= 0.01) return;
+
+    let beadRadius = frameConfig.energyBeadRadius ?? 3;
+    if (frameConfig.energyBeadPulseEnabled) {
+      const range = frameConfig.energyBeadPulseRange ?? { lower: 0.7, upper: 1.3 };
+      beadRadius *= VerticalSineWaveEngine.calculateOscillationValue(
+        range.lower,
+        range.upper,
+        Math.max(1, Math.round(frameConfig.energyBeadPulseTimes ?? 2)),
+        1,
+        progress,
+        'sinusoidal'
+      );
+    }
+
+    const rings = ringLayer === -1
+      ? radii.map((_, r) => r)
+      : [Math.max(0, Math.min(radii.length - 1, ringLayer))];
+    const center = this.transformCoordinate(0.5, 0.5, width, height);
+
+    for (const r of rings) {
+      const direction = r % 2 === 0 ? 1 : -1;
+
+      for (let b = 0; b < beadCount; b++) {
+        const angle = (b / beadCount) * Math.PI * 2 + direction * progress * beadSpeed * Math.PI * 2;
+        const position = { x: center.x + Math.cos(angle) * radii[r], y: center.y + Math.sin(angle) * radii[r] };
+
+        await canvas.drawRing2d(position, beadRadius * glowIntensity * 1.5, 0, null, 2, color, beadOpacity * 0.3);
+        await canvas.drawRing2d(position, beadRadius, 0, color, 0, null, beadOpacity);
+      }
+    }
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * Sri Yantra Geometry
+ *
+ * The nine interlocking triangles of the Sri Yantra, solved to the traditional constraints:
+ * - Four upward Shiva triangles and five downward Shakti triangles inside a unit circle
+ * - Chords start from the traditional division of the vertical diameter into 48 parts
+ *   (6, 12, 17, 20, 23, 27, 30, 36, 42)
+ * - Every apex rests on another triangle's base, or on the circle
+ * - Outer bases end on the circle, inner bases on the sides of the principal triangles
+ * - Seven marmas (points where three lines meet) are made exact with Newton's method,
+ *   holding the two principal triangles at their traditional chords
+ *
+ * Plus the nine avaranas (enclosures) from the bhupura gate inward to the bindu,
+ * and outlines for the lotus rings and the bhupura.
+ *
+ * Coordinates are unitless: circle radius 1, centered on the origin, y pointing down.
+ */
+
+/**
+ * The nine triangles in traditional drawing order (principal pair first, then inward)
+ * baseDivision: base chord on the 48-part vertical diameter, counted from the top
+ * apex: 'circle' or the id of the triangle whose base the apex rests on
+ * baseEnds: 'circle' or the id of the triangle whose side the base ends on
+ */
+export const SRI_YANTRA_TRIANGLES = [
+  { id: 'shakti-1', orientation: 'shakti', baseDivision: 17, apex: 'circle', baseEnds: 'circle', principal: true },
+  { id: 'shiva-1', orientation: 'shiva', baseDivision: 30, apex: 'circle', baseEnds: 'circle', principal: true },
+  { id: 'shakti-2', orientation: 'shakti', baseDivision: 12, apex: 'shiva-3', baseEnds: 'circle' },
+  { id: 'shiva-2', orientation: 'shiva', baseDivision: 36, apex: 'shakti-2', baseEnds: 'circle' },
+  { id: 'shakti-3', orientation: 'shakti', baseDivision: 6, apex: 'shiva-1', baseEnds: 'circle' },
+  { id: 'shiva-3', orientation: 'shiva', baseDivision: 42, apex: 'shakti-1', baseEnds: 'circle' },
+  { id: 'shakti-4', orientation: 'shakti', baseDivision: 20, apex: 'shiva-1', baseEnds: 'shakti-1' },
+  { id: 'shiva-4', orientation: 'shiva', baseDivision: 27, apex: 'shakti-5', baseEnds: 'shiva-1' },
+  { id: 'shakti-5', orientation: 'shakti', baseDivision: 23, apex: 'shiva-4', baseEnds: 'shakti-1' },
+].map((triangle, index) => ({
+  ...triangle,
+  index,
+  name: `${triangle.orientation === 'shiva' ? 'Shiva' : 'Shakti'} ${triangle.id.split('-')[1]}`,
+}));
+
+/**
+ * Marma concurrencies: each entry names three lines that must meet in one point
+ * ('<triangle id>:side' is the triangle's right side, '<triangle id>:base' its base line)
+ */
+export const MARMA_CONSTRAINTS = [
+  ['shakti-2:side', 'shiva-3:side', 'shiva-1:base'],
+  ['shiva-1:side', 'shakti-2:side', 'shakti-4:base'],
+  ['shakti-3:side', 'shiva-2:side', 'shakti-4:base'],
+  ['shiva-3:side', 'shakti-4:side', 'shiva-4:base'],
+  ['shakti-2:side', 'shiva-2:side', 'shiva-4:side'],
+  ['shakti-1:side', 'shiva-1:side', 'shakti-5:base'],
+  ['shiva-4:side', 'shakti-4:side', 'shakti-5:side'],
+];
+
+/**
+ * The nine avaranas, outermost first
+ * form: what the enclosure is drawn as; triangle enclosures are the layers of
+ * overlap (depth = how many other triangles cover a stretch of line)
+ */
+export const AVARANAS = [
+  { id: 'trailokya-mohana', name: 'Trailokya Mohana', meaning: 'Enchanter of the three worlds', form: 'bhupura', color: '#3DDC97' },
+  { id: 'sarvasha-paripuraka', name: 'Sarvasha Paripuraka', meaning: 'Fulfiller of all desires', form: 'lotus-16', color: '#FF8FA3' },
+  { id: 'sarva-sankshobhana', name: 'Sarva Sankshobhana', meaning: 'Agitator of all', form: 'lotus-8', color: '#FF5C8A' },
+  { id: 'sarva-saubhagyadayaka', name: 'Sarva Saubhagyadayaka', meaning: 'Giver of all fortune', form: 'triangles', depth: 0, color: '#FF6B4A' },
+  { id: 'sarvartha-sadhaka', name: 'Sarvartha Sadhaka', meaning: 'Accomplisher of all purposes', form: 'triangles', depth: 1, color: '#FF9F40' },
+  { id: 'sarva-rakshakara', name: 'Sarva Rakshakara', meaning: 'Protector of all', form: 'triangles', depth: 2, color: '#FFD23F' },
+  { id: 'sarva-rogahara', name: 'Sarva Rogahara', meaning: 'Remover of all ills', form: 'triangles', depth: 3, color: '#F5F0A8' },
+  { id: 'sarva-siddhiprada', name: 'Sarva Siddhiprada', meaning: 'Giver of all attainments', form: 'triangles', depth: 4, color: '#FFF4E0' },
+  { id: 'sarvanandamaya', name: 'Sarvanandamaya', meaning: 'Full of all bliss', form: 'bindu', color: '#FFFFFF' },
+].map((avarana, index) => ({ ...avarana, index }));
+
+/**
+ * Height above the center of a chord on the 48-part diameter
+ * @private
+ */
+function divisionToHeight(division) {
+  return 1 - division / 24;
+}
+
+/**
+ * Triangle apex heights and base half-widths for a set of base heights
+ * @private
+ */
+function buildTriangles(heights) {
+  const built = {};
+
+  for (const triangle of SRI_YANTRA_TRIANGLES) {
+    const base = heights[triangle.id];
+    const apexSign = triangle.orientation === 'shiva' ? 1 : -1;
+    const apex = triangle.apex === 'circle' ? apexSign : heights[triangle.apex];
+    built[triangle.id] = { base, apex, halfWidth: null };
+  }
+
+  // Circle-ended bases first: the side-ended ones are measured against them
+  for (const pass of ['circle', 'side']) {
+    for (const triangle of SRI_YANTRA_TRIANGLES) {
+      if ((triangle.baseEnds === 'circle') !== (pass === 'circle')) continue;
+
+      const current = built[triangle.id];
+      if (pass === 'circle') {
+        current.halfWidth = Math.sqrt(Math.max(0, 1 - current.base * current.base));
+      } else {
+        const host = built[triangle.baseEnds];
+        current.halfWidth = host.halfWidth * (host.apex - current.base) / (host.apex - host.base);
+      }
+    }
+  }
+
+  return built;
+}
+
+/**
+ * Line through two points ('side' is the right side, apex to right base corner)
+ * @private
+ */
+function getLine(built, key) {
+  const [id, part] = key.split(':');
+  const { base, apex, halfWidth } = built[id];
+  return part === 'base'
+    ? [{ x: 0, y: base }, { x: 1, y: base }]
+    : [{ x: halfWidth, y: base }, { x: 0, y: apex }];
+}
+
+/**
+ * Intersection of two infinite lines
+ * @private
+ */
+function intersectLines([a1, a2], [b1, b2]) {
+  const d1 = { x: a2.x - a1.x, y: a2.y - a1.y };
+  const d2 = { x: b2.x - b1.x, y: b2.y - b1.y };
+  const denominator = d1.x * d2.y - d1.y * d2.x;
+  const t = ((b1.x - a1.x) * d2.y - (b1.y - a1.y) * d2.x) / denominator;
+  return { x: a1.x + d1.x * t, y: a1.y + d1.y * t };
+}
+
+/**
+ * Signed distance from each marma's first two lines' crossing to its third line
+ * @private
+ */
+function getMarmaResiduals(heights) {
+  const built = buildTriangles(heights);
+
+  return MARMA_CONSTRAINTS.map(([first, second, third]) => {
+    const point = intersectLines(getLine(built, first), getLine(built, second));
+    const [p1, p2] = getLine(built, third);
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    return ((point.x - p1.x) * dy - (point.y - p1.y) * dx) / Math.hypot(dx, dy);
+  });
+}
+
+/**
+ * Solve a square linear system (Gaussian elimination, partial pivoting)
+ * @private
+ * @returns {Array<number>|null} Solution, or null if singular
+ */
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-14) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = 0; row < size; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= size; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+
+  return rows.map((row, i) => row[size] / row[i]);
+}
+
+/**
+ * Solve the nine triangles to the marma constraints
+ * Starts from the traditional chords; the seven non-principal base heights are
+ * refined by Newton's method until every marma closes
+ * @param {Object} [options]
+ * @param {number} [options.maxIterations=20] - Newton iterations
+ * @param {number} [options.tolerance=1e-12] - Largest allowed marma gap (circle radii)
+ * @returns {{triangles: Array<Object>, residual: number, converged: boolean}}
+ *   triangles: { ...definition, apex, left, right, solvedDivision } with points in unit-circle coordinates (y down)
+ */
+export function solveSriYantra({ maxIterations = 20, tolerance = 1e-12 } = {}) {
+  const heights = Object.fromEntries(
+    SRI_YANTRA_TRIANGLES.map(triangle => [triangle.id, divisionToHeight(triangle.baseDivision)])
+  );
+  const free = SRI_YANTRA_TRIANGLES.filter(triangle => !triangle.principal).map(triangle => triangle.id);
+  const largest = values => Math.max(...values.map(Math.abs));
+  const epsilon = 1e-8;
+
+  let residuals = getMarmaResiduals(heights);
+  for (let iteration = 0; iteration < maxIterations && largest(residuals) > tolerance; iteration++) {
+    // Forward-difference Jacobian, one column per free height
+    const columns = free.map(id => {
+      const shifted = getMarmaResiduals({ ...heights, [id]: heights[id] + epsilon });
+      return shifted.map((value, i) => (value - residuals[i]) / epsilon);
+    });
+    const jacobian = residuals.map((_, row) => columns.map(column => column[row]));
+
+    const step = solveLinearSystem(jacobian, residuals);
+    if (!step) break;
+
+    free.forEach((id, i) => {
+      heights[id] -= step[i];
+    });
+    residuals = getMarmaResiduals(heights);
+  }
+
+  const built = buildTriangles(heights);
+  const residual = largest(residuals);
+
+  return {
+    triangles: SRI_YANTRA_TRIANGLES.map(triangle => {
+      const { base, apex, halfWidth } = built[triangle.id];
+      return {
+        ...triangle,
+        apex: { x: 0, y: -apex },
+        left: { x: -halfWidth, y: -base },
+        right: { x: halfWidth, y: -base },
+        solvedDivision: 24 * (1 - base),
+      };
+    }),
+    residual,
+    converged: residual <= tolerance,
+  };
+}
+
+/**
+ * Whether a point lies strictly inside a solved triangle
+ * @private
+ */
+function isInsideTriangle(point, triangle) {
+  const top = Math.min(triangle.apex.y, triangle.left.y);
+  const bottom = Math.max(triangle.apex.y, triangle.left.y);
+  if (point.y <= top + 1e-9 || point.y >= bottom - 1e-9) return false;
+
+  const halfWidth = triangle.right.x * (point.y - triangle.apex.y) / (triangle.left.y - triangle.apex.y);
+  return Math.abs(point.x) < halfWidth - 1e-9;
+}
+
+/**
+ * Triangle edges split at every crossing, each piece tagged with its overlap depth
+ * (how many other triangles cover it) - the layers that form the triangle avaranas
+ * @param {Array<Object>} triangles - Solved triangles (solveSriYantra().triangles)
+ * @returns {Array<Object>} Pieces { triangle, from, to, depth }
+ */
+export function getEnclosureSegments(triangles) {
+  const edges = triangles.flatMap(triangle => [
+    { triangle: triangle.id, from: triangle.left, to: triangle.right },
+    { triangle: triangle.id, from: triangle.left, to: triangle.apex },
+    { triangle: triangle.id, from: triangle.right, to: triangle.apex },
+  ]);
+
+  const crossingsOf = edge => {
+    const dx = edge.to.x - edge.from.x;
+    const dy = edge.to.y - edge.from.y;
+    const crossings = [0, 1];
+
+    for (const other of edges) {
+      if (other === edge) continue;
+      const ox = other.to.x - other.from.x;
+      const oy = other.to.y - other.from.y;
+      const denominator = dx * oy - dy * ox;
+      if (Math.abs(denominator) < 1e-12) continue;
+
+      const t = ((other.from.x - edge.from.x) * oy - (other.from.y - edge.from.y) * ox) / denominator;
+      const u = ((other.from.x - edge.from.x) * dy - (other.from.y - edge.from.y) * dx) / denominator;
+      if (t > 0 && t < 1 && u >= -1e-9 && u <= 1 + 1e-9) crossings.push(t);
+    }
+
+    return crossings.sort((a, b) => a - b);
+  };
+
+  const pieces = [];
+  for (const edge of edges) {
+    const crossings = crossingsOf(edge);
+    const at = t => ({ x: edge.from.x + (edge.to.x - edge.from.x) * t, y: edge.from.y + (edge.to.y - edge.from.y) * t });
+
+    for (let i = 0; i < crossings.length - 1; i++) {
+      if (crossings[i + 1] - crossings[i] < 1e-9) continue;
+
+      const middle = at((crossings[i] + crossings[i + 1]) / 2);
+      const depth = triangles.filter(triangle => triangle.id !== edge.triangle && isInsideTriangle(middle, triangle)).length;
+      pieces.push({ triangle: edge.triangle, from: at(crossings[i]), to: at(crossings[i + 1]), depth });
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Lotus petal outlines: pointed petals between two circles, the first pointing up
+ * @param {number} count - Number of petals
+ * @param {number} innerRadius - Radius of the petal bases
+ * @param {number} outerRadius - Radius of the petal tips
+ * @param {number} [rotation=0] - Rotation in radians
+ * @param {number} [segments=6] - Segments per petal edge
+ * @returns {Array<Array<{x, y}>>} One open outline per petal (base → tip → base)
+ */
+export function getLotusPetals(count, innerRadius, outerRadius, rotation = 0, segments = 6) {
+  const halfAngle = Math.PI / count;
+  const petals = [];
+
+  for (let p = 0; p < count; p++) {
+    const center = -Math.PI / 2 + rotation + p * 2 * halfAngle;
+    const outline = [];
+
+    // Left edge from the base up to the tip, then the right edge back down
+    for (let s = 0; s <= segments * 2; s++) {
+      const along = s <= segments ? s / segments : 2 - s / segments;
+      const side = s <= segments ? -1 : 1;
+      // Full width along the lower part of the petal, narrowing to the tip
+      const width = halfAngle * Math.min(1, 1.2 * Math.cos(along * Math.PI / 2));
+      const angle = center + side * width;
+      const radius = innerRadius + (outerRadius - innerRadius) * along;
+      outline.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+    }
+
+    petals.push(outline);
+  }
+
+  return petals;
+}
+
+/**
+ * Bhupura outline: a square with a T-shaped gate on each side
+ * @param {number} halfSize - Half the side of the square
+ * @param {number} gateHalfWidth - Half the width of each gate
+ * @param {number} gateDepth - How far each gate projects outward
+ * @returns {Array<{x, y}>} Closed outline, clockwise from the top-left corner
+ */
+export function getBhupuraOutline(halfSize, gateHalfWidth, gateDepth) {
+  // One side (top), from its left corner to just before its right corner
+  const side = [
+    { x: -halfSize, y: -halfSize },
+    { x: -gateHalfWidth, y: -halfSize },
+    { x: -gateHalfWidth, y: -halfSize - gateDepth },
+    { x: gateHalfWidth, y: -halfSize - gateDepth },
+    { x: gateHalfWidth, y: -halfSize },
+  ];
+
+  const outline = [];
+  for (let quarter = 0; quarter < 4; quarter++) {
+    const angle = quarter * Math.PI / 2;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    for (const point of side) {
+      outline.push({ x: point.x * cos - point.y * sin, y: point.x * sin + point.y * cos });
+    }
+  }
+
+  return outline;
+}
+
+/**
+ * The solved Sri Yantra (computed once on load)
+ */
+export const SRI_YANTRA = solveSriYantra();
+
+if (!SRI_YANTRA.converged) {
+  console.warn(`⚠️ Sri Yantra marmas did not close (largest gap ${SRI_YANTRA.residual.toExponential(2)})`);
+}
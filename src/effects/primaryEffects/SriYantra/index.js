@@ -0,0 +1,44 @@
+/**
+ * Sri Yantra - Complete Module
+ *
+ * Core Effect:
+ * - SriYantraEffect: Nine interlocking triangles assembling, with lotus rings, bhupura and avaranas lighting inward
+ *
+ * Configuration:
+ * - SriYantraConfig: Extends base config with layout, assembly, avarana, lotus, mandala ring, bead and bindu controls
+ *
+ * Geometry:
+ * - SriYantraGeometry: Triangles solved to the marma concurrencies, the nine avaranas, lotus and bhupura outlines
+ *
+ * Presets (4 configurations):
+ * - TRADITIONAL_SRI_YANTRA: Vermilion and saffron in a green bhupura
+ * - LUNAR_MEDITATION: Silver and indigo, slow and calm
+ * - GOLDEN_TEMPLE: All gold with turning lotus rings
+ * - COSMIC_SHAKTI: Fast assembly and rainbow avaranas
+ */
+
+// Core Effect
+export { SriYantraEffect } from './SriYantraEffect.js';
+
+// Configuration
+export { SriYantraConfig } from './SriYantraConfig.js';
+
+// Geometry
+export {
+  SRI_YANTRA_TRIANGLES,
+  MARMA_CONSTRAINTS,
+  AVARANAS,
+  SRI_YANTRA,
+  solveSriYantra,
+  getEnclosureSegments,
+  getLotusPetals,
+  getBhupuraOutline,
+} from './SriYantraGeometry.js';
+
+// Presets
+export {
+  TRADITIONAL_SRI_YANTRA,
+  LUNAR_MEDITATION,
+  GOLDEN_TEMPLE,
+  COSMIC_SHAKTI,
+} from './presets/index.js';
@@ -0,0 +1,152 @@
+/**
+ * Sri Yantra Presets
+ *
+ * 4 configurations of the Sri Yantra, from the traditional vermilion and gold
+ * yantra to a moonlit meditation and a fast, radiant temple gate.
+ */
+
+/**
+ * PRESET 1: TRADITIONAL_SRI_YANTRA
+ * Theme: Vermilion Shakti and saffron Shiva triangles inside a green bhupura
+ * Vibe: Devotional, classical, temple painting
+ */
+export const TRADITIONAL_SRI_YANTRA = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.3,
+  phaseRadiance_start: 0.6,
+  phaseDescentstart: 0.8,
+  transitionZoneWidth: 0.05,
+
+  awakeningNodeAlpha_start: 0.6,
+  awakeningNodeAlpha_end: 1.0,
+  radianceNodeAlpha_start: 1.0,
+  radianceNodeAlpha_end: 1.0,
+  descentNodeAlpha_start: 1.0,
+  descentNodeAlpha_end: 0.6,
+
+  // Triangles start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  shivaColor: '#FFB347',
+  shaktiColor: '#E8263C',
+  bhupuraColor: '#2E9E5B',
+  petalColor: '#FF7A8A',
+  enableEnergyBeads: false,
+
+  layerBlendMode: 'normal',
+};
+
+/**
+ * PRESET 2: LUNAR_MEDITATION
+ * Theme: Silver and indigo, triangles gathering slowly, beads drifting on the rings
+ * Vibe: Calm, nocturnal, contemplative
+ */
+export const LUNAR_MEDITATION = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.4,
+  phaseRadiance_start: 0.7,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  awakeningEasing: 'easeInOutCubic',
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Triangles start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  shivaColor: '#E0E6FF',
+  shaktiColor: '#8C9EFF',
+  bhupuraColor: '#5C6BC0',
+  petalColor: '#B3C0FF',
+  mandalaRingColor: '#9FA8DA',
+  avaranaColors: ['#7986CB', '#9FA8DA', '#B39DDB', '#C5CAE9', '#D1C4E9', '#E8EAF6', '#F3E5F5', '#FAFAFF', '#FFFFFF'],
+  assemblyStagger: 0.9,
+  assemblyDistance: 0.2,
+  dormantAvaranaAlpha: 0.2,
+  energyBeadColor: '#E8EAF6',
+  energyBeadCount: 6,
+  energyBeadRingLayer: 1,
+
+  layerBlendMode: ['screen', 'lighten'],
+};
+
+/**
+ * PRESET 3: GOLDEN_TEMPLE
+ * Theme: All-gold yantra with turning lotus rings and a bright pulsing bindu
+ * Vibe: Opulent, radiant, ceremonial
+ */
+export const GOLDEN_TEMPLE = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.25,
+  phaseRadiance_start: 0.55,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.04,
+
+  awakeningNodeAlpha_start: 0.5,
+  descentNodeAlpha_end: 0.5,
+
+  // Triangles start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  yantraRadius: 0.26,
+  eightPetalRadius: 0.32,
+  sixteenPetalRadius: 0.38,
+  bhupuraSize: 0.46,
+  shivaColor: '#FFD700',
+  shaktiColor: '#FFB300',
+  bhupuraColor: '#C9A227',
+  petalColor: '#FFE082',
+  avaranaColors: ['#FFC400', '#FFCA28', '#FFD54F', '#FFE082', '#FFECB3', '#FFF3C4', '#FFF8E1', '#FFFDF5', '#FFFFFF'],
+  lotusRotationSpeed: 1,
+  mandalaSymmetry: 32,
+  energyBeadColor: '#FFF8E1',
+  binduSize: 7,
+  binduGlowSize: 18,
+  binduPulseTimes: 4,
+
+  layerBlendMode: ['screen', 'lighten', 'normal'],
+};
+
+/**
+ * PRESET 4: COSMIC_SHAKTI
+ * Theme: Fast assembly, rainbow avaranas lighting inward, counter-orbiting beads
+ * Vibe: Electric, ecstatic, kundalini
+ */
+export const COSMIC_SHAKTI = {
+  phaseAwakening_start: 0.0,
+  phaseAscension_start: 0.15,
+  phaseRadiance_start: 0.45,
+  phaseDescentstart: 0.85,
+  transitionZoneWidth: 0.05,
+
+  ascensionEasing: 'linear',
+
+  awakeningNodeAlpha_start: 0.4,
+  descentNodeAlpha_end: 0.4,
+
+  // Triangles start and end the loop at the same faint glow (frame 0 = frame N-1)
+  awakeningPathIntensity_start: 0.1,
+  descentPathIntensity_end: 0.1,
+
+  shivaColor: '#00E5FF',
+  shaktiColor: '#FF00C8',
+  bhupuraColor: '#7C4DFF',
+  petalColor: '#EA80FC',
+  mandalaRingColor: '#B388FF',
+  avaranaColors: ['#FF1744', '#FF9100', '#FFEA00', '#00E676', '#00B0FF', '#3D5AFE', '#D500F9', '#F8BBD0', '#FFFFFF'],
+  assemblyStagger: 0.4,
+  assemblyDistance: 0.6,
+  avaranaStagger: 0.7,
+  enclosureGlowWidth: 4,
+  mandalaRingSpeed: 2,
+  energyBeadSpeed: 2,
+  energyBeadCount: 12,
+  energyBeadColor: '#FFFFFF',
+
+  layerBlendMode: 'screen',
+};
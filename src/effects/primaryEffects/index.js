@@ -15,10 +15,70 @@ import { AnimatedTreeOfLifeConfig } from './AnimatedTreeOfLife/AnimatedTreeOfLif
 import { ChakraMandalaEffect } from './ChakraMandala/ChakraMandalaEffect.js';
 import { ChakraMandalaConfig } from './ChakraMandala/ChakraMandalaConfig.js';
 
+// Hermetic Alchemy Effect
+import { HermeticAlchemyEffect } from './HermeticAlchemy/HermeticAlchemyEffect.js';
+import { HermeticAlchemyConfig } from './HermeticAlchemy/HermeticAlchemyConfig.js';
+
+// Celestial Sphere Effect
+import { CelestialSphereEffect } from './CelestialSphere/CelestialSphereEffect.js';
+import { CelestialSphereConfig } from './CelestialSphere/CelestialSphereConfig.js';
+
+// Fibonacci Spiral Effect
+import { FibonacciSpiralEffect } from './FibonacciSpiral/FibonacciSpiralEffect.js';
+import { FibonacciSpiralConfig } from './FibonacciSpiral/FibonacciSpiralConfig.js';
+
+// Runic Circle Effect
+import { RunicCircleEffect } from './RunicCircle/RunicCircleEffect.js';
+import { RunicCircleConfig } from './RunicCircle/RunicCircleConfig.js';
+
+// Sacred Geometry Effect
+import { SacredGeometryEffect } from './SacredGeometry/SacredGeometryEffect.js';
+import { SacredGeometryConfig } from './SacredGeometry/SacredGeometryConfig.js';
+
+// Sri Yantra Effect
+import { SriYantraEffect } from './SriYantra/SriYantraEffect.js';
+import { SriYantraConfig } from './SriYantra/SriYantraConfig.js';
+
+// Merkaba Effect
+import { MerkabaEffect } from './Merkaba/MerkabaEffect.js';
+import { MerkabaConfig } from './Merkaba/MerkabaConfig.js';
+
+// Enneagram Effect
+import { EnneagramEffect } from './Enneagram/EnneagramEffect.js';
+import { EnneagramConfig } from './Enneagram/EnneagramConfig.js';
+
+// I Ching Effect
+import { IChingEffect } from './IChing/IChingEffect.js';
+import { IChingConfig } from './IChing/IChingConfig.js';
+
+// Custom Geometry Effect
+import { CustomGeometryEffect } from './CustomGeometry/CustomGeometryEffect.js';
+import { CustomGeometryConfig } from './CustomGeometry/CustomGeometryConfig.js';
+
 // Export all primary effects
 export {
   AnimatedKabbalisticTreeKeyFrameEffect,
   AnimatedTreeOfLifeConfig,
   ChakraMandalaEffect,
   ChakraMandalaConfig,
+  HermeticAlchemyEffect,
+  HermeticAlchemyConfig,
+  CelestialSphereEffect,
+  CelestialSphereConfig,
+  FibonacciSpiralEffect,
+  FibonacciSpiralConfig,
+  RunicCircleEffect,
+  RunicCircleConfig,
+  SacredGeometryEffect,
+  SacredGeometryConfig,
+  SriYantraEffect,
+  SriYantraConfig,
+  MerkabaEffect,
+  MerkabaConfig,
+  EnneagramEffect,
+  EnneagramConfig,
+  IChingEffect,
+  IChingConfig,
+  CustomGeometryEffect,
+  CustomGeometryConfig,
 };
\ No newline at end of file
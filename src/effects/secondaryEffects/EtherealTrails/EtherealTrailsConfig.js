@@ -0,0 +1,131 @@
+/**
+ * Ethereal Trails Configuration
+ *
+ * Parameters for the particle-trail secondary effect:
+ * - Particle field (count, spawn area, size)
+ * - Curl-noise flow field (scale, octaves, speed)
+ * - Loop-safe lifetimes and trail shape
+ * - Colors, opacity and blend mode
+ */
+
+import { EffectConfig } from 'my-nft-gen/src/core/layer/EffectConfig.js';
+import { ColorPicker } from 'my-nft-gen/src/core/layer/configType/ColorPicker.js';
+import { BlendModeCompositor } from '../../base/BlendModeCompositor.js';
+
+export class EtherealTrailsConfig extends EffectConfig {
+  constructor({
+    // ====== PARTICLE FIELD ======
+    particleCount = 160,                   // Particles spawned once in generate()
+    spawnRadius = 0,                       // 0 = spread over the whole canvas, >0 = disc of this radius (fraction of half the shortest side)
+    particleSize = 2,                      // Head radius in pixels at a 1024px shortest side
+
+    // ====== FLOW FIELD ======
+    flowScale = 2.5,                       // Swirls across the canvas (noise frequency)
+    flowOctaves = 3,                       // Noise layers, each twice as fine and half as strong
+    flowSpeed = 0.35,                      // Distance traveled per lifetime (fraction of the shortest side)
+
+    // ====== LIFETIMES & TRAILS ======
+    lifetimesPerLoop = 2,                  // Whole lifetimes per loop (integer keeps frame N-1 = frame 0)
+    trailLength = 0.3,                     // Trail length as a fraction of the lifetime
+    trailSegments = 12,                    // Line segments per trail
+    trailThickness = 1.5,                  // Thickness at the head in pixels at a 1024px shortest side
+
+    // ====== APPEARANCE ======
+    particleColor = new ColorPicker(ColorPicker.SelectionType.colorBucket),  // Head color (string or ColorPicker)
+    trailColor = new ColorPicker(ColorPicker.SelectionType.colorBucket),     // Trail color (string or ColorPicker)
+    opacity = 0.8,                         // Peak alpha of a particle mid-life
+    layerBlendMode = 'screen',             // How the trails composite over the layer
+
+    // ====== DETERMINISM ======
+    seed = null,                           // Particle field seed (null = settings.seed or a fresh one, recorded back)
+  } = {}) {
+    super();
+
+    this.particleCount = particleCount;
+    this.spawnRadius = spawnRadius;
+    this.particleSize = particleSize;
+
+    this.flowScale = flowScale;
+    this.flowOctaves = flowOctaves;
+    this.flowSpeed = flowSpeed;
+
+    this.lifetimesPerLoop = lifetimesPerLoop;
+    this.trailLength = trailLength;
+    this.trailSegments = trailSegments;
+    this.trailThickness = trailThickness;
+
+    this.particleColor = particleColor;
+    this.trailColor = trailColor;
+    this.opacity = opacity;
+    this.layerBlendMode = layerBlendMode;
+
+    this.seed = seed;
+  }
+
+  /**
+   * Validate this configuration instance
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  validate() {
+    return EtherealTrailsConfig.validate(this);
+  }
+
+  /**
+   * Static validation method
+   * @static
+   * @param {EtherealTrailsConfig} config - Configuration to validate
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  static validate(config) {
+    const errors = [];
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+    const isCount = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (!config) {
+      errors.push('Configuration is required');
+      return { valid: false, errors };
+    }
+
+    if (!isCount(config.particleCount, 1, 2000)) {
+      errors.push('particleCount must be a whole number between 1 and 2000');
+    }
+    if (!inRange(config.spawnRadius, 0, 2)) {
+      errors.push('spawnRadius must be a number between 0 and 2');
+    }
+    if (!inRange(config.particleSize, 0, Infinity)) {
+      errors.push('particleSize must be a number >= 0');
+    }
+    if (!inRange(config.flowScale, 0.1, 20)) {
+      errors.push('flowScale must be a number between 0.1 and 20');
+    }
+    if (!isCount(config.flowOctaves, 1, 6)) {
+      errors.push('flowOctaves must be a whole number between 1 and 6');
+    }
+    if (!inRange(config.flowSpeed, 0, 5)) {
+      errors.push('flowSpeed must be a number between 0 and 5');
+    }
+    if (!isCount(config.lifetimesPerLoop, 1, 20)) {
+      errors.push('lifetimesPerLoop must be a whole number between 1 and 20 so the particles loop');
+    }
+    if (!inRange(config.trailLength, 0, 1)) {
+      errors.push('trailLength must be a number between 0 and 1');
+    }
+    if (!isCount(config.trailSegments, 1, 64)) {
+      errors.push('trailSegments must be a whole number between 1 and 64');
+    }
+    if (!inRange(config.trailThickness, 0, Infinity)) {
+      errors.push('trailThickness must be a number >= 0');
+    }
+    if (!inRange(config.opacity, 0, 1)) {
+      errors.push('opacity must be a number between 0 and 1');
+    }
+    if (!BlendModeCompositor.isSupported(config.layerBlendMode)) {
+      errors.push(`layerBlendMode must be one of ${BlendModeCompositor.BLEND_MODES.join(', ')}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,356 @@
+/**
+ * Ethereal Trails Effect
+ *
+ * Seeded particle trails drifting over any primary layer:
+ * 1. generate() (once, in the constructor) - builds a curl-noise flow field and a particle
+ *    field from the seed, and integrates every particle's path over one lifetime
+ * 2. Per frame - each particle's age is a whole number of lifetimes per loop plus its seeded
+ *    offset, so frame N-1 lands back on frame 0; its trail is the last trailLength of its path
+ * 3. Fading - particles fade in at birth and out at death (no pops when they respawn),
+ *    trails fade and taper toward the tail
+ *
+ * Frames hold no state between them (positions come from the precomputed paths), so any
+ * frame renders the same in any worker. Curl noise is divergence-free, so the field swirls
+ * without sinks that would bunch particles up.
+ */
+
+import { LayerEffect } from 'my-nft-gen/src/core/layer/LayerEffect.js';
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { Canvas2dFactory } from 'my-nft-gen/src/core/factory/canvas/Canvas2dFactory.js';
+import { BlendModeCompositor } from '../../base/BlendModeCompositor.js';
+import { LayerPixels } from '../../base/LayerPixels.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { ParameterTrackEngine } from '../../base/ParameterTrackEngine.js';
+import { SeededRandom } from '../../base/SeededRandom.js';
+import { EtherealTrailsConfig } from './EtherealTrailsConfig.js';
+
+const DEFAULT_PARTICLE_COLOR = '#FFFFFF';
+const DEFAULT_TRAIL_COLOR = '#B8A9FF';
+
+// Sizes are authored for a 1024px shortest side
+const REFERENCE_SIZE = 1024;
+
+// Path samples per lifetime (trail points are interpolated between them)
+const PATH_SAMPLES = 96;
+
+// Flow waves per noise octave
+const WAVES_PER_OCTAVE = 3;
+
+// Alphas below this are invisible - skip the draw call
+const MIN_VISIBLE_ALPHA = 0.01;
+
+/**
+ * Build a curl-noise flow field from sine waves with seeded directions and phases
+ * @private
+ * @param {SeededRandom} random - Field generator
+ * @param {number} scale - Base frequency (swirls per unit)
+ * @param {number} octaves - Number of octaves
+ * @returns {Array<{kx: number, ky: number, phase: number, amplitude: number}>} Potential waves
+ */
+function buildFlowField(random, scale, octaves) {
+  const waves = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    const frequency = scale * Math.PI * 2 * Math.pow(2, octave);
+    const amplitude = Math.pow(0.5, octave) / frequency;
+    for (let w = 0; w < WAVES_PER_OCTAVE; w++) {
+      const angle = random.range(0, Math.PI * 2);
+      waves.push({
+        kx: Math.cos(angle) * frequency,
+        ky: Math.sin(angle) * frequency,
+        phase: random.range(0, Math.PI * 2),
+        amplitude,
+      });
+    }
+  }
+  return waves;
+}
+
+/**
+ * Curl of the wave potential at a point: v = (∂ψ/∂y, -∂ψ/∂x)
+ * Amplitudes are divided by frequency, so every octave contributes speeds of the same order.
+ * @private
+ */
+function sampleFlow(waves, x, y) {
+  let vx = 0;
+  let vy = 0;
+  for (const wave of waves) {
+    const derivative = wave.amplitude * Math.cos(wave.kx * x + wave.ky * y + wave.phase);
+    vx += derivative * wave.ky;
+    vy -= derivative * wave.kx;
+  }
+  return { vx, vy };
+}
+
+/**
+ * EtherealTrailsEffect - Seeded curl-noise particle trails
+ *
+ * @class EtherealTrailsEffect
+ * @extends LayerEffect
+ *
+ * @example
+ * const effect = new EtherealTrailsEffect({
+ *   config: new EtherealTrailsConfig({ particleCount: 200, trailColor: '#9B59B6' }),
+ *   settings: new Settings()
+ * });
+ * await effect.invoke(layer, 0, 60);
+ */
+export class EtherealTrailsEffect extends LayerEffect {
+  static _name_ = 'ethereal-trails';
+  static _displayName_ = 'Ethereal Trails';
+  static _description_ = 'Seeded particles drifting along a looping curl-noise flow field, drawing fading trails over the layer';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'secondary', 'particles', 'trails', 'flow-field', 'mystical'];
+
+  // Presets - set at registration (see src/index.js)
+  static presets = [];
+
+  /**
+   * Get all available presets for this effect
+   * @static
+   * @returns {Array<Object>} Array of preset definitions
+   */
+  static getPresets() {
+    return this.presets || [];
+  }
+
+  /**
+   * Get a specific preset by name
+   * @static
+   * @param {string} presetName - Name of the preset
+   * @returns {Object|null} Preset definition or null if not found
+   */
+  static getPreset(presetName) {
+    return this.presets?.find(p => p.name === presetName) || null;
+  }
+
+  /**
+   * Creates an instance of EtherealTrailsEffect
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Effect name (defaults to _name_)
+   * @param {EtherealTrailsConfig|Object} options.config - Effect configuration (plain objects are wrapped)
+   * @param {Settings} options.settings - Framework settings
+   * @param {Array<LayerEffect>} options.additionalEffects - Chained effects (optional)
+   * @param {boolean} options.ignoreAdditionalEffects - Skip additional effects (default: false)
+   */
+  constructor({
+    name = EtherealTrailsEffect._name_,
+    config = new EtherealTrailsConfig({}),
+    settings = new Settings({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    ...rest
+  } = {}) {
+    if (!(config instanceof EtherealTrailsConfig)) {
+      config = new EtherealTrailsConfig(config);
+    }
+
+    super({
+      name,
+      config,
+      settings,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      ...rest
+    });
+
+    // Resolve the ColorPickers once so the serialized config carries plain colors
+    this.config.particleColor = ParameterTrackEngine.resolveColor(this.config.particleColor, this.settings, DEFAULT_PARTICLE_COLOR, 'Ethereal Trails: particle color');
+    this.config.trailColor = ParameterTrackEngine.resolveColor(this.config.trailColor, this.settings, DEFAULT_TRAIL_COLOR, 'Ethereal Trails: trail color');
+
+    // Seed recorded back so the trails replay from the config
+    this.random = new SeededRandom(SeededRandom.resolve(this.config.seed, settings));
+    this.config.seed = this.random.seed;
+
+    this.particles = [];
+    if (EtherealTrailsConfig.validate(this.config).valid) {
+      this.generate();
+    }
+  }
+
+  /**
+   * Spawn the particle field and integrate every particle's path (called once in the constructor)
+   * Positions are in shortest-side units around the canvas center, so the field is
+   * independent of the output size. All randomness comes from this.random.
+   * @protected
+   */
+  generate() {
+    const { particleCount, spawnRadius, flowScale, flowOctaves, flowSpeed } = this.config;
+    const fieldRandom = this.random.fork('flowField');
+    const spawnRandom = this.random.fork('particles');
+
+    this.flowField = buildFlowField(fieldRandom, flowScale, flowOctaves);
+
+    // Normalize so the fastest possible flow covers flowSpeed * 2 per lifetime
+    const maxSpeed = this.flowField.reduce((sum, wave) => sum + wave.amplitude * Math.hypot(wave.kx, wave.ky), 0) || 1;
+    const step = (flowSpeed * 2) / maxSpeed / PATH_SAMPLES;
+
+    this.particles = Array.from({ length: particleCount }, () => {
+      let x;
+      let y;
+      if (spawnRadius > 0) {
+        // Uniform over the disc
+        const radius = Math.sqrt(spawnRandom.next()) * spawnRadius * 0.5;
+        const angle = spawnRandom.range(0, Math.PI * 2);
+        x = Math.cos(angle) * radius;
+        y = Math.sin(angle) * radius;
+      } else {
+        // Whole canvas, with a margin so trails also drift in from the edges
+        x = spawnRandom.range(-0.6, 0.6);
+        y = spawnRandom.range(-0.6, 0.6);
+      }
+
+      const path = [{ x, y }];
+      for (let s = 0; s < PATH_SAMPLES; s++) {
+        // Midpoint (RK2) keeps the swirls round instead of spiraling outward
+        const v1 = sampleFlow(this.flowField, x, y);
+        const v2 = sampleFlow(this.flowField, x + v1.vx * step * 0.5, y + v1.vy * step * 0.5);
+        x += v2.vx * step;
+        y += v2.vy * step;
+        path.push({ x, y });
+      }
+
+      return {
+        path,
+        offset: spawnRandom.next(),
+        brightness: spawnRandom.range(0.6, 1),
+      };
+    });
+  }
+
+  /**
+   * Draw the trails over the layer
+   * @async
+   * @param {Object} layer - The layer with primary effects already applied
+   * @param {number} currentFrame - Current frame number (0-based)
+   * @param {number} numberOfFrames - Total number of frames
+   * @returns {Promise<void>}
+   * @throws {Error} If configuration is invalid
+   */
+  async invoke(layer, currentFrame, numberOfFrames) {
+    try {
+      const validation = EtherealTrailsConfig.validate(this.config);
+      if (!validation.valid) {
+        throw new Error(`Invalid configuration: ${validation.errors.join(', ')}`);
+      }
+
+      const { width, height } = await LayerPixels.size(layer);
+      const canvas = await Canvas2dFactory.getNewCanvas(width, height);
+      const progress = PhaseAnimatedPolygonEffect.getLoopProgress(currentFrame, numberOfFrames);
+
+      await this.#renderTrails(canvas, width, height, progress);
+
+      const renderedLayer = await canvas.convertToLayer();
+      await this.compositeRenderedLayer(layer, renderedLayer);
+
+      await super.invoke(layer, currentFrame, numberOfFrames);
+    } catch (error) {
+      console.error(`Error in ${this.constructor._name_}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Composite the rendered trails onto the layer using config.layerBlendMode
+   * @protected
+   * @param {Layer} layer - Target layer (modified in place)
+   * @param {Layer} renderedLayer - Trails layer
+   * @returns {Promise<void>}
+   */
+  async compositeRenderedLayer(layer, renderedLayer) {
+    await BlendModeCompositor.composite(layer, renderedLayer, this.config.layerBlendMode || 'normal');
+  }
+
+  /**
+   * Age of a particle (0 = birth, 1 = death) at a loop progress
+   * A whole number of lifetimes per loop keeps frame N-1 (progress 1) identical to frame 0.
+   * The whole cycles are dropped before the offset is added, so progress 1 gives exactly the offset.
+   * @param {Object} particle - Particle from generate()
+   * @param {number} progress - Loop progress (0-1)
+   * @returns {number} Age (0-1)
+   */
+  getParticleAge(particle, progress) {
+    const cycles = progress * this.config.lifetimesPerLoop;
+    const age = cycles - Math.floor(cycles) + particle.offset;
+    return age - Math.floor(age);
+  }
+
+  /**
+   * Get a human-readable description of the effect's current state
+   * @returns {string} Description including effect name and key config values
+   */
+  getInfo() {
+    const { particleCount, flowScale, lifetimesPerLoop, trailColor, seed } = this.config;
+    return `${this.constructor._displayName_} (${this.constructor._name_}): particles=${particleCount}, flowScale=${flowScale}, lifetimes=${lifetimesPerLoop}, trail=${trailColor}, seed=${seed}`;
+  }
+
+  /**
+   * Draw every particle's trail and head for this frame
+   * @private
+   */
+  async #renderTrails(canvas, width, height, progress) {
+    const { trailLength, trailSegments, trailThickness, particleSize, particleColor, trailColor, opacity } = this.config;
+    const unit = Math.min(width, height);
+    const sizeScale = unit / REFERENCE_SIZE;
+    const toCanvas = ({ x, y }) => ({ x: width / 2 + x * unit, y: height / 2 + y * unit });
+
+    for (const particle of this.particles) {
+      const age = this.getParticleAge(particle, progress);
+
+      // Fade in at birth, out at death
+      const headAlpha = opacity * particle.brightness * Math.sin(age * Math.PI);
+      if (headAlpha < MIN_VISIBLE_ALPHA) continue;
+
+      const tailAge = Math.max(0, age - trailLength);
+      if (age > tailAge && trailThickness > 0) {
+        let previous = toCanvas(EtherealTrailsEffect.samplePath(particle.path, tailAge));
+        for (let s = 1; s <= trailSegments; s++) {
+          // t runs from the tail (0) to the head (1)
+          const t = s / trailSegments;
+          const point = toCanvas(EtherealTrailsEffect.samplePath(particle.path, tailAge + (age - tailAge) * t));
+          const alpha = headAlpha * t * t;
+
+          if (alpha >= MIN_VISIBLE_ALPHA) {
+            await canvas.drawLine2d(
+              previous,
+              point,
+              Math.max(0.5, trailThickness * sizeScale * t),
+              trailColor,
+              0,
+              null,
+              alpha
+            );
+          }
+          previous = point;
+        }
+      }
+
+      if (particleSize > 0) {
+        await canvas.drawFilledPolygon2d(
+          Math.max(0.5, particleSize * sizeScale),
+          toCanvas(EtherealTrailsEffect.samplePath(particle.path, age)),
+          8,
+          0,
+          particleColor,
+          headAlpha
+        );
+      }
+    }
+  }
+
+  /**
+   * Interpolate a precomputed path at an age
+   * @static
+   * @param {Array<{x: number, y: number}>} path - PATH_SAMPLES + 1 points over one lifetime
+   * @param {number} age - Age (0-1)
+   * @returns {{x: number, y: number}} Position in shortest-side units
+   */
+  static samplePath(path, age) {
+    const position = Math.max(0, Math.min(1, age)) * (path.length - 1);
+    const index = Math.min(path.length - 2, Math.floor(position));
+    const t = position - index;
+    const a = path[index];
+    const b = path[index + 1];
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Ethereal Trails - Complete Module
+ *
+ * Core Effect:
+ * - EtherealTrailsEffect: Seeded particles advected along a curl-noise flow field, drawn as fading trails
+ *
+ * Configuration:
+ * - EtherealTrailsConfig: Particle field, flow field, lifetime, trail and color parameters with validation
+ *
+ * Presets (4 particle moods):
+ * - STARDUST_DRIFT: Fine white motes with lilac trails
+ * - SPIRIT_WISPS: Few long, slow violet wisps around the center
+ * - GOLDEN_CURRENTS: Dense golden sparks in tight eddies
+ * - AURORA_STREAMS: Broad teal ribbons on a smooth flow
+ */
+
+// Core Effect
+export { EtherealTrailsEffect } from './EtherealTrailsEffect.js';
+
+// Configuration
+export { EtherealTrailsConfig } from './EtherealTrailsConfig.js';
+
+// Presets
+export {
+  STARDUST_DRIFT,
+  SPIRIT_WISPS,
+  GOLDEN_CURRENTS,
+  AURORA_STREAMS,
+} from './presets/index.js';
@@ -0,0 +1,93 @@
+/**
+ * Ethereal Trails Presets
+ *
+ * Four particle moods, from fine stardust to slow spirit wisps.
+ */
+
+/**
+ * PRESET 1: STARDUST_DRIFT
+ * Theme: Fine white motes trailing lilac light across the whole canvas
+ * Vibe: Quiet, cosmic
+ */
+export const STARDUST_DRIFT = {
+  particleCount: 160,
+  spawnRadius: 0,
+  particleSize: 2,
+  flowScale: 2.5,
+  flowOctaves: 3,
+  flowSpeed: 0.35,
+  lifetimesPerLoop: 2,
+  trailLength: 0.3,
+  trailSegments: 12,
+  trailThickness: 1.5,
+  particleColor: '#FFFFFF',
+  trailColor: '#B8A9FF',
+  opacity: 0.8,
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 2: SPIRIT_WISPS
+ * Theme: A few long, slow wisps circling the center of the form
+ * Vibe: Haunting, meditative
+ */
+export const SPIRIT_WISPS = {
+  particleCount: 48,
+  spawnRadius: 0.8,
+  particleSize: 3,
+  flowScale: 1.5,
+  flowOctaves: 2,
+  flowSpeed: 0.5,
+  lifetimesPerLoop: 1,
+  trailLength: 0.6,
+  trailSegments: 24,
+  trailThickness: 3,
+  particleColor: '#F3E8FF',
+  trailColor: '#9B59B6',
+  opacity: 0.7,
+  layerBlendMode: 'screen',
+};
+
+/**
+ * PRESET 3: GOLDEN_CURRENTS
+ * Theme: Dense swarm of golden sparks riding fast, tight eddies
+ * Vibe: Alchemical, energetic
+ */
+export const GOLDEN_CURRENTS = {
+  particleCount: 320,
+  spawnRadius: 0,
+  particleSize: 1.5,
+  flowScale: 4,
+  flowOctaves: 3,
+  flowSpeed: 0.6,
+  lifetimesPerLoop: 3,
+  trailLength: 0.2,
+  trailSegments: 8,
+  trailThickness: 1.2,
+  particleColor: '#FFF4D6',
+  trailColor: '#FFB347',
+  opacity: 0.85,
+  layerBlendMode: 'color-dodge',
+};
+
+/**
+ * PRESET 4: AURORA_STREAMS
+ * Theme: Broad teal ribbons sweeping along a smooth, large-scale flow
+ * Vibe: Flowing, celestial
+ */
+export const AURORA_STREAMS = {
+  particleCount: 90,
+  spawnRadius: 0,
+  particleSize: 0,
+  flowScale: 1.2,
+  flowOctaves: 1,
+  flowSpeed: 0.7,
+  lifetimesPerLoop: 1,
+  trailLength: 0.5,
+  trailSegments: 20,
+  trailThickness: 4,
+  particleColor: '#E0FFF8',
+  trailColor: '#3DDC97',
+  opacity: 0.5,
+  layerBlendMode: 'screen',
+};
@@ -0,0 +1,103 @@
+/**
+ * Mystic Bloom Configuration
+ *
+ * Parameters for the multi-pass bloom secondary effect:
+ * - Bright-pass threshold and soft knee
+ * - Blur radii (one pass per radius, wider passes weighted less)
+ * - Tint color and strength
+ * - Loop-safe intensity pulse
+ */
+
+import { EffectConfig } from 'my-nft-gen/src/core/layer/EffectConfig.js';
+import { ColorPicker } from 'my-nft-gen/src/core/layer/configType/ColorPicker.js';
+
+export class MysticBloomConfig extends EffectConfig {
+  constructor({
+    // ====== BRIGHT PASS ======
+    threshold = 0.6,                       // Luminance (0-1) where the bloom starts
+    softKnee = 0.15,                       // Half-width of the fade around the threshold (0 = hard cut)
+
+    // ====== BLUR PASSES ======
+    bloomRadii = [4, 12, 32],              // Blur sigma per pass in pixels at a 1024px shortest side
+    radiusFalloff = 0.6,                   // Weight of each pass relative to the previous one
+
+    // ====== TINT ======
+    tintColor = new ColorPicker(ColorPicker.SelectionType.colorBucket),  // Bloom tint (string or ColorPicker)
+    tintStrength = 0.5,                    // 0 = bloom keeps the source colors, 1 = fully tinted
+
+    // ====== INTENSITY ======
+    intensity = 1.2,                       // Bloom added back on top of the layer
+    pulseAmount = 0.25,                    // Intensity swing (0-1) around the base intensity
+    pulseTimes = 2,                        // Whole pulses per loop (integer keeps frame N-1 = frame 0)
+  } = {}) {
+    super();
+
+    this.threshold = threshold;
+    this.softKnee = softKnee;
+
+    this.bloomRadii = bloomRadii;
+    this.radiusFalloff = radiusFalloff;
+
+    this.tintColor = tintColor;
+    this.tintStrength = tintStrength;
+
+    this.intensity = intensity;
+    this.pulseAmount = pulseAmount;
+    this.pulseTimes = pulseTimes;
+  }
+
+  /**
+   * Validate this configuration instance
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  validate() {
+    return MysticBloomConfig.validate(this);
+  }
+
+  /**
+   * Static validation method
+   * @static
+   * @param {MysticBloomConfig} config - Configuration to validate
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  static validate(config) {
+    const errors = [];
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+    if (!config) {
+      errors.push('Configuration is required');
+      return { valid: false, errors };
+    }
+
+    if (!inRange(config.threshold, 0, 1)) {
+      errors.push('threshold must be a number between 0 and 1');
+    }
+    if (!inRange(config.softKnee, 0, 0.5)) {
+      errors.push('softKnee must be a number between 0 and 0.5');
+    }
+    if (!Array.isArray(config.bloomRadii) || config.bloomRadii.length === 0
+      || !config.bloomRadii.every(radius => typeof radius === 'number' && radius > 0)) {
+      errors.push('bloomRadii must be a non-empty array of positive numbers');
+    }
+    if (!inRange(config.radiusFalloff, 0, 1)) {
+      errors.push('radiusFalloff must be a number between 0 and 1');
+    }
+    if (!inRange(config.tintStrength, 0, 1)) {
+      errors.push('tintStrength must be a number between 0 and 1');
+    }
+    if (!inRange(config.intensity, 0, Infinity)) {
+      errors.push('intensity must be a number >= 0');
+    }
+    if (!inRange(config.pulseAmount, 0, 1)) {
+      errors.push('pulseAmount must be a number between 0 and 1');
+    }
+    if (!Number.isInteger(config.pulseTimes) || config.pulseTimes < 0) {
+      errors.push('pulseTimes must be a whole number >= 0 so the pulse loops');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Mystic Bloom Effect
+ *
+ * Real multi-pass glow for any primary layer:
+ * 1. Bright pass - pixels above the luminance threshold (with a soft knee) are kept
+ * 2. Blur passes - the bright pass is blurred once per radius and the passes summed,
+ *    each wider pass weighted by radiusFalloff
+ * 3. Tint - the bloom is pulled toward tintColor, keeping its brightness
+ * 4. Add back - the bloom is added on top of the layer (premultiplied, so glow also
+ *    spreads into transparent areas), its intensity pulsing a whole number of times per loop
+ *
+ * Pixel work goes through LayerPixels (sharp); the tint ColorPicker is resolved once
+ * in the constructor so every frame and worker uses the same color.
+ */
+
+import { LayerEffect } from 'my-nft-gen/src/core/layer/LayerEffect.js';
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { LayerPixels } from '../../base/LayerPixels.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { ParameterTrackEngine } from '../../base/ParameterTrackEngine.js';
+import { MysticBloomConfig } from './MysticBloomConfig.js';
+
+const DEFAULT_TINT = '#E8D5FF';
+
+// Blur radii are authored for a 1024px shortest side
+const REFERENCE_SIZE = 1024;
+
+/**
+ * MysticBloomEffect - Bright-pass, multi-radius blur and tinted additive glow
+ *
+ * @class MysticBloomEffect
+ * @extends LayerEffect
+ *
+ * @example
+ * const effect = new MysticBloomEffect({
+ *   config: new MysticBloomConfig({ threshold: 0.5, tintColor: '#FFD700' }),
+ *   settings: new Settings()
+ * });
+ * await effect.invoke(layer, 0, 60);
+ */
+export class MysticBloomEffect extends LayerEffect {
+  static _name_ = 'mystic-bloom';
+  static _displayName_ = 'Mystic Bloom';
+  static _description_ = 'Multi-pass bloom: extracts bright regions, blurs them at several radii, tints and adds them back with a looping pulse';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'secondary', 'post-processing', 'glow', 'bloom', 'mystical'];
+
+  // Presets - set at registration (see src/index.js)
+  static presets = [];
+
+  /**
+   * Get all available presets for this effect
+   * @static
+   * @returns {Array<Object>} Array of preset definitions
+   */
+  static getPresets() {
+    return this.presets || [];
+  }
+
+  /**
+   * Get a specific preset by name
+   * @static
+   * @param {string} presetName - Name of the preset
+   * @returns {Object|null} Preset definition or null if not found
+   */
+  static getPreset(presetName) {
+    return this.presets?.find(p => p.name === presetName) || null;
+  }
+
+  /**
+   * Creates an instance of MysticBloomEffect
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Effect name (defaults to _name_)
+   * @param {MysticBloomConfig|Object} options.config - Effect configuration (plain objects are wrapped)
+   * @param {Settings} options.settings - Framework settings
+   * @param {Array<LayerEffect>} options.additionalEffects - Chained effects (optional)
+   * @param {boolean} options.ignoreAdditionalEffects - Skip additional effects (default: false)
+   */
+  constructor({
+    name = MysticBloomEffect._name_,
+    config = new MysticBloomConfig({}),
+    settings = new Settings({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    ...rest
+  } = {}) {
+    if (!(config instanceof MysticBloomConfig)) {
+      config = new MysticBloomConfig(config);
+    }
+
+    super({
+      name,
+      config,
+      settings,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      ...rest
+    });
+
+    // Resolve the ColorPicker once so the serialized config carries a plain color
+    this.config.tintColor = ParameterTrackEngine.resolveColor(this.config.tintColor, this.settings, DEFAULT_TINT, 'Mystic Bloom: tint');
+  }
+
+  /**
+   * Apply the bloom to the layer
+   * @async
+   * @param {Object} layer - The layer with primary effects already applied
+   * @param {number} currentFrame - Current frame number (0-based)
+   * @param {number} numberOfFrames - Total number of frames
+   * @returns {Promise<void>}
+   * @throws {Error} If configuration is invalid
+   */
+  async invoke(layer, currentFrame, numberOfFrames) {
+    try {
+      const validation = MysticBloomConfig.validate(this.config);
+      if (!validation.valid) {
+        throw new Error(`Invalid configuration: ${validation.errors.join(', ')}`);
+      }
+
+      const intensity = this.getIntensity(currentFrame, numberOfFrames);
+      if (intensity > 0) {
+        const pixels = await LayerPixels.read(layer);
+        const bloom = await this.#buildBloom(pixels);
+        this.#tint(bloom);
+        MysticBloomEffect.addPremultiplied(pixels.data, bloom.data, intensity);
+        await LayerPixels.write(layer, pixels);
+      }
+
+      await super.invoke(layer, currentFrame, numberOfFrames);
+    } catch (error) {
+      console.error(`Error in ${this.constructor._name_}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bloom intensity for a frame
+   * Pulses pulseTimes whole cycles per loop; progress runs 0 → 1 from frame 0 to frame N-1
+   * (PhaseAnimatedPolygonEffect.getLoopProgress), so frame N-1 matches frame 0
+   * @param {number} currentFrame - Current frame number (0-based)
+   * @param {number} numberOfFrames - Total number of frames
+   * @returns {number} Intensity multiplier for the add-back
+   */
+  getIntensity(currentFrame, numberOfFrames) {
+    const { intensity, pulseAmount, pulseTimes } = this.config;
+    const progress = PhaseAnimatedPolygonEffect.getLoopProgress(currentFrame, numberOfFrames);
+    return intensity * (1 + pulseAmount * Math.sin(progress * pulseTimes * Math.PI * 2));
+  }
+
+  /**
+   * Get a human-readable description of the effect's current state
+   * @returns {string} Description including effect name and key config values
+   */
+  getInfo() {
+    const { threshold, bloomRadii, intensity, tintColor } = this.config;
+    return `${this.constructor._displayName_} (${this.constructor._name_}): threshold=${threshold}, radii=[${bloomRadii.join(', ')}], intensity=${intensity}, tint=${tintColor}`;
+  }
+
+  /**
+   * Add premultiplied RGB glow onto straight-alpha RGBA pixels in place
+   * The glow's alpha is its brightest channel, so it lights transparent areas too.
+   * @static
+   * @param {Buffer|Uint8Array} targetData - Layer RGBA bytes (written in place)
+   * @param {Buffer|Uint8Array} glowData - Premultiplied glow RGB bytes (3 channels)
+   * @param {number} intensity - Glow multiplier
+   */
+  static addPremultiplied(targetData, glowData, intensity) {
+    for (let i = 0, g = 0; i < targetData.length; i += 4, g += 3) {
+      const gr = (glowData[g] / 255) * intensity;
+      const gg = (glowData[g + 1] / 255) * intensity;
+      const gb = (glowData[g + 2] / 255) * intensity;
+      if (gr === 0 && gg === 0 && gb === 0) continue;
+
+      const ab = targetData[i + 3] / 255;
+      const ao = Math.min(1, ab + Math.min(1, Math.max(gr, gg, gb)));
+      const channel = (c, glow) => Math.round(Math.min(255, (Math.min(1, (c / 255) * ab + glow) / ao) * 255));
+
+      targetData[i] = channel(targetData[i], gr);
+      targetData[i + 1] = channel(targetData[i + 1], gg);
+      targetData[i + 2] = channel(targetData[i + 2], gb);
+      targetData[i + 3] = Math.round(ao * 255);
+    }
+  }
+
+  /**
+   * Bright pass, then one blur per radius, summed with falling weights
+   * @private
+   * @returns {Promise<Object>} Premultiplied RGB pixel buffer (3 channels)
+   */
+  async #buildBloom({ data, width, height }) {
+    const { threshold, softKnee, bloomRadii, radiusFalloff } = this.config;
+    const bright = { data: Buffer.alloc(width * height * 3), width, height, channels: 3 };
+    const low = threshold - softKnee;
+    const high = threshold + softKnee;
+
+    for (let i = 0, b = 0; i < data.length; i += 4, b += 3) {
+      const alpha = data[i + 3] / 255;
+      if (alpha === 0) continue;
+
+      const luminance = ((0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]) / 255) * alpha;
+      let weight;
+      if (luminance <= low) {
+        weight = 0;
+      } else if (luminance >= high) {
+        weight = 1;
+      } else {
+        const t = (luminance - low) / (high - low);
+        weight = t * t * (3 - 2 * t);
+      }
+      if (weight === 0) continue;
+
+      const scale = alpha * weight;
+      bright.data[b] = Math.round(data[i] * scale);
+      bright.data[b + 1] = Math.round(data[i + 1] * scale);
+      bright.data[b + 2] = Math.round(data[i + 2] * scale);
+    }
+
+    // Weights 1, f, f², … normalized so the radii only change the shape, not the energy
+    const sizeScale = Math.min(width, height) / REFERENCE_SIZE;
+    const weights = bloomRadii.map((_, pass) => Math.pow(radiusFalloff, pass));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+    const accumulated = new Float32Array(bright.data.length);
+
+    for (let pass = 0; pass < bloomRadii.length; pass++) {
+      const blurred = await LayerPixels.blur(bright, bloomRadii[pass] * sizeScale);
+      const weight = weights[pass] / totalWeight;
+      for (let j = 0; j < accumulated.length; j++) {
+        accumulated[j] += blurred.data[j] * weight;
+      }
+    }
+
+    for (let j = 0; j < accumulated.length; j++) {
+      bright.data[j] = Math.round(accumulated[j]);
+    }
+    return bright;
+  }
+
+  /**
+   * Pull the bloom toward the tint color, keeping its luminance
+   * @private
+   */
+  #tint({ data }) {
+    const { tintStrength, tintColor } = this.config;
+    if (tintStrength <= 0) return;
+
+    const tint = ParameterTrackEngine.hexToRgb(tintColor);
+    const tintLuminance = (0.2126 * tint.r + 0.7152 * tint.g + 0.0722 * tint.b) / 255 || 1;
+
+    for (let j = 0; j < data.length; j += 3) {
+      const luminance = (0.2126 * data[j] + 0.7152 * data[j + 1] + 0.0722 * data[j + 2]) / 255;
+      if (luminance === 0) continue;
+
+      const scale = luminance / tintLuminance;
+      data[j] = Math.round(Math.min(255, data[j] + (tint.r * scale - data[j]) * tintStrength));
+      data[j + 1] = Math.round(Math.min(255, data[j + 1] + (tint.g * scale - data[j + 1]) * tintStrength));
+      data[j + 2] = Math.round(Math.min(255, data[j + 2] + (tint.b * scale - data[j + 2]) * tintStrength));
+    }
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Mystic Bloom - Complete Module
+ *
+ * Core Effect:
+ * - MysticBloomEffect: Bright pass, multi-radius blur, tint and pulsing add-back
+ *
+ * Configuration:
+ * - MysticBloomConfig: Threshold, blur radii, tint and pulse parameters with validation
+ *
+ * Presets (4 glow characters):
+ * - SOFT_HALO: Gentle lilac halo
+ * - ASTRAL_BLOOM: Wide violet nebula glow
+ * - SOLAR_FLARE: Hot golden flicker
+ * - TRUE_COLOR_GLOW: Untinted bloom in the source colors
+ */
+
+// Core Effect
+export { MysticBloomEffect } from './MysticBloomEffect.js';
+
+// Configuration
+export { MysticBloomConfig } from './MysticBloomConfig.js';
+
+// Presets
+export {
+  SOFT_HALO,
+  ASTRAL_BLOOM,
+  SOLAR_FLARE,
+  TRUE_COLOR_GLOW,
+} from './presets/index.js';
@@ -0,0 +1,73 @@
+/**
+ * Mystic Bloom Presets
+ *
+ * Four glow characters, from a quiet halo to a blown-out solar flare.
+ */
+
+/**
+ * PRESET 1: SOFT_HALO
+ * Theme: Gentle lilac halo around the brightest lines
+ * Vibe: Calm, meditative
+ */
+export const SOFT_HALO = {
+  threshold: 0.65,
+  softKnee: 0.2,
+  bloomRadii: [6, 18],
+  radiusFalloff: 0.5,
+  tintColor: '#E8D5FF',
+  tintStrength: 0.4,
+  intensity: 0.9,
+  pulseAmount: 0.15,
+  pulseTimes: 1,
+};
+
+/**
+ * PRESET 2: ASTRAL_BLOOM
+ * Theme: Wide violet nebula glow breathing twice per loop
+ * Vibe: Dreamy, otherworldly
+ */
+export const ASTRAL_BLOOM = {
+  threshold: 0.5,
+  softKnee: 0.15,
+  bloomRadii: [4, 12, 32, 64],
+  radiusFalloff: 0.7,
+  tintColor: '#9B59B6',
+  tintStrength: 0.7,
+  intensity: 1.4,
+  pulseAmount: 0.3,
+  pulseTimes: 2,
+};
+
+/**
+ * PRESET 3: SOLAR_FLARE
+ * Theme: Hot golden bloom with a tight core and fast flicker
+ * Vibe: Radiant, fiery
+ */
+export const SOLAR_FLARE = {
+  threshold: 0.55,
+  softKnee: 0.1,
+  bloomRadii: [3, 10, 24],
+  radiusFalloff: 0.6,
+  tintColor: '#FFB347',
+  tintStrength: 0.6,
+  intensity: 1.8,
+  pulseAmount: 0.4,
+  pulseTimes: 4,
+};
+
+/**
+ * PRESET 4: TRUE_COLOR_GLOW
+ * Theme: Untinted bloom - every element glows in its own color
+ * Vibe: Clean, luminous
+ */
+export const TRUE_COLOR_GLOW = {
+  threshold: 0.6,
+  softKnee: 0.15,
+  bloomRadii: [4, 12, 32],
+  radiusFalloff: 0.6,
+  tintColor: '#FFFFFF',
+  tintStrength: 0,
+  intensity: 1.2,
+  pulseAmount: 0.2,
+  pulseTimes: 2,
+};
@@ -0,0 +1,124 @@
+/**
+ * Prismatic Split Configuration
+ *
+ * Parameters for the chromatic aberration secondary effect:
+ * - Split center and maximum channel offset
+ * - Radial profile and per-channel offset direction
+ * - Phase timeline driving the offset strength (same format as
+ *   PhaseAnimatedPolygonConfig.phases, with an offsetStrength range per phase)
+ */
+
+import { EffectConfig } from 'my-nft-gen/src/core/layer/EffectConfig.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+
+/**
+ * Default timeline - same phase starts as the primary effects' legacy 4-phase
+ * defaults, so the prism peaks while the primary is in radiance
+ */
+export const DEFAULT_PRISM_PHASES = [
+  { name: 'awakening', start: 0.0, offsetStrength: [0, 0.15], easing: 'easeInCubic' },
+  { name: 'ascension', start: 0.20, offsetStrength: [0.15, 0.55], easing: 'easeInOutCubic' },
+  { name: 'radiance', start: 0.60, offsetStrength: [0.55, 1.0], easing: 'easeOutCubic' },
+  { name: 'descent', start: 0.85, offsetStrength: [1.0, 0], easing: 'easeInOutCubic' },
+];
+
+export class PrismaticSplitConfig extends EffectConfig {
+  constructor({
+    // ====== SPLIT GEOMETRY ======
+    centerX = 0.5,                         // Split center, normalized 0-1
+    centerY = 0.5,
+    maxOffset = 14,                        // Channel offset in pixels (at a 1024px shortest side) at full strength
+    radialPower = 1,                       // 0 = uniform shift, 1 = grows linearly toward the edges, >1 = edge-weighted
+
+    // ====== CHANNELS ======
+    channelOffsets = { red: 1, green: 0, blue: -1 },  // Offset multiplier per channel (+ outward, - inward)
+
+    // ====== PHASE TIMELINE ======
+    phases = DEFAULT_PRISM_PHASES,         // [{ name, start, offsetStrength, easing }] - keep starts in sync with the primary
+  } = {}) {
+    super();
+
+    this.centerX = centerX;
+    this.centerY = centerY;
+    this.maxOffset = maxOffset;
+    this.radialPower = radialPower;
+
+    this.channelOffsets = { ...channelOffsets };
+
+    this.phases = Array.isArray(phases) ? phases.map(phase => ({ ...phase })) : phases;
+  }
+
+  /**
+   * Validate this configuration instance
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  validate() {
+    return PrismaticSplitConfig.validate(this);
+  }
+
+  /**
+   * Static validation method
+   * @static
+   * @param {PrismaticSplitConfig} config - Configuration to validate
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  static validate(config) {
+    const errors = [];
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+    if (!config) {
+      errors.push('Configuration is required');
+      return { valid: false, errors };
+    }
+
+    if (!inRange(config.centerX, 0, 1)) {
+      errors.push('centerX must be a number between 0 and 1');
+    }
+    if (!inRange(config.centerY, 0, 1)) {
+      errors.push('centerY must be a number between 0 and 1');
+    }
+    if (!inRange(config.maxOffset, 0, Infinity)) {
+      errors.push('maxOffset must be a number >= 0');
+    }
+    if (!inRange(config.radialPower, 0, Infinity)) {
+      errors.push('radialPower must be a number >= 0');
+    }
+
+    const offsets = config.channelOffsets;
+    if (!offsets || !['red', 'green', 'blue'].every(channel => Number.isFinite(offsets[channel]))) {
+      errors.push('channelOffsets must define numeric red, green and blue multipliers');
+    }
+
+    let phases = null;
+    try {
+      phases = PhaseAnimatedPolygonEffect.normalizePhases(config.phases);
+    } catch (error) {
+      errors.push(`phases: ${error.message}`);
+    }
+
+    if (phases) {
+      for (const phase of phases) {
+        const range = PhaseAnimatedPolygonEffect.parsePhaseRange(phase.offsetStrength);
+        if (phase.offsetStrength !== undefined && (!range || !inRange(range.from, 0, Infinity) || !inRange(range.to, 0, Infinity))) {
+          errors.push(`phases "${phase.name}".offsetStrength must be a number >= 0, a [from, to] pair or { start, end }`);
+        }
+        if (phase.easing !== undefined && typeof phase.easing !== 'string') {
+          errors.push(`phases "${phase.name}".easing must be an easing name`);
+        }
+      }
+
+      if (errors.length === 0) {
+        const first = PhaseAnimatedPolygonEffect.samplePhaseParameter(phases, 0, 'offsetStrength');
+        const last = PhaseAnimatedPolygonEffect.samplePhaseParameter(phases, 1, 'offsetStrength');
+        if (Math.abs(first - last) > 1e-6) {
+          errors.push(`phases must end at the offsetStrength they start with so the loop is seamless (starts at ${first}, ends at ${last})`);
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
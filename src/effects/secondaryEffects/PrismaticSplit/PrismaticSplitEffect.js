@@ -0,0 +1,264 @@
+/**
+ * Prismatic Split Effect
+ *
+ * Chromatic aberration for any primary layer:
+ * 1. Strength - the offset strength follows the configured phase timeline
+ *    (awakening → ascension → radiance → descent), sampled with the same curve
+ *    PhaseAnimatedPolygonEffect uses, so the prism intensifies at radiance
+ * 2. Split - each RGB channel is resampled along the radial direction from the
+ *    split center, shifted by its channelOffsets multiplier (red outward, blue inward)
+ * 3. Recombine - channels are split premultiplied, so every color fringe keeps its
+ *    own coverage and fringes spill into transparent areas
+ *
+ * Progress is currentFrame / (numberOfFrames - 1), matching the primary effects frame for frame.
+ */
+
+import { LayerEffect } from 'my-nft-gen/src/core/layer/LayerEffect.js';
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { LayerPixels } from '../../base/LayerPixels.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { PrismaticSplitConfig } from './PrismaticSplitConfig.js';
+
+// Offsets are authored for a 1024px shortest side
+const REFERENCE_SIZE = 1024;
+
+// Shifts below this many pixels are invisible - skip the pixel pass
+const MIN_VISIBLE_SHIFT = 0.05;
+
+const CHANNELS = ['red', 'green', 'blue'];
+
+/**
+ * PrismaticSplitEffect - Phase-driven radial RGB channel split
+ *
+ * @class PrismaticSplitEffect
+ * @extends LayerEffect
+ *
+ * @example
+ * const effect = new PrismaticSplitEffect({
+ *   config: new PrismaticSplitConfig({ maxOffset: 20 }),
+ *   settings: new Settings()
+ * });
+ * await effect.invoke(layer, 0, 60);
+ */
+export class PrismaticSplitEffect extends LayerEffect {
+  static _name_ = 'prismatic-split';
+  static _displayName_ = 'Prismatic Split';
+  static _description_ = 'Chromatic aberration: splits the layer into RGB channels offset radially from a center, peaking during the radiance phase';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'secondary', 'post-processing', 'chromatic-aberration', 'prism', 'mystical'];
+
+  // Presets - set at registration (see src/index.js)
+  static presets = [];
+
+  /**
+   * Get all available presets for this effect
+   * @static
+   * @returns {Array<Object>} Array of preset definitions
+   */
+  static getPresets() {
+    return this.presets || [];
+  }
+
+  /**
+   * Get a specific preset by name
+   * @static
+   * @param {string} presetName - Name of the preset
+   * @returns {Object|null} Preset definition or null if not found
+   */
+  static getPreset(presetName) {
+    return this.presets?.find(p => p.name === presetName) || null;
+  }
+
+  /**
+   * Creates an instance of PrismaticSplitEffect
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Effect name (defaults to _name_)
+   * @param {PrismaticSplitConfig|Object} options.config - Effect configuration (plain objects are wrapped)
+   * @param {Settings} options.settings - Framework settings
+   * @param {Array<LayerEffect>} options.additionalEffects - Chained effects (optional)
+   * @param {boolean} options.ignoreAdditionalEffects - Skip additional effects (default: false)
+   */
+  constructor({
+    name = PrismaticSplitEffect._name_,
+    config = new PrismaticSplitConfig({}),
+    settings = new Settings({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    ...rest
+  } = {}) {
+    if (!(config instanceof PrismaticSplitConfig)) {
+      config = new PrismaticSplitConfig(config);
+    }
+
+    super({
+      name,
+      config,
+      settings,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      ...rest
+    });
+  }
+
+  /**
+   * Apply the channel split to the layer
+   * @async
+   * @param {Object} layer - The layer with primary effects already applied
+   * @param {number} currentFrame - Current frame number (0-based)
+   * @param {number} numberOfFrames - Total number of frames
+   * @returns {Promise<void>}
+   * @throws {Error} If configuration is invalid
+   */
+  async invoke(layer, currentFrame, numberOfFrames) {
+    try {
+      const validation = PrismaticSplitConfig.validate(this.config);
+      if (!validation.valid) {
+        throw new Error(`Invalid configuration: ${validation.errors.join(', ')}`);
+      }
+
+      const progress = PhaseAnimatedPolygonEffect.getLoopProgress(currentFrame, numberOfFrames);
+      const strength = this.getOffsetStrength(progress);
+      const pixels = await LayerPixels.read(layer);
+      const shift = strength * this.config.maxOffset * (Math.min(pixels.width, pixels.height) / REFERENCE_SIZE);
+
+      if (shift >= MIN_VISIBLE_SHIFT) {
+        await LayerPixels.write(layer, this.#split(pixels, shift));
+      }
+
+      await super.invoke(layer, currentFrame, numberOfFrames);
+    } catch (error) {
+      console.error(`Error in ${this.constructor._name_}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Offset strength (0 = no split, 1 = maxOffset) at a progress
+   * @param {number} progress - Animation progress (0-1)
+   * @returns {number} Offset strength
+   */
+  getOffsetStrength(progress) {
+    const phases = PhaseAnimatedPolygonEffect.normalizePhases(this.config.phases);
+    return PhaseAnimatedPolygonEffect.samplePhaseParameter(phases, progress, 'offsetStrength');
+  }
+
+  /**
+   * Get a human-readable description of the effect's current state
+   * @returns {string} Description including effect name and key config values
+   */
+  getInfo() {
+    const { centerX, centerY, maxOffset, channelOffsets } = this.config;
+    const channels = CHANNELS.map(channel => `${channel[0]}${channelOffsets[channel] >= 0 ? '+' : ''}${channelOffsets[channel]}`).join(' ');
+    return `${this.constructor._displayName_} (${this.constructor._name_}): center=(${centerX}, ${centerY}), maxOffset=${maxOffset}, channels=${channels}`;
+  }
+
+  /**
+   * Resample each channel along the radial direction
+   * @private
+   * @param {Object} pixels - RGBA pixels as returned by LayerPixels.read()
+   * @param {number} shift - Offset in pixels at full radius for a multiplier of 1
+   * @returns {Object} New RGBA pixel buffer
+   */
+  #split({ data, width, height }, shift) {
+    const { centerX, centerY, radialPower, channelOffsets } = this.config;
+    const cx = centerX * (width - 1);
+    const cy = centerY * (height - 1);
+
+    // Distances are normalized to the farthest corner so the edge shift equals `shift`
+    const maxDistance = Math.max(
+      Math.hypot(cx, cy),
+      Math.hypot(width - 1 - cx, cy),
+      Math.hypot(cx, height - 1 - cy),
+      Math.hypot(width - 1 - cx, height - 1 - cy)
+    ) || 1;
+
+    // Premultiplied copy - a channel is resampled together with its coverage
+    const premultiplied = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+      const alpha = data[i + 3] / 255;
+      premultiplied[i] = data[i] * alpha;
+      premultiplied[i + 1] = data[i + 1] * alpha;
+      premultiplied[i + 2] = data[i + 2] * alpha;
+      premultiplied[i + 3] = data[i + 3];
+    }
+
+    const multipliers = CHANNELS.map(channel => channelOffsets[channel]);
+    const output = LayerPixels.create(width, height);
+    const out = output.data;
+    const sampled = [0, 0];
+    const color = [0, 0, 0];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const dx = x - cx;
+        const dy = y - cy;
+        const distance = Math.hypot(dx, dy);
+        const radial = distance > 0 ? Math.pow(distance / maxDistance, radialPower) : 0;
+        // Unit direction (zero at the exact center, where there is nothing to split)
+        const ux = distance > 0 ? dx / distance : 0;
+        const uy = distance > 0 ? dy / distance : 0;
+
+        const i = (y * width + x) * 4;
+        let alpha = 0;
+
+        for (let c = 0; c < 3; c++) {
+          // A channel moved outward by m shows at p what sat at p - m
+          const magnitude = multipliers[c] * shift * radial;
+          PrismaticSplitEffect.sampleBilinear(premultiplied, width, height, x - ux * magnitude, y - uy * magnitude, c, sampled);
+          color[c] = sampled[0];
+          alpha = Math.max(alpha, sampled[1]);
+        }
+
+        if (alpha <= 0) continue;
+        const scale = 255 / alpha;
+        out[i] = Math.round(Math.min(255, color[0] * scale));
+        out[i + 1] = Math.round(Math.min(255, color[1] * scale));
+        out[i + 2] = Math.round(Math.min(255, color[2] * scale));
+        out[i + 3] = Math.round(Math.min(255, alpha));
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Bilinear sample of one premultiplied channel and its alpha (transparent outside the image)
+   * @static
+   * @param {Float32Array} premultiplied - Premultiplied RGBA values (0-255)
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {number} x - Sample x (pixel centers at integers)
+   * @param {number} y - Sample y
+   * @param {number} channel - Channel index (0 = red, 1 = green, 2 = blue)
+   * @param {Array<number>} result - Receives [premultiplied channel, alpha]
+   */
+  static sampleBilinear(premultiplied, width, height, x, y, channel, result) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    let value = 0;
+    let alpha = 0;
+    for (let j = 0; j < 2; j++) {
+      const sy = y0 + j;
+      if (sy < 0 || sy >= height) continue;
+      const wy = j === 0 ? 1 - fy : fy;
+
+      for (let k = 0; k < 2; k++) {
+        const sx = x0 + k;
+        if (sx < 0 || sx >= width) continue;
+        const weight = wy * (k === 0 ? 1 - fx : fx);
+        if (weight === 0) continue;
+
+        const index = (sy * width + sx) * 4;
+        value += premultiplied[index + channel] * weight;
+        alpha += premultiplied[index + 3] * weight;
+      }
+    }
+
+    result[0] = value;
+    result[1] = alpha;
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Prismatic Split - Complete Module
+ *
+ * Core Effect:
+ * - PrismaticSplitEffect: Radial RGB channel split driven by the phase timeline
+ *
+ * Configuration:
+ * - PrismaticSplitConfig: Center, offset, channel multipliers and phase curve with validation
+ * - DEFAULT_PRISM_PHASES: Default awakening → descent offset curve (peaks in radiance)
+ *
+ * Presets (4 prism characters):
+ * - RADIANT_PRISM: Red/blue fringes peaking in radiance
+ * - SUBTLE_LENS: Faint edge-weighted lens fringe
+ * - RAINBOW_VEIL: Three-channel spectrum held through radiance
+ * - ASTRAL_DOUBLE: Uniform red/blue ghosting
+ */
+
+// Core Effect
+export { PrismaticSplitEffect } from './PrismaticSplitEffect.js';
+
+// Configuration
+export { PrismaticSplitConfig, DEFAULT_PRISM_PHASES } from './PrismaticSplitConfig.js';
+
+// Presets
+export {
+  RADIANT_PRISM,
+  SUBTLE_LENS,
+  RAINBOW_VEIL,
+  ASTRAL_DOUBLE,
+} from './presets/index.js';
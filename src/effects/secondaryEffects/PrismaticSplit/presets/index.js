@@ -0,0 +1,82 @@
+/**
+ * Prismatic Split Presets
+ *
+ * Four prism characters, from a faint lens fringe to a full rainbow veil.
+ * Phase starts match the primary effects' default timeline (20% / 60% / 85%).
+ */
+
+/**
+ * PRESET 1: RADIANT_PRISM
+ * Theme: Red/blue fringes building through ascension and peaking in radiance
+ * Vibe: Revelatory, charged
+ */
+export const RADIANT_PRISM = {
+  centerX: 0.5,
+  centerY: 0.5,
+  maxOffset: 14,
+  radialPower: 1,
+  channelOffsets: { red: 1, green: 0, blue: -1 },
+  phases: [
+    { name: 'awakening', start: 0.0, offsetStrength: [0, 0.15], easing: 'easeInCubic' },
+    { name: 'ascension', start: 0.20, offsetStrength: [0.15, 0.55], easing: 'easeInOutCubic' },
+    { name: 'radiance', start: 0.60, offsetStrength: [0.55, 1.0], easing: 'easeOutCubic' },
+    { name: 'descent', start: 0.85, offsetStrength: [1.0, 0], easing: 'easeInOutCubic' },
+  ],
+};
+
+/**
+ * PRESET 2: SUBTLE_LENS
+ * Theme: Faint lens fringe that only shows toward the edges
+ * Vibe: Photographic, understated
+ */
+export const SUBTLE_LENS = {
+  centerX: 0.5,
+  centerY: 0.5,
+  maxOffset: 6,
+  radialPower: 1.8,
+  channelOffsets: { red: 1, green: 0, blue: -1 },
+  phases: [
+    { name: 'awakening', start: 0.0, offsetStrength: [0.2, 0.3], easing: 'smoothstep' },
+    { name: 'ascension', start: 0.20, offsetStrength: [0.3, 0.6], easing: 'smoothstep' },
+    { name: 'radiance', start: 0.60, offsetStrength: [0.6, 1.0], easing: 'smoothstep' },
+    { name: 'descent', start: 0.85, offsetStrength: [1.0, 0.2], easing: 'smoothstep' },
+  ],
+};
+
+/**
+ * PRESET 3: RAINBOW_VEIL
+ * Theme: All three channels fanned apart into a spectrum that holds through radiance
+ * Vibe: Psychedelic, visionary
+ */
+export const RAINBOW_VEIL = {
+  centerX: 0.5,
+  centerY: 0.5,
+  maxOffset: 22,
+  radialPower: 1.2,
+  channelOffsets: { red: 1.2, green: 0.4, blue: -0.8 },
+  phases: [
+    { name: 'awakening', start: 0.0, offsetStrength: [0, 0.1], easing: 'easeInQuart' },
+    { name: 'ascension', start: 0.20, offsetStrength: [0.1, 0.8], easing: 'easeInOutQuart' },
+    { name: 'radiance', start: 0.60, offsetStrength: 1.0 },
+    { name: 'descent', start: 0.85, offsetStrength: [1.0, 0], easing: 'easeInOutQuart' },
+  ],
+};
+
+/**
+ * PRESET 4: ASTRAL_DOUBLE
+ * Theme: Uniform split - the whole form shows a red and a blue ghost, flaring in radiance
+ * Vibe: Out-of-body, doubled vision
+ */
+export const ASTRAL_DOUBLE = {
+  centerX: 0.5,
+  centerY: 0.45,
+  maxOffset: 10,
+  radialPower: 0,
+  channelOffsets: { red: 1, green: 0, blue: -1 },
+  phases: [
+    { name: 'awakening', start: 0.0, offsetStrength: 0 },
+    { name: 'ascension', start: 0.20, offsetStrength: [0, 0.3], easing: 'easeInCubic' },
+    { name: 'radiance', start: 0.60, offsetStrength: [0.3, 1.0], easing: 'easeInOutElastic' },
+    { name: 'descent', start: 0.85, offsetStrength: [1.0, 0], easing: 'easeOutCubic' },
+  ],
+};
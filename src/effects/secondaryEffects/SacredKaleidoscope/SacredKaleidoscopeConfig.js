@@ -0,0 +1,106 @@
+/**
+ * Sacred Kaleidoscope Configuration
+ *
+ * Parameters for the radial-symmetry secondary effect:
+ * - Fold count (same meaning as ChakraMandalaConfig.mandalaSymmetry)
+ * - Symmetry center and source wedge
+ * - Loop-safe wedge rotation and mandala spin
+ * - Alternate-wedge reflection and opacity over the original layer
+ */
+
+import { EffectConfig } from 'my-nft-gen/src/core/layer/EffectConfig.js';
+
+export class SacredKaleidoscopeConfig extends EffectConfig {
+  constructor({
+    // ====== SYMMETRY ======
+    mandalaSymmetry = 6,                   // Fold symmetry (6, 8, or 12)
+    centerX = 0.5,                         // Symmetry center, normalized 0-1
+    centerY = 0.5,
+    mirrorAlternate = true,                // Reflect every other wedge (seamless edges, needs an even fold count)
+
+    // ====== SOURCE WEDGE ======
+    sourceAngle = -90,                     // Where the sampled wedge starts, in degrees (-90 = straight up)
+    wedgeTurns = 1,                        // Whole turns the sampled wedge sweeps over the layer per loop
+
+    // ====== OUTPUT ======
+    spinTurns = 0,                         // Turns the finished mandala spins per loop (multiple of 1/mandalaSymmetry, 2/mandalaSymmetry when mirrored)
+    opacity = 1.0,                         // 1 = replace the layer, lower = mandala over the original
+  } = {}) {
+    super();
+
+    this.mandalaSymmetry = mandalaSymmetry;
+    this.centerX = centerX;
+    this.centerY = centerY;
+    this.mirrorAlternate = mirrorAlternate;
+
+    this.sourceAngle = sourceAngle;
+    this.wedgeTurns = wedgeTurns;
+
+    this.spinTurns = spinTurns;
+    this.opacity = opacity;
+  }
+
+  /**
+   * Validate this configuration instance
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  validate() {
+    return SacredKaleidoscopeConfig.validate(this);
+  }
+
+  /**
+   * Static validation method
+   * @static
+   * @param {SacredKaleidoscopeConfig} config - Configuration to validate
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  static validate(config) {
+    const errors = [];
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+    if (!config) {
+      errors.push('Configuration is required');
+      return { valid: false, errors };
+    }
+
+    const folds = config.mandalaSymmetry;
+    if (!Number.isInteger(folds) || folds < 2 || folds > 64) {
+      errors.push('mandalaSymmetry must be a whole number between 2 and 64');
+    } else {
+      if (config.mirrorAlternate && folds % 2 !== 0) {
+        errors.push(`mirrorAlternate needs an even mandalaSymmetry so the last wedge meets the first (got ${folds})`);
+      }
+      // The mandala repeats every 1/folds turn - every 2/folds when mirrored, since turning by
+      // one wedge swaps the reflected and unreflected wedges - so the spin loops on multiples of that
+      const period = config.mirrorAlternate ? 2 : 1;
+      const steps = typeof config.spinTurns === 'number' ? (config.spinTurns * folds) / period : NaN;
+      if (!(Math.abs(steps - Math.round(steps)) <= 1e-6)) {
+        errors.push(`spinTurns must be a multiple of ${period}/${folds}${config.mirrorAlternate ? ' (mirrorAlternate)' : ''} so the spin loops`);
+      }
+    }
+
+    if (!inRange(config.centerX, 0, 1)) {
+      errors.push('centerX must be a number between 0 and 1');
+    }
+    if (!inRange(config.centerY, 0, 1)) {
+      errors.push('centerY must be a number between 0 and 1');
+    }
+    if (typeof config.mirrorAlternate !== 'boolean') {
+      errors.push('mirrorAlternate must be true or false');
+    }
+    if (!Number.isFinite(config.sourceAngle)) {
+      errors.push('sourceAngle must be a number of degrees');
+    }
+    if (!Number.isInteger(config.wedgeTurns)) {
+      errors.push('wedgeTurns must be a whole number (negative turns counter-clockwise) so the wedge loops');
+    }
+    if (!inRange(config.opacity, 0, 1)) {
+      errors.push('opacity must be a number between 0 and 1');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Sacred Kaleidoscope Effect
+ *
+ * Turns any layer into an N-fold mandala:
+ * 1. Wedge - one 360°/N wedge of the layer, starting at sourceAngle, is the source
+ * 2. Fold - every output angle is folded back into that wedge; with mirrorAlternate
+ *    every other wedge is reflected, so neighbouring wedges meet without a seam
+ * 3. Motion - the source wedge sweeps wedgeTurns whole turns over the layer per loop
+ *    and the finished mandala spins spinTurns (a multiple of 1/N, 2/N when mirrored) per loop,
+ *    so frame N-1 matches frame 0 (progress is PhaseAnimatedPolygonEffect.getLoopProgress)
+ *
+ * Sampling is bilinear on premultiplied pixels; points outside the layer are transparent.
+ */
+
+import { LayerEffect } from 'my-nft-gen/src/core/layer/LayerEffect.js';
+import { Settings } from 'my-nft-gen/src/core/Settings.js';
+import { LayerPixels } from '../../base/LayerPixels.js';
+import { PhaseAnimatedPolygonEffect } from '../../base/PhaseAnimatedPolygonEffect.js';
+import { SacredKaleidoscopeConfig } from './SacredKaleidoscopeConfig.js';
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * SacredKaleidoscopeEffect - N-fold radial mirror of the layer
+ *
+ * @class SacredKaleidoscopeEffect
+ * @extends LayerEffect
+ *
+ * @example
+ * const effect = new SacredKaleidoscopeEffect({
+ *   config: new SacredKaleidoscopeConfig({ mandalaSymmetry: 12 }),
+ *   settings: new Settings()
+ * });
+ * await effect.invoke(layer, 0, 60);
+ */
+export class SacredKaleidoscopeEffect extends LayerEffect {
+  static _name_ = 'sacred-kaleidoscope';
+  static _displayName_ = 'Sacred Kaleidoscope';
+  static _description_ = 'Mirrors the layer into 6, 8 or 12-fold radial symmetry with a looping rotating wedge, turning any effect into a mandala';
+  static _version_ = '1.0.0';
+  static _author_ = 'Operator';
+  static _tags_ = ['effect', 'secondary', 'post-processing', 'kaleidoscope', 'mandala', 'symmetry', 'sacred-geometry'];
+
+  // Presets - set at registration (see src/index.js)
+  static presets = [];
+
+  /**
+   * Get all available presets for this effect
+   * @static
+   * @returns {Array<Object>} Array of preset definitions
+   */
+  static getPresets() {
+    return this.presets || [];
+  }
+
+  /**
+   * Get a specific preset by name
+   * @static
+   * @param {string} presetName - Name of the preset
+   * @returns {Object|null} Preset definition or null if not found
+   */
+  static getPreset(presetName) {
+    return this.presets?.find(p => p.name === presetName) || null;
+  }
+
+  /**
+   * Creates an instance of SacredKaleidoscopeEffect
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Effect name (defaults to _name_)
+   * @param {SacredKaleidoscopeConfig|Object} options.config - Effect configuration (plain objects are wrapped)
+   * @param {Settings} options.settings - Framework settings
+   * @param {Array<LayerEffect>} options.additionalEffects - Chained effects (optional)
+   * @param {boolean} options.ignoreAdditionalEffects - Skip additional effects (default: false)
+   */
+  constructor({
+    name = SacredKaleidoscopeEffect._name_,
+    config = new SacredKaleidoscopeConfig({}),
+    settings = new Settings({}),
+    additionalEffects = [],
+    ignoreAdditionalEffects = false,
+    ...rest
+  } = {}) {
+    if (!(config instanceof SacredKaleidoscopeConfig)) {
+      config = new SacredKaleidoscopeConfig(config);
+    }
+
+    super({
+      name,
+      config,
+      settings,
+      additionalEffects,
+      ignoreAdditionalEffects,
+      ...rest
+    });
+  }
+
+  /**
+   * Fold the layer into the mandala
+   * @async
+   * @param {Object} layer - The layer with primary effects already applied
+   * @param {number} currentFrame - Current frame number (0-based)
+   * @param {number} numberOfFrames - Total number of frames
+   * @returns {Promise<void>}
+   * @throws {Error} If configuration is invalid
+   */
+  async invoke(layer, currentFrame, numberOfFrames) {
+    try {
+      const validation = SacredKaleidoscopeConfig.validate(this.config);
+      if (!validation.valid) {
+        throw new Error(`Invalid configuration: ${validation.errors.join(', ')}`);
+      }
+
+      if (this.config.opacity > 0) {
+        const progress = PhaseAnimatedPolygonEffect.getLoopProgress(currentFrame, numberOfFrames);
+        const pixels = await LayerPixels.read(layer);
+        await LayerPixels.write(layer, this.#fold(pixels, this.getAngles(progress)));
+      }
+
+      await super.invoke(layer, currentFrame, numberOfFrames);
+    } catch (error) {
+      console.error(`Error in ${this.constructor._name_}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Source wedge start and mandala spin for a loop progress
+   * @param {number} progress - Loop progress (0-1)
+   * @returns {{wedgeStart: number, spin: number}} Angles in radians
+   */
+  getAngles(progress) {
+    const { sourceAngle, wedgeTurns, spinTurns } = this.config;
+    return {
+      wedgeStart: (sourceAngle * Math.PI) / 180 + progress * wedgeTurns * TWO_PI,
+      spin: progress * spinTurns * TWO_PI,
+    };
+  }
+
+  /**
+   * Get a human-readable description of the effect's current state
+   * @returns {string} Description including effect name and key config values
+   */
+  getInfo() {
+    const { mandalaSymmetry, mirrorAlternate, wedgeTurns, spinTurns } = this.config;
+    return `${this.constructor._displayName_} (${this.constructor._name_}): ${mandalaSymmetry}-fold${mirrorAlternate ? ' mirrored' : ''}, wedgeTurns=${wedgeTurns}, spinTurns=${spinTurns}`;
+  }
+
+  /**
+   * Resample the layer into N-fold symmetry
+   * @private
+   * @param {Object} pixels - RGBA pixels as returned by LayerPixels.read()
+   * @param {{wedgeStart: number, spin: number}} angles - Angles for this frame
+   * @returns {Object} New RGBA pixel buffer
+   */
+  #fold({ data, width, height }, { wedgeStart, spin }) {
+    const { mandalaSymmetry, centerX, centerY, mirrorAlternate, opacity } = this.config;
+    const cx = centerX * (width - 1);
+    const cy = centerY * (height - 1);
+    const wedge = TWO_PI / mandalaSymmetry;
+
+    // Premultiplied copy so transparent pixels don't bleed dark edges into the samples
+    const premultiplied = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+      const alpha = data[i + 3] / 255;
+      premultiplied[i] = data[i] * alpha;
+      premultiplied[i + 1] = data[i + 1] * alpha;
+      premultiplied[i + 2] = data[i + 2] * alpha;
+      premultiplied[i + 3] = data[i + 3];
+    }
+
+    const output = LayerPixels.create(width, height);
+    const out = output.data;
+    const sample = [0, 0, 0, 0];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const dx = x - cx;
+        const dy = y - cy;
+        const radius = Math.hypot(dx, dy);
+
+        // Angle in the spinning output frame, folded into [0, wedge)
+        let angle = Math.atan2(dy, dx) - spin;
+        angle -= Math.floor(angle / TWO_PI) * TWO_PI;
+        const index = Math.floor(angle / wedge);
+        let local = angle - index * wedge;
+        if (mirrorAlternate && index % 2 === 1) {
+          local = wedge - local;
+        }
+
+        const sourceAngle = wedgeStart + local;
+        SacredKaleidoscopeEffect.sampleBilinear(
+          premultiplied, width, height,
+          cx + Math.cos(sourceAngle) * radius,
+          cy + Math.sin(sourceAngle) * radius,
+          sample
+        );
+
+        const i = (y * width + x) * 4;
+        let alpha = sample[3];
+        let r = sample[0];
+        let g = sample[1];
+        let b = sample[2];
+        if (opacity < 1) {
+          // Crossfade with the original (premultiplied)
+          alpha = alpha * opacity + premultiplied[i + 3] * (1 - opacity);
+          r = r * opacity + premultiplied[i] * (1 - opacity);
+          g = g * opacity + premultiplied[i + 1] * (1 - opacity);
+          b = b * opacity + premultiplied[i + 2] * (1 - opacity);
+        }
+
+        if (alpha <= 0) continue;
+        const scale = 255 / alpha;
+        out[i] = Math.round(Math.min(255, r * scale));
+        out[i + 1] = Math.round(Math.min(255, g * scale));
+        out[i + 2] = Math.round(Math.min(255, b * scale));
+        out[i + 3] = Math.round(Math.min(255, alpha));
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Bilinear sample of premultiplied RGBA (transparent outside the image)
+   * @static
+   * @param {Float32Array} premultiplied - Premultiplied RGBA values (0-255)
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {number} x - Sample x (pixel centers at integers)
+   * @param {number} y - Sample y
+   * @param {Array<number>} result - Receives [r, g, b, a] (premultiplied)
+   */
+  static sampleBilinear(premultiplied, width, height, x, y, result) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    result[0] = result[1] = result[2] = result[3] = 0;
+    for (let j = 0; j < 2; j++) {
+      const sy = y0 + j;
+      if (sy < 0 || sy >= height) continue;
+      const wy = j === 0 ? 1 - fy : fy;
+
+      for (let k = 0; k < 2; k++) {
+        const sx = x0 + k;
+        if (sx < 0 || sx >= width) continue;
+        const weight = wy * (k === 0 ? 1 - fx : fx);
+        if (weight === 0) continue;
+
+        const index = (sy * width + sx) * 4;
+        result[0] += premultiplied[index] * weight;
+        result[1] += premultiplied[index + 1] * weight;
+        result[2] += premultiplied[index + 2] * weight;
+        result[3] += premultiplied[index + 3] * weight;
+      }
+    }
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Sacred Kaleidoscope - Complete Module
+ *
+ * Core Effect:
+ * - SacredKaleidoscopeEffect: Folds the layer into N-fold radial symmetry with a looping wedge
+ *
+ * Configuration:
+ * - SacredKaleidoscopeConfig: Fold count, center, wedge motion, reflection and opacity with validation
+ *
+ * Presets (4 mandala folds):
+ * - HEXAGRAM_MANDALA: Six mirrored wedges
+ * - OCTAGONAL_LOTUS: Eight mirrored petals turning one petal per loop
+ * - DODECAGRAM_ROSE: Twelve fine mirrored wedges
+ * - PINWHEEL_VEIL: Eight unmirrored spinning wedges over the original
+ */
+
+// Core Effect
+export { SacredKaleidoscopeEffect } from './SacredKaleidoscopeEffect.js';
+
+// Configuration
+export { SacredKaleidoscopeConfig } from './SacredKaleidoscopeConfig.js';
+
+// Presets
+export {
+  HEXAGRAM_MANDALA,
+  OCTAGONAL_LOTUS,
+  DODECAGRAM_ROSE,
+  PINWHEEL_VEIL,
+} from './presets/index.js';
@@ -0,0 +1,69 @@
+/**
+ * Sacred Kaleidoscope Presets
+ *
+ * Four mandala folds matching the Chakra Mandala symmetries (6, 8, 12).
+ */
+
+/**
+ * PRESET 1: HEXAGRAM_MANDALA
+ * Theme: Six mirrored wedges, the source wedge sweeping once around the layer
+ * Vibe: Balanced, harmonious
+ */
+export const HEXAGRAM_MANDALA = {
+  mandalaSymmetry: 6,
+  centerX: 0.5,
+  centerY: 0.5,
+  mirrorAlternate: true,
+  sourceAngle: -90,
+  wedgeTurns: 1,
+  spinTurns: 0,
+  opacity: 1.0,
+};
+
+/**
+ * PRESET 2: OCTAGONAL_LOTUS
+ * Theme: Eight mirrored petals, wedge sweeping backwards while the lotus turns one petal pair
+ * Vibe: Unfolding, meditative
+ */
+export const OCTAGONAL_LOTUS = {
+  mandalaSymmetry: 8,
+  centerX: 0.5,
+  centerY: 0.5,
+  mirrorAlternate: true,
+  sourceAngle: -90,
+  wedgeTurns: -1,
+  spinTurns: 2 / 8,
+  opacity: 1.0,
+};
+
+/**
+ * PRESET 3: DODECAGRAM_ROSE
+ * Theme: Twelve fine mirrored wedges sweeping twice per loop
+ * Vibe: Intricate, celestial
+ */
+export const DODECAGRAM_ROSE = {
+  mandalaSymmetry: 12,
+  centerX: 0.5,
+  centerY: 0.5,
+  mirrorAlternate: true,
+  sourceAngle: 0,
+  wedgeTurns: 2,
+  spinTurns: -2 / 12,
+  opacity: 1.0,
+};
+
+/**
+ * PRESET 4: PINWHEEL_VEIL
+ * Theme: Eight unmirrored wedges spinning as a pinwheel over the original form
+ * Vibe: Hypnotic, kinetic
+ */
+export const PINWHEEL_VEIL = {
+  mandalaSymmetry: 8,
+  centerX: 0.5,
+  centerY: 0.5,
+  mirrorAlternate: false,
+  sourceAngle: -90,
+  wedgeTurns: 0,
+  spinTurns: 0.25,
+  opacity: 0.7,
+};
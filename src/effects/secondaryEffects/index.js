@@ -7,9 +7,30 @@
  * Export all secondary effect classes here for registration.
  */
 
-// Example: Import your custom secondary effects
-// import { EnhancedGlowEffect } from './enhancedGlow/EnhancedGlowEffect.js';
-// import { ChromaticAberrationEffect } from './chromaticAberration/ChromaticAberrationEffect.js';
+// Mystic Bloom Effect
+import { MysticBloomEffect } from './MysticBloom/MysticBloomEffect.js';
+import { MysticBloomConfig } from './MysticBloom/MysticBloomConfig.js';
+
+// Prismatic Split Effect
+import { PrismaticSplitEffect } from './PrismaticSplit/PrismaticSplitEffect.js';
+import { PrismaticSplitConfig } from './PrismaticSplit/PrismaticSplitConfig.js';
+
+// Ethereal Trails Effect
+import { EtherealTrailsEffect } from './EtherealTrails/EtherealTrailsEffect.js';
+import { EtherealTrailsConfig } from './EtherealTrails/EtherealTrailsConfig.js';
+
+// Sacred Kaleidoscope Effect
+import { SacredKaleidoscopeEffect } from './SacredKaleidoscope/SacredKaleidoscopeEffect.js';
+import { SacredKaleidoscopeConfig } from './SacredKaleidoscope/SacredKaleidoscopeConfig.js';
 
 // Export them for registration
-// export { EnhancedGlowEffect, ChromaticAberrationEffect };
\ No newline at end of file
+export {
+  MysticBloomEffect,
+  MysticBloomConfig,
+  PrismaticSplitEffect,
+  PrismaticSplitConfig,
+  EtherealTrailsEffect,
+  EtherealTrailsConfig,
+  SacredKaleidoscopeEffect,
+  SacredKaleidoscopeConfig,
+};
@@ -44,6 +44,81 @@ export async function register(EffectRegistry, PositionRegistry) {
     const { ChakraMandalaEffect } = await import('./effects/primaryEffects/ChakraMandala/ChakraMandalaEffect.js');
     const { ChakraMandalaConfig } = await import('./effects/primaryEffects/ChakraMandala/ChakraMandalaConfig.js');
     
+    // Import Hermetic Alchemy effect
+    console.log('📦 [Plugin] Importing Hermetic Alchemy effect...');
+    const { HermeticAlchemyEffect } = await import('./effects/primaryEffects/HermeticAlchemy/HermeticAlchemyEffect.js');
+    const { HermeticAlchemyConfig } = await import('./effects/primaryEffects/HermeticAlchemy/HermeticAlchemyConfig.js');
+    
+    // Import Celestial Sphere effect
+    console.log('📦 [Plugin] Importing Celestial Sphere effect...');
+    const { CelestialSphereEffect } = await import('./effects/primaryEffects/CelestialSphere/CelestialSphereEffect.js');
+    const { CelestialSphereConfig } = await import('./effects/primaryEffects/CelestialSphere/CelestialSphereConfig.js');
+    
+    // Import Fibonacci Spiral effect
+    console.log('📦 [Plugin] Importing Fibonacci Spiral effect...');
+    const { FibonacciSpiralEffect } = await import('./effects/primaryEffects/FibonacciSpiral/FibonacciSpiralEffect.js');
+    const { FibonacciSpiralConfig } = await import('./effects/primaryEffects/FibonacciSpiral/FibonacciSpiralConfig.js');
+    
+    // Import Runic Circle effect
+    console.log('📦 [Plugin] Importing Runic Circle effect...');
+    const { RunicCircleEffect } = await import('./effects/primaryEffects/RunicCircle/RunicCircleEffect.js');
+    const { RunicCircleConfig } = await import('./effects/primaryEffects/RunicCircle/RunicCircleConfig.js');
+    
+    // Import Sacred Geometry effect
+    console.log('📦 [Plugin] Importing Sacred Geometry effect...');
+    const { SacredGeometryEffect } = await import('./effects/primaryEffects/SacredGeometry/SacredGeometryEffect.js');
+    const { SacredGeometryConfig } = await import('./effects/primaryEffects/SacredGeometry/SacredGeometryConfig.js');
+    
+    // Import Sri Yantra effect
+    console.log('📦 [Plugin] Importing Sri Yantra effect...');
+    const { SriYantraEffect } = await import('./effects/primaryEffects/SriYantra/SriYantraEffect.js');
+    const { SriYantraConfig } = await import('./effects/primaryEffects/SriYantra/SriYantraConfig.js');
+    
+    // Import Merkaba effect
+    console.log('📦 [Plugin] Importing Merkaba effect...');
+    const { MerkabaEffect } = await import('./effects/primaryEffects/Merkaba/MerkabaEffect.js');
+    const { MerkabaConfig } = await import('./effects/primaryEffects/Merkaba/MerkabaConfig.js');
+    
+    // Import Enneagram effect
+    console.log('📦 [Plugin] Importing Enneagram effect...');
+    const { EnneagramEffect } = await import('./effects/primaryEffects/Enneagram/EnneagramEffect.js');
+    const { EnneagramConfig } = await import('./effects/primaryEffects/Enneagram/EnneagramConfig.js');
+    
+    // Import I Ching effect
+    console.log('📦 [Plugin] Importing I Ching effect...');
+    const { IChingEffect } = await import('./effects/primaryEffects/IChing/IChingEffect.js');
+    const { IChingConfig } = await import('./effects/primaryEffects/IChing/IChingConfig.js');
+    
+    // Import Custom Geometry effect
+    console.log('📦 [Plugin] Importing Custom Geometry effect...');
+    const { CustomGeometryEffect } = await import('./effects/primaryEffects/CustomGeometry/CustomGeometryEffect.js');
+    const { CustomGeometryConfig } = await import('./effects/primaryEffects/CustomGeometry/CustomGeometryConfig.js');
+    
+    // Import Mystic Bloom secondary effect
+    console.log('📦 [Plugin] Importing Mystic Bloom effect...');
+    const { MysticBloomEffect } = await import('./effects/secondaryEffects/MysticBloom/MysticBloomEffect.js');
+    const { MysticBloomConfig } = await import('./effects/secondaryEffects/MysticBloom/MysticBloomConfig.js');
+    
+    // Import Prismatic Split secondary effect
+    console.log('📦 [Plugin] Importing Prismatic Split effect...');
+    const { PrismaticSplitEffect } = await import('./effects/secondaryEffects/PrismaticSplit/PrismaticSplitEffect.js');
+    const { PrismaticSplitConfig } = await import('./effects/secondaryEffects/PrismaticSplit/PrismaticSplitConfig.js');
+    
+    // Import Ethereal Trails secondary effect
+    console.log('📦 [Plugin] Importing Ethereal Trails effect...');
+    const { EtherealTrailsEffect } = await import('./effects/secondaryEffects/EtherealTrails/EtherealTrailsEffect.js');
+    const { EtherealTrailsConfig } = await import('./effects/secondaryEffects/EtherealTrails/EtherealTrailsConfig.js');
+    
+    // Import Sacred Kaleidoscope secondary effect
+    console.log('📦 [Plugin] Importing Sacred Kaleidoscope effect...');
+    const { SacredKaleidoscopeEffect } = await import('./effects/secondaryEffects/SacredKaleidoscope/SacredKaleidoscopeEffect.js');
+    const { SacredKaleidoscopeConfig } = await import('./effects/secondaryEffects/SacredKaleidoscope/SacredKaleidoscopeConfig.js');
+    
+    // Import Palette Grade final image effect
+    console.log('📦 [Plugin] Importing Palette Grade effect...');
+    const { PaletteGradeEffect } = await import('./effects/finalImageEffects/PaletteGrade/PaletteGradeEffect.js');
+    const { PaletteGradeConfig } = await import('./effects/finalImageEffects/PaletteGrade/PaletteGradeConfig.js');
+    
     // Import presets
     console.log('📦 [Plugin] Importing animation presets...');
     const { 
@@ -70,13 +145,166 @@ export async function register(EffectRegistry, PositionRegistry) {
       CREATIVE_FLOW,
       THROAT_TRUTH_EXPRESSION,
       SOLAR_POWER_WILL,
-      CELESTIAL_VOID
+      CELESTIAL_VOID,
+      TWELVE_CHAKRA_ASCENSION,
+      TIBETAN_FIVE_WHEELS,
+      HEALING_HANDS_CIRCUIT
     } = await import('./effects/primaryEffects/ChakraMandala/presets/index.js');
     
+    // Import Hermetic Alchemy presets
+    console.log('📦 [Plugin] Importing Hermetic Alchemy presets...');
+    const {
+      MAGNUM_OPUS,
+      PHILOSOPHERS_STONE,
+      LEAD_INTO_GOLD,
+      EMERALD_TABLET
+    } = await import('./effects/primaryEffects/HermeticAlchemy/presets/index.js');
+    
+    // Import Celestial Sphere presets
+    console.log('📦 [Plugin] Importing Celestial Sphere presets...');
+    const {
+      HEAVENLY_SPHERES,
+      GREAT_YEAR,
+      BRASS_ASTROLABE,
+      COSMIC_DANCE
+    } = await import('./effects/primaryEffects/CelestialSphere/presets/index.js');
+    
+    // Import Fibonacci Spiral presets
+    console.log('📦 [Plugin] Importing Fibonacci Spiral presets...');
+    const {
+      GOLDEN_SUNFLOWER,
+      FRACTAL_BLOOM,
+      PINECONE,
+      GOLDEN_VORTEX
+    } = await import('./effects/primaryEffects/FibonacciSpiral/presets/index.js');
+    
+    // Import Runic Circle presets
+    console.log('📦 [Plugin] Importing Runic Circle presets...');
+    const {
+      WARDING_CIRCLE,
+      THREE_AETTIR,
+      SILVER_SEIDR,
+      RAGNAROK
+    } = await import('./effects/primaryEffects/RunicCircle/presets/index.js');
+    
+    // Import Sacred Geometry presets
+    console.log('📦 [Plugin] Importing Sacred Geometry presets...');
+    const {
+      SEED_OF_LIFE,
+      FLOWER_OF_LIFE,
+      FRUIT_OF_LIFE,
+      METATRONS_CUBE
+    } = await import('./effects/primaryEffects/SacredGeometry/presets/index.js');
+    
+    // Import Sri Yantra presets
+    console.log('📦 [Plugin] Importing Sri Yantra presets...');
+    const {
+      TRADITIONAL_SRI_YANTRA,
+      LUNAR_MEDITATION,
+      GOLDEN_TEMPLE,
+      COSMIC_SHAKTI
+    } = await import('./effects/primaryEffects/SriYantra/presets/index.js');
+    
+    // Import Merkaba presets
+    console.log('📦 [Plugin] Importing Merkaba presets...');
+    const {
+      MERKABA_ACTIVATION,
+      KEPLER_COSMOS,
+      CRYSTAL_DUALS,
+      COSMIC_MERKABA
+    } = await import('./effects/primaryEffects/Merkaba/presets/index.js');
+    
+    // Import Enneagram presets
+    console.log('📦 [Plugin] Importing Enneagram presets...');
+    const {
+      CLASSIC_ENNEAGRAM,
+      LAW_OF_SEVEN,
+      FOURTH_WAY,
+      NINEFOLD_RADIANCE
+    } = await import('./effects/primaryEffects/Enneagram/presets/index.js');
+    
+    // Import I Ching presets
+    console.log('📦 [Plugin] Importing I Ching presets...');
+    const {
+      CLASSIC_CHANGES,
+      HEAVEN_AND_EARTH,
+      ORACLE_INK,
+      TIDES_OF_CHANGE
+    } = await import('./effects/primaryEffects/IChing/presets/index.js');
+    
+    // Import Custom Geometry presets
+    console.log('📦 [Plugin] Importing Custom Geometry presets...');
+    const {
+      PLANETARY_HEXAGRAM,
+      ZODIAC_TRINES,
+      AETT_OF_FREYR,
+      PENTACLE_SIGIL
+    } = await import('./effects/primaryEffects/CustomGeometry/presets/index.js');
+    
+    // Import Mystic Bloom presets
+    console.log('📦 [Plugin] Importing Mystic Bloom presets...');
+    const {
+      SOFT_HALO,
+      ASTRAL_BLOOM,
+      SOLAR_FLARE,
+      TRUE_COLOR_GLOW
+    } = await import('./effects/secondaryEffects/MysticBloom/presets/index.js');
+    
+    // Import Prismatic Split presets
+    console.log('📦 [Plugin] Importing Prismatic Split presets...');
+    const {
+      RADIANT_PRISM,
+      SUBTLE_LENS,
+      RAINBOW_VEIL,
+      ASTRAL_DOUBLE
+    } = await import('./effects/secondaryEffects/PrismaticSplit/presets/index.js');
+    
+    // Import Ethereal Trails presets
+    console.log('📦 [Plugin] Importing Ethereal Trails presets...');
+    const {
+      STARDUST_DRIFT,
+      SPIRIT_WISPS,
+      GOLDEN_CURRENTS,
+      AURORA_STREAMS
+    } = await import('./effects/secondaryEffects/EtherealTrails/presets/index.js');
+    
+    // Import Sacred Kaleidoscope presets
+    console.log('📦 [Plugin] Importing Sacred Kaleidoscope presets...');
+    const {
+      HEXAGRAM_MANDALA,
+      OCTAGONAL_LOTUS,
+      DODECAGRAM_ROSE,
+      PINWHEEL_VEIL
+    } = await import('./effects/secondaryEffects/SacredKaleidoscope/presets/index.js');
+    
+    // Import Palette Grade presets
+    console.log('📦 [Plugin] Importing Palette Grade presets...');
+    const {
+      ALCHEMICAL_GOLD,
+      ASTRAL_VIOLET,
+      CHAKRA_RAINBOW,
+      SOFT_FILM
+    } = await import('./effects/finalImageEffects/PaletteGrade/presets/index.js');
+    
     // Set config class references
     console.log('⚙️ [Plugin] Setting config class references...');
     AnimatedKabbalisticTreeKeyFrameEffect._configClass_ = AnimatedTreeOfLifeConfig;
     ChakraMandalaEffect._configClass_ = ChakraMandalaConfig;
+    HermeticAlchemyEffect._configClass_ = HermeticAlchemyConfig;
+    CelestialSphereEffect._configClass_ = CelestialSphereConfig;
+    FibonacciSpiralEffect._configClass_ = FibonacciSpiralConfig;
+    RunicCircleEffect._configClass_ = RunicCircleConfig;
+    SacredGeometryEffect._configClass_ = SacredGeometryConfig;
+    SriYantraEffect._configClass_ = SriYantraConfig;
+    MerkabaEffect._configClass_ = MerkabaConfig;
+    EnneagramEffect._configClass_ = EnneagramConfig;
+    IChingEffect._configClass_ = IChingConfig;
+    CustomGeometryEffect._configClass_ = CustomGeometryConfig;
+    MysticBloomEffect._configClass_ = MysticBloomConfig;
+    PrismaticSplitEffect._configClass_ = PrismaticSplitConfig;
+    EtherealTrailsEffect._configClass_ = EtherealTrailsConfig;
+    SacredKaleidoscopeEffect._configClass_ = SacredKaleidoscopeConfig;
+    PaletteGradeEffect._configClass_ = PaletteGradeConfig;
     
     // Set presets for the effect (PresetRegistry format - matching my-nft-zencoder pattern)
     console.log('🎨 [Plugin] Setting presets for effects...');
@@ -201,10 +429,493 @@ export async function register(EffectRegistry, PositionRegistry) {
         effect: 'chakra-mandala',
         percentChance: 100,
         currentEffectConfig: CELESTIAL_VOID
+      },
+      {
+        name: 'twelve-chakra-ascension',
+        effect: 'chakra-mandala',
+        percentChance: 100,
+        currentEffectConfig: TWELVE_CHAKRA_ASCENSION
+      },
+      {
+        name: 'tibetan-five-wheels',
+        effect: 'chakra-mandala',
+        percentChance: 100,
+        currentEffectConfig: TIBETAN_FIVE_WHEELS
+      },
+      {
+        name: 'healing-hands-circuit',
+        effect: 'chakra-mandala',
+        percentChance: 100,
+        currentEffectConfig: HEALING_HANDS_CIRCUIT
       }
     ];
     
     console.log(`✅ [Plugin] Presets set for Chakra Mandala effects (count: ${ChakraMandalaEffect.presets.length})`);
+    
+    // Set presets for Hermetic Alchemy
+    console.log('🎨 [Plugin] Setting presets for Hermetic Alchemy...');
+    HermeticAlchemyEffect.presets = [
+      {
+        name: 'magnum-opus',
+        effect: 'hermetic-alchemy',
+        percentChance: 100,
+        currentEffectConfig: MAGNUM_OPUS
+      },
+      {
+        name: 'philosophers-stone',
+        effect: 'hermetic-alchemy',
+        percentChance: 100,
+        currentEffectConfig: PHILOSOPHERS_STONE
+      },
+      {
+        name: 'lead-into-gold',
+        effect: 'hermetic-alchemy',
+        percentChance: 100,
+        currentEffectConfig: LEAD_INTO_GOLD
+      },
+      {
+        name: 'emerald-tablet',
+        effect: 'hermetic-alchemy',
+        percentChance: 100,
+        currentEffectConfig: EMERALD_TABLET
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Hermetic Alchemy effects (count: ${HermeticAlchemyEffect.presets.length})`);
+    
+    // Set presets for Celestial Sphere
+    console.log('🎨 [Plugin] Setting presets for Celestial Sphere...');
+    CelestialSphereEffect.presets = [
+      {
+        name: 'heavenly-spheres',
+        effect: 'celestial-sphere',
+        percentChance: 100,
+        currentEffectConfig: HEAVENLY_SPHERES
+      },
+      {
+        name: 'great-year',
+        effect: 'celestial-sphere',
+        percentChance: 100,
+        currentEffectConfig: GREAT_YEAR
+      },
+      {
+        name: 'brass-astrolabe',
+        effect: 'celestial-sphere',
+        percentChance: 100,
+        currentEffectConfig: BRASS_ASTROLABE
+      },
+      {
+        name: 'cosmic-dance',
+        effect: 'celestial-sphere',
+        percentChance: 100,
+        currentEffectConfig: COSMIC_DANCE
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Celestial Sphere effects (count: ${CelestialSphereEffect.presets.length})`);
+    
+    // Set presets for Fibonacci Spiral
+    console.log('🎨 [Plugin] Setting presets for Fibonacci Spiral...');
+    FibonacciSpiralEffect.presets = [
+      {
+        name: 'golden-sunflower',
+        effect: 'fibonacci-spiral',
+        percentChance: 100,
+        currentEffectConfig: GOLDEN_SUNFLOWER
+      },
+      {
+        name: 'fractal-bloom',
+        effect: 'fibonacci-spiral',
+        percentChance: 100,
+        currentEffectConfig: FRACTAL_BLOOM
+      },
+      {
+        name: 'pinecone',
+        effect: 'fibonacci-spiral',
+        percentChance: 100,
+        currentEffectConfig: PINECONE
+      },
+      {
+        name: 'golden-vortex',
+        effect: 'fibonacci-spiral',
+        percentChance: 100,
+        currentEffectConfig: GOLDEN_VORTEX
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Fibonacci Spiral effects (count: ${FibonacciSpiralEffect.presets.length})`);
+    
+    // Set presets for Runic Circle
+    console.log('🎨 [Plugin] Setting presets for Runic Circle...');
+    RunicCircleEffect.presets = [
+      {
+        name: 'warding-circle',
+        effect: 'runic-circle',
+        percentChance: 100,
+        currentEffectConfig: WARDING_CIRCLE
+      },
+      {
+        name: 'three-aettir',
+        effect: 'runic-circle',
+        percentChance: 100,
+        currentEffectConfig: THREE_AETTIR
+      },
+      {
+        name: 'silver-seidr',
+        effect: 'runic-circle',
+        percentChance: 100,
+        currentEffectConfig: SILVER_SEIDR
+      },
+      {
+        name: 'ragnarok',
+        effect: 'runic-circle',
+        percentChance: 100,
+        currentEffectConfig: RAGNAROK
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Runic Circle effects (count: ${RunicCircleEffect.presets.length})`);
+    
+    // Set presets for Sacred Geometry
+    console.log('🎨 [Plugin] Setting presets for Sacred Geometry...');
+    SacredGeometryEffect.presets = [
+      {
+        name: 'seed-of-life',
+        effect: 'sacred-geometry',
+        percentChance: 100,
+        currentEffectConfig: SEED_OF_LIFE
+      },
+      {
+        name: 'flower-of-life',
+        effect: 'sacred-geometry',
+        percentChance: 100,
+        currentEffectConfig: FLOWER_OF_LIFE
+      },
+      {
+        name: 'fruit-of-life',
+        effect: 'sacred-geometry',
+        percentChance: 100,
+        currentEffectConfig: FRUIT_OF_LIFE
+      },
+      {
+        name: 'metatrons-cube',
+        effect: 'sacred-geometry',
+        percentChance: 100,
+        currentEffectConfig: METATRONS_CUBE
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Sacred Geometry effects (count: ${SacredGeometryEffect.presets.length})`);
+    
+    // Set presets for Sri Yantra
+    console.log('🎨 [Plugin] Setting presets for Sri Yantra...');
+    SriYantraEffect.presets = [
+      {
+        name: 'traditional-sri-yantra',
+        effect: 'sri-yantra',
+        percentChance: 100,
+        currentEffectConfig: TRADITIONAL_SRI_YANTRA
+      },
+      {
+        name: 'lunar-meditation',
+        effect: 'sri-yantra',
+        percentChance: 100,
+        currentEffectConfig: LUNAR_MEDITATION
+      },
+      {
+        name: 'golden-temple',
+        effect: 'sri-yantra',
+        percentChance: 100,
+        currentEffectConfig: GOLDEN_TEMPLE
+      },
+      {
+        name: 'cosmic-shakti',
+        effect: 'sri-yantra',
+        percentChance: 100,
+        currentEffectConfig: COSMIC_SHAKTI
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Sri Yantra effects (count: ${SriYantraEffect.presets.length})`);
+    
+    // Set presets for Merkaba
+    console.log('🎨 [Plugin] Setting presets for Merkaba...');
+    MerkabaEffect.presets = [
+      {
+        name: 'merkaba-activation',
+        effect: 'merkaba',
+        percentChance: 100,
+        currentEffectConfig: MERKABA_ACTIVATION
+      },
+      {
+        name: 'kepler-cosmos',
+        effect: 'merkaba',
+        percentChance: 100,
+        currentEffectConfig: KEPLER_COSMOS
+      },
+      {
+        name: 'crystal-duals',
+        effect: 'merkaba',
+        percentChance: 100,
+        currentEffectConfig: CRYSTAL_DUALS
+      },
+      {
+        name: 'cosmic-merkaba',
+        effect: 'merkaba',
+        percentChance: 100,
+        currentEffectConfig: COSMIC_MERKABA
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Merkaba effects (count: ${MerkabaEffect.presets.length})`);
+    
+    // Set presets for Enneagram
+    console.log('🎨 [Plugin] Setting presets for Enneagram...');
+    EnneagramEffect.presets = [
+      {
+        name: 'classic-enneagram',
+        effect: 'enneagram',
+        percentChance: 100,
+        currentEffectConfig: CLASSIC_ENNEAGRAM
+      },
+      {
+        name: 'law-of-seven',
+        effect: 'enneagram',
+        percentChance: 100,
+        currentEffectConfig: LAW_OF_SEVEN
+      },
+      {
+        name: 'fourth-way',
+        effect: 'enneagram',
+        percentChance: 100,
+        currentEffectConfig: FOURTH_WAY
+      },
+      {
+        name: 'ninefold-radiance',
+        effect: 'enneagram',
+        percentChance: 100,
+        currentEffectConfig: NINEFOLD_RADIANCE
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Enneagram effects (count: ${EnneagramEffect.presets.length})`);
+    
+    // Set presets for I Ching
+    console.log('🎨 [Plugin] Setting presets for I Ching...');
+    IChingEffect.presets = [
+      {
+        name: 'classic-changes',
+        effect: 'i-ching',
+        percentChance: 100,
+        currentEffectConfig: CLASSIC_CHANGES
+      },
+      {
+        name: 'heaven-and-earth',
+        effect: 'i-ching',
+        percentChance: 100,
+        currentEffectConfig: HEAVEN_AND_EARTH
+      },
+      {
+        name: 'oracle-ink',
+        effect: 'i-ching',
+        percentChance: 100,
+        currentEffectConfig: ORACLE_INK
+      },
+      {
+        name: 'tides-of-change',
+        effect: 'i-ching',
+        percentChance: 100,
+        currentEffectConfig: TIDES_OF_CHANGE
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for I Ching effects (count: ${IChingEffect.presets.length})`);
+    
+    // Set presets for Custom Geometry
+    console.log('🎨 [Plugin] Setting presets for Custom Geometry...');
+    CustomGeometryEffect.presets = [
+      {
+        name: 'planetary-hexagram',
+        effect: 'custom-geometry',
+        percentChance: 100,
+        currentEffectConfig: PLANETARY_HEXAGRAM
+      },
+      {
+        name: 'zodiac-trines',
+        effect: 'custom-geometry',
+        percentChance: 100,
+        currentEffectConfig: ZODIAC_TRINES
+      },
+      {
+        name: 'aett-of-freyr',
+        effect: 'custom-geometry',
+        percentChance: 100,
+        currentEffectConfig: AETT_OF_FREYR
+      },
+      {
+        name: 'pentacle-sigil',
+        effect: 'custom-geometry',
+        percentChance: 100,
+        currentEffectConfig: PENTACLE_SIGIL
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Custom Geometry effects (count: ${CustomGeometryEffect.presets.length})`);
+    
+    // Set presets for Mystic Bloom
+    console.log('🎨 [Plugin] Setting presets for Mystic Bloom...');
+    MysticBloomEffect.presets = [
+      {
+        name: 'soft-halo',
+        effect: 'mystic-bloom',
+        percentChance: 100,
+        currentEffectConfig: SOFT_HALO
+      },
+      {
+        name: 'astral-bloom',
+        effect: 'mystic-bloom',
+        percentChance: 100,
+        currentEffectConfig: ASTRAL_BLOOM
+      },
+      {
+        name: 'solar-flare',
+        effect: 'mystic-bloom',
+        percentChance: 100,
+        currentEffectConfig: SOLAR_FLARE
+      },
+      {
+        name: 'true-color-glow',
+        effect: 'mystic-bloom',
+        percentChance: 100,
+        currentEffectConfig: TRUE_COLOR_GLOW
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Mystic Bloom effects (count: ${MysticBloomEffect.presets.length})`);
+    
+    // Set presets for Prismatic Split
+    console.log('🎨 [Plugin] Setting presets for Prismatic Split...');
+    PrismaticSplitEffect.presets = [
+      {
+        name: 'radiant-prism',
+        effect: 'prismatic-split',
+        percentChance: 100,
+        currentEffectConfig: RADIANT_PRISM
+      },
+      {
+        name: 'subtle-lens',
+        effect: 'prismatic-split',
+        percentChance: 100,
+        currentEffectConfig: SUBTLE_LENS
+      },
+      {
+        name: 'rainbow-veil',
+        effect: 'prismatic-split',
+        percentChance: 100,
+        currentEffectConfig: RAINBOW_VEIL
+      },
+      {
+        name: 'astral-double',
+        effect: 'prismatic-split',
+        percentChance: 100,
+        currentEffectConfig: ASTRAL_DOUBLE
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Prismatic Split effects (count: ${PrismaticSplitEffect.presets.length})`);
+    
+    // Set presets for Ethereal Trails
+    console.log('🎨 [Plugin] Setting presets for Ethereal Trails...');
+    EtherealTrailsEffect.presets = [
+      {
+        name: 'stardust-drift',
+        effect: 'ethereal-trails',
+        percentChance: 100,
+        currentEffectConfig: STARDUST_DRIFT
+      },
+      {
+        name: 'spirit-wisps',
+        effect: 'ethereal-trails',
+        percentChance: 100,
+        currentEffectConfig: SPIRIT_WISPS
+      },
+      {
+        name: 'golden-currents',
+        effect: 'ethereal-trails',
+        percentChance: 100,
+        currentEffectConfig: GOLDEN_CURRENTS
+      },
+      {
+        name: 'aurora-streams',
+        effect: 'ethereal-trails',
+        percentChance: 100,
+        currentEffectConfig: AURORA_STREAMS
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Ethereal Trails effects (count: ${EtherealTrailsEffect.presets.length})`);
+    
+    // Set presets for Sacred Kaleidoscope
+    console.log('🎨 [Plugin] Setting presets for Sacred Kaleidoscope...');
+    SacredKaleidoscopeEffect.presets = [
+      {
+        name: 'hexagram-mandala',
+        effect: 'sacred-kaleidoscope',
+        percentChance: 100,
+        currentEffectConfig: HEXAGRAM_MANDALA
+      },
+      {
+        name: 'octagonal-lotus',
+        effect: 'sacred-kaleidoscope',
+        percentChance: 100,
+        currentEffectConfig: OCTAGONAL_LOTUS
+      },
+      {
+        name: 'dodecagram-rose',
+        effect: 'sacred-kaleidoscope',
+        percentChance: 100,
+        currentEffectConfig: DODECAGRAM_ROSE
+      },
+      {
+        name: 'pinwheel-veil',
+        effect: 'sacred-kaleidoscope',
+        percentChance: 100,
+        currentEffectConfig: PINWHEEL_VEIL
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Sacred Kaleidoscope effects (count: ${SacredKaleidoscopeEffect.presets.length})`);
+    
+    // Set presets for Palette Grade
+    console.log('🎨 [Plugin] Setting presets for Palette Grade...');
+    PaletteGradeEffect.presets = [
+      {
+        name: 'alchemical-gold',
+        effect: 'palette-grade',
+        percentChance: 100,
+        currentEffectConfig: ALCHEMICAL_GOLD
+      },
+      {
+        name: 'astral-violet',
+        effect: 'palette-grade',
+        percentChance: 100,
+        currentEffectConfig: ASTRAL_VIOLET
+      },
+      {
+        name: 'chakra-rainbow',
+        effect: 'palette-grade',
+        percentChance: 100,
+        currentEffectConfig: CHAKRA_RAINBOW
+      },
+      {
+        name: 'soft-film',
+        effect: 'palette-grade',
+        percentChance: 100,
+        currentEffectConfig: SOFT_FILM
+      }
+    ];
+    
+    console.log(`✅ [Plugin] Presets set for Palette Grade effects (count: ${PaletteGradeEffect.presets.length})`);
     console.log('🔄 [Plugin] All imports successful, registering effects...');
     
     // Register Animated Tree of Life as PRIMARY effect
@@ -229,7 +940,7 @@ export async function register(EffectRegistry, PositionRegistry) {
     } else {
       EffectRegistry.registerGlobal(ChakraMandalaEffect, EffectCategories.PRIMARY, {
         displayName: ChakraMandalaEffect._displayName_ || 'Chakra Mandala',
-        description: ChakraMandalaEffect._description_ || 'Animates the 7-chakra system with kundalini rising, mandala rings, and harmonic energy flow.',
+        description: ChakraMandalaEffect._description_ || 'Animates the classical, twelve-chakra or Tibetan chakra system with kundalini rising, mandala rings, and harmonic energy flow.',
         version: ChakraMandalaEffect._version_ || '1.0.0',
         author: ChakraMandalaEffect._author_ || 'Mystic Effects Pack',
         tags: ChakraMandalaEffect._tags_ || ['effect', 'primary', 'chakra', 'mandala', 'kundalini', 'energy', 'mystical']
@@ -237,6 +948,231 @@ export async function register(EffectRegistry, PositionRegistry) {
       console.log(`✅ Registered: ${ChakraMandalaEffect._name_} as PRIMARY effect`);
     }
     
+    // Register Hermetic Alchemy as PRIMARY effect
+    console.log(`📦 Effect name: ${HermeticAlchemyEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(HermeticAlchemyEffect._name_)) {
+      console.log(`ℹ️ Effect '${HermeticAlchemyEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(HermeticAlchemyEffect, EffectCategories.PRIMARY, {
+        displayName: HermeticAlchemyEffect._displayName_ || 'Hermetic Alchemy',
+        description: HermeticAlchemyEffect._description_ || 'The four elements and three principles transmuting through the stages of the Great Work.',
+        version: HermeticAlchemyEffect._version_ || '1.0.0',
+        author: HermeticAlchemyEffect._author_ || 'Mystic Effects Pack',
+        tags: HermeticAlchemyEffect._tags_ || ['effect', 'primary', 'alchemy', 'hermetic', 'elements', 'transmutation', 'mystical']
+      });
+      console.log(`✅ Registered: ${HermeticAlchemyEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Celestial Sphere as PRIMARY effect
+    console.log(`📦 Effect name: ${CelestialSphereEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(CelestialSphereEffect._name_)) {
+      console.log(`ℹ️ Effect '${CelestialSphereEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(CelestialSphereEffect, EffectCategories.PRIMARY, {
+        displayName: CelestialSphereEffect._displayName_ || 'Celestial Sphere',
+        description: CelestialSphereEffect._description_ || 'A zodiac ring with the seven classical planets, aspect lines and slow precession.',
+        version: CelestialSphereEffect._version_ || '1.0.0',
+        author: CelestialSphereEffect._author_ || 'Mystic Effects Pack',
+        tags: CelestialSphereEffect._tags_ || ['effect', 'primary', 'zodiac', 'astrology', 'planets', 'celestial', 'mystical']
+      });
+      console.log(`✅ Registered: ${CelestialSphereEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Fibonacci Spiral as PRIMARY effect
+    console.log(`📦 Effect name: ${FibonacciSpiralEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(FibonacciSpiralEffect._name_)) {
+      console.log(`ℹ️ Effect '${FibonacciSpiralEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(FibonacciSpiralEffect, EffectCategories.PRIMARY, {
+        displayName: FibonacciSpiralEffect._displayName_ || 'Fibonacci Spiral',
+        description: FibonacciSpiralEffect._description_ || 'Golden-angle phyllotaxis seeds unfurling along logarithmic spiral arms.',
+        version: FibonacciSpiralEffect._version_ || '1.0.0',
+        author: FibonacciSpiralEffect._author_ || 'Mystic Effects Pack',
+        tags: FibonacciSpiralEffect._tags_ || ['effect', 'primary', 'fibonacci', 'golden-ratio', 'spiral', 'phyllotaxis', 'sacred-geometry']
+      });
+      console.log(`✅ Registered: ${FibonacciSpiralEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Runic Circle as PRIMARY effect
+    console.log(`📦 Effect name: ${RunicCircleEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(RunicCircleEffect._name_)) {
+      console.log(`ℹ️ Effect '${RunicCircleEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(RunicCircleEffect, EffectCategories.PRIMARY, {
+        displayName: RunicCircleEffect._displayName_ || 'Runic Circle',
+        description: RunicCircleEffect._description_ || 'The 24 Elder Futhark runes on counter-rotating rings with sequential activation and bind-runes.',
+        version: RunicCircleEffect._version_ || '1.0.0',
+        author: RunicCircleEffect._author_ || 'Mystic Effects Pack',
+        tags: RunicCircleEffect._tags_ || ['effect', 'primary', 'runes', 'futhark', 'norse', 'bind-rune', 'mystical']
+      });
+      console.log(`✅ Registered: ${RunicCircleEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Sacred Geometry as PRIMARY effect
+    console.log(`📦 Effect name: ${SacredGeometryEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(SacredGeometryEffect._name_)) {
+      console.log(`ℹ️ Effect '${SacredGeometryEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(SacredGeometryEffect, EffectCategories.PRIMARY, {
+        displayName: SacredGeometryEffect._displayName_ || 'Sacred Geometry',
+        description: SacredGeometryEffect._description_ || "Seed, Flower and Fruit of Life and Metatron's Cube constructed circle by circle, with the Platonic solids revealed.",
+        version: SacredGeometryEffect._version_ || '1.0.0',
+        author: SacredGeometryEffect._author_ || 'Mystic Effects Pack',
+        tags: SacredGeometryEffect._tags_ || ['effect', 'primary', 'sacred-geometry', 'flower-of-life', 'metatron', 'platonic-solids', 'mystical']
+      });
+      console.log(`✅ Registered: ${SacredGeometryEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Sri Yantra as PRIMARY effect
+    console.log(`📦 Effect name: ${SriYantraEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(SriYantraEffect._name_)) {
+      console.log(`ℹ️ Effect '${SriYantraEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(SriYantraEffect, EffectCategories.PRIMARY, {
+        displayName: SriYantraEffect._displayName_ || 'Sri Yantra',
+        description: SriYantraEffect._description_ || 'The nine interlocking triangles of the Sri Yantra assembling, with lotus rings, bhupura gate and avaranas lighting inward to the bindu.',
+        version: SriYantraEffect._version_ || '1.0.0',
+        author: SriYantraEffect._author_ || 'Mystic Effects Pack',
+        tags: SriYantraEffect._tags_ || ['effect', 'primary', 'sri-yantra', 'yantra', 'tantra', 'sacred-geometry', 'mystical']
+      });
+      console.log(`✅ Registered: ${SriYantraEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Merkaba as PRIMARY effect
+    console.log(`📦 Effect name: ${MerkabaEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(MerkabaEffect._name_)) {
+      console.log(`ℹ️ Effect '${MerkabaEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(MerkabaEffect, EffectCategories.PRIMARY, {
+        displayName: MerkabaEffect._displayName_ || 'Merkaba',
+        description: MerkabaEffect._description_ || 'Rotating 3D Merkaba star tetrahedron and Platonic solids with perspective projection and depth-sorted edges.',
+        version: MerkabaEffect._version_ || '1.0.0',
+        author: MerkabaEffect._author_ || 'Mystic Effects Pack',
+        tags: MerkabaEffect._tags_ || ['effect', 'primary', 'merkaba', 'platonic-solids', '3d', 'sacred-geometry', 'mystical']
+      });
+      console.log(`✅ Registered: ${MerkabaEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Enneagram as PRIMARY effect
+    console.log(`📦 Effect name: ${EnneagramEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(EnneagramEffect._name_)) {
+      console.log(`ℹ️ Effect '${EnneagramEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(EnneagramEffect, EffectCategories.PRIMARY, {
+        displayName: EnneagramEffect._displayName_ || 'Enneagram',
+        description: EnneagramEffect._description_ || 'The nine-point enneagram traced phase by phase: circle, 3-6-9 triangle and 1-4-2-8-5-7 hexad with circulating flow.',
+        version: EnneagramEffect._version_ || '1.0.0',
+        author: EnneagramEffect._author_ || 'Mystic Effects Pack',
+        tags: EnneagramEffect._tags_ || ['effect', 'primary', 'enneagram', 'gurdjieff', 'law-of-seven', 'sacred-geometry', 'mystical']
+      });
+      console.log(`✅ Registered: ${EnneagramEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register I Ching as PRIMARY effect
+    console.log(`📦 Effect name: ${IChingEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(IChingEffect._name_)) {
+      console.log(`ℹ️ Effect '${IChingEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(IChingEffect, EffectCategories.PRIMARY, {
+        displayName: IChingEffect._displayName_ || 'I Ching',
+        description: IChingEffect._description_ || 'Hexagrams of the I Ching morphing phase by phase as their changing lines flip between yin and yang.',
+        version: IChingEffect._version_ || '1.0.0',
+        author: IChingEffect._author_ || 'Mystic Effects Pack',
+        tags: IChingEffect._tags_ || ['effect', 'primary', 'i-ching', 'hexagram', 'yin-yang', 'taoism', 'mystical']
+      });
+      console.log(`✅ Registered: ${IChingEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Custom Geometry as PRIMARY effect
+    console.log(`📦 Effect name: ${CustomGeometryEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(CustomGeometryEffect._name_)) {
+      console.log(`ℹ️ Effect '${CustomGeometryEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(CustomGeometryEffect, EffectCategories.PRIMARY, {
+        displayName: CustomGeometryEffect._displayName_ || 'Custom Geometry',
+        description: CustomGeometryEffect._description_ || 'Any node and edge diagram loaded from JSON, with glyph symbols, staggered reveals and seamless looping.',
+        version: CustomGeometryEffect._version_ || '1.0.0',
+        author: CustomGeometryEffect._author_ || 'Mystic Effects Pack',
+        tags: CustomGeometryEffect._tags_ || ['effect', 'primary', 'custom', 'json', 'data-driven', 'sacred-geometry', 'mystical']
+      });
+      console.log(`✅ Registered: ${CustomGeometryEffect._name_} as PRIMARY effect`);
+    }
+    
+    // Register Mystic Bloom as SECONDARY effect
+    console.log(`📦 Effect name: ${MysticBloomEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(MysticBloomEffect._name_)) {
+      console.log(`ℹ️ Effect '${MysticBloomEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(MysticBloomEffect, EffectCategories.SECONDARY, {
+        displayName: MysticBloomEffect._displayName_ || 'Mystic Bloom',
+        description: MysticBloomEffect._description_ || 'Multi-pass bloom: extracts bright regions, blurs them at several radii, tints and adds them back with a looping pulse.',
+        version: MysticBloomEffect._version_ || '1.0.0',
+        author: MysticBloomEffect._author_ || 'Mystic Effects Pack',
+        tags: MysticBloomEffect._tags_ || ['effect', 'secondary', 'post-processing', 'glow', 'bloom', 'mystical']
+      });
+      console.log(`✅ Registered: ${MysticBloomEffect._name_} as SECONDARY effect`);
+    }
+    
+    // Register Prismatic Split as SECONDARY effect
+    console.log(`📦 Effect name: ${PrismaticSplitEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(PrismaticSplitEffect._name_)) {
+      console.log(`ℹ️ Effect '${PrismaticSplitEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(PrismaticSplitEffect, EffectCategories.SECONDARY, {
+        displayName: PrismaticSplitEffect._displayName_ || 'Prismatic Split',
+        description: PrismaticSplitEffect._description_ || 'Chromatic aberration: splits the layer into RGB channels offset radially from a center, peaking during the radiance phase.',
+        version: PrismaticSplitEffect._version_ || '1.0.0',
+        author: PrismaticSplitEffect._author_ || 'Mystic Effects Pack',
+        tags: PrismaticSplitEffect._tags_ || ['effect', 'secondary', 'post-processing', 'chromatic-aberration', 'prism', 'mystical']
+      });
+      console.log(`✅ Registered: ${PrismaticSplitEffect._name_} as SECONDARY effect`);
+    }
+    
+    // Register Ethereal Trails as SECONDARY effect
+    console.log(`📦 Effect name: ${EtherealTrailsEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(EtherealTrailsEffect._name_)) {
+      console.log(`ℹ️ Effect '${EtherealTrailsEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(EtherealTrailsEffect, EffectCategories.SECONDARY, {
+        displayName: EtherealTrailsEffect._displayName_ || 'Ethereal Trails',
+        description: EtherealTrailsEffect._description_ || 'Seeded particles drifting along a looping curl-noise flow field, drawing fading trails over the layer.',
+        version: EtherealTrailsEffect._version_ || '1.0.0',
+        author: EtherealTrailsEffect._author_ || 'Mystic Effects Pack',
+        tags: EtherealTrailsEffect._tags_ || ['effect', 'secondary', 'particles', 'trails', 'flow-field', 'mystical']
+      });
+      console.log(`✅ Registered: ${EtherealTrailsEffect._name_} as SECONDARY effect`);
+    }
+    
+    // Register Sacred Kaleidoscope as SECONDARY effect
+    console.log(`📦 Effect name: ${SacredKaleidoscopeEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(SacredKaleidoscopeEffect._name_)) {
+      console.log(`ℹ️ Effect '${SacredKaleidoscopeEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(SacredKaleidoscopeEffect, EffectCategories.SECONDARY, {
+        displayName: SacredKaleidoscopeEffect._displayName_ || 'Sacred Kaleidoscope',
+        description: SacredKaleidoscopeEffect._description_ || 'Mirrors the layer into 6, 8 or 12-fold radial symmetry with a looping rotating wedge, turning any effect into a mandala.',
+        version: SacredKaleidoscopeEffect._version_ || '1.0.0',
+        author: SacredKaleidoscopeEffect._author_ || 'Mystic Effects Pack',
+        tags: SacredKaleidoscopeEffect._tags_ || ['effect', 'secondary', 'post-processing', 'kaleidoscope', 'mandala', 'symmetry', 'sacred-geometry']
+      });
+      console.log(`✅ Registered: ${SacredKaleidoscopeEffect._name_} as SECONDARY effect`);
+    }
+    
+    // Register Palette Grade as FINAL_IMAGE effect
+    console.log(`📦 Effect name: ${PaletteGradeEffect._name_}`);
+    if (EffectRegistry.hasGlobal && EffectRegistry.hasGlobal(PaletteGradeEffect._name_)) {
+      console.log(`ℹ️ Effect '${PaletteGradeEffect._name_}' is already registered, skipping...`);
+    } else {
+      EffectRegistry.registerGlobal(PaletteGradeEffect, EffectCategories.FINAL_IMAGE, {
+        displayName: PaletteGradeEffect._displayName_ || 'Palette Grade',
+        description: PaletteGradeEffect._description_ || 'Final color grade: 3D LUT from a .cube file or a built-in mystic palette, plus lift/gamma/gain and vignette.',
+        version: PaletteGradeEffect._version_ || '1.0.0',
+        author: PaletteGradeEffect._author_ || 'Mystic Effects Pack',
+        tags: PaletteGradeEffect._tags_ || ['effect', 'final', 'post-process', 'image', 'color-grading', 'lut', 'vignette']
+      });
+      console.log(`✅ Registered: ${PaletteGradeEffect._name_} as FINAL_IMAGE effect`);
+    }
+    
     console.log('✅ [Plugin] All effects registered successfully');
     
   } catch (error) {
@@ -253,4 +1189,40 @@ export {
   AnimatedTreeOfLifeConfig,
   ChakraMandalaEffect,
   ChakraMandalaConfig,
-} from './effects/primaryEffects/index.js';
\ No newline at end of file
+  HermeticAlchemyEffect,
+  HermeticAlchemyConfig,
+  CelestialSphereEffect,
+  CelestialSphereConfig,
+  FibonacciSpiralEffect,
+  FibonacciSpiralConfig,
+  RunicCircleEffect,
+  RunicCircleConfig,
+  SacredGeometryEffect,
+  SacredGeometryConfig,
+  SriYantraEffect,
+  SriYantraConfig,
+  MerkabaEffect,
+  MerkabaConfig,
+  EnneagramEffect,
+  EnneagramConfig,
+  IChingEffect,
+  IChingConfig,
+  CustomGeometryEffect,
+  CustomGeometryConfig,
+} from './effects/primaryEffects/index.js';
+
+export {
+  MysticBloomEffect,
+  MysticBloomConfig,
+  PrismaticSplitEffect,
+  PrismaticSplitConfig,
+  EtherealTrailsEffect,
+  EtherealTrailsConfig,
+  SacredKaleidoscopeEffect,
+  SacredKaleidoscopeConfig,
+} from './effects/secondaryEffects/index.js';
+
+export {
+  PaletteGradeEffect,
+  PaletteGradeConfig,
+} from './effects/finalImageEffects/index.js';
\ No newline at end of file
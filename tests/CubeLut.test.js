@@ -0,0 +1,136 @@
+import { buildLut, parseCubeLut, sampleLut } from '../src/effects/finalImageEffects/PaletteGrade/CubeLut.js';
+
+/**
+ * Identity .cube rows for a size³ grid, red changing fastest
+ */
+function identityRows(size) {
+  const rows = [];
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        rows.push([r, g, b].map(value => value / (size - 1)).join(' '));
+      }
+    }
+  }
+  return rows;
+}
+
+function cube(...lines) {
+  return lines.flat().join('\n');
+}
+
+describe('parseCubeLut', () => {
+  test('parses the header, comments and rows', () => {
+    const lut = parseCubeLut(cube(
+      '# Identity',
+      'TITLE "Quintessence"',
+      'LUT_3D_SIZE 2',
+      'LUT_IN_VIDEO_RANGE',
+      'DOMAIN_MIN 0 0 0',
+      'DOMAIN_MAX 1 1 2',
+      '',
+      identityRows(2),
+    ));
+
+    expect(lut.title).toBe('Quintessence');
+    expect(lut.size).toBe(2);
+    expect(lut.domainMin).toEqual([0, 0, 0]);
+    expect(lut.domainMax).toEqual([1, 1, 2]);
+    expect(lut.table).toHaveLength(8 * 3);
+    expect(Array.from(lut.table.slice(3, 6))).toEqual([1, 0, 0]);
+  });
+
+  test('accepts Windows line endings', () => {
+    expect(parseCubeLut(cube('LUT_3D_SIZE 2', identityRows(2)).replace(/\n/g, '\r\n')).size).toBe(2);
+  });
+
+  test('rejects a row count that does not match LUT_3D_SIZE', () => {
+    expect(() => parseCubeLut(cube('LUT_3D_SIZE 2', identityRows(2).slice(1)), 'short.cube'))
+      .toThrow('short.cube: expected 8 rows for a 2³ LUT, found 7');
+    expect(() => parseCubeLut(cube('LUT_3D_SIZE 2', identityRows(2), '0 0 0')))
+      .toThrow('expected 8 rows for a 2³ LUT, found 9');
+  });
+
+  test('rejects a missing or out-of-range LUT_3D_SIZE', () => {
+    expect(() => parseCubeLut(cube(identityRows(2)))).toThrow('.cube: missing LUT_3D_SIZE');
+    expect(() => parseCubeLut(cube('LUT_3D_SIZE 1', '0 0 0')))
+      .toThrow('.cube:1: LUT_3D_SIZE must be a whole number between 2 and 256');
+    expect(() => parseCubeLut(cube('LUT_3D_SIZE 2.5')))
+      .toThrow('LUT_3D_SIZE must be a whole number between 2 and 256');
+  });
+
+  test('rejects malformed rows with their line number', () => {
+    expect(() => parseCubeLut(cube('LUT_3D_SIZE 2', '0 0', identityRows(2))))
+      .toThrow('.cube:2: expected "r g b", got "0 0"');
+  });
+
+  test('rejects malformed DOMAIN_MIN and DOMAIN_MAX', () => {
+    expect(() => parseCubeLut(cube('LUT_3D_SIZE 2', 'DOMAIN_MIN 0 0', identityRows(2))))
+      .toThrow('.cube:2: DOMAIN_MIN must be three numbers');
+    expect(() => parseCubeLut(cube('LUT_3D_SIZE 2', 'DOMAIN_MAX 1 one 1', identityRows(2))))
+      .toThrow('.cube:2: DOMAIN_MAX must be three numbers');
+    expect(() => parseCubeLut(cube('LUT_3D_SIZE 2', 'DOMAIN_MIN 0 1 0', 'DOMAIN_MAX 1 1 1', identityRows(2))))
+      .toThrow('.cube: DOMAIN_MAX must be greater than DOMAIN_MIN');
+  });
+
+  test('rejects 1D LUTs', () => {
+    expect(() => parseCubeLut(cube('TITLE "Curve"', 'LUT_1D_SIZE 2', '0 0 0', '1 1 1'), 'curve.cube'))
+      .toThrow('curve.cube:2: 1D LUTs are not supported, use a 3D LUT (LUT_3D_SIZE)');
+  });
+});
+
+describe('sampleLut', () => {
+  const invert = buildLut((r, g, b) => [1 - r, 1 - g, 1 - b], 3);
+  const result = [0, 0, 0];
+
+  test('returns the table entry exactly at every grid corner', () => {
+    for (const r of [0, 1]) {
+      for (const g of [0, 1]) {
+        for (const b of [0, 1]) {
+          sampleLut(invert, r, g, b, result);
+          expect(result[0]).toBeCloseTo(1 - r);
+          expect(result[1]).toBeCloseTo(1 - g);
+          expect(result[2]).toBeCloseTo(1 - b);
+        }
+      }
+    }
+  });
+
+  test('reads each channel from its own axis', () => {
+    const swap = buildLut((r, g, b) => [b, r, g], 2);
+
+    sampleLut(swap, 1, 0, 0, result);
+    expect(result).toEqual([0, 1, 0]);
+    sampleLut(swap, 0, 0, 1, result);
+    expect(result).toEqual([1, 0, 0]);
+  });
+
+  test('interpolates trilinearly between grid points', () => {
+    // A product of the three inputs is exactly what trilinear interpolation reproduces on a 2³ grid
+    const product = buildLut((r, g, b) => [r * g * b, r, (r + g + b) / 3], 2);
+
+    sampleLut(product, 0.5, 0.5, 0.5, result);
+    expect(result[0]).toBeCloseTo(0.125);
+    expect(result[1]).toBeCloseTo(0.5);
+    expect(result[2]).toBeCloseTo(0.5);
+
+    sampleLut(product, 0.25, 1, 0.8, result);
+    expect(result[0]).toBeCloseTo(0.2);
+  });
+
+  test('clamps inputs outside the domain to the edge of the grid', () => {
+    sampleLut(invert, -0.5, 1.5, 0.5, result);
+    expect(result[0]).toBeCloseTo(1);
+    expect(result[1]).toBeCloseTo(0);
+    expect(result[2]).toBeCloseTo(0.5);
+  });
+
+  test('maps inputs through DOMAIN_MIN and DOMAIN_MAX', () => {
+    const lut = parseCubeLut(cube('LUT_3D_SIZE 2', 'DOMAIN_MAX 2 2 2', identityRows(2)));
+
+    sampleLut(lut, 1, 2, 0, result);
+    expect(result[0]).toBeCloseTo(0.5);
+    expect(result[1]).toBeCloseTo(1);
+    expect(result[2]).toBeCloseTo(0);
+  });
+});
@@ -0,0 +1,169 @@
+import { DEFAULT_GEOMETRY, validateGeometry } from '../src/effects/primaryEffects/CustomGeometry/GeometrySchema.js';
+import { resolveGlyph } from '../src/effects/primaryEffects/CustomGeometry/GlyphLibrary.js';
+
+const TRIANGLE = {
+  nodes: [
+    { id: 'a', x: 0.5, y: 0.2 },
+    { id: 'b', x: 0.8, y: 0.8 },
+    { id: 'c', x: 0.2, y: 0.8 },
+  ],
+  edges: [['a', 'b'], ['b', 'c'], { from: 'c', to: 'a', thickness: 2 }],
+};
+
+describe('validateGeometry', () => {
+  test('accepts the built-in default geometry', () => {
+    const result = validateGeometry(DEFAULT_GEOMETRY);
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([]);
+    expect(result.geometry.nodes).toHaveLength(4);
+    expect(result.geometry.edges).toHaveLength(6);
+  });
+
+  test('normalizes ids, edge shorthand and glyph references', () => {
+    const result = validateGeometry(JSON.stringify({
+      name: 'Numbers',
+      nodes: [
+        { id: 1, x: 0, y: 0, symbol: 'planet:sun' },
+        { id: 2, x: 1, y: 1 },
+      ],
+      edges: [[1, 2]],
+    }));
+
+    expect(result.valid).toBe(true);
+    expect(result.geometry.name).toBe('Numbers');
+    expect(result.geometry.nodes[0]).toMatchObject({ id: '1', symbol: resolveGlyph('planet:sun') });
+    expect(result.geometry.nodes[1].symbol).toBeNull();
+    expect(result.geometry.edges).toEqual([{ from: '1', to: '2' }]);
+  });
+
+  test('rejects unusable sources', () => {
+    expect(validateGeometry('{ nodes: ').errors[0]).toMatch(/^geometry is not valid JSON/);
+    expect(validateGeometry([]).errors).toEqual(['geometry must be an object with nodes and edges']);
+    expect(validateGeometry({ nodes: [] }).errors).toEqual(['nodes must be a non-empty array']);
+    expect(validateGeometry({ nodes: TRIANGLE.nodes, edges: {} }).errors).toEqual(['edges must be an array']);
+  });
+
+  test('reports node errors with their path', () => {
+    const result = validateGeometry({
+      nodes: [
+        { id: '', x: 1.5, y: 0.5, color: 'gold', sides: 2.5 },
+        { id: 'b', x: 0.5, y: 0.5, size: 0 },
+      ],
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.geometry).toBeNull();
+    expect(result.errors).toEqual([
+      'nodes[0].id must be a non-empty string or a number',
+      'nodes[0].x must be a number between 0 and 1, got 1.5',
+      'nodes[0].color must be a hex color like "#FFD166", got "gold"',
+      'nodes[0].sides must be an integer >= 3, got 2.5',
+      'nodes[1].size must be a number > 0, got 0',
+    ]);
+  });
+
+  test('rejects duplicate node ids', () => {
+    const result = validateGeometry({
+      nodes: [...TRIANGLE.nodes, { id: 'a', x: 0.5, y: 0.5 }],
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['nodes[3].id "a" is already used by another node']);
+  });
+
+  test('treats numeric and string ids as the same id', () => {
+    const result = validateGeometry({
+      nodes: [{ id: 7, x: 0.2, y: 0.2 }, { id: '7', x: 0.8, y: 0.8 }],
+    });
+
+    expect(result.errors).toEqual(['nodes[1].id "7" is already used by another node']);
+  });
+
+  test('rejects self-loops and edges to unknown nodes', () => {
+    const result = validateGeometry({
+      nodes: TRIANGLE.nodes,
+      edges: [['a', 'a'], { from: 'b', to: 'z' }, ['a']],
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'edges[0] connects node "a" to itself',
+      'edges[1].to must be the id of a node, got "z"',
+      'edges[2] must be a [from, to] pair',
+    ]);
+  });
+
+  test('warns about and drops duplicate edges in either direction', () => {
+    const result = validateGeometry({
+      nodes: TRIANGLE.nodes,
+      edges: [...TRIANGLE.edges, ['b', 'a']],
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual(['edges[3] duplicates an earlier edge between "b" and "a" and is ignored']);
+    expect(result.geometry.edges).toHaveLength(3);
+  });
+
+  test('warns about unknown properties and unknown glyphs without failing', () => {
+    const result = validateGeometry({
+      author: 'someone',
+      nodes: [
+        { id: 'a', x: 0.5, y: 0.5, label: 'A', symbol: 'zodiac:ophiuchus' },
+        { id: 'b', x: 0.2, y: 0.2 },
+      ],
+      edges: [{ from: 'a', to: 'b', weight: 3 }],
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toHaveLength(4);
+    expect(result.warnings[0]).toMatch(/^geometry\.author is not a known property/);
+    expect(result.warnings[1]).toMatch(/^nodes\[0\]\.label is not a known property/);
+    expect(result.warnings[2]).toMatch(/^nodes\[0\]\.symbol "zodiac:ophiuchus" is not a known glyph/);
+    expect(result.warnings[3]).toMatch(/^edges\[0\]\.weight is not a known property/);
+    expect(result.geometry.nodes[0].symbol).toBeNull();
+  });
+
+  test('accepts valid inline glyph elements', () => {
+    const symbol = [
+      { type: 'arc', cx: 0, cy: 0, r: 0.5 },
+      { type: 'line', x1: -1, y1: 0, x2: 1, y2: 0 },
+      { type: 'path', points: [[0, -1], [0, 1]] },
+    ];
+    const result = validateGeometry({ nodes: [{ id: 'a', x: 0.5, y: 0.5, symbol }] });
+
+    expect(result.valid).toBe(true);
+    expect(result.geometry.nodes[0].symbol).toBe(symbol);
+  });
+
+  test('rejects bad inline glyph elements', () => {
+    const result = validateGeometry({
+      nodes: [
+        { id: 'a', x: 0.5, y: 0.5, symbol: [] },
+        {
+          id: 'b',
+          x: 0.5,
+          y: 0.5,
+          symbol: [
+            { type: 'circle', r: 1 },
+            { type: 'polygon', points: [[0, 0]] },
+            { type: 'line', x1: 0, y1: 0, x2: 1 },
+            { type: 'arc', r: -1 },
+          ],
+        },
+        { id: 'c', x: 0.5, y: 0.5, symbol: 42 },
+      ],
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'nodes[0].symbol must contain at least one glyph element',
+      'nodes[1].symbol[0].type must be one of path, polygon, line, arc',
+      'nodes[1].symbol[1].points must be at least two [x, y] number pairs',
+      'nodes[1].symbol[2].y2 must be a number, got undefined',
+      'nodes[1].symbol[3].r must be a number > 0, got -1',
+      'nodes[2].symbol must be a glyph reference string or an array of glyph elements',
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+import { ParameterTrackEngine } from '../src/effects/base/ParameterTrackEngine.js';
+
+const linear = (t) => t;
+
+const PHASES = {
+  awakening: [0.0, 0.25],
+  ascension: [0.25, 0.5],
+  radiance: [0.5, 0.75],
+  descent: [0.75, 1.0],
+};
+
+describe('ParameterTrackEngine.normalizeTracks', () => {
+  test('resolves phase keyframes to absolute progress and sorts them', () => {
+    const { scale } = ParameterTrackEngine.normalizeTracks({
+      scale: [
+        { phase: 'radiance', at: 0.5, value: 1.2 },
+        { progress: 0.1, value: 0.9 },
+      ],
+    }, PHASES);
+
+    expect(scale.map(keyframe => keyframe.progress)).toEqual([0.1, 0.625]);
+    expect(scale.map(keyframe => keyframe.easing)).toEqual(['linear', 'linear']);
+  });
+
+  test('folds a keyframe at 1.0 onto the seam at 0.0', () => {
+    const { scale } = ParameterTrackEngine.normalizeTracks({
+      scale: [
+        { progress: 0.5, value: 2 },
+        { phase: 'descent', at: 1, value: 1 },
+      ],
+    }, PHASES);
+
+    expect(scale).toHaveLength(2);
+    expect(scale[0]).toMatchObject({ progress: 0, value: 1 });
+    expect(scale[1]).toMatchObject({ progress: 0.5, value: 2 });
+  });
+
+  test('keeps the keyframe declared at 0.0 when 1.0 repeats its value', () => {
+    const { glowColor } = ParameterTrackEngine.normalizeTracks({
+      glowColor: [
+        { progress: 1, value: '#ff0000', easing: 'easeInCubic' },
+        { progress: 0, value: '#FF0000', easing: 'smoothstep' },
+        { progress: 0.5, value: '#0000ff' },
+      ],
+    }, PHASES);
+
+    expect(glowColor).toHaveLength(2);
+    expect(glowColor[0]).toMatchObject({ progress: 0, value: '#FF0000', easing: 'smoothstep' });
+  });
+
+  test('throws when the keyframes at 0.0 and 1.0 disagree', () => {
+    expect(() => ParameterTrackEngine.normalizeTracks({
+      scale: [
+        { progress: 0, value: 1 },
+        { progress: 1, value: 2 },
+      ],
+    }, PHASES)).toThrow('Track "scale" has different values at progress 0 and 1.0');
+  });
+
+  test('rejects malformed tracks', () => {
+    expect(() => ParameterTrackEngine.normalizeTracks({ scale: [] }, PHASES))
+      .toThrow('Track "scale" must be a non-empty array of keyframes');
+    expect(() => ParameterTrackEngine.normalizeTracks({ scale: [{ phase: 'void', value: 1 }] }, PHASES))
+      .toThrow('references unknown phase "void"');
+    expect(() => ParameterTrackEngine.normalizeTracks({ scale: [{ value: 1 }] }, PHASES))
+      .toThrow('needs a progress (0-1) or a phase');
+    expect(() => ParameterTrackEngine.normalizeTracks({ scale: [{ progress: 0.2, value: 'red' }] }, PHASES))
+      .toThrow('needs a numeric or hex color value');
+    expect(() => ParameterTrackEngine.normalizeTracks({
+      scale: [{ progress: 0.2, value: 1 }, { progress: 0.4, value: '#FFFFFF' }],
+    }, PHASES)).toThrow('mixes numeric and color keyframes');
+  });
+});
+
+describe('ParameterTrackEngine.evaluateTrack', () => {
+  const track = ParameterTrackEngine.normalizeTracks({
+    scale: [
+      { progress: 0.25, value: 1 },
+      { progress: 0.5, value: 2 },
+      { progress: 0.75, value: 4 },
+    ],
+  }, PHASES).scale;
+
+  test('interpolates between neighbouring keyframes', () => {
+    expect(ParameterTrackEngine.evaluateTrack(track, 0.375, linear)).toBeCloseTo(1.5);
+    expect(ParameterTrackEngine.evaluateTrack(track, 0.5, linear)).toBe(2);
+  });
+
+  test('wraps from the last keyframe back to the first across the seam', () => {
+    // Wrap segment runs 0.75 → 1.0 → 0.25 (a span of 0.5), from 4 back to 1
+    expect(ParameterTrackEngine.evaluateTrack(track, 0.75, linear)).toBe(4);
+    expect(ParameterTrackEngine.evaluateTrack(track, 1.0, linear)).toBeCloseTo(2.5);
+    expect(ParameterTrackEngine.evaluateTrack(track, 0.0, linear)).toBeCloseTo(2.5);
+    expect(ParameterTrackEngine.evaluateTrack(track, 0.125, linear)).toBeCloseTo(1.75);
+  });
+
+  test('applies the easing of the segment start keyframe', () => {
+    const eased = ParameterTrackEngine.normalizeTracks({
+      scale: [
+        { progress: 0, value: 0, easing: 'square' },
+        { progress: 0.5, value: 1 },
+      ],
+    }, PHASES).scale;
+    const applyEasing = (t, easing) => (easing === 'square' ? t * t : t);
+
+    expect(ParameterTrackEngine.evaluateTrack(eased, 0.25, applyEasing)).toBeCloseTo(0.25);
+    expect(ParameterTrackEngine.evaluateTrack(eased, 0.75, applyEasing)).toBeCloseTo(0.5);
+  });
+
+  test('holds a single keyframe', () => {
+    expect(ParameterTrackEngine.evaluateTrack([{ progress: 0.3, value: 7, easing: 'linear' }], 0.9, linear)).toBe(7);
+  });
+});
+
+describe('ParameterTrackEngine colors', () => {
+  test('interpolates hex colors per RGB channel', () => {
+    expect(ParameterTrackEngine.interpolate('#000000', '#FF8040', 0)).toBe('#000000');
+    expect(ParameterTrackEngine.interpolate('#000000', '#FF8040', 0.5)).toBe('#804020');
+    expect(ParameterTrackEngine.interpolate('#000000', '#FF8040', 1)).toBe('#ff8040');
+  });
+
+  test('evaluates color tracks across the seam', () => {
+    const { glowColor } = ParameterTrackEngine.normalizeTracks({
+      glowColor: [
+        { progress: 0, value: '#000000' },
+        { progress: 0.5, value: '#FFFFFF' },
+      ],
+    }, PHASES);
+
+    expect(ParameterTrackEngine.evaluateTrack(glowColor, 0.25, linear)).toBe('#808080');
+    expect(ParameterTrackEngine.evaluateTrack(glowColor, 0.75, linear)).toBe('#808080');
+    expect(ParameterTrackEngine.evaluateTrack(glowColor, 1.0, linear)).toBe('#000000');
+  });
+
+  test('compares seam values case-insensitively', () => {
+    expect(ParameterTrackEngine.sameValue('#abcdef', '#ABCDEF')).toBe(true);
+    expect(ParameterTrackEngine.sameValue('#abcdef', '#ABCDEE')).toBe(false);
+    expect(ParameterTrackEngine.sameValue(1, 1)).toBe(true);
+    expect(ParameterTrackEngine.sameValue(1, '#000001')).toBe(false);
+  });
+});